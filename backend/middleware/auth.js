@@ -1,9 +1,10 @@
-const jwt = require('jsonwebtoken');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-key-change-in-production';
+const sessionService = require('../services/sessionService');
+const accessTokenService = require('../services/accessTokenService');
 
 // Authentication middleware
-const authenticateToken = (req, res, next) => {
+// Accepts session access tokens (JWTs) and personal access tokens.
+// Expired access tokens get 401 so clients know to refresh; other bad tokens get 403.
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -11,15 +12,56 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+    if (accessTokenService.isAccessToken(token)) {
+        try {
+            const user = await accessTokenService.authenticate(token);
+            if (!user) {
+                return res.status(401).json({ error: 'Personal access token is invalid, expired or revoked' });
+            }
+            req.user = user;
+            return next();
+        } catch (error) {
+            console.error('Error checking personal access token:', error);
+            return res.status(500).json({ error: 'Failed to authenticate' });
+        }
+    }
+
+    let user;
+    try {
+        user = sessionService.verifyAccessToken(token);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Access token expired' });
+        }
+        return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+        // Tokens issued before sessions existed carry no sid and must sign in again
+        if (!user.sid || !(await sessionService.isActive(user.sid))) {
+            return res.status(401).json({ error: 'Session expired or revoked' });
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+        return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+
+    req.user = user;
+    next();
+};
+
+// Account management (sessions, 2FA, tokens, admin) needs a signed-in session;
+// personal access tokens are refused here.
+const authenticateSession = (req, res, next) => {
+    authenticateToken(req, res, () => {
+        if (req.user.token_id) {
+            return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
         }
-        req.user = user;
         next();
     });
 };
 
 module.exports = {
-    authenticateToken
+    authenticateToken,
+    authenticateSession
 };
@@ -0,0 +1,32 @@
+// Optimistic concurrency for goals, plans and tasks. A row's version is its
+// ETag; updates and deletes sent with If-Match must name the current version.
+
+const etagOf = (row) => `"${row.version}"`;
+
+// Set the ETag header for a versioned row
+const setETag = (res, row) => {
+    res.set('ETag', etagOf(row));
+};
+
+// Whether If-Match allows changing this row; requests without If-Match (or with *) always may
+const matchesIfMatch = (req, row) => {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return true;
+
+    return header.split(',').map(tag => tag.trim()).includes(etagOf(row));
+};
+
+// 412 with the row as it is now (null if it was deleted) so the client can reload or merge
+const sendPreconditionFailed = (res, current) => {
+    if (current) setETag(res, current);
+    res.status(412).json({
+        error: 'This item was changed by someone else. Reload it or merge your changes.',
+        current: current || null
+    });
+};
+
+module.exports = {
+    setETag,
+    matchesIfMatch,
+    sendPreconditionFailed
+};
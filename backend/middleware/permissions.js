@@ -0,0 +1,34 @@
+const permissionService = require('../services/permissionService');
+const accessTokenService = require('../services/accessTokenService');
+
+// Permission middleware: rejects with 403 unless the user's role grants
+// every listed permission (and, for personal access tokens, the token's
+// scopes allow it). Must run after authenticateToken.
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            for (const permission of permissions) {
+                if (!(await permissionService.can(req.user, permission))) {
+                    return res.status(403).json({
+                        error: 'Insufficient permissions',
+                        required: permission
+                    });
+                }
+                if (req.user.scopes && !accessTokenService.allows(req.user.scopes, permission, req.method)) {
+                    return res.status(403).json({
+                        error: 'Token scope does not allow this action',
+                        required: permission
+                    });
+                }
+            }
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({ error: 'Failed to verify permissions' });
+        }
+    };
+};
+
+module.exports = {
+    requirePermission
+};
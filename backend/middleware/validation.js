@@ -1,5 +1,15 @@
 const Joi = require('joi');
 
+// Most tasks one task may wait on
+const MAX_DEPENDENCIES = 50;
+
+// Most checklist items one task may have
+const MAX_CHECKLIST_ITEMS = 100;
+
+// Most plans a goal template and tasks a plan template may hold
+const MAX_TEMPLATE_PLANS = 12;
+const MAX_TEMPLATE_TASKS = 100;
+
 // Goal validation schema
 const goalSchema = Joi.object({
     title: Joi.string().min(3).max(200).required().trim(),
@@ -7,7 +17,9 @@ const goalSchema = Joi.object({
     quarter: Joi.number().integer().min(1).max(4).required(),
     year: Joi.number().integer().min(2020).max(2100).required(),
     status: Joi.string().valid('pending', 'in_progress', 'completed', 'cancelled'),
-    progress: Joi.number().integer().min(0).max(100)
+    progress: Joi.number().integer().min(0).max(100),
+    progress_mode: Joi.string().valid('manual', 'auto'),
+    progress_weighting: Joi.string().valid('count', 'hours')
 });
 
 // Monthly plan validation schema
@@ -43,10 +55,173 @@ const taskSchema = Joi.object({
         Joi.boolean(),
         Joi.number().integer().min(0).max(1)
     ),
+    // The tasks this one waits on: a list of ids, or a single id
     depends_on: Joi.alternatives().try(
+        Joi.array().items(Joi.number().integer()).max(MAX_DEPENDENCIES),
         Joi.number().integer(),
         Joi.string().allow('', null)
-    ).allow(null)
+    ).allow(null),
+    assigned_to: Joi.number().integer().allow(null)
+});
+
+// Update schemas derived from the create schemas: every field is optional and
+// the listed fields also accept null
+const fieldsOf = (schema) => Object.keys(schema.describe().keys);
+
+const toUpdateSchema = (schema, nullable = []) => {
+    return schema
+        .fork(fieldsOf(schema), (field) => field.optional())
+        .fork(nullable, (field) => field.allow(null));
+};
+
+// PUT keeps its COALESCE semantics: null (or a missing field) leaves the column unchanged
+const goalUpdateSchema = toUpdateSchema(goalSchema, fieldsOf(goalSchema));
+const planUpdateSchema = toUpdateSchema(planSchema, fieldsOf(planSchema));
+const taskUpdateSchema = toUpdateSchema(taskSchema, fieldsOf(taskSchema));
+
+// PATCH changes only the fields sent, and null clears the nullable columns.
+// Task references and dates are strict here: no empty strings.
+const toPatchSchema = (schema, nullable) => toUpdateSchema(schema, nullable)
+    .min(1)
+    .messages({ 'object.min': 'At least one field to update is required' });
+
+const goalPatchSchema = toPatchSchema(goalSchema, ['description']);
+const planPatchSchema = toPatchSchema(planSchema, ['description', 'quarterly_goal_id']);
+const taskPatchSchema = toPatchSchema(
+    taskSchema.keys({
+        monthly_plan_id: Joi.number().integer(),
+        due_date: Joi.date().iso(),
+        depends_on: Joi.alternatives().try(
+            Joi.array().items(Joi.number().integer()).max(MAX_DEPENDENCIES),
+            Joi.number().integer()
+        ),
+        is_urgent: Joi.boolean()
+    }),
+    ['description', 'monthly_plan_id', 'due_date', 'depends_on', 'assigned_to']
+);
+
+// Task dependency validation schema
+const taskDependencySchema = Joi.object({
+    depends_on_task_id: Joi.number().integer().required(),
+    type: Joi.string().valid('finish_to_start', 'start_to_start', 'finish_to_finish', 'start_to_finish')
+});
+
+// Checklist item validation schemas
+const checklistItemSchema = Joi.object({
+    title: Joi.string().min(1).max(300).required().trim(),
+    is_done: Joi.boolean(),
+    assigned_to: Joi.number().integer().allow(null),
+    due_date: Joi.date().iso().allow(null)
+});
+
+const checklistItemPatchSchema = toPatchSchema(checklistItemSchema, ['assigned_to', 'due_date']);
+
+const checklistOrderSchema = Joi.object({
+    item_ids: Joi.array().items(Joi.number().integer()).min(1).max(MAX_CHECKLIST_ITEMS).unique().required()
+});
+
+// Task recurrence validation schemas; recurrenceService checks the rule itself
+const taskRecurrenceSchema = Joi.object({
+    rrule: Joi.string().max(500).required().trim()
+});
+
+const recurrenceExceptionSchema = Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+        .messages({ 'string.pattern.base': 'date must be a day as YYYY-MM-DD' })
+});
+
+// Template content schemas, one per kind. Offsets place an item relative to the one
+// above it: months from the goal's first month, weeks from the plan's first week,
+// days from the task's Monday.
+const templateTaskSchema = Joi.object({
+    title: Joi.string().min(3).max(200).required().trim(),
+    description: Joi.string().max(2000).allow('').trim(),
+    priority: Joi.string().valid('low', 'medium', 'high'),
+    estimated_hours: Joi.number().min(0).max(1000),
+    is_urgent: Joi.boolean(),
+    week_offset: Joi.number().integer().min(0).max(52),
+    due_offset_days: Joi.number().integer().min(0).max(365).allow(null)
+});
+
+const templatePlanSchema = Joi.object({
+    title: Joi.string().min(3).max(200).required().trim(),
+    description: Joi.string().max(2000).allow('').trim(),
+    month_offset: Joi.number().integer().min(0).max(11),
+    tasks: Joi.array().items(templateTaskSchema).max(MAX_TEMPLATE_TASKS)
+});
+
+const templateGoalSchema = Joi.object({
+    title: Joi.string().min(3).max(200).required().trim(),
+    description: Joi.string().max(2000).allow('').trim(),
+    progress_mode: Joi.string().valid('manual', 'auto'),
+    progress_weighting: Joi.string().valid('count', 'hours'),
+    plans: Joi.array().items(templatePlanSchema).max(MAX_TEMPLATE_PLANS)
+});
+
+const templateContentSchemas = {
+    goal: templateGoalSchema,
+    plan: templatePlanSchema.keys({ month_offset: Joi.forbidden() }),
+    task: templateTaskSchema
+};
+
+// Template validation schemas; content is checked against its kind's schema
+const templateSchema = Joi.object({
+    name: Joi.string().min(3).max(200).required().trim(),
+    description: Joi.string().max(2000).allow('').trim(),
+    team_id: Joi.number().integer().allow(null),
+    kind: Joi.string().valid('goal', 'plan', 'task').required(),
+    content: Joi.when('kind', {
+        switch: [
+            { is: 'goal', then: templateContentSchemas.goal },
+            { is: 'plan', then: templateContentSchemas.plan }
+        ],
+        otherwise: templateContentSchemas.task
+    }).required()
+});
+
+// A template's kind is fixed; its content is checked in the route, where the kind is known
+const templatePatchSchema = toPatchSchema(templateSchema.keys({ content: Joi.object() }), ['description', 'team_id'])
+    .fork(['kind'], (field) => field.forbidden());
+
+// Saving an existing goal, plan or task as a template
+const templateCaptureSchema = Joi.object({
+    name: Joi.string().min(3).max(200).required().trim(),
+    description: Joi.string().max(2000).allow('').trim(),
+    team_id: Joi.number().integer().allow(null)
+});
+
+// Where to instantiate a template: quarter for a goal template, month (and
+// optionally a goal) for a plan template, week_number (and optionally a plan) for a task template
+const templateInstantiateSchema = Joi.object({
+    year: Joi.number().integer().min(2020).max(2100).required(),
+    quarter: Joi.number().integer().min(1).max(4),
+    month: Joi.number().integer().min(1).max(12),
+    week_number: Joi.number().integer().min(1).max(53),
+    quarterly_goal_id: Joi.number().integer().allow(null),
+    monthly_plan_id: Joi.number().integer().allow(null)
+});
+
+// Quarter rollover: what to carry into the next quarter or close, and whether
+// carried items are moved or copied
+const rolloverSchema = Joi.object({
+    quarter: Joi.number().integer().min(1).max(4).required(),
+    year: Joi.number().integer().min(2020).max(2100).required(),
+    mode: Joi.string().valid('move', 'clone').required(),
+    items: Joi.array().items(Joi.object({
+        type: Joi.string().valid('goal', 'plan', 'task').required(),
+        id: Joi.number().integer().required(),
+        action: Joi.string().valid('carry', 'close').required()
+    })).min(1).max(1000).required()
+});
+
+// Comment validation schemas
+const commentSchema = Joi.object({
+    body: Joi.string().min(1).max(5000).required().trim(),
+    parent_id: Joi.number().integer().allow(null)
+});
+
+const commentEditSchema = Joi.object({
+    body: Joi.string().min(1).max(5000).required().trim()
 });
 
 // Time log validation schema
@@ -57,12 +232,26 @@ const timeLogSchema = Joi.object({
     notes: Joi.string().max(1000).allow('').trim()
 });
 
+// Team validation schema
+const teamSchema = Joi.object({
+    name: Joi.string().min(2).max(100).required().trim(),
+    description: Joi.string().max(1000).allow('').trim()
+});
+
+// Renaming or re-describing a team: at least one of the fields, null leaves one unchanged
+const teamUpdateSchema = toPatchSchema(teamSchema, ['description']);
+
+// Team membership validation schema
+const teamMemberSchema = Joi.object({
+    user_id: Joi.number().integer().required(),
+    role: Joi.string().valid('lead', 'member')
+});
+
 // User registration validation schema
 const registerSchema = Joi.object({
     name: Joi.string().min(2).max(100).required().trim(),
     email: Joi.string().email().required().trim().lowercase(),
-    password: Joi.string().min(6).max(100).required(),
-    role: Joi.string().valid('admin', 'manager', 'member')
+    password: Joi.string().min(6).max(100).required()
 });
 
 // User login validation schema
@@ -71,6 +260,63 @@ const loginSchema = Joi.object({
     password: Joi.string().required()
 });
 
+// Forgot password validation schema
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required().trim().lowercase()
+});
+
+// Password reset validation schema (token comes from the emailed link)
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(6).max(100).required()
+});
+
+// Email verification validation schema
+const verifyEmailSchema = Joi.object({
+    token: Joi.string().hex().length(64).required()
+});
+
+// Two-factor request bodies. Only the types are checked here: a missing or wrong
+// code still gets the route's own "Invalid code" answer
+const twoFactorCode = Joi.string().allow('');
+
+const twoFactorLoginSchema = Joi.object({
+    challenge_token: Joi.string().allow(''),
+    code: twoFactorCode,
+    recovery_code: twoFactorCode
+});
+
+const twoFactorEnableSchema = Joi.object({
+    challenge_token: Joi.string().allow(''),
+    code: twoFactorCode
+});
+
+const twoFactorDisableSchema = Joi.object({
+    password: Joi.string().allow(''),
+    code: twoFactorCode
+});
+
+const twoFactorCodeSchema = Joi.object({
+    code: twoFactorCode
+});
+
+// Personal access token validation schema (expires_in_days: null = never expires)
+const accessTokenSchema = Joi.object({
+    name: Joi.string().min(1).max(100).required().trim(),
+    scopes: Joi.array().items(Joi.string().valid('read', 'tasks:write', 'time-logs:write')).min(1).required(),
+    expires_in_days: Joi.number().integer().min(1).max(365).allow(null)
+});
+
+// Largest value of a SERIAL column
+const MAX_SERIAL_ID = 2147483647;
+
+// Param handler (app.param / router.param) for serial keys: anything but a whole
+// number in range matches no route and ends in the 404 handler instead of reaching
+// Postgres as an invalid integer
+const serialParam = (req, res, next, value) => {
+    next(/^\d+$/.test(value) && parseInt(value, 10) <= MAX_SERIAL_ID ? undefined : 'route');
+};
+
 // Middleware function
 const validate = (schema) => {
     return (req, res, next) => {
@@ -89,8 +335,40 @@ module.exports = {
     goalSchema,
     planSchema,
     taskSchema,
+    goalUpdateSchema,
+    planUpdateSchema,
+    taskUpdateSchema,
+    goalPatchSchema,
+    planPatchSchema,
+    taskPatchSchema,
+    taskDependencySchema,
+    checklistItemSchema,
+    checklistItemPatchSchema,
+    checklistOrderSchema,
+    taskRecurrenceSchema,
+    recurrenceExceptionSchema,
+    templateContentSchemas,
+    templateSchema,
+    templatePatchSchema,
+    templateCaptureSchema,
+    templateInstantiateSchema,
+    rolloverSchema,
+    commentSchema,
+    commentEditSchema,
     timeLogSchema,
+    teamSchema,
+    teamUpdateSchema,
+    teamMemberSchema,
     registerSchema,
     loginSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    twoFactorLoginSchema,
+    twoFactorEnableSchema,
+    twoFactorDisableSchema,
+    twoFactorCodeSchema,
+    accessTokenSchema,
+    serialParam,
     validate
 };
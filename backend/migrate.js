@@ -0,0 +1,233 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Shared advisory lock key so only one instance migrates at a time
+const MIGRATION_LOCK_KEY = 727001;
+
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const USAGE = 'Use: up [version] | down [steps] | status';
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Read migration files from disk, grouped by version and sorted ascending
+ */
+function loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) continue;
+
+        const [, versionStr, name, direction] = match;
+        const version = parseInt(versionStr, 10);
+
+        if (!migrations.has(version)) {
+            migrations.set(version, { version, name });
+        }
+        migrations.get(version)[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    }
+
+    for (const migration of migrations.values()) {
+        if (!migration.up) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+        }
+    }
+
+    return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+}
+
+/**
+ * Run fn with a dedicated client holding the migration advisory lock.
+ * A second instance blocks here until the first one has finished.
+ */
+async function withMigrationLock(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            await ensureMigrationsTable(client);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+async function applyMigration(client, migration, direction) {
+    const label = `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+
+    try {
+        await client.query('BEGIN');
+        await client.query(migration[direction]);
+
+        if (direction === 'up') {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+
+        await client.query('COMMIT');
+        console.log(`✅ ${direction === 'up' ? 'Applied' : 'Reverted'} migration ${label}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Migration ${label} (${direction}) failed:`, err.message);
+        throw err;
+    }
+}
+
+/**
+ * Apply every pending migration, optionally stopping at a target version
+ */
+async function migrateUp(targetVersion = Infinity) {
+    if (targetVersion !== Infinity && !isPositiveInteger(targetVersion)) {
+        throw new Error(`Target version must be a whole number from 1. ${USAGE}`);
+    }
+    const migrations = loadMigrations();
+
+    return withMigrationLock(async (client) => {
+        const applied = new Set(await getAppliedVersions(client));
+        const pending = migrations.filter(m => !applied.has(m.version) && m.version <= targetVersion);
+
+        for (const migration of pending) {
+            await applyMigration(client, migration, 'up');
+        }
+
+        if (pending.length === 0) {
+            console.log('✅ Database schema is up to date');
+        }
+
+        return pending.map(m => m.version);
+    });
+}
+
+/**
+ * Revert the most recently applied migrations (one by default). steps must be a
+ * whole number from 1: anything else would slice off every applied version.
+ */
+async function migrateDown(steps = 1) {
+    if (!isPositiveInteger(steps)) {
+        throw new Error(`Steps must be a whole number from 1. ${USAGE}`);
+    }
+    const migrations = loadMigrations();
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+    return withMigrationLock(async (client) => {
+        const applied = await getAppliedVersions(client);
+        const toRevert = applied.slice(-steps).reverse();
+
+        for (const version of toRevert) {
+            const migration = byVersion.get(version);
+            if (!migration || !migration.down) {
+                throw new Error(`Migration ${version} has no .down.sql file; cannot revert`);
+            }
+            await applyMigration(client, migration, 'down');
+        }
+
+        if (toRevert.length === 0) {
+            console.log('ℹ️  No migrations to revert');
+        }
+
+        return toRevert;
+    });
+}
+
+/**
+ * List every known migration with its applied timestamp (null if pending). Only reads
+ * schema_migrations, so it does not wait for a migration another instance is running.
+ */
+async function migrationStatus() {
+    const migrations = loadMigrations();
+
+    const { rows: [{ exists }] } = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+    const result = exists
+        ? await pool.query('SELECT version, name, applied_at FROM schema_migrations')
+        : { rows: [] };
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+
+    const status = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied_at: applied.get(m.version)?.applied_at || null
+    }));
+
+    // Versions recorded in the database but missing on disk
+    for (const row of result.rows) {
+        if (!migrations.some(m => m.version === row.version)) {
+            status.push({ version: row.version, name: `${row.name} (missing file)`, applied_at: row.applied_at });
+        }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+}
+
+module.exports = {
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
+
+// CLI: node migrate.js <up [version] | down [steps] | status>
+if (require.main === module) {
+    const [command = 'up', arg] = process.argv.slice(2);
+    // NaN for anything but digits, which migrateUp and migrateDown reject
+    const number = (fallback) => (arg === undefined ? fallback : /^\d+$/.test(arg) ? parseInt(arg, 10) : NaN);
+
+    const run = async () => {
+        switch (command) {
+            case 'up':
+                await migrateUp(number(Infinity));
+                break;
+            case 'down':
+                await migrateDown(number(1));
+                break;
+            case 'status': {
+                const status = await migrationStatus();
+                for (const m of status) {
+                    const version = String(m.version).padStart(4, '0');
+                    const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+                    console.log(`${version}_${m.name.padEnd(40)} ${state}`);
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}". ${USAGE}`);
+        }
+    };
+
+    run()
+        .then(async () => {
+            await pool.end();
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('❌ Migration failed:', error.message);
+            await pool.end();
+            process.exit(1);
+        });
+}
@@ -0,0 +1,7 @@
+-- Drops every table from the initial schema (indexes go with them)
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS time_logs;
+DROP TABLE IF EXISTS weekly_tasks;
+DROP TABLE IF EXISTS monthly_plans;
+DROP TABLE IF EXISTS quarterly_goals;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,125 @@
+-- ============================================
+-- 0001 INITIAL SCHEMA
+-- ============================================
+-- Baseline captured from the old initializeDatabase() and
+-- database-indexes.sql. Every statement is idempotent so databases
+-- created before migrations existed adopt this version cleanly.
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT UNIQUE NOT NULL,
+  password TEXT NOT NULL,
+  role TEXT DEFAULT 'member' CHECK(role IN ('admin', 'member')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Quarterly Goals table
+CREATE TABLE IF NOT EXISTS quarterly_goals (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  quarter INTEGER NOT NULL CHECK(quarter BETWEEN 1 AND 4),
+  year INTEGER NOT NULL,
+  status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'in_progress', 'completed', 'cancelled')),
+  progress INTEGER DEFAULT 0 CHECK(progress BETWEEN 0 AND 100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Monthly Plans table
+CREATE TABLE IF NOT EXISTS monthly_plans (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  quarterly_goal_id INTEGER,
+  title TEXT NOT NULL,
+  description TEXT,
+  month INTEGER NOT NULL CHECK(month BETWEEN 1 AND 12),
+  year INTEGER NOT NULL,
+  status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'in_progress', 'completed', 'cancelled')),
+  progress INTEGER DEFAULT 0 CHECK(progress BETWEEN 0 AND 100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (quarterly_goal_id) REFERENCES quarterly_goals(id) ON DELETE SET NULL
+);
+
+-- Weekly Tasks table
+CREATE TABLE IF NOT EXISTS weekly_tasks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  monthly_plan_id INTEGER,
+  title TEXT NOT NULL,
+  description TEXT,
+  week_number INTEGER NOT NULL CHECK(week_number BETWEEN 1 AND 53),
+  year INTEGER NOT NULL,
+  priority TEXT DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high')),
+  status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'in_progress', 'completed', 'cancelled')),
+  estimated_hours REAL DEFAULT 0,
+  actual_hours REAL DEFAULT 0,
+  due_date DATE,
+  is_urgent BOOLEAN DEFAULT false,
+  depends_on INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (monthly_plan_id) REFERENCES monthly_plans(id) ON DELETE SET NULL,
+  FOREIGN KEY (depends_on) REFERENCES weekly_tasks(id) ON DELETE SET NULL
+);
+
+-- Time Logs table
+CREATE TABLE IF NOT EXISTS time_logs (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  hours REAL NOT NULL,
+  date DATE NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (task_id) REFERENCES weekly_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Notifications table
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  type TEXT NOT NULL CHECK(type IN ('reminder', 'overdue', 'dependency', 'general')),
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  is_read BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Index for quarterly goals queries by user, year, and quarter
+CREATE INDEX IF NOT EXISTS idx_goals_user_year_quarter
+  ON quarterly_goals(user_id, year, quarter);
+
+-- Index for monthly plans queries by user, year, and month
+CREATE INDEX IF NOT EXISTS idx_plans_user_year_month
+  ON monthly_plans(user_id, year, month);
+
+-- Index for weekly tasks queries by user and status
+CREATE INDEX IF NOT EXISTS idx_tasks_user_status
+  ON weekly_tasks(user_id, status);
+
+-- Index for finding overdue tasks
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date
+  ON weekly_tasks(due_date)
+  WHERE status != 'completed';
+
+-- Index for notifications queries by user and read status
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread
+  ON notifications(user_id, is_read, created_at);
+
+-- Index for time logs queries
+CREATE INDEX IF NOT EXISTS idx_time_logs_user_task
+  ON time_logs(user_id, task_id, date);
+
+-- Index for user lookups by email (for login)
+CREATE INDEX IF NOT EXISTS idx_users_email
+  ON users(email);
@@ -0,0 +1,9 @@
+DELETE FROM notifications WHERE type = 'assignment';
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK(type IN ('reminder', 'overdue', 'dependency', 'general'));
+
+DROP INDEX IF EXISTS idx_tasks_assigned_status;
+ALTER TABLE weekly_tasks
+  DROP COLUMN IF EXISTS assigned_by,
+  DROP COLUMN IF EXISTS assigned_to;
@@ -0,0 +1,15 @@
+-- Task assignment: who a task is assigned to and who assigned it
+ALTER TABLE weekly_tasks
+  ADD COLUMN assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Existing tasks belong to their creators
+UPDATE weekly_tasks SET assigned_to = user_id, assigned_by = user_id;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_assigned_status
+  ON weekly_tasks(assigned_to, status);
+
+-- New notification type sent to the new assignee
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK(type IN ('reminder', 'overdue', 'dependency', 'assignment', 'general'));
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS role_permissions;
+
+UPDATE users SET role = 'member' WHERE role = 'manager';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK(role IN ('admin', 'member'));
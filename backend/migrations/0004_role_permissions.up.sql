@@ -0,0 +1,47 @@
+-- Global roles: admin, manager, member
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK(role IN ('admin', 'manager', 'member'));
+
+-- Permission grants per role (catalogue in services/permissionService.js)
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT NOT NULL CHECK(role IN ('admin', 'manager', 'member')),
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+-- Default grants shared by every role
+INSERT INTO role_permissions (role, permission)
+SELECT r.role, p.permission
+FROM (VALUES ('admin'), ('manager'), ('member')) AS r(role)
+CROSS JOIN (VALUES
+  ('user:read'),
+  ('goal:read'), ('goal:create'), ('goal:update'), ('goal:delete'),
+  ('plan:read'), ('plan:create'), ('plan:update'), ('plan:delete'),
+  ('task:read'), ('task:create'), ('task:update'), ('task:delete'), ('task:assign'),
+  ('time-log:read'), ('time-log:create'),
+  ('notification:read'),
+  ('report:self'), ('report:team'),
+  ('team:read'),
+  ('ai:use')
+) AS p(permission)
+ON CONFLICT DO NOTHING;
+
+-- Managers also run teams and reassign work
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'team:create'),
+  ('manager', 'task:read:any'),
+  ('manager', 'task:assign:any')
+ON CONFLICT DO NOTHING;
+
+-- Admins get everything else
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'team:create'),
+  ('admin', 'team:manage:any'),
+  ('admin', 'goal:update:any'), ('admin', 'goal:delete:any'),
+  ('admin', 'plan:update:any'), ('admin', 'plan:delete:any'),
+  ('admin', 'task:read:any'), ('admin', 'task:update:any'),
+  ('admin', 'task:delete:any'), ('admin', 'task:assign:any'),
+  ('admin', 'report:all'),
+  ('admin', 'admin:roles'), ('admin', 'admin:users')
+ON CONFLICT DO NOTHING;
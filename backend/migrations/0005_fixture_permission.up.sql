@@ -0,0 +1,4 @@
+-- Loading fixtures through POST /api/seed (non-production only) is admin-only
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'admin:fixtures')
+ON CONFLICT DO NOTHING;
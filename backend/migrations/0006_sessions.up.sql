@@ -0,0 +1,20 @@
+-- One row per signed-in device. The refresh token is "<id>.<secret>" and only
+-- a SHA-256 hash of the current secret is stored; it rotates on every refresh.
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  refresh_token_hash TEXT NOT NULL,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason TEXT CHECK(revoked_reason IN ('logout', 'revoked', 'reuse_detected')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- "My active sessions" lookups
+CREATE INDEX IF NOT EXISTS idx_sessions_user_active
+  ON sessions(user_id)
+  WHERE revoked_at IS NULL;
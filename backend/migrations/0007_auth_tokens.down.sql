@@ -0,0 +1,8 @@
+UPDATE sessions SET revoked_reason = 'revoked' WHERE revoked_reason = 'password_reset';
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_revoked_reason_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_revoked_reason_check
+  CHECK(revoked_reason IN ('logout', 'revoked', 'reuse_detected'));
+
+DROP TABLE IF EXISTS mail_outbox;
+DROP TABLE IF EXISTS auth_tokens;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,33 @@
+-- Email verification state (NULL = not verified yet)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Single-use, expiring tokens mailed to users. Only a SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  purpose TEXT NOT NULL CHECK(purpose IN ('password_reset', 'email_verification')),
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose
+  ON auth_tokens(user_id, purpose)
+  WHERE used_at IS NULL;
+
+-- Messages captured by the "outbox" mail transport (development and tests)
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id SERIAL PRIMARY KEY,
+  to_address TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A password reset signs the user out everywhere
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_revoked_reason_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_revoked_reason_check
+  CHECK(revoked_reason IN ('logout', 'revoked', 'reuse_detected', 'password_reset'));
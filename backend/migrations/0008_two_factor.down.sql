@@ -0,0 +1,9 @@
+DELETE FROM role_permissions WHERE permission = 'admin:security';
+
+DROP TABLE IF EXISTS app_settings;
+DROP TABLE IF EXISTS recovery_codes;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS totp_secret,
+  DROP COLUMN IF EXISTS totp_enabled_at,
+  DROP COLUMN IF EXISTS totp_last_step;
@@ -0,0 +1,37 @@
+-- TOTP two-factor authentication. The secret is stored encrypted (see twoFactorService);
+-- it is set during enrollment and only counts once totp_enabled_at is set.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- One-time recovery codes (SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user
+  ON recovery_codes(user_id)
+  WHERE used_at IS NULL;
+
+-- Instance-wide settings edited by admins (JSON values)
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_by INTEGER,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Roles that must enroll in 2FA before they can sign in (none by default)
+INSERT INTO app_settings (key, value) VALUES ('two_factor_required_roles', '[]')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'admin:security')
+ON CONFLICT DO NOTHING;
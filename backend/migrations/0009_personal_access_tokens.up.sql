@@ -0,0 +1,20 @@
+-- Long-lived, user-generated API credentials for scripts and CI. Only a SHA-256
+-- hash of the token is stored; token_hint keeps the last characters for display.
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  token_hint TEXT NOT NULL,
+  scopes TEXT[] NOT NULL CHECK(cardinality(scopes) > 0 AND scopes <@ ARRAY['read', 'tasks:write', 'time-logs:write']),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- "My tokens" lookups
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user
+  ON personal_access_tokens(user_id)
+  WHERE revoked_at IS NULL;
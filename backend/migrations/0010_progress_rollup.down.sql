@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_tasks_monthly_plan;
+DROP INDEX IF EXISTS idx_plans_quarterly_goal;
+
+ALTER TABLE quarterly_goals
+  DROP COLUMN IF EXISTS progress_mode,
+  DROP COLUMN IF EXISTS progress_weighting;
@@ -0,0 +1,15 @@
+-- Goals choose how progress is kept: typed by hand ('manual') or rolled up from
+-- the tasks of their plans ('auto'). Roll-ups weight tasks equally ('count') or
+-- by estimated_hours ('hours'). Plans follow the mode of their goal.
+ALTER TABLE quarterly_goals
+  ADD COLUMN IF NOT EXISTS progress_mode TEXT NOT NULL DEFAULT 'manual'
+    CHECK(progress_mode IN ('manual', 'auto')),
+  ADD COLUMN IF NOT EXISTS progress_weighting TEXT NOT NULL DEFAULT 'count'
+    CHECK(progress_weighting IN ('count', 'hours'));
+
+-- Roll-ups read every plan of a goal and every task of a plan
+CREATE INDEX IF NOT EXISTS idx_plans_quarterly_goal
+  ON monthly_plans(quarterly_goal_id);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_monthly_plan
+  ON weekly_tasks(monthly_plan_id);
@@ -0,0 +1,3 @@
+ALTER TABLE weekly_tasks DROP COLUMN IF EXISTS version;
+ALTER TABLE monthly_plans DROP COLUMN IF EXISTS version;
+ALTER TABLE quarterly_goals DROP COLUMN IF EXISTS version;
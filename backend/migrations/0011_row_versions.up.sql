@@ -0,0 +1,5 @@
+-- Row versions for optimistic concurrency. Every edit through PUT/PATCH bumps
+-- the version; it is sent as the ETag and compared with If-Match.
+ALTER TABLE quarterly_goals ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE monthly_plans ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE weekly_tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,17 @@
+ALTER TABLE weekly_tasks ADD COLUMN IF NOT EXISTS depends_on INTEGER
+  REFERENCES weekly_tasks(id) ON DELETE SET NULL;
+
+-- Only one dependency per task fits back; keep the lowest id
+UPDATE weekly_tasks wt
+SET depends_on = td.depends_on_task_id
+FROM (
+  SELECT task_id, MIN(depends_on_task_id) as depends_on_task_id
+  FROM task_dependencies
+  GROUP BY task_id
+) td
+WHERE td.task_id = wt.id;
+
+DROP TABLE IF EXISTS task_dependencies;
+
+DELETE FROM app_settings WHERE key = 'enforce_task_dependencies';
+DELETE FROM role_permissions WHERE permission = 'admin:workflow';
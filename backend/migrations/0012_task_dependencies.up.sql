@@ -0,0 +1,37 @@
+-- A task may wait on several others. The type says which ends are linked:
+-- finish_to_start (the default) means task_id starts once depends_on_task_id
+-- finishes; the other three pair start/finish the same way.
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL,
+  depends_on_task_id INTEGER NOT NULL,
+  type TEXT NOT NULL DEFAULT 'finish_to_start'
+    CHECK(type IN ('finish_to_start', 'start_to_start', 'finish_to_finish', 'start_to_finish')),
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (task_id, depends_on_task_id),
+  CHECK (task_id <> depends_on_task_id),
+  FOREIGN KEY (task_id) REFERENCES weekly_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (depends_on_task_id) REFERENCES weekly_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- The unique key covers lookups by task_id; dependents are looked up the other way
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on
+  ON task_dependencies(depends_on_task_id);
+
+-- Carry over the single dependency each task could have
+INSERT INTO task_dependencies (task_id, depends_on_task_id)
+SELECT id, depends_on FROM weekly_tasks
+WHERE depends_on IS NOT NULL AND depends_on <> id
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE weekly_tasks DROP COLUMN IF EXISTS depends_on;
+
+-- Tasks cannot start (or finish) while their blockers are open, unless an admin turns this off
+INSERT INTO app_settings (key, value) VALUES ('enforce_task_dependencies', 'true')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'admin:workflow')
+ON CONFLICT DO NOTHING;
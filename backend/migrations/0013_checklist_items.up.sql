@@ -0,0 +1,23 @@
+-- Ordered, checkable steps inside a weekly task. Each item may have its own
+-- assignee and due date; the share of checked items is the task's progress.
+CREATE TABLE IF NOT EXISTS checklist_items (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  is_done BOOLEAN NOT NULL DEFAULT false,
+  assigned_to INTEGER,
+  due_date DATE,
+  completed_at TIMESTAMP,
+  completed_by INTEGER,
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (task_id) REFERENCES weekly_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (completed_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_checklist_items_task
+  ON checklist_items(task_id, position);
@@ -0,0 +1,10 @@
+DELETE FROM role_permissions WHERE permission IN ('comment:create', 'comment:delete:any');
+
+DELETE FROM notifications WHERE type = 'mention';
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK(type IN ('reminder', 'overdue', 'dependency', 'assignment', 'general'));
+
+DROP TABLE IF EXISTS comment_mentions;
+DROP TABLE IF EXISTS comment_revisions;
+DROP TABLE IF EXISTS comments;
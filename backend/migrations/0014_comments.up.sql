@@ -0,0 +1,59 @@
+-- Threaded comments on goals, plans and tasks. Exactly one of goal_id, plan_id
+-- and task_id is set, so comments go with the item they are on.
+CREATE TABLE IF NOT EXISTS comments (
+  id SERIAL PRIMARY KEY,
+  goal_id INTEGER,
+  plan_id INTEGER,
+  task_id INTEGER,
+  parent_id INTEGER,
+  user_id INTEGER,
+  body TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  edited_at TIMESTAMP,
+  deleted_at TIMESTAMP,
+  deleted_by INTEGER,
+  CHECK (num_nonnulls(goal_id, plan_id, task_id) = 1),
+  FOREIGN KEY (goal_id) REFERENCES quarterly_goals(id) ON DELETE CASCADE,
+  FOREIGN KEY (plan_id) REFERENCES monthly_plans(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES weekly_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_comments_goal ON comments(goal_id) WHERE goal_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_comments_plan ON comments(plan_id) WHERE plan_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_comments_task ON comments(task_id) WHERE task_id IS NOT NULL;
+
+-- Earlier bodies of edited and deleted comments
+CREATE TABLE IF NOT EXISTS comment_revisions (
+  id SERIAL PRIMARY KEY,
+  comment_id INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  replaced_by INTEGER,
+  replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+  FOREIGN KEY (replaced_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment ON comment_revisions(comment_id);
+
+-- Users @mentioned in a comment; each is notified once, even across edits
+CREATE TABLE IF NOT EXISTS comment_mentions (
+  comment_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  PRIMARY KEY (comment_id, user_id),
+  FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- New notification type sent to mentioned users
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK(type IN ('reminder', 'overdue', 'dependency', 'assignment', 'mention', 'general'));
+
+-- Everyone may comment; managers and admins may remove anyone's comments
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'comment:create'), ('manager', 'comment:create'), ('member', 'comment:create'),
+  ('admin', 'comment:delete:any'), ('manager', 'comment:delete:any')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,2 @@
+-- Stored files are not removed; clear the storage directory by hand if needed
+DROP TABLE IF EXISTS attachments;
@@ -0,0 +1,26 @@
+-- Files attached to goals, plans and tasks. Exactly one of goal_id, plan_id and
+-- task_id is set. The bytes live in the storage driver under storage_key.
+CREATE TABLE IF NOT EXISTS attachments (
+  id SERIAL PRIMARY KEY,
+  goal_id INTEGER,
+  plan_id INTEGER,
+  task_id INTEGER,
+  filename TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  checksum TEXT NOT NULL,
+  storage_driver TEXT NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  scan_status TEXT NOT NULL CHECK(scan_status IN ('clean', 'skipped')),
+  uploaded_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (num_nonnulls(goal_id, plan_id, task_id) = 1),
+  FOREIGN KEY (goal_id) REFERENCES quarterly_goals(id) ON DELETE CASCADE,
+  FOREIGN KEY (plan_id) REFERENCES monthly_plans(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES weekly_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_goal ON attachments(goal_id) WHERE goal_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_attachments_plan ON attachments(plan_id) WHERE plan_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_attachments_task ON attachments(task_id) WHERE task_id IS NOT NULL;
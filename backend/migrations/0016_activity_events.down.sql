@@ -0,0 +1,4 @@
+DELETE FROM role_permissions WHERE permission IN ('activity:read', 'activity:read:any', 'admin:audit');
+
+DROP TABLE IF EXISTS activity_events;
+DROP FUNCTION IF EXISTS activity_events_immutable();
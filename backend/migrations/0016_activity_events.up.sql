@@ -0,0 +1,48 @@
+-- Append-only audit trail: one row per create, update or delete made through the API.
+-- actor_email is copied so events stay readable after the user is gone, which is why
+-- actor_id has no foreign key. Child records (checklist items, comments, attachments,
+-- time logs, team members) point at the goal, plan, task or team they belong to with
+-- parent_type and parent_id.
+CREATE TABLE IF NOT EXISTS activity_events (
+  id SERIAL PRIMARY KEY,
+  occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  actor_id INTEGER,
+  actor_email TEXT,
+  action TEXT NOT NULL CHECK(action IN ('create', 'update', 'delete')),
+  entity_type TEXT NOT NULL,
+  entity_id INTEGER,
+  parent_type TEXT,
+  parent_id INTEGER,
+  changes JSONB NOT NULL DEFAULT '{}',
+  ip TEXT,
+  user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_events_entity ON activity_events(entity_type, entity_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_activity_events_parent ON activity_events(parent_type, parent_id, occurred_at)
+  WHERE parent_type IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_activity_events_actor ON activity_events(actor_id, occurred_at);
+
+-- Events can be added but never changed or removed
+CREATE OR REPLACE FUNCTION activity_events_immutable() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'activity_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS activity_events_no_change ON activity_events;
+CREATE TRIGGER activity_events_no_change
+  BEFORE UPDATE OR DELETE ON activity_events
+  FOR EACH ROW EXECUTE FUNCTION activity_events_immutable();
+
+DROP TRIGGER IF EXISTS activity_events_no_truncate ON activity_events;
+CREATE TRIGGER activity_events_no_truncate
+  BEFORE TRUNCATE ON activity_events
+  FOR EACH STATEMENT EXECUTE FUNCTION activity_events_immutable();
+
+-- Everyone sees their own activity and the history of items they can open;
+-- admins read everyone's activity and export the audit trail
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'activity:read'), ('manager', 'activity:read'), ('member', 'activity:read'),
+  ('admin', 'activity:read:any'), ('admin', 'admin:audit')
+ON CONFLICT DO NOTHING;
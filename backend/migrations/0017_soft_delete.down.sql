@@ -0,0 +1,16 @@
+-- Without the columns, trashed items would come back to life: remove them as the
+-- old hard delete did (their attachment files stay in storage)
+DELETE FROM weekly_tasks WHERE deleted_at IS NOT NULL;
+DELETE FROM monthly_plans WHERE deleted_at IS NOT NULL;
+DELETE FROM quarterly_goals WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_tasks_deleted_at;
+DROP INDEX IF EXISTS idx_plans_deleted_at;
+DROP INDEX IF EXISTS idx_goals_deleted_at;
+
+ALTER TABLE weekly_tasks DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE weekly_tasks DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE monthly_plans DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE monthly_plans DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE quarterly_goals DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE quarterly_goals DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,16 @@
+-- Soft deletion of goals, plans and tasks. Deleting an item sets deleted_at (and
+-- deleted_by) instead of removing the row; a goal takes its plans and their tasks
+-- with it, and a plan its tasks, all stamped with the same deleted_at so a restore
+-- brings back exactly what went together. Rows are removed for good by the purge
+-- once they have been in the trash longer than TRASH_RETENTION_DAYS.
+ALTER TABLE quarterly_goals ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE quarterly_goals ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE monthly_plans ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE monthly_plans ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE weekly_tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE weekly_tasks ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- The trash and the purge only ever look at deleted rows
+CREATE INDEX IF NOT EXISTS idx_goals_deleted_at ON quarterly_goals(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_plans_deleted_at ON monthly_plans(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON weekly_tasks(deleted_at) WHERE deleted_at IS NOT NULL;
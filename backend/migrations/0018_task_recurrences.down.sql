@@ -0,0 +1,7 @@
+-- Generated occurrences stay as ordinary tasks
+DROP INDEX IF EXISTS idx_tasks_recurrence_occurrence;
+ALTER TABLE weekly_tasks DROP COLUMN IF EXISTS occurrence_date;
+ALTER TABLE weekly_tasks DROP COLUMN IF EXISTS recurrence_id;
+
+DROP TABLE IF EXISTS task_recurrence_exceptions;
+DROP TABLE IF EXISTS task_recurrences;
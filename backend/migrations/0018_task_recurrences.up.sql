@@ -0,0 +1,41 @@
+-- Recurring tasks. A recurrence holds an RRULE-style schedule and the fields every
+-- occurrence starts with; a job materializes the upcoming occurrences as ordinary
+-- weekly_tasks rows linked back to it by recurrence_id and occurrence_date.
+CREATE TABLE IF NOT EXISTS task_recurrences (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  rrule TEXT NOT NULL,                   -- e.g. FREQ=WEEKLY;BYDAY=MO;COUNT=10
+  starts_on DATE NOT NULL,               -- the first occurrence
+  title TEXT NOT NULL,
+  description TEXT,
+  monthly_plan_id INTEGER,
+  priority TEXT DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high')),
+  estimated_hours REAL DEFAULT 0,
+  is_urgent BOOLEAN DEFAULT false,
+  assigned_to INTEGER,
+  assigned_by INTEGER,
+  generated_until DATE,                  -- occurrences up to this day have been created
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (monthly_plan_id) REFERENCES monthly_plans(id) ON DELETE SET NULL,
+  FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Occurrences skipped on purpose; the generator never creates a task for them
+CREATE TABLE IF NOT EXISTS task_recurrence_exceptions (
+  recurrence_id INTEGER NOT NULL,
+  occurrence_date DATE NOT NULL,
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (recurrence_id, occurrence_date),
+  FOREIGN KEY (recurrence_id) REFERENCES task_recurrences(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE weekly_tasks ADD COLUMN IF NOT EXISTS recurrence_id INTEGER REFERENCES task_recurrences(id) ON DELETE SET NULL;
+ALTER TABLE weekly_tasks ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+-- One task per occurrence, even if the generator runs twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_recurrence_occurrence ON weekly_tasks(recurrence_id, occurrence_date);
@@ -0,0 +1,3 @@
+DELETE FROM role_permissions WHERE permission IN ('template:read', 'template:create', 'template:manage:any');
+
+DROP TABLE IF EXISTS templates;
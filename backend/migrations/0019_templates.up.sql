@@ -0,0 +1,26 @@
+-- Goal, plan and task templates. content holds the item tree with each item's
+-- fields and its offset from the item above it (see templateService); a template
+-- shared with a team can be used by all of its members.
+CREATE TABLE IF NOT EXISTS templates (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  team_id INTEGER,
+  kind TEXT NOT NULL CHECK(kind IN ('goal', 'plan', 'task')),
+  name TEXT NOT NULL,
+  description TEXT,
+  content JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_templates_user ON templates(user_id);
+CREATE INDEX IF NOT EXISTS idx_templates_team ON templates(team_id) WHERE team_id IS NOT NULL;
+
+-- Everyone builds and uses templates; admins manage everyone's
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'template:read'), ('manager', 'template:read'), ('member', 'template:read'),
+  ('admin', 'template:create'), ('manager', 'template:create'), ('member', 'template:create'),
+  ('admin', 'template:manage:any')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS rollover_items;
+DROP TABLE IF EXISTS rollovers;
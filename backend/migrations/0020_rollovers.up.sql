@@ -0,0 +1,32 @@
+-- Quarter rollovers: each run, and what happened to every goal, plan and task it
+-- covered. A moved item keeps its id (target_id = source_id); a cloned one gets a
+-- copy (target_id is the copy); a closed one was cancelled (target_id is NULL).
+-- from_period/to_period are the quarter, month or ISO week, by item_type.
+CREATE TABLE IF NOT EXISTS rollovers (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  from_quarter INTEGER NOT NULL CHECK(from_quarter BETWEEN 1 AND 4),
+  from_year INTEGER NOT NULL,
+  to_quarter INTEGER NOT NULL CHECK(to_quarter BETWEEN 1 AND 4),
+  to_year INTEGER NOT NULL,
+  mode TEXT NOT NULL CHECK(mode IN ('move', 'clone')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS rollover_items (
+  id SERIAL PRIMARY KEY,
+  rollover_id INTEGER NOT NULL,
+  item_type TEXT NOT NULL CHECK(item_type IN ('goal', 'plan', 'task')),
+  source_id INTEGER NOT NULL,
+  target_id INTEGER,
+  action TEXT NOT NULL CHECK(action IN ('carry', 'close')),
+  from_period INTEGER NOT NULL,
+  from_year INTEGER NOT NULL,
+  to_period INTEGER,
+  to_year INTEGER,
+  FOREIGN KEY (rollover_id) REFERENCES rollovers(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_rollover_items_source ON rollover_items(item_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_rollover_items_target ON rollover_items(item_type, target_id) WHERE target_id IS NOT NULL;
@@ -0,0 +1,17 @@
+-- Joining a team makes a member's work visible to its leads, so a lead adding
+-- someone only invites them; they become a member once they accept
+CREATE TABLE IF NOT EXISTS team_invitations (
+  team_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('lead', 'member')),
+  invited_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, user_id),
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- A user's pending invitations
+CREATE INDEX IF NOT EXISTS idx_team_invitations_user
+  ON team_invitations(user_id);
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateSession } = require('../middleware/auth');
+const { validate, accessTokenSchema, serialParam } = require('../middleware/validation');
+const accessTokenService = require('../services/accessTokenService');
+const activityService = require('../services/activityService');
+
+// Managing tokens needs a signed-in session; a token cannot mint or revoke tokens
+router.use(authenticateSession);
+
+router.param('id', serialParam);
+
+/**
+ * GET /api/auth/tokens
+ * My active personal access tokens (never includes the token itself)
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json(await accessTokenService.list(req.user.id));
+    } catch (error) {
+        console.error('Error fetching access tokens:', error);
+        res.status(500).json({ error: 'Failed to fetch access tokens' });
+    }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create a token { name, scopes, expires_in_days }; the token is shown only in this response
+ */
+router.post('/', validate(accessTokenSchema), async (req, res) => {
+    try {
+        const created = await accessTokenService.create(req.user.id, {
+            name: req.body.name.trim(),
+            scopes: req.body.scopes,
+            expires_in_days: req.body.expires_in_days ?? null
+        });
+
+        // Never the token itself
+        const { name, token_hint, scopes, expires_at } = created;
+        await activityService.record(req, {
+            action: 'create',
+            entityType: 'access_token',
+            entityId: created.id,
+            parent: { type: 'user', id: req.user.id },
+            after: { name, token_hint, scopes, expires_at }
+        });
+
+        res.status(201).json({
+            message: 'Access token created. Copy it now; it will not be shown again.',
+            ...created
+        });
+    } catch (error) {
+        console.error('Error creating access token:', error);
+        res.status(500).json({ error: 'Failed to create access token' });
+    }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke a token immediately
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const revoked = await accessTokenService.revoke(req.params.id, req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Access token not found or unauthorized' });
+        }
+        await activityService.record(req, {
+            action: 'delete',
+            entityType: 'access_token',
+            entityId: parseInt(req.params.id, 10),
+            parent: { type: 'user', id: req.user.id }
+        });
+
+        res.json({ message: 'Access token revoked successfully' });
+    } catch (error) {
+        console.error('Error revoking access token:', error);
+        res.status(500).json({ error: 'Failed to revoke access token' });
+    }
+});
+
+module.exports = router;
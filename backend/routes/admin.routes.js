@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateSession } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const permissionService = require('../services/permissionService');
+const twoFactorService = require('../services/twoFactorService');
+const dependencyService = require('../services/dependencyService');
+const activityService = require('../services/activityService');
+const { serialParam } = require('../middleware/validation');
+const { runQuery, getOne } = require('../database');
+
+// All admin routes require a signed-in session (no personal access tokens)
+router.use(authenticateSession);
+
+router.param('id', serialParam);
+
+/**
+ * GET /api/admin/roles
+ * Roles, the permission catalogue and current grants per role
+ */
+router.get('/roles', requirePermission('admin:roles'), async (req, res) => {
+    try {
+        const grants = {};
+        for (const role of permissionService.roles) {
+            grants[role] = await permissionService.getPermissionsForRole(role);
+        }
+
+        res.json({
+            roles: permissionService.roles,
+            permissions: Object.entries(permissionService.permissions).map(([key, description]) => ({ key, description })),
+            grants
+        });
+    } catch (error) {
+        console.error('Error fetching role grants:', error);
+        res.status(500).json({ error: 'Failed to fetch role grants' });
+    }
+});
+
+/**
+ * PUT /api/admin/roles/:role
+ * Replace the permissions granted to a role
+ */
+router.put('/roles/:role', requirePermission('admin:roles'), async (req, res) => {
+    try {
+        const { role } = req.params;
+        const { permissions } = req.body;
+
+        if (!permissionService.roles.includes(role)) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({ error: 'permissions must be an array' });
+        }
+
+        const unknown = permissions.filter(p => !permissionService.permissions[p]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: 'Unknown permissions', details: unknown });
+        }
+
+        // Never let admins lock themselves out of this endpoint
+        if (role === 'admin' && !permissions.includes('admin:roles')) {
+            return res.status(400).json({ error: 'The admin role must keep admin:roles' });
+        }
+
+        const before = await permissionService.getPermissionsForRole(role);
+        await permissionService.setRolePermissions(role, [...new Set(permissions)]);
+        const after = await permissionService.getPermissionsForRole(role);
+
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'role',
+            entityId: null,
+            before: { role, permissions: before },
+            after: { role, permissions: after }
+        });
+
+        res.json({
+            message: 'Role permissions updated successfully',
+            role,
+            permissions: after
+        });
+    } catch (error) {
+        console.error('Error updating role grants:', error);
+        res.status(500).json({ error: 'Failed to update role grants' });
+    }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change a user's global role (takes effect on their next login)
+ */
+router.put('/users/:id/role', requirePermission('admin:users'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        if (!permissionService.roles.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${permissionService.roles.join(', ')}` });
+        }
+
+        const user = await getOne('SELECT id, role FROM users WHERE id = ?', [id]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.role === 'admin' && role !== 'admin') {
+            const admins = await getOne("SELECT COUNT(*) as count FROM users WHERE role = 'admin'");
+            if (parseInt(admins.count) === 1) {
+                return res.status(400).json({ error: 'Cannot demote the last admin' });
+            }
+        }
+
+        await runQuery('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: user.id,
+            before: { role: user.role },
+            after: { role }
+        });
+
+        res.json({ message: 'User role updated successfully' });
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        res.status(500).json({ error: 'Failed to update user role' });
+    }
+});
+
+/**
+ * GET /api/admin/security-policy
+ * Roles that must use two-factor authentication
+ */
+router.get('/security-policy', requirePermission('admin:security'), async (req, res) => {
+    try {
+        res.json({ two_factor_required_roles: await twoFactorService.getRequiredRoles() });
+    } catch (error) {
+        console.error('Error fetching security policy:', error);
+        res.status(500).json({ error: 'Failed to fetch security policy' });
+    }
+});
+
+/**
+ * PUT /api/admin/security-policy
+ * Require 2FA for roles; affected users must enroll at their next sign-in
+ */
+router.put('/security-policy', requirePermission('admin:security'), async (req, res) => {
+    try {
+        const { two_factor_required_roles: roles } = req.body;
+
+        if (!Array.isArray(roles) || roles.some(role => !permissionService.roles.includes(role))) {
+            return res.status(400).json({ error: `two_factor_required_roles must list roles from: ${permissionService.roles.join(', ')}` });
+        }
+
+        const before = await twoFactorService.getRequiredRoles();
+        await twoFactorService.setRequiredRoles([...new Set(roles)], req.user.id);
+        const after = await twoFactorService.getRequiredRoles();
+
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'policy',
+            entityId: null,
+            before: { two_factor_required_roles: before },
+            after: { two_factor_required_roles: after }
+        });
+
+        res.json({
+            message: 'Security policy updated successfully',
+            two_factor_required_roles: after
+        });
+    } catch (error) {
+        console.error('Error updating security policy:', error);
+        res.status(500).json({ error: 'Failed to update security policy' });
+    }
+});
+
+/**
+ * GET /api/admin/workflow-policy
+ * Whether open dependencies keep tasks from starting or finishing
+ */
+router.get('/workflow-policy', requirePermission('admin:workflow'), async (req, res) => {
+    try {
+        res.json({ enforce_task_dependencies: await dependencyService.isEnforced() });
+    } catch (error) {
+        console.error('Error fetching workflow policy:', error);
+        res.status(500).json({ error: 'Failed to fetch workflow policy' });
+    }
+});
+
+/**
+ * PUT /api/admin/workflow-policy
+ * Turn dependency blocking on or off for every task
+ */
+router.put('/workflow-policy', requirePermission('admin:workflow'), async (req, res) => {
+    try {
+        const { enforce_task_dependencies: enforced } = req.body;
+
+        if (typeof enforced !== 'boolean') {
+            return res.status(400).json({ error: 'enforce_task_dependencies must be true or false' });
+        }
+
+        const before = await dependencyService.isEnforced();
+        await dependencyService.setEnforced(enforced, req.user.id);
+
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'policy',
+            entityId: null,
+            before: { enforce_task_dependencies: before },
+            after: { enforce_task_dependencies: enforced }
+        });
+
+        res.json({
+            message: 'Workflow policy updated successfully',
+            enforce_task_dependencies: await dependencyService.isEnforced()
+        });
+    } catch (error) {
+        console.error('Error updating workflow policy:', error);
+        res.status(500).json({ error: 'Failed to update workflow policy' });
+    }
+});
+
+// Columns of the audit export, in order
+const AUDIT_COLUMNS = [
+    'id', 'occurred_at', 'actor_id', 'actor_email', 'action', 'entity_type', 'entity_id',
+    'parent_type', 'parent_id', 'changes', 'ip', 'user_agent'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * GET /api/admin/audit-export
+ * Every activity event, oldest first, as CSV (default) or NDJSON with ?format=ndjson.
+ * ?from and ?to (YYYY-MM-DD, inclusive) limit the days exported.
+ */
+router.get('/audit-export', requirePermission('admin:audit'), async (req, res) => {
+    try {
+        const { format = 'csv', from, to } = req.query;
+
+        if (!['csv', 'ndjson'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or ndjson' });
+        }
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+        }
+
+        const conditions = [];
+        const params = [];
+        if (from) {
+            conditions.push('occurred_at::date >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('occurred_at::date <= ?');
+            params.push(to);
+        }
+
+        const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.attachment(filename);
+        res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+        if (format === 'csv') {
+            res.write(`${AUDIT_COLUMNS.join(',')}\n`);
+        }
+        for await (const event of activityService.exportEvents(conditions, params)) {
+            res.write(format === 'csv'
+                ? `${AUDIT_COLUMNS.map(column => csvField(event[column])).join(',')}\n`
+                : `${JSON.stringify(event)}\n`);
+        }
+        res.end();
+    } catch (error) {
+        console.error('Error exporting audit trail:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export audit trail' });
+        }
+    }
+});
+
+module.exports = router;
@@ -2,12 +2,17 @@ const express = require('express');
 const router = express.Router();
 const groqService = require('../services/ai/groqService');
 const smartFeatures = require('../services/ai/smartFeatures');
+const teamService = require('../services/teamService');
 const { aiRateLimiter, aiExpensiveRateLimiter } = require('../middleware/aiRateLimit');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const permissionService = require('../services/permissionService');
+const dependencyService = require('../services/dependencyService');
+const checklistService = require('../services/checklistService');
 const db = require('../database');
 
-// All AI routes require authentication
-router.use(authenticateToken);
+// All AI routes require authentication and ai:use
+router.use(authenticateToken, requirePermission('ai:use'));
 
 /**
  * POST /api/ai/query
@@ -21,11 +26,16 @@ router.post('/query', aiRateLimiter, async (req, res) => {
             return res.status(400).json({ error: 'Query is required' });
         }
 
+        const teams = await db.getAll(
+            'SELECT t.name FROM teams t JOIN team_members tm ON tm.team_id = t.id WHERE tm.user_id = ?',
+            [req.user.id]
+        );
+
         const result = await groqService.processNaturalLanguageQuery(
             query,
             req.user.id,
             req.user.role,
-            req.user.dept
+            teams.map(t => t.name).join(', ') || 'none'
         );
 
         if (!result.success) {
@@ -63,7 +73,7 @@ router.get('/suggestions', aiRateLimiter, async (req, res) => {
         if (context === 'task_assignment' && task_id) {
             // Get task details
             const task = await db.query(
-                'SELECT * FROM weekly_tasks WHERE id = $1',
+                'SELECT * FROM weekly_tasks WHERE id = $1 AND deleted_at IS NULL',
                 [task_id]
             );
 
@@ -71,15 +81,22 @@ router.get('/suggestions', aiRateLimiter, async (req, res) => {
                 return res.status(404).json({ error: 'Task not found' });
             }
 
-            // Get team members in same department
+            // Get members of every team the user belongs to
             const teamMembers = await db.query(
-                'SELECT id, name, email, role FROM users WHERE dept = $1 AND status = $2 AND role IN ($3, $4)',
-                [req.user.dept, 'active', 'employee', 'intern']
+                `SELECT DISTINCT u.id, u.name, u.email, u.role
+         FROM users u
+         JOIN team_members tm ON tm.user_id = u.id
+         WHERE tm.team_id IN (SELECT team_id FROM team_members WHERE user_id = $1)`,
+                [req.user.id]
             );
 
+            if (teamMembers.rows.length === 0) {
+                return res.status(404).json({ error: 'No team members available to suggest' });
+            }
+
             // Get all active tasks
             const activeTasks = await db.query(
-                'SELECT * FROM weekly_tasks WHERE status IN ($1, $2)',
+                'SELECT * FROM weekly_tasks WHERE status IN ($1, $2) AND deleted_at IS NULL',
                 ['pending', 'in_progress']
             );
 
@@ -147,18 +164,18 @@ router.get('/insights', aiRateLimiter, async (req, res) => {
         // Get user's task data
         const completedTasks = await db.query(
             `SELECT COUNT(*) as count FROM weekly_tasks 
-       WHERE assigned_to = $1 AND status = $2 
+       WHERE assigned_to = $1 AND status = $2 AND deleted_at IS NULL
        AND updated_at >= NOW() - INTERVAL '1 ${period}'`,
             [userId, 'completed']
         );
 
         const inProgressTasks = await db.query(
-            'SELECT COUNT(*) as count FROM weekly_tasks WHERE assigned_to = $1 AND status = $2',
+            'SELECT COUNT(*) as count FROM weekly_tasks WHERE assigned_to = $1 AND status = $2 AND deleted_at IS NULL',
             [userId, 'in_progress']
         );
 
         const overdueTasks = await db.query(
-            'SELECT COUNT(*) as count FROM weekly_tasks WHERE assigned_to = $1 AND due_date < NOW() AND status != $2',
+            'SELECT COUNT(*) as count FROM weekly_tasks WHERE assigned_to = $1 AND due_date < NOW() AND status != $2 AND deleted_at IS NULL',
             [userId, 'completed']
         );
 
@@ -166,7 +183,7 @@ router.get('/insights', aiRateLimiter, async (req, res) => {
         const avgCompletion = await db.query(
             `SELECT AVG(EXTRACT(DAY FROM (updated_at - created_at))) as avg_days
        FROM weekly_tasks 
-       WHERE assigned_to = $1 AND status = $2
+       WHERE assigned_to = $1 AND status = $2 AND deleted_at IS NULL
        AND updated_at >= NOW() - INTERVAL '1 ${period}'`,
             [userId, 'completed']
         );
@@ -200,16 +217,19 @@ router.get('/insights', aiRateLimiter, async (req, res) => {
  */
 router.get('/risks', async (req, res) => {
     try {
-        let query = 'SELECT * FROM weekly_tasks WHERE status IN ($1, $2)';
+        // depends_on lists the unfinished blockers and progress comes from the checklist;
+        // both count towards the risk score
+        let query = `SELECT wt.*, ${dependencyService.dependsOnColumn('wt', { openOnly: true })},
+              ${checklistService.progressColumns('wt')}
+       FROM weekly_tasks wt
+       WHERE wt.status IN ($1, $2) AND wt.deleted_at IS NULL`;
         const params = ['pending', 'in_progress'];
 
-        // If not admin, only show user's tasks or department tasks for leads
-        if (req.user.role === 'employee' || req.user.role === 'intern') {
-            query += ' AND assigned_to = $3';
-            params.push(req.user.id);
-        } else if (req.user.role === 'lead') {
-            query += ' AND dept = $3';
-            params.push(req.user.dept);
+        // Without report:all, only show user's tasks, plus their team's tasks for leads
+        if (!(await permissionService.can(req.user, 'report:all'))) {
+            const memberIds = await teamService.getLedMemberIds(req.user.id);
+            query += ' AND wt.assigned_to = ANY($3)';
+            params.push(memberIds.length > 0 ? memberIds : [req.user.id]);
         }
 
         const tasks = await db.query(query, params);
@@ -237,10 +257,10 @@ router.get('/predictions/:type/:id', async (req, res) => {
         let item;
 
         if (type === 'goal') {
-            const result = await db.query('SELECT * FROM quarterly_goals WHERE id = $1', [id]);
+            const result = await db.query('SELECT * FROM quarterly_goals WHERE id = $1 AND deleted_at IS NULL', [id]);
             item = result.rows[0];
         } else if (type === 'task') {
-            const result = await db.query('SELECT * FROM weekly_tasks WHERE id = $1', [id]);
+            const result = await db.query('SELECT * FROM weekly_tasks WHERE id = $1 AND deleted_at IS NULL', [id]);
             item = result.rows[0];
         } else {
             return res.status(400).json({ error: 'Invalid type. Use "goal" or "task"' });
@@ -279,7 +299,7 @@ async function executeToolCalls(toolCalls, user) {
             switch (functionName) {
                 case 'get_my_tasks':
                     const status = args.status || 'all';
-                    let query = 'SELECT * FROM weekly_tasks WHERE assigned_to = $1';
+                    let query = 'SELECT * FROM weekly_tasks WHERE assigned_to = $1 AND deleted_at IS NULL';
                     const params = [user.id];
 
                     if (status !== 'all') {
@@ -296,6 +316,7 @@ async function executeToolCalls(toolCalls, user) {
             SELECT * FROM weekly_tasks 
             WHERE due_date < NOW() 
             AND status != 'completed'
+            AND deleted_at IS NULL
             ${args.user_id ? 'AND assigned_to = $1' : ''}
           `;
                     const overdueParams = args.user_id ? [args.user_id] : [];
@@ -312,7 +333,7 @@ async function executeToolCalls(toolCalls, user) {
               COUNT(*) FILTER (WHERE status = 'pending') as pending,
               COUNT(*) FILTER (WHERE due_date < NOW() AND status != 'completed') as overdue
              FROM weekly_tasks 
-             WHERE assigned_to = $1`,
+             WHERE assigned_to = $1 AND deleted_at IS NULL`,
                         [user.id]
                     );
                     result = stats.rows[0];
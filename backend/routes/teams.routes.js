@@ -0,0 +1,479 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const permissionService = require('../services/permissionService');
+const { teamSchema, teamUpdateSchema, teamMemberSchema, serialParam, validate } = require('../middleware/validation');
+const teamService = require('../services/teamService');
+const activityService = require('../services/activityService');
+const notificationService = require('../services/notificationService');
+const { runQuery, getOne, getAll } = require('../database');
+
+// All team routes require authentication and team:read
+router.use(authenticateToken, requirePermission('team:read'));
+
+router.param('id', serialParam);
+router.param('userId', serialParam);
+router.param('teamId', serialParam);
+
+/**
+ * Leads manage their own team; team:manage:any manages every team
+ */
+async function canManageTeam(user, teamId) {
+    if (await permissionService.can(user, 'team:manage:any')) return true;
+    return (await teamService.getMemberRole(teamId, user.id)) === 'lead';
+}
+
+async function countLeads(teamId) {
+    const row = await getOne(
+        "SELECT COUNT(*) as count FROM team_members WHERE team_id = ? AND role = 'lead'",
+        [teamId]
+    );
+    return parseInt(row.count);
+}
+
+/**
+ * GET /api/teams
+ * Teams the current user belongs to (team:manage:any sees every team)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const seeAll = await permissionService.can(req.user, 'team:manage:any');
+
+        const teams = await getAll(
+            `SELECT t.*, my.role as my_role,
+              (SELECT COUNT(*) FROM team_members tm WHERE tm.team_id = t.id) as member_count
+       FROM teams t
+       LEFT JOIN team_members my ON my.team_id = t.id AND my.user_id = ?
+       ${seeAll ? '' : 'WHERE my.user_id IS NOT NULL'}
+       ORDER BY t.name ASC`,
+            [req.user.id]
+        );
+
+        res.json(teams.map(team => ({ ...team, member_count: parseInt(team.member_count) })));
+    } catch (error) {
+        console.error('Error fetching teams:', error);
+        res.status(500).json({ error: 'Failed to fetch teams' });
+    }
+});
+
+/**
+ * POST /api/teams
+ * Create a team; the creator becomes its first lead
+ */
+router.post('/', requirePermission('team:create'), validate(teamSchema), async (req, res) => {
+    try {
+        const { name, description } = req.body;
+
+        const existing = await getOne('SELECT id FROM teams WHERE LOWER(name) = LOWER(?)', [name]);
+        if (existing) {
+            return res.status(400).json({ error: 'A team with this name already exists' });
+        }
+
+        const result = await runQuery(
+            `WITH new_team AS (
+         INSERT INTO teams (name, description, created_by) VALUES (?, ?, ?) RETURNING id
+       )
+       INSERT INTO team_members (team_id, user_id, role)
+       SELECT id, ?, 'lead' FROM new_team
+       RETURNING team_id as id`,
+            [name, description, req.user.id, req.user.id]
+        );
+        await activityService.record(req, {
+            action: 'create',
+            entityType: 'team',
+            entityId: result.id,
+            after: await getOne('SELECT * FROM teams WHERE id = ?', [result.id])
+        });
+
+        res.status(201).json({
+            message: 'Team created successfully',
+            id: result.id
+        });
+    } catch (error) {
+        console.error('Error creating team:', error);
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+});
+
+/**
+ * GET /api/teams/invitations
+ * The current user's pending team invitations
+ */
+router.get('/invitations', async (req, res) => {
+    try {
+        const invitations = await getAll(
+            `SELECT ti.team_id, ti.role, ti.created_at, t.name as team_name, t.description as team_description,
+              u.name as invited_by_name
+       FROM team_invitations ti
+       JOIN teams t ON t.id = ti.team_id
+       LEFT JOIN users u ON u.id = ti.invited_by
+       WHERE ti.user_id = ?
+       ORDER BY ti.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.json(invitations);
+    } catch (error) {
+        console.error('Error fetching team invitations:', error);
+        res.status(500).json({ error: 'Failed to fetch team invitations' });
+    }
+});
+
+/**
+ * POST /api/teams/invitations/:teamId/accept
+ * Join a team one was invited to, with the role of the invitation
+ */
+router.post('/invitations/:teamId/accept', async (req, res) => {
+    try {
+        const { teamId } = req.params;
+
+        const invitation = await getOne(
+            'DELETE FROM team_invitations WHERE team_id = ? AND user_id = ? RETURNING *',
+            [teamId, req.user.id]
+        );
+        if (!invitation) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        await runQuery(
+            `INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)
+       ON CONFLICT (team_id, user_id) DO NOTHING
+       RETURNING team_id`,
+            [teamId, req.user.id, invitation.role]
+        );
+        await activityService.record(req, {
+            action: 'create',
+            entityType: 'team_member',
+            entityId: req.user.id,
+            parent: { type: 'team', id: invitation.team_id },
+            after: { user_id: req.user.id, role: invitation.role, invited_by: invitation.invited_by }
+        });
+
+        res.json({ message: 'You joined the team' });
+    } catch (error) {
+        console.error('Error accepting team invitation:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+/**
+ * DELETE /api/teams/invitations/:teamId
+ * Decline a team invitation
+ */
+router.delete('/invitations/:teamId', async (req, res) => {
+    try {
+        const result = await runQuery(
+            'DELETE FROM team_invitations WHERE team_id = ? AND user_id = ?',
+            [req.params.teamId, req.user.id]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.json({ message: 'Invitation declined' });
+    } catch (error) {
+        console.error('Error declining team invitation:', error);
+        res.status(500).json({ error: 'Failed to decline invitation' });
+    }
+});
+
+/**
+ * GET /api/teams/:id
+ * Team details with members (members and admins only)
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const team = await getOne('SELECT * FROM teams WHERE id = ?', [id]);
+        const myRole = team ? await teamService.getMemberRole(id, req.user.id) : null;
+
+        if (!team || (!myRole && !(await permissionService.can(req.user, 'team:manage:any')))) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        const members = await getAll(
+            `SELECT u.id, u.name, u.email, tm.role, tm.joined_at
+       FROM team_members tm
+       JOIN users u ON tm.user_id = u.id
+       WHERE tm.team_id = ?
+       ORDER BY tm.role ASC, u.name ASC`,
+            [id]
+        );
+
+        // Pending invitations are for those who manage the team
+        const invitations = await canManageTeam(req.user, id)
+            ? await getAll(
+                `SELECT u.id, u.name, u.email, ti.role, ti.created_at
+         FROM team_invitations ti
+         JOIN users u ON ti.user_id = u.id
+         WHERE ti.team_id = ?
+         ORDER BY ti.created_at ASC`,
+                [id]
+            )
+            : [];
+
+        res.json({ ...team, my_role: myRole, members, invitations });
+    } catch (error) {
+        console.error('Error fetching team:', error);
+        res.status(500).json({ error: 'Failed to fetch team' });
+    }
+});
+
+/**
+ * PUT /api/teams/:id
+ * Rename or re-describe a team (leads and admins)
+ */
+router.put('/:id', validate(teamUpdateSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, description } = req.body;
+
+        if (!(await canManageTeam(req.user, id))) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        if (name) {
+            const existing = await getOne(
+                'SELECT id FROM teams WHERE LOWER(name) = LOWER(?) AND id != ?',
+                [name, id]
+            );
+            if (existing) {
+                return res.status(400).json({ error: 'A team with this name already exists' });
+            }
+        }
+
+        const before = await getOne('SELECT * FROM teams WHERE id = ?', [id]);
+        const result = await runQuery(
+            `UPDATE teams
+       SET name = COALESCE(?, name),
+           description = COALESCE(?, description),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+            [name, description, id]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'team',
+            entityId: before.id,
+            before,
+            after: await getOne('SELECT * FROM teams WHERE id = ?', [id])
+        });
+
+        res.json({ message: 'Team updated successfully' });
+    } catch (error) {
+        console.error('Error updating team:', error);
+        res.status(500).json({ error: 'Failed to update team' });
+    }
+});
+
+/**
+ * DELETE /api/teams/:id
+ * Delete a team and its memberships (leads and admins)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!(await canManageTeam(req.user, id))) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        const team = await getOne('SELECT * FROM teams WHERE id = ?', [id]);
+        const result = await runQuery('DELETE FROM teams WHERE id = ?', [id]);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        await activityService.record(req, { action: 'delete', entityType: 'team', entityId: team.id, before: team });
+
+        res.json({ message: 'Team deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting team:', error);
+        res.status(500).json({ error: 'Failed to delete team' });
+    }
+});
+
+/**
+ * POST /api/teams/:id/members
+ * Add a user to the team as lead or member. Joining makes a user's work visible to
+ * the team's leads, so a lead only invites them (202): they join once they accept.
+ * team:manage:any adds them right away.
+ */
+router.post('/:id/members', validate(teamMemberSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { user_id, role = 'member' } = req.body;
+
+        if (!(await canManageTeam(req.user, id))) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        const user = await getOne('SELECT id FROM users WHERE id = ?', [user_id]);
+        if (!user) {
+            return res.status(400).json({ error: 'User not found' });
+        }
+
+        if (await teamService.getMemberRole(id, user_id)) {
+            return res.status(400).json({ error: 'User is already a member of this team' });
+        }
+
+        if (!(await permissionService.can(req.user, 'team:manage:any'))) {
+            const invited = await runQuery(
+                `INSERT INTO team_invitations (team_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)
+         ON CONFLICT (team_id, user_id) DO NOTHING
+         RETURNING team_id`,
+                [id, user_id, role, req.user.id]
+            );
+            if (invited.changes === 0) {
+                return res.status(400).json({ error: 'User has already been invited to this team' });
+            }
+
+            const team = await getOne('SELECT name FROM teams WHERE id = ?', [id]);
+            await notificationService.notifyTeamInvitation(team, user_id, req.user);
+
+            return res.status(202).json({ message: 'Invitation sent', invited: true });
+        }
+
+        await runQuery(
+            'DELETE FROM team_invitations WHERE team_id = ? AND user_id = ?',
+            [id, user_id]
+        );
+        await runQuery(
+            'INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?) RETURNING team_id',
+            [id, user_id, role]
+        );
+        await activityService.record(req, {
+            action: 'create',
+            entityType: 'team_member',
+            entityId: user_id,
+            parent: { type: 'team', id: parseInt(id) },
+            after: { user_id, role }
+        });
+
+        res.status(201).json({ message: 'Member added successfully' });
+    } catch (error) {
+        console.error('Error adding team member:', error);
+        res.status(500).json({ error: 'Failed to add team member' });
+    }
+});
+
+/**
+ * DELETE /api/teams/:id/invitations/:userId
+ * Withdraw a pending invitation (leads and admins)
+ */
+router.delete('/:id/invitations/:userId', async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+
+        if (!(await canManageTeam(req.user, id))) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        const result = await runQuery(
+            'DELETE FROM team_invitations WHERE team_id = ? AND user_id = ?',
+            [id, userId]
+        );
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.json({ message: 'Invitation withdrawn' });
+    } catch (error) {
+        console.error('Error withdrawing team invitation:', error);
+        res.status(500).json({ error: 'Failed to withdraw invitation' });
+    }
+});
+
+/**
+ * PUT /api/teams/:id/members/:userId
+ * Change a member's role (leads and admins)
+ */
+router.put('/:id/members/:userId', async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        const { role } = req.body;
+
+        if (!['lead', 'member'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be "lead" or "member"' });
+        }
+
+        if (!(await canManageTeam(req.user, id))) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        const currentRole = await teamService.getMemberRole(id, userId);
+        if (!currentRole) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        if (currentRole === 'lead' && role === 'member' && await countLeads(id) === 1) {
+            return res.status(400).json({ error: 'A team must keep at least one lead' });
+        }
+
+        await runQuery(
+            'UPDATE team_members SET role = ? WHERE team_id = ? AND user_id = ?',
+            [role, id, userId]
+        );
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'team_member',
+            entityId: parseInt(userId),
+            parent: { type: 'team', id: parseInt(id) },
+            before: { role: currentRole },
+            after: { role }
+        });
+
+        res.json({ message: 'Member role updated successfully' });
+    } catch (error) {
+        console.error('Error updating team member:', error);
+        res.status(500).json({ error: 'Failed to update team member' });
+    }
+});
+
+/**
+ * DELETE /api/teams/:id/members/:userId
+ * Remove a member (leads and admins) or leave the team (self)
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        const isSelf = parseInt(userId) === req.user.id;
+
+        if (!isSelf && !(await canManageTeam(req.user, id))) {
+            return res.status(404).json({ error: 'Team not found or unauthorized' });
+        }
+
+        const currentRole = await teamService.getMemberRole(id, userId);
+        if (!currentRole) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        if (currentRole === 'lead' && await countLeads(id) === 1) {
+            return res.status(400).json({ error: 'A team must keep at least one lead' });
+        }
+
+        await runQuery('DELETE FROM team_members WHERE team_id = ? AND user_id = ?', [id, userId]);
+        await activityService.record(req, {
+            action: 'delete',
+            entityType: 'team_member',
+            entityId: parseInt(userId),
+            parent: { type: 'team', id: parseInt(id) },
+            before: { user_id: parseInt(userId), role: currentRole }
+        });
+
+        res.json({ message: isSelf ? 'You left the team' : 'Member removed successfully' });
+    } catch (error) {
+        console.error('Error removing team member:', error);
+        res.status(500).json({ error: 'Failed to remove team member' });
+    }
+});
+
+module.exports = router;
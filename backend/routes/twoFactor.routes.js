@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const { authenticateSession } = require('../middleware/auth');
+const {
+    validate,
+    twoFactorEnableSchema,
+    twoFactorDisableSchema,
+    twoFactorCodeSchema
+} = require('../middleware/validation');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const activityService = require('../services/activityService');
+const { getOne } = require('../database');
+
+// Code-checking endpoints are brute-force targets
+const codeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: 'Too many attempts, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// A user's 2FA state as the activity log records it
+const loadTwoFactorState = (userId) => getOne(
+    `SELECT u.id, u.email, u.totp_enabled_at,
+          (SELECT MAX(rc.created_at) FROM recovery_codes rc WHERE rc.user_id = u.id) as recovery_codes_issued_at
+     FROM users u WHERE u.id = ?`,
+    [userId]
+);
+
+// Log a change of the user's 2FA state; enrollment mid-login has no email on req.user
+const recordTwoFactorChange = async (req, before) => {
+    await activityService.record(req, {
+        action: 'update',
+        entityType: 'user',
+        entityId: before.id,
+        before,
+        after: await loadTwoFactorState(before.id),
+        actor: before
+    });
+};
+
+/**
+ * Enrollment can be reached two ways: signed in (Bearer token), or mid-login with the
+ * setup challenge issued when policy requires 2FA for the user's role.
+ */
+const authenticateEnrollment = (req, res, next) => {
+    if (req.headers['authorization']) {
+        return authenticateSession(req, res, next);
+    }
+
+    const userId = twoFactorService.verifyChallenge(req.body.challenge_token, 'setup');
+    if (!userId) {
+        return res.status(401).json({ error: 'Access token or setup challenge required' });
+    }
+
+    req.user = { id: userId };
+    req.viaChallenge = true;
+    next();
+};
+
+/**
+ * GET /api/auth/2fa
+ * Whether 2FA is on, recovery codes left, and whether the user's role requires it
+ */
+router.get('/', authenticateSession, async (req, res) => {
+    try {
+        res.json(await twoFactorService.getStatus(req.user.id));
+    } catch (error) {
+        console.error('Error fetching 2FA status:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns the secret, otpauth:// URI and a QR code to scan
+ */
+router.post('/setup', codeLimiter, authenticateEnrollment, async (req, res) => {
+    try {
+        const user = await getOne('SELECT id, email, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+
+        if (user.totp_enabled_at) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        res.json(await twoFactorService.beginEnrollment(user));
+    } catch (error) {
+        console.error('Error starting 2FA setup:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the app; returns recovery codes once.
+ * Mid-login enrollment also completes the sign-in.
+ */
+router.post('/enable', codeLimiter, authenticateEnrollment, validate(twoFactorEnableSchema), async (req, res) => {
+    try {
+        const before = await loadTwoFactorState(req.user.id);
+        const recoveryCodes = await twoFactorService.completeEnrollment(req.user.id, req.body.code);
+
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid code. Check the time on your device and try again.' });
+        }
+        await recordTwoFactorChange(req, before);
+
+        const response = {
+            message: 'Two-factor authentication enabled',
+            recovery_codes: recoveryCodes
+        };
+
+        if (req.viaChallenge) {
+            const user = await getOne('SELECT * FROM users WHERE id = ?', [req.user.id]);
+            Object.assign(response, await sessionService.login(user, req));
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error enabling 2FA:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off; needs the password and a current code (not allowed when the role requires 2FA)
+ */
+router.post('/disable', codeLimiter, authenticateSession, validate(twoFactorDisableSchema), async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        const user = await getOne('SELECT id, role, password FROM users WHERE id = ?', [req.user.id]);
+
+        if (await twoFactorService.isRequiredForRole(user.role)) {
+            return res.status(400).json({ error: 'Your role requires two-factor authentication' });
+        }
+
+        if (!password || !(await bcrypt.compare(password, user.password))) {
+            return res.status(400).json({ error: 'Incorrect password' });
+        }
+
+        if (!(await twoFactorService.verifyCode(user.id, code))) {
+            return res.status(400).json({ error: 'Invalid code' });
+        }
+
+        const before = await loadTwoFactorState(user.id);
+        await twoFactorService.disable(user.id);
+        await recordTwoFactorChange(req, before);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (needs a current code); returns the new codes once
+ */
+router.post('/recovery-codes', codeLimiter, authenticateSession, validate(twoFactorCodeSchema), async (req, res) => {
+    try {
+        const status = await twoFactorService.getStatus(req.user.id);
+        if (!status.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await twoFactorService.verifyCode(req.user.id, req.body.code))) {
+            return res.status(400).json({ error: 'Invalid code' });
+        }
+
+        const before = await loadTwoFactorState(req.user.id);
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+        await recordTwoFactorChange(req, before);
+
+        res.json({ recovery_codes: recoveryCodes });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+module.exports = router;
@@ -2,313 +2,595 @@ require('dotenv').config();
 const bcrypt = require('bcryptjs');
 const { pool } = require('./database');
 
-async function seedDatabase() {
-    const client = await pool.connect();
+// Every fixture account shares this password (local/dev databases only)
+const FIXTURE_PASSWORD = 'demo123';
 
-    try {
-        await client.query('BEGIN');
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+/**
+ * Insert a user or refresh an existing one with the same email, keeping its id
+ */
+async function upsertUser(client, { name, email, role = 'member' }, hashedPassword) {
+    const result = await client.query(
+        `INSERT INTO users (name, email, password, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (email) DO UPDATE
+       SET name = EXCLUDED.name, password = EXCLUDED.password, role = EXCLUDED.role
+       RETURNING id`,
+        [name, email, hashedPassword, role]
+    );
+    return result.rows[0].id;
+}
+
+/**
+ * Insert a team (or reuse the one with the same name) and replace its members
+ */
+async function upsertTeam(client, { name, description }, members) {
+    const result = await client.query(
+        `INSERT INTO teams (name, description, created_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO UPDATE
+       SET description = EXCLUDED.description, updated_at = CURRENT_TIMESTAMP
+       RETURNING id`,
+        [name, description, members[0].userId]
+    );
+    const teamId = result.rows[0].id;
+
+    await client.query('DELETE FROM team_members WHERE team_id = $1', [teamId]);
+    for (const member of members) {
+        await client.query(
+            'INSERT INTO team_members (team_id, user_id, role) VALUES ($1, $2, $3)',
+            [teamId, member.userId, member.role]
+        );
+    }
+
+    return teamId;
+}
 
-        console.log('🌱 Starting database seeding...');
+/**
+ * Remove everything owned by fixture users so a re-run starts from the same state
+ */
+async function clearUserData(client, userIds) {
+    await client.query('DELETE FROM notifications WHERE user_id = ANY($1)', [userIds]);
+    await client.query('DELETE FROM time_logs WHERE user_id = ANY($1)', [userIds]);
+    await client.query('DELETE FROM weekly_tasks WHERE user_id = ANY($1)', [userIds]);
+    await client.query('DELETE FROM monthly_plans WHERE user_id = ANY($1)', [userIds]);
+    await client.query('DELETE FROM quarterly_goals WHERE user_id = ANY($1)', [userIds]);
+}
+
+/**
+ * Empty users, teams and every table holding their data (goals, plans, tasks,
+ * sessions, templates, ...): CASCADE follows foreign keys from users and teams, so
+ * new tables are covered too. Migration bookkeeping, role grants, the activity log
+ * and app settings are kept; settings lose who last changed them.
+ */
+async function resetDatabase(client) {
+    // app_settings.updated_by references users, so the cascade empties it as well
+    const { rows: settings } = await client.query('SELECT key, value, updated_at FROM app_settings');
+
+    await client.query('TRUNCATE users, teams RESTART IDENTITY CASCADE');
+
+    for (const setting of settings) {
+        await client.query(
+            'INSERT INTO app_settings (key, value, updated_at) VALUES ($1, $2, $3)',
+            [setting.key, setting.value, setting.updated_at]
+        );
+    }
+}
 
-        // 1. Create demo users
-        console.log('👤 Creating demo users...');
-        const hashedPassword = await bcrypt.hash('demo123', 10);
+// ============================================
+// FIXTURE: demo
+// ============================================
+
+const DEMO_GOALS = [
+    {
+        title: 'Launch Product V2.0',
+        description: 'Complete redesign and launch of our flagship product with new features',
+        quarter: 1,
+        year: 2026,
+        status: 'in_progress',
+        progress: 65
+    },
+    {
+        title: 'Improve Team Productivity',
+        description: 'Implement new tools and processes to boost team efficiency by 30%',
+        quarter: 1,
+        year: 2026,
+        status: 'in_progress',
+        progress: 45
+    },
+    {
+        title: 'Expand Customer Base',
+        description: 'Acquire 500 new customers through marketing campaigns',
+        quarter: 2,
+        year: 2026,
+        status: 'pending',
+        progress: 0
+    }
+];
+
+// goal is an index into DEMO_GOALS
+const DEMO_PLANS = [
+    {
+        goal: 0,
+        title: 'UI/UX Redesign',
+        description: 'Complete new design system and user interface',
+        month: 2,
+        year: 2026,
+        status: 'completed',
+        progress: 100
+    },
+    {
+        goal: 0,
+        title: 'Backend API Development',
+        description: 'Build new REST API endpoints and database schema',
+        month: 3,
+        year: 2026,
+        status: 'in_progress',
+        progress: 70
+    },
+    {
+        goal: 1,
+        title: 'Implement Project Management Tool',
+        description: 'Set up and train team on new PM software',
+        month: 2,
+        year: 2026,
+        status: 'in_progress',
+        progress: 60
+    },
+    {
+        goal: 1,
+        title: 'Automate Deployment Pipeline',
+        description: 'Set up CI/CD for faster deployments',
+        month: 3,
+        year: 2026,
+        status: 'pending',
+        progress: 20
+    }
+];
+
+// plan is an index into DEMO_PLANS; assignee is a key of the demo users
+const DEMO_TASKS = [
+    {
+        plan: 1,
+        title: 'Design database schema',
+        description: 'Create ERD and define all tables and relationships',
+        weekNumber: 10,
+        priority: 'high',
+        status: 'completed',
+        estimatedHours: 8,
+        actualHours: 10,
+        dueDate: '2026-03-07',
+        isUrgent: false
+    },
+    {
+        plan: 1,
+        title: 'Implement authentication endpoints',
+        description: 'Build login, register, and JWT token management',
+        weekNumber: 11,
+        priority: 'high',
+        status: 'completed',
+        estimatedHours: 12,
+        actualHours: 14,
+        dueDate: '2026-03-14',
+        isUrgent: false
+    },
+    {
+        plan: 1,
+        title: 'Create CRUD endpoints for goals',
+        description: 'Build API endpoints for quarterly goals management',
+        weekNumber: 12,
+        priority: 'medium',
+        status: 'in_progress',
+        estimatedHours: 10,
+        actualHours: 6,
+        dueDate: '2026-03-21',
+        isUrgent: true
+    },
+    {
+        plan: 1,
+        title: 'Write API documentation',
+        description: 'Document all endpoints with examples',
+        weekNumber: 13,
+        priority: 'medium',
+        status: 'pending',
+        estimatedHours: 6,
+        actualHours: 0,
+        dueDate: '2026-03-28',
+        isUrgent: false,
+        assignee: 'alice'
+    },
+    {
+        plan: 2,
+        title: 'Research PM tools',
+        description: 'Evaluate top 5 project management tools',
+        weekNumber: 9,
+        priority: 'high',
+        status: 'completed',
+        estimatedHours: 4,
+        actualHours: 5,
+        dueDate: '2026-02-28',
+        isUrgent: false
+    },
+    {
+        plan: 2,
+        title: 'Set up team workspace',
+        description: 'Configure boards, workflows, and permissions',
+        weekNumber: 10,
+        priority: 'high',
+        status: 'completed',
+        estimatedHours: 6,
+        actualHours: 7,
+        dueDate: '2026-03-07',
+        isUrgent: false
+    },
+    {
+        plan: 2,
+        title: 'Train team members',
+        description: 'Conduct training sessions for all team members',
+        weekNumber: 11,
+        priority: 'medium',
+        status: 'in_progress',
+        estimatedHours: 8,
+        actualHours: 4,
+        dueDate: '2026-03-14',
+        isUrgent: false
+    },
+    {
+        plan: 3,
+        title: 'Set up GitHub Actions',
+        description: 'Configure CI/CD pipeline with automated tests',
+        weekNumber: 12,
+        priority: 'high',
+        status: 'pending',
+        estimatedHours: 10,
+        actualHours: 0,
+        dueDate: '2026-03-21',
+        isUrgent: false,
+        assignee: 'bob'
+    }
+];
 
-        const userResult = await client.query(
-            `INSERT INTO users (name, email, password, role) 
-       VALUES ($1, $2, $3, $4) 
+// task is an index into DEMO_TASKS
+const DEMO_TIME_LOGS = [
+    { task: 0, hours: 5, date: '2026-03-05', notes: 'Initial schema design' },
+    { task: 0, hours: 5, date: '2026-03-06', notes: 'Refinement and review' },
+    { task: 1, hours: 8, date: '2026-03-11', notes: 'JWT implementation' },
+    { task: 1, hours: 6, date: '2026-03-12', notes: 'Testing and bug fixes' },
+    { task: 2, hours: 6, date: '2026-03-18', notes: 'CRUD endpoints development' },
+    { task: 4, hours: 5, date: '2026-02-26', notes: 'Tool comparison research' },
+    { task: 5, hours: 7, date: '2026-03-05', notes: 'Workspace configuration' },
+    { task: 6, hours: 4, date: '2026-03-13', notes: 'First training session' }
+];
+
+// task is an index into DEMO_TASKS; assignee is a key of the demo users
+const DEMO_CHECKLISTS = [
+    {
+        task: 1,
+        items: [
+            { title: 'Register endpoint with password hashing', isDone: true },
+            { title: 'Login endpoint issuing JWTs', isDone: true },
+            { title: 'Token verification middleware', isDone: true },
+            { title: 'Rate limit login attempts', isDone: true }
+        ]
+    },
+    {
+        task: 2,
+        items: [
+            { title: 'List and create goals', isDone: true, assignee: 'bob' },
+            { title: 'Update and delete goals', isDone: true, assignee: 'bob' },
+            { title: 'Input validation', isDone: false, assignee: 'bob', dueDate: '2026-03-19' },
+            { title: 'Review with the team', isDone: false, assignee: 'alice', dueDate: '2026-03-20' }
+        ]
+    }
+];
+
+const DEMO_NOTIFICATIONS = [
+    {
+        type: 'reminder',
+        title: 'Task Due Soon',
+        message: 'Task "Create CRUD endpoints for goals" is due in 3 days',
+        isRead: false
+    },
+    {
+        type: 'overdue',
+        title: 'Overdue Task',
+        message: 'Task "Write API documentation" is overdue by 2 days',
+        isRead: false
+    },
+    {
+        type: 'general',
+        title: 'Welcome!',
+        message: 'Welcome to Team Goal Tracker! Start by creating your first quarterly goal.',
+        isRead: true
+    }
+];
+
+/**
+ * Demo account with goals, plans, tasks, time logs and a small team
+ */
+async function loadDemo(client, hashedPassword) {
+    console.log('👤 Creating demo users...');
+    const users = {
+        demo: await upsertUser(client, { name: 'Demo User', email: 'demo@example.com', role: 'admin' }, hashedPassword),
+        alice: await upsertUser(client, { name: 'Alice Example', email: 'alice@example.com' }, hashedPassword),
+        bob: await upsertUser(client, { name: 'Bob Example', email: 'bob@example.com' }, hashedPassword)
+    };
+    const userId = users.demo;
+
+    await clearUserData(client, Object.values(users));
+
+    await upsertTeam(client, { name: 'Demo Team', description: 'Sample team for the demo account' }, [
+        { userId: users.demo, role: 'lead' },
+        { userId: users.alice, role: 'member' },
+        { userId: users.bob, role: 'member' }
+    ]);
+    console.log('  ✅ Created team: Demo Team');
+
+    console.log('🎯 Creating quarterly goals...');
+    const goalIds = [];
+    for (const goal of DEMO_GOALS) {
+        const result = await client.query(
+            `INSERT INTO quarterly_goals (user_id, title, description, quarter, year, status, progress)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING id`,
-            ['Demo User', 'demo@example.com', hashedPassword, 'admin']
+            [userId, goal.title, goal.description, goal.quarter, goal.year, goal.status, goal.progress]
         );
-        const userId = userResult.rows[0].id;
-        console.log(`✅ Created user: demo@example.com (password: demo123)`);
-
-        // 2. Create quarterly goals
-        console.log('🎯 Creating quarterly goals...');
-        const goals = [
-            {
-                title: 'Launch Product V2.0',
-                description: 'Complete redesign and launch of our flagship product with new features',
-                quarter: 1,
-                year: 2026,
-                status: 'in_progress',
-                progress: 65
-            },
-            {
-                title: 'Improve Team Productivity',
-                description: 'Implement new tools and processes to boost team efficiency by 30%',
-                quarter: 1,
-                year: 2026,
-                status: 'in_progress',
-                progress: 45
-            },
-            {
-                title: 'Expand Customer Base',
-                description: 'Acquire 500 new customers through marketing campaigns',
-                quarter: 2,
-                year: 2026,
-                status: 'pending',
-                progress: 0
-            }
-        ];
-
-        const goalIds = [];
-        for (const goal of goals) {
-            const result = await client.query(
-                `INSERT INTO quarterly_goals (user_id, title, description, quarter, year, status, progress)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         RETURNING id`,
-                [userId, goal.title, goal.description, goal.quarter, goal.year, goal.status, goal.progress]
-            );
-            goalIds.push(result.rows[0].id);
-            console.log(`  ✅ Created goal: ${goal.title}`);
-        }
+        goalIds.push(result.rows[0].id);
+    }
 
-        // 3. Create monthly plans
-        console.log('📅 Creating monthly plans...');
-        const plans = [
-            {
-                goalId: goalIds[0],
-                title: 'UI/UX Redesign',
-                description: 'Complete new design system and user interface',
-                month: 2,
-                year: 2026,
-                status: 'completed',
-                progress: 100
-            },
-            {
-                goalId: goalIds[0],
-                title: 'Backend API Development',
-                description: 'Build new REST API endpoints and database schema',
-                month: 3,
-                year: 2026,
-                status: 'in_progress',
-                progress: 70
-            },
-            {
-                goalId: goalIds[1],
-                title: 'Implement Project Management Tool',
-                description: 'Set up and train team on new PM software',
-                month: 2,
-                year: 2026,
-                status: 'in_progress',
-                progress: 60
-            },
-            {
-                goalId: goalIds[1],
-                title: 'Automate Deployment Pipeline',
-                description: 'Set up CI/CD for faster deployments',
-                month: 3,
-                year: 2026,
-                status: 'pending',
-                progress: 20
-            }
-        ];
-
-        const planIds = [];
-        for (const plan of plans) {
-            const result = await client.query(
-                `INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year, status, progress)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         RETURNING id`,
-                [userId, plan.goalId, plan.title, plan.description, plan.month, plan.year, plan.status, plan.progress]
-            );
-            planIds.push(result.rows[0].id);
-            console.log(`  ✅ Created plan: ${plan.title}`);
-        }
+    console.log('📅 Creating monthly plans...');
+    const planIds = [];
+    for (const plan of DEMO_PLANS) {
+        const result = await client.query(
+            `INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year, status, progress)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+            [userId, goalIds[plan.goal], plan.title, plan.description, plan.month, plan.year, plan.status, plan.progress]
+        );
+        planIds.push(result.rows[0].id);
+    }
 
-        // 4. Create weekly tasks
-        console.log('✅ Creating weekly tasks...');
-        const tasks = [
-            {
-                planId: planIds[1],
-                title: 'Design database schema',
-                description: 'Create ERD and define all tables and relationships',
-                weekNumber: 10,
-                priority: 'high',
-                status: 'completed',
-                estimatedHours: 8,
-                actualHours: 10,
-                dueDate: '2026-03-07',
-                isUrgent: false
-            },
-            {
-                planId: planIds[1],
-                title: 'Implement authentication endpoints',
-                description: 'Build login, register, and JWT token management',
-                weekNumber: 11,
-                priority: 'high',
-                status: 'completed',
-                estimatedHours: 12,
-                actualHours: 14,
-                dueDate: '2026-03-14',
-                isUrgent: false
-            },
-            {
-                planId: planIds[1],
-                title: 'Create CRUD endpoints for goals',
-                description: 'Build API endpoints for quarterly goals management',
-                weekNumber: 12,
-                priority: 'medium',
-                status: 'in_progress',
-                estimatedHours: 10,
-                actualHours: 6,
-                dueDate: '2026-03-21',
-                isUrgent: true
-            },
-            {
-                planId: planIds[1],
-                title: 'Write API documentation',
-                description: 'Document all endpoints with examples',
-                weekNumber: 13,
-                priority: 'medium',
-                status: 'pending',
-                estimatedHours: 6,
-                actualHours: 0,
-                dueDate: '2026-03-28',
-                isUrgent: false
-            },
-            {
-                planId: planIds[2],
-                title: 'Research PM tools',
-                description: 'Evaluate top 5 project management tools',
-                weekNumber: 9,
-                priority: 'high',
-                status: 'completed',
-                estimatedHours: 4,
-                actualHours: 5,
-                dueDate: '2026-02-28',
-                isUrgent: false
-            },
-            {
-                planId: planIds[2],
-                title: 'Set up team workspace',
-                description: 'Configure boards, workflows, and permissions',
-                weekNumber: 10,
-                priority: 'high',
-                status: 'completed',
-                estimatedHours: 6,
-                actualHours: 7,
-                dueDate: '2026-03-07',
-                isUrgent: false
-            },
-            {
-                planId: planIds[2],
-                title: 'Train team members',
-                description: 'Conduct training sessions for all team members',
-                weekNumber: 11,
-                priority: 'medium',
-                status: 'in_progress',
-                estimatedHours: 8,
-                actualHours: 4,
-                dueDate: '2026-03-14',
-                isUrgent: false
-            },
-            {
-                planId: planIds[3],
-                title: 'Set up GitHub Actions',
-                description: 'Configure CI/CD pipeline with automated tests',
-                weekNumber: 12,
-                priority: 'high',
-                status: 'pending',
-                estimatedHours: 10,
-                actualHours: 0,
-                dueDate: '2026-03-21',
-                isUrgent: false
-            }
-        ];
-
-        const taskIds = [];
-        for (const task of tasks) {
-            const result = await client.query(
-                `INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-         RETURNING id`,
-                [userId, task.planId, task.title, task.description, task.weekNumber, 2026, task.priority, task.status, task.estimatedHours, task.actualHours, task.dueDate, task.isUrgent]
-            );
-            taskIds.push(result.rows[0].id);
-            console.log(`  ✅ Created task: ${task.title}`);
-        }
+    console.log('✅ Creating weekly tasks...');
+    const taskIds = [];
+    for (const task of DEMO_TASKS) {
+        const result = await client.query(
+            `INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent, assigned_to, assigned_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $1)
+       RETURNING id`,
+            [userId, planIds[task.plan], task.title, task.description, task.weekNumber, 2026, task.priority, task.status, task.estimatedHours, task.actualHours, task.dueDate, task.isUrgent, users[task.assignee || 'demo']]
+        );
+        taskIds.push(result.rows[0].id);
+    }
 
-        // 5. Create time logs
-        console.log('⏱️  Creating time logs...');
-        const timeLogs = [
-            { taskId: taskIds[0], hours: 5, date: '2026-03-05', notes: 'Initial schema design' },
-            { taskId: taskIds[0], hours: 5, date: '2026-03-06', notes: 'Refinement and review' },
-            { taskId: taskIds[1], hours: 8, date: '2026-03-11', notes: 'JWT implementation' },
-            { taskId: taskIds[1], hours: 6, date: '2026-03-12', notes: 'Testing and bug fixes' },
-            { taskId: taskIds[2], hours: 6, date: '2026-03-18', notes: 'CRUD endpoints development' },
-            { taskId: taskIds[4], hours: 5, date: '2026-02-26', notes: 'Tool comparison research' },
-            { taskId: taskIds[5], hours: 7, date: '2026-03-05', notes: 'Workspace configuration' },
-            { taskId: taskIds[6], hours: 4, date: '2026-03-13', notes: 'First training session' }
-        ];
-
-        for (const log of timeLogs) {
+    console.log('☑️  Creating checklists...');
+    for (const checklist of DEMO_CHECKLISTS) {
+        for (const [index, item] of checklist.items.entries()) {
             await client.query(
-                `INSERT INTO time_logs (task_id, user_id, hours, date, notes)
-         VALUES ($1, $2, $3, $4, $5)`,
-                [log.taskId, userId, log.hours, log.date, log.notes]
+                `INSERT INTO checklist_items (task_id, title, position, is_done, assigned_to, due_date, completed_at, completed_by, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $4 THEN CURRENT_TIMESTAMP END, CASE WHEN $4 THEN $7::int END, $7)`,
+                [taskIds[checklist.task], item.title, index + 1, item.isDone, users[item.assignee] || null, item.dueDate || null, userId]
             );
-            console.log(`  ✅ Created time log: ${log.hours}h on ${log.date}`);
         }
+    }
 
-        // 6. Create notifications
-        console.log('🔔 Creating notifications...');
-        const notifications = [
-            {
-                type: 'reminder',
-                title: 'Task Due Soon',
-                message: 'Task "Create CRUD endpoints for goals" is due in 3 days',
-                isRead: false
-            },
-            {
-                type: 'overdue',
-                title: 'Overdue Task',
-                message: 'Task "Write API documentation" is overdue by 2 days',
-                isRead: false
-            },
-            {
-                type: 'general',
-                title: 'Welcome!',
-                message: 'Welcome to Team Goal Tracker! Start by creating your first quarterly goal.',
-                isRead: true
-            }
-        ];
+    console.log('⏱️  Creating time logs...');
+    for (const log of DEMO_TIME_LOGS) {
+        await client.query(
+            `INSERT INTO time_logs (task_id, user_id, hours, date, notes)
+       VALUES ($1, $2, $3, $4, $5)`,
+            [taskIds[log.task], userId, log.hours, log.date, log.notes]
+        );
+    }
 
-        for (const notif of notifications) {
-            await client.query(
-                `INSERT INTO notifications (user_id, type, title, message, is_read)
-         VALUES ($1, $2, $3, $4, $5)`,
-                [userId, notif.type, notif.title, notif.message, notif.isRead]
-            );
-            console.log(`  ✅ Created notification: ${notif.title}`);
-        }
+    console.log('🔔 Creating notifications...');
+    for (const notif of DEMO_NOTIFICATIONS) {
+        await client.query(
+            `INSERT INTO notifications (user_id, type, title, message, is_read)
+       VALUES ($1, $2, $3, $4, $5)`,
+            [userId, notif.type, notif.title, notif.message, notif.isRead]
+        );
+    }
 
-        await client.query('COMMIT');
+    return {
+        users: ['demo@example.com', 'alice@example.com', 'bob@example.com'],
+        goals: goalIds.length,
+        plans: planIds.length,
+        tasks: taskIds.length
+    };
+}
+
+// ============================================
+// FIXTURE: load-test
+// ============================================
+
+/**
+ * Many users in one team sharing thousands of tasks (sizes via options)
+ */
+async function loadLoadTest(client, hashedPassword, { users: userCount = 25, tasks: taskCount = 5000 } = {}) {
+    console.log(`👤 Creating ${userCount} load-test users...`);
+    const userIds = [];
+    for (let i = 1; i <= userCount; i++) {
+        const n = String(i).padStart(3, '0');
+        userIds.push(await upsertUser(client, { name: `Load Test ${n}`, email: `loadtest-${n}@example.com` }, hashedPassword));
+    }
+
+    await clearUserData(client, userIds);
+
+    await upsertTeam(client, { name: 'Load Test', description: 'Generated by the load-test fixture' },
+        userIds.map((userId, i) => ({ userId, role: i === 0 ? 'lead' : 'member' })));
+
+    console.log('🎯 Creating one goal and plan per user...');
+    await client.query(
+        `INSERT INTO quarterly_goals (user_id, title, quarter, year, status, progress)
+       SELECT uid, 'Load test goal', 1, 2026, 'in_progress', 50
+       FROM unnest($1::int[]) AS uid`,
+        [userIds]
+    );
+    await client.query(
+        `INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, month, year, status, progress)
+       SELECT user_id, id, 'Load test plan', 1 + (id % 3), year, 'in_progress', 50
+       FROM quarterly_goals WHERE user_id = ANY($1)`,
+        [userIds]
+    );
+
+    // Tasks are spread round-robin over creators, with every third one assigned to the next user
+    console.log(`✅ Creating ${taskCount} weekly tasks...`);
+    await client.query(
+        `WITH u AS (SELECT $1::int[] AS ids)
+       INSERT INTO weekly_tasks (user_id, assigned_to, assigned_by, monthly_plan_id, title, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent)
+       SELECT creator, CASE WHEN g % 3 = 0 THEN u.ids[1 + (g + 1) % array_length(u.ids, 1)] ELSE creator END, creator,
+              (SELECT id FROM monthly_plans mp WHERE mp.user_id = creator LIMIT 1),
+              'Load test task #' || g,
+              1 + (g % 52), 2026,
+              (ARRAY['low', 'medium', 'high'])[1 + g % 3],
+              (ARRAY['pending', 'in_progress', 'completed', 'cancelled'])[1 + g % 4],
+              1 + g % 8, g % 5,
+              DATE '2026-01-05' + (g % 360),
+              g % 10 = 0
+       FROM u, generate_series(1, $2) AS g,
+            LATERAL (SELECT u.ids[1 + g % array_length(u.ids, 1)] AS creator) c`,
+        [userIds, taskCount]
+    );
+
+    return {
+        users: [`loadtest-001@example.com … loadtest-${String(userCount).padStart(3, '0')}@example.com`],
+        goals: userCount,
+        plans: userCount,
+        tasks: taskCount
+    };
+}
+
+// ============================================
+// FIXTURE: empty-team
+// ============================================
+
+/**
+ * A team with a lead and members but no goals, plans or tasks
+ */
+async function loadEmptyTeam(client, hashedPassword) {
+    console.log('👤 Creating empty-team users...');
+    const lead = await upsertUser(client, { name: 'Empty Team Lead', email: 'empty-lead@example.com', role: 'manager' }, hashedPassword);
+    const members = [
+        await upsertUser(client, { name: 'Empty Team Member 1', email: 'empty-member1@example.com' }, hashedPassword),
+        await upsertUser(client, { name: 'Empty Team Member 2', email: 'empty-member2@example.com' }, hashedPassword)
+    ];
+
+    await clearUserData(client, [lead, ...members]);
+
+    await upsertTeam(client, { name: 'Empty Team', description: 'A team with no work yet' }, [
+        { userId: lead, role: 'lead' },
+        ...members.map(userId => ({ userId, role: 'member' }))
+    ]);
+    console.log('  ✅ Created team: Empty Team');
+
+    return {
+        users: ['empty-lead@example.com', 'empty-member1@example.com', 'empty-member2@example.com'],
+        goals: 0,
+        plans: 0,
+        tasks: 0
+    };
+}
 
-        console.log('\n🎉 Database seeding completed successfully!');
-        console.log('\n📝 Demo Account Credentials:');
-        console.log('   Email: demo@example.com');
-        console.log('   Password: demo123');
-        console.log('\n🌐 Login at: https://tackstracker.vercel.app');
+const FIXTURES = {
+    demo: loadDemo,
+    'load-test': loadLoadTest,
+    'empty-team': loadEmptyTeam
+};
 
+/**
+ * Load named fixture sets in one transaction. Re-running a fixture replaces the
+ * data of its own users instead of duplicating it; `reset` empties the database first.
+ */
+async function loadFixtures(names, { reset = false, ...options } = {}) {
+    const unknown = names.filter(name => !Object.hasOwn(FIXTURES, name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown fixture "${unknown[0]}". Available: ${Object.keys(FIXTURES).join(', ')}`);
+    }
+
+    if (reset && process.env.NODE_ENV === 'production') {
+        throw new Error('Refusing to reset a production database');
+    }
+
+    const hashedPassword = await bcrypt.hash(FIXTURE_PASSWORD, 10);
+    const client = await pool.connect();
+    const summary = {};
+
+    try {
+        await client.query('BEGIN');
+
+        if (reset) {
+            console.log('🧹 Resetting database...');
+            await resetDatabase(client);
+        }
+
+        for (const name of names) {
+            console.log(`🌱 Loading fixture "${name}"...`);
+            summary[name] = await FIXTURES[name](client, hashedPassword, options);
+        }
+
+        await client.query('COMMIT');
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error('❌ Error seeding database:', error);
         throw error;
     } finally {
         client.release();
-        await pool.end();
     }
+
+    return summary;
 }
 
-// Run the seed script
-seedDatabase()
-    .then(() => {
-        console.log('✅ Seeding process finished');
-        process.exit(0);
-    })
-    .catch((error) => {
-        console.error('❌ Seeding failed:', error);
-        process.exit(1);
-    });
+module.exports = {
+    FIXTURES,
+    FIXTURE_PASSWORD,
+    loadFixtures
+};
+
+// CLI: node seed.js [fixture ...] [--reset] [--users=N] [--tasks=N] [--force]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const names = args.filter(arg => !arg.startsWith('--'));
+    const flag = (name) => args.find(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    const numberFlag = (name) => {
+        if (!flag(name)) return undefined;
+        const value = flag(name).split('=')[1];
+        if (!/^\d+$/.test(value || '') || parseInt(value, 10) < 1) {
+            throw new Error(`--${name} must be a whole number from 1, e.g. --${name}=10`);
+        }
+        return parseInt(value, 10);
+    };
+
+    const run = async () => {
+        if (process.env.NODE_ENV === 'production' && !flag('force')) {
+            throw new Error('Refusing to load fixtures with NODE_ENV=production (pass --force to override)');
+        }
+
+        const summary = await loadFixtures(names.length > 0 ? names : ['demo'], {
+            reset: Boolean(flag('reset')),
+            users: numberFlag('users'),
+            tasks: numberFlag('tasks')
+        });
+
+        console.log('\n🎉 Fixtures loaded successfully!');
+        for (const [name, result] of Object.entries(summary)) {
+            console.log(`\n📦 ${name}: ${result.goals} goals, ${result.plans} plans, ${result.tasks} tasks`);
+            for (const email of result.users) {
+                console.log(`   ${email}`);
+            }
+        }
+        console.log(`\n📝 Password for every fixture account: ${FIXTURE_PASSWORD}`);
+    };
+
+    run()
+        .then(async () => {
+            await pool.end();
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('❌ Seeding failed:', error.message);
+            await pool.end();
+            process.exit(1);
+        });
+}
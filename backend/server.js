@@ -2,22 +2,76 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const cron = require('node-cron');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const Sentry = require('@sentry/node');
+const multer = require('multer');
 const { runQuery, getOne, getAll } = require('./database');
+const { migrateUp } = require('./migrate');
 const {
     goalSchema,
     planSchema,
     taskSchema,
+    goalUpdateSchema,
+    planUpdateSchema,
+    taskUpdateSchema,
+    goalPatchSchema,
+    planPatchSchema,
+    taskPatchSchema,
+    taskDependencySchema,
+    checklistItemSchema,
+    checklistItemPatchSchema,
+    checklistOrderSchema,
+    taskRecurrenceSchema,
+    recurrenceExceptionSchema,
+    templateContentSchemas,
+    templateSchema,
+    templatePatchSchema,
+    templateCaptureSchema,
+    templateInstantiateSchema,
+    rolloverSchema,
+    commentSchema,
+    commentEditSchema,
     timeLogSchema,
     registerSchema,
     loginSchema,
+    twoFactorLoginSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    serialParam,
     validate
 } = require('./middleware/validation');
+const { authenticateToken, authenticateSession } = require('./middleware/auth');
+const { requirePermission } = require('./middleware/permissions');
+const { setETag, matchesIfMatch, sendPreconditionFailed } = require('./middleware/concurrency');
 const aiRoutes = require('./routes/ai.routes');
+const teamsRoutes = require('./routes/teams.routes');
+const adminRoutes = require('./routes/admin.routes');
+const twoFactorRoutes = require('./routes/twoFactor.routes');
+const accessTokenRoutes = require('./routes/accessTokens.routes');
+const notificationService = require('./services/notificationService');
+const teamService = require('./services/teamService');
+const permissionService = require('./services/permissionService');
+const sessionService = require('./services/sessionService');
+const authTokenService = require('./services/authTokenService');
+const accessTokenService = require('./services/accessTokenService');
+const twoFactorService = require('./services/twoFactorService');
+const listQueryService = require('./services/listQueryService');
+const progressService = require('./services/progressService');
+const hierarchyService = require('./services/hierarchyService');
+const dependencyService = require('./services/dependencyService');
+const checklistService = require('./services/checklistService');
+const commentService = require('./services/commentService');
+const activityService = require('./services/activityService');
+const trashService = require('./services/trashService');
+const recurrenceService = require('./services/recurrenceService');
+const templateService = require('./services/templateService');
+const rolloverService = require('./services/rolloverService');
+const attachmentService = require('./services/storage/attachmentService');
+const mailService = require('./services/mail/mailService');
+const { FIXTURES, FIXTURE_PASSWORD, loadFixtures } = require('./seed');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -101,8 +155,9 @@ const corsOptions = {
         ].filter(Boolean)
         : ['http://localhost:3000', 'http://localhost:3001'],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposedHeaders: ['ETag'],
     optionsSuccessStatus: 200
 };
 
@@ -128,22 +183,315 @@ app.use((req, res, next) => {
 // Apply rate limiting to API routes
 app.use('/api/', apiLimiter);
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+// Every :id in the routes below is a serial key. Routers guard their own params.
+app.param('id', serialParam);
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+// Resolve ?team_id= into the member ids a lead (or admin) may view.
+// Sends the error response itself and returns null when access is denied.
+const resolveTeamFilter = async (req, res) => {
+    const teamId = parseInt(req.query.team_id, 10);
+    if (!Number.isInteger(teamId)) {
+        res.status(400).json({ error: 'team_id must be a team id' });
+        return null;
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+    const memberIds = await teamService.resolveTeamScope(req.user, teamId);
+    if (!memberIds) {
+        res.status(403).json({ error: 'Only team leads can view team work' });
+        return null;
+    }
+
+    return memberIds;
+};
+
+// Build "column = ?" assignments for the fields present in a PATCH body.
+// Only whitelisted columns are used; null clears a column, absent fields are left alone.
+const buildPatch = (body, columns) => {
+    const fields = columns.filter(column => body[column] !== undefined);
+    return {
+        assignments: [
+            ...fields.map(column => `${column} = ?`),
+            'version = version + 1',
+            'updated_at = CURRENT_TIMESTAMP'
+        ].join(', '),
+        params: fields.map(column => body[column])
+    };
+};
+
+// Columns each PATCH route may change
+const GOAL_PATCH_COLUMNS = ['title', 'description', 'quarter', 'year', 'status', 'progress', 'progress_mode', 'progress_weighting'];
+const PLAN_PATCH_COLUMNS = ['title', 'description', 'month', 'year', 'status', 'progress', 'quarterly_goal_id'];
+const TASK_PATCH_COLUMNS = [
+    'title', 'description', 'week_number', 'year', 'priority', 'status', 'estimated_hours',
+    'actual_hours', 'due_date', 'is_urgent', 'monthly_plan_id'
+];
+
+// Load a goal, plan or task its owner (or a holder of anyPermission) is about to change,
+// and check If-Match. Sends 404 or 412 itself and returns null when the request cannot proceed.
+const findWritableRow = async (req, res, table, anyPermission, label) => {
+    const row = await getOne(`SELECT * FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [req.params.id]);
+
+    if (!row || !(row.user_id === req.user.id || await permissionService.can(req.user, anyPermission))) {
+        res.status(404).json({ error: `${label} not found or unauthorized` });
+        return null;
+    }
+    if (!matchesIfMatch(req, row)) {
+        sendPreconditionFailed(res, row);
+        return null;
+    }
+    return row;
+};
+
+// Writes are guarded with "AND version = ?"; no row means someone else changed it after our read
+// (an item moved to the trash in the meantime counts as deleted)
+const sendLostUpdate = async (res, table, id) => {
+    sendPreconditionFailed(res, await getOne(`SELECT * FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [id]));
+};
+
+// Creators and assignees may edit a task; task:update:any may edit any task
+const canEditTask = async (user, task) => {
+    return task.user_id === user.id || task.assigned_to === user.id ||
+        permissionService.can(user, 'task:update:any');
+};
+
+// Sends 404 or 412 itself and returns null when the task cannot be edited
+const findEditableTask = async (req, res) => {
+    const task = await getOne('SELECT * FROM weekly_tasks WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+
+    if (!task || !(await canEditTask(req.user, task))) {
+        res.status(404).json({ error: 'Task not found or unauthorized' });
+        return null;
+    }
+    if (!matchesIfMatch(req, task)) {
+        sendPreconditionFailed(res, task);
+        return null;
+    }
+    return task;
+};
+
+// Creators reassign with task:assign; anyone else needs task:assign:any.
+// Sends the error itself and returns false when the reassignment is not allowed.
+const authorizeReassignment = async (req, res, task, assignedTo) => {
+    const required = task.user_id === req.user.id ? 'task:assign' : 'task:assign:any';
+    if (!(await permissionService.can(req.user, required))) {
+        res.status(403).json({ error: 'Insufficient permissions to reassign this task', required });
+        return false;
+    }
+    if (assignedTo !== null) {
+        const assignee = await getOne('SELECT id FROM users WHERE id = ?', [assignedTo]);
+        if (!assignee) {
+            res.status(400).json({ error: 'Assignee not found' });
+            return false;
+        }
+    }
+    return true;
+};
+
+// Tasks can be opened by their creator and assignee, by leads of either, and with task:read:any
+const canViewTask = async (user, task) => {
+    if (await permissionService.can(user, 'task:read:any')) return true;
+    if (await teamService.canViewWorkOf(user, task.user_id)) return true;
+    return !!task.assigned_to && teamService.canViewWorkOf(user, task.assigned_to);
+};
+
+// Goals, plans and tasks as the items comments and attachments belong to
+const ITEM_TYPES = {
+    goal: { path: 'quarterly-goals', table: 'quarterly_goals', label: 'Goal', permission: 'goal:read', updatePermission: 'goal:update' },
+    plan: { path: 'monthly-plans', table: 'monthly_plans', label: 'Plan', permission: 'plan:read', updatePermission: 'plan:update' },
+    task: { path: 'weekly-tasks', table: 'weekly_tasks', label: 'Task', permission: 'task:read', updatePermission: 'task:update' }
+};
+
+// Tasks follow canViewTask; goals and plans are visible to whoever may view their owner's work
+const canViewItem = (user, type, row) => {
+    return type === 'task' ? canViewTask(user, row) : teamService.canViewWorkOf(user, row.user_id);
+};
+
+// Tasks follow canEditTask; goals and plans are edited by their owner or with :update:any
+const canEditItem = async (user, type, row) => {
+    if (type === 'task') return canEditTask(user, row);
+    return row.user_id === user.id || permissionService.can(user, `${type}:update:any`);
+};
+
+// requirePermission for a permission only known inside the route (it depends on the
+// item): the role must grant it and an access token's scopes must allow it
+const hasPermission = async (req, permission) => {
+    if (!(await permissionService.can(req.user, permission))) return false;
+    return !req.user.scopes || accessTokenService.allows(req.user.scopes, permission, req.method);
+};
+
+// Load the goal, plan or task req.params.id names. Sends 404 itself and returns null
+// when it is missing or the user cannot view it.
+const findViewableItem = async (req, res, type) => {
+    const itemType = ITEM_TYPES[type];
+    const row = await getOne(`SELECT * FROM ${itemType.table} WHERE id = ? AND deleted_at IS NULL`, [req.params.id]);
+
+    if (!row || !(await canViewItem(req.user, type, row))) {
+        res.status(404).json({ error: `${itemType.label} not found or unauthorized` });
+        return null;
+    }
+    return row;
+};
+
+// Load the goal or plan (type) that a plan or task is being put under, as its
+// progress rolls up into it. Sends 404 itself and returns null when it is missing or
+// the user cannot edit it.
+const findEditableParent = async (req, res, type, id) => {
+    const itemType = ITEM_TYPES[type];
+    const row = await getOne(`SELECT * FROM ${itemType.table} WHERE id = ? AND deleted_at IS NULL`, [id]);
+
+    if (!row || !(await canEditItem(req.user, type, row))) {
+        res.status(404).json({ error: `${itemType.label} not found or unauthorized` });
+        return null;
+    }
+    return row;
+};
+
+// A goal, plan or task as the activity log records it; tasks include their
+// dependencies as { blocker id: type }
+const loadItemSnapshot = (type, id) => {
+    if (type === 'task') {
+        return getOne(
+            `SELECT wt.*,
+              (SELECT COALESCE(jsonb_object_agg(td.depends_on_task_id, td.type), '{}')
+               FROM task_dependencies td WHERE td.task_id = wt.id) as dependencies
+       FROM weekly_tasks wt
+       WHERE wt.id = ?`,
+            [id]
+        );
+    }
+    return getOne(`SELECT * FROM ${ITEM_TYPES[type].table} WHERE id = ?`, [id]);
+};
+
+// Log how a goal, plan or task changed from before (null when it was just created) to now
+const recordItemChange = async (req, type, id, before) => {
+    await activityService.record(req, {
+        action: before ? 'update' : 'create',
+        entityType: type,
+        entityId: id,
+        before,
+        after: await loadItemSnapshot(type, id)
+    });
+};
+
+// After a goal, plan or task went to the trash: tell whoever waits on each trashed task,
+// and log the item's deletion with a delete for every plan and task that went with it
+const afterMoveToTrash = async (req, type, before, { item, plans, tasks }) => {
+    const trashedTasks = type === 'task' ? [item] : tasks;
+    for (const task of trashedTasks) {
+        await notificationService.notifyDependents(task, 'deleted', req.user);
+    }
+
+    await activityService.record(req, { action: 'delete', entityType: type, entityId: item.id, before });
+    for (const plan of plans) {
+        await activityService.record(req, {
+            action: 'delete', entityType: 'plan', entityId: plan.id,
+            parent: { type: 'goal', id: plan.quarterly_goal_id }, before: { title: plan.title }
+        });
+    }
+    for (const task of tasks) {
+        await activityService.record(req, {
+            action: 'delete', entityType: 'task', entityId: task.id,
+            parent: { type: 'plan', id: task.monthly_plan_id }, before: { title: task.title }
+        });
+    }
+};
+
+// ?scope= of a task PATCH or DELETE: 'this' (the default) or 'future', which also covers
+// the later occurrences of a recurring task. Sends the 400 itself and returns null when invalid.
+const parseScope = (req, res, task) => {
+    const scope = req.query.scope || 'this';
+    if (!['this', 'future'].includes(scope)) {
+        res.status(400).json({ error: 'scope must be this or future' });
+        return null;
+    }
+    if (scope === 'future' && !task.recurrence_id) {
+        res.status(400).json({ error: 'Task does not repeat' });
+        return null;
+    }
+    return scope;
+};
+
+// Log the tasks generated for recurring tasks (req is null for the daily job) and
+// roll up the plans they joined
+const afterGenerate = async (req, tasks) => {
+    for (const task of tasks) {
+        await recordItemChange(req, 'task', task.id, null);
+    }
+    await progressService.recalculateForPlans(tasks.map(task => task.monthly_plan_id));
+};
+
+// Move occurrences a schedule change left behind to the trash, as deleting each would
+const trashOccurrences = async (req, tasks) => {
+    for (const task of tasks) {
+        const before = await loadItemSnapshot('task', task.id);
+        const trashed = await trashService.moveToTrash('task', task, req.user.id);
+        if (trashed) await afterMoveToTrash(req, 'task', before, trashed);
+    }
+    await progressService.recalculateForPlans(tasks.map(task => task.monthly_plan_id));
+};
+
+// depends_on in task bodies is a list of task ids or a single id. Returns the new
+// list, or undefined to leave the dependencies alone (absent or '', and null on PUT).
+const parseDependsOn = (value, nullClears) => {
+    if (value === undefined || value === '') return undefined;
+    if (value === null) return nullClears ? [] : undefined;
+    return [...new Set((Array.isArray(value) ? value : [value]).map(Number))];
+};
+
+// New blockers must be tasks the user can see, and must not close a cycle
+// (taskId is null for a task being created). Sends the 400 itself and returns false.
+const checkBlockers = async (req, res, taskId, dependsOnIds) => {
+    if (dependsOnIds.some(id => !Number.isInteger(id))) {
+        res.status(400).json({ error: 'depends_on must be task ids' });
+        return false;
+    }
+    if (taskId && dependsOnIds.includes(taskId)) {
+        res.status(400).json({ error: 'A task cannot depend on itself' });
+        return false;
+    }
+
+    const blockers = await getAll(
+        'SELECT id, user_id, assigned_to FROM weekly_tasks WHERE id = ANY(?) AND deleted_at IS NULL',
+        [dependsOnIds]
+    );
+    for (const id of dependsOnIds) {
+        const blocker = blockers.find(row => row.id === id);
+        if (!blocker || !(await canViewTask(req.user, blocker))) {
+            res.status(400).json({ error: 'Dependency task not found', task_id: id });
+            return false;
+        }
+    }
+
+    if (taskId) {
+        for (const id of dependsOnIds) {
+            const chain = await dependencyService.findCycle(taskId, id);
+            if (chain) {
+                const cycle = [taskId, ...chain];
+                res.status(400).json({
+                    error: `This dependency would create a cycle: ${cycle.map(step => `#${step}`).join(' → ')}`,
+                    cycle
+                });
+                return false;
+            }
         }
-        req.user = user;
-        next();
+    }
+    return true;
+};
+
+// While dependencies are enforced, a task cannot start or finish before its blockers allow it.
+// Sends the 400 itself and returns false when the status change is blocked.
+const checkStatusChange = async (res, task, status, dependsOnIds) => {
+    if (!status || status === task.status) return true;
+    if (!(await dependencyService.isEnforced())) return true;
+
+    const blockers = await dependencyService.getUnmetBlockers(task.id, status, dependsOnIds);
+    if (blockers.length === 0) return true;
+
+    res.status(400).json({
+        error: `This task is waiting on ${blockers.length} unfinished task${blockers.length === 1 ? '' : 's'}`,
+        blockers
     });
+    return false;
 };
 
 // ============================================
@@ -174,10 +522,30 @@ app.get('/health', async (req, res) => {
 // ============================================
 app.use('/api/ai', aiRoutes);
 
+// ============================================
+// TEAM ROUTES
+// ============================================
+app.use('/api/teams', teamsRoutes);
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+app.use('/api/admin', adminRoutes);
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION ROUTES
+// ============================================
+app.use('/api/auth/2fa', twoFactorRoutes);
+
+// ============================================
+// PERSONAL ACCESS TOKEN ROUTES
+// ============================================
+app.use('/api/auth/tokens', accessTokenRoutes);
+
 // Register new user
 app.post('/api/auth/register', authLimiter, validate(registerSchema), async (req, res) => {
     try {
-        const { name, email, password, role = 'member' } = req.body;
+        const { name, email, password } = req.body;
 
         // Validate input
         if (!name || !email || !password) {
@@ -193,11 +561,26 @@ app.post('/api/auth/register', authLimiter, validate(registerSchema), async (req
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Create user
+        // Create user (roles are granted by admins, never self-assigned)
         const result = await runQuery(
             'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
-            [name, email, hashedPassword, role]
+            [name, email, hashedPassword, 'member']
         );
+        await activityService.record(req, {
+            action: 'create',
+            entityType: 'user',
+            entityId: result.id,
+            after: { name, email, role: 'member' },
+            actor: { id: result.id, email }
+        });
+
+        // A failed verification email must not fail the registration; it can be resent
+        try {
+            const token = await authTokenService.issue(result.id, 'email_verification');
+            await mailService.sendEmailVerification({ name, email }, token);
+        } catch (mailError) {
+            console.error('Error sending verification email:', mailError);
+        }
 
         res.status(201).json({
             message: 'User registered successfully',
@@ -231,60 +614,336 @@ app.post('/api/auth/login', authLimiter, validate(loginSchema), async (req, res)
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Second step: a TOTP (or recovery) code, or enrollment when policy requires 2FA
+        if (user.totp_enabled_at) {
+            return res.json({
+                two_factor_required: true,
+                challenge_token: twoFactorService.signChallenge(user.id, 'login')
+            });
+        }
 
-        res.json({
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                role: user.role
-            }
-        });
+        if (await twoFactorService.isRequiredForRole(user.role)) {
+            return res.json({
+                two_factor_setup_required: true,
+                challenge_token: twoFactorService.signChallenge(user.id, 'setup')
+            });
+        }
+
+        // Start a session: short-lived access token plus a rotating refresh token
+        res.json(await sessionService.login(user, req));
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Failed to login' });
     }
 });
 
+// Login step two: a TOTP code or a one-time recovery code for the login challenge
+app.post('/api/auth/login/2fa', authLimiter, validate(twoFactorLoginSchema), async (req, res) => {
+    try {
+        const { challenge_token, code, recovery_code } = req.body;
+
+        const userId = twoFactorService.verifyChallenge(challenge_token, 'login');
+        if (!userId) {
+            return res.status(401).json({ error: 'Login challenge expired. Please sign in again.' });
+        }
+
+        const valid = recovery_code
+            ? await twoFactorService.consumeRecoveryCode(userId, recovery_code)
+            : await twoFactorService.verifyCode(userId, code);
+
+        if (!valid) {
+            return res.status(401).json({ error: recovery_code ? 'Invalid recovery code' : 'Invalid code' });
+        }
+
+        const user = await getOne('SELECT * FROM users WHERE id = ?', [userId]);
+        res.json(await sessionService.login(user, req));
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Failed to login' });
+    }
+});
+
+// Exchange a refresh token for new access and refresh tokens
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const result = await sessionService.rotate(refreshToken, req);
+        if (result.error) {
+            return res.status(401).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// Logout: revoke the session behind the refresh token (works with an expired access token)
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (refreshToken) {
+            await sessionService.revokeByRefreshToken(refreshToken);
+        }
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to logout' });
+    }
+});
+
+// Request a password reset link. Always answers the same way so emails can't be probed.
+app.post('/api/auth/forgot-password', authLimiter, validate(forgotPasswordSchema), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const user = await getOne('SELECT id, name, email FROM users WHERE email = ?', [email]);
+        if (user) {
+            const token = await authTokenService.issue(user.id, 'password_reset');
+            await mailService.sendPasswordReset(user, token, authTokenService.ttlMinutes('password_reset'));
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to send reset link' });
+    }
+});
+
+// Set a new password with a reset token; signs the user out of every device
+app.post('/api/auth/reset-password', authLimiter, validate(resetPasswordSchema), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const userId = await authTokenService.consume(token, 'password_reset');
+        if (!userId) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const before = await getOne('SELECT id, email, password, email_verified_at FROM users WHERE id = ?', [userId]);
+        // Receiving the reset email also proves the address
+        await runQuery(
+            'UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [hashedPassword, userId]
+        );
+        await sessionService.revokeAllForUser(userId, 'password_reset');
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: userId,
+            before,
+            after: await getOne('SELECT id, email, password, email_verified_at FROM users WHERE id = ?', [userId]),
+            actor: before
+        });
+
+        res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', validate(verifyEmailSchema), async (req, res) => {
+    try {
+        const userId = await authTokenService.consume(req.body.token, 'email_verification');
+        if (!userId) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
+
+        const before = await getOne('SELECT id, email, email_verified_at FROM users WHERE id = ?', [userId]);
+        await runQuery(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [userId]
+        );
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'user',
+            entityId: userId,
+            before,
+            after: await getOne('SELECT id, email, email_verified_at FROM users WHERE id = ?', [userId]),
+            actor: before
+        });
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// Send a fresh verification email to the current user
+app.post('/api/auth/resend-verification', authLimiter, authenticateSession, async (req, res) => {
+    try {
+        const user = await getOne('SELECT id, name, email, email_verified_at FROM users WHERE id = ?', [req.user.id]);
+
+        if (user.email_verified_at) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
+
+        const token = await authTokenService.issue(user.id, 'email_verification');
+        await mailService.sendEmailVerification(user, token);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// List the current user's active sessions (one per signed-in device)
+app.get('/api/auth/sessions', authenticateSession, async (req, res) => {
+    try {
+        const sessions = await sessionService.listActive(req.user.id);
+        res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Revoke one of the current user's sessions (sign out that device)
+app.delete('/api/auth/sessions/:id', authenticateSession, async (req, res) => {
+    try {
+        const revoked = await sessionService.revoke(req.params.id, 'revoked', req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found or unauthorized' });
+        }
+        await activityService.record(req, {
+            action: 'delete',
+            entityType: 'session',
+            entityId: parseInt(req.params.id, 10),
+            parent: { type: 'user', id: req.user.id }
+        });
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// ============================================
+// USERS ROUTES
+// ============================================
+
+// List users (for assignee pickers)
+app.get('/api/users', authenticateToken, requirePermission('user:read'), async (req, res) => {
+    try {
+        const users = await getAll('SELECT id, name, email, role FROM users ORDER BY name ASC');
+        res.json(users);
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
 // ============================================
 // QUARTERLY GOALS ROUTES
 // ============================================
 
-// Get all quarterly goals for current user
-app.get('/api/quarterly-goals', authenticateToken, async (req, res) => {
+// Sorting and filters accepted by GET /api/quarterly-goals
+const GOAL_LIST = {
+    id: 'qg.id',
+    sorts: {
+        quarter: 'qg.year * 10 + qg.quarter',
+        created_at: 'qg.created_at',
+        title: 'qg.title',
+        progress: 'qg.progress',
+        status: 'qg.status'
+    },
+    defaultSort: '-quarter',
+    filters: {
+        status: { column: 'qg.status', type: 'enum', values: ['pending', 'in_progress', 'completed', 'cancelled'] },
+        quarter: { column: 'qg.quarter', type: 'integer' },
+        year: { column: 'qg.year', type: 'integer' }
+    }
+};
+
+// Get quarterly goals for current user (paginated)
+app.get('/api/quarterly-goals', authenticateToken, requirePermission('goal:read'), async (req, res) => {
     try {
-        const goals = await getAll(
-            'SELECT * FROM quarterly_goals WHERE user_id = ? ORDER BY year DESC, quarter DESC',
-            [req.user.id]
+        const list = listQueryService.parse(req.query, GOAL_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        let conditions = ['qg.deleted_at IS NULL', 'qg.user_id = ?'];
+        let params = [req.user.id];
+
+        // Leads can list the goals of everyone in their team
+        if (req.query.team_id) {
+            const memberIds = await resolveTeamFilter(req, res);
+            if (!memberIds) return;
+            conditions = ['qg.deleted_at IS NULL', 'qg.user_id = ANY(?)'];
+            params = [memberIds];
+        }
+
+        const page = await listQueryService.fetchPage(
+            { select: 'qg.*', from: 'quarterly_goals qg', conditions, params },
+            GOAL_LIST,
+            list
         );
-        res.json(goals);
+        res.json(page);
     } catch (error) {
         console.error('Error fetching goals:', error);
         res.status(500).json({ error: 'Failed to fetch goals' });
     }
 });
 
+// Whole quarter as a tree: goals → plans → tasks, plus plans not linked to a goal
+// (?quarter=&year=, defaulting to the current quarter; ?team_id= for leads)
+app.get('/api/quarterly-goals/tree', authenticateToken, requirePermission('goal:read'), async (req, res) => {
+    try {
+        const now = new Date();
+        const quarter = req.query.quarter ? parseInt(req.query.quarter, 10) : Math.floor(now.getMonth() / 3) + 1;
+        const year = req.query.year ? parseInt(req.query.year, 10) : now.getFullYear();
+
+        if (!(quarter >= 1 && quarter <= 4) || !Number.isInteger(year)) {
+            return res.status(400).json({ error: 'quarter must be 1-4 and year a number' });
+        }
+
+        let userIds = [req.user.id];
+        if (req.query.team_id) {
+            userIds = await resolveTeamFilter(req, res);
+            if (!userIds) return;
+        }
+
+        res.json(await hierarchyService.getQuarterTree(userIds, quarter, year));
+    } catch (error) {
+        console.error('Error fetching quarter tree:', error);
+        res.status(500).json({ error: 'Failed to fetch quarter tree' });
+    }
+});
+
 // Create quarterly goal
-app.post('/api/quarterly-goals', authenticateToken, validate(goalSchema), async (req, res) => {
+app.post('/api/quarterly-goals', authenticateToken, requirePermission('goal:create'), validate(goalSchema), async (req, res) => {
     try {
-        const { title, description, quarter, year, status, progress } = req.body;
+        const { title, description, quarter, year, status, progress, progress_mode, progress_weighting } = req.body;
 
         if (!title || !quarter || !year) {
             return res.status(400).json({ error: 'Title, quarter, and year are required' });
         }
 
         const result = await runQuery(
-            'INSERT INTO quarterly_goals (user_id, title, description, quarter, year, status, progress) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [req.user.id, title, description, quarter, year, status || 'pending', progress || 0]
+            `INSERT INTO quarterly_goals (user_id, title, description, quarter, year, status, progress, progress_mode, progress_weighting)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, title, description, quarter, year, status || 'pending', progress || 0, progress_mode || 'manual', progress_weighting || 'count']
         );
 
+        await progressService.recalculateGoal(result.id);
+        await recordItemChange(req, 'goal', result.id, null);
+
         res.status(201).json({
             message: 'Quarterly goal created successfully',
             id: result.id
@@ -296,12 +955,15 @@ app.post('/api/quarterly-goals', authenticateToken, validate(goalSchema), async
 });
 
 // Update quarterly goal
-app.put('/api/quarterly-goals/:id', authenticateToken, async (req, res) => {
+app.put('/api/quarterly-goals/:id', authenticateToken, requirePermission('goal:update'), validate(goalUpdateSchema), async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, description, quarter, year, status, progress } = req.body;
+        const { title, description, quarter, year, status, progress, progress_mode, progress_weighting } = req.body;
 
-        const result = await runQuery(
+        const goal = await findWritableRow(req, res, 'quarterly_goals', 'goal:update:any', 'Goal');
+        if (!goal) return;
+
+        const updated = await getOne(
             `UPDATE quarterly_goals 
        SET title = COALESCE(?, title),
            description = COALESCE(?, description),
@@ -309,15 +971,24 @@ app.put('/api/quarterly-goals/:id', authenticateToken, async (req, res) => {
            year = COALESCE(?, year),
            status = COALESCE(?, status),
            progress = COALESCE(?, progress),
+           progress_mode = COALESCE(?, progress_mode),
+           progress_weighting = COALESCE(?, progress_weighting),
+           version = version + 1,
            updated_at = CURRENT_TIMESTAMP
-       WHERE id = ? AND user_id = ?`,
-            [title, description, quarter, year, status, progress, id, req.user.id]
+       WHERE id = ? AND version = ?
+       RETURNING version`,
+            [title, description, quarter, year, status, progress, progress_mode, progress_weighting, id, goal.version]
         );
 
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Goal not found or unauthorized' });
+        if (!updated) {
+            return sendLostUpdate(res, 'quarterly_goals', id);
         }
 
+        // Automatic goals overwrite any typed progress with the roll-up
+        await progressService.recalculateGoal(id);
+        await recordItemChange(req, 'goal', goal.id, goal);
+
+        setETag(res, updated);
         res.json({ message: 'Goal updated successfully' });
     } catch (error) {
         console.error('Error updating goal:', error);
@@ -325,69 +996,246 @@ app.put('/api/quarterly-goals/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Delete quarterly goal
-app.delete('/api/quarterly-goals/:id', authenticateToken, async (req, res) => {
+// Partially update a quarterly goal: only the fields sent change, null clears description
+app.patch('/api/quarterly-goals/:id', authenticateToken, requirePermission('goal:update'), validate(goalPatchSchema), async (req, res) => {
     try {
         const { id } = req.params;
 
-        const result = await runQuery(
-            'DELETE FROM quarterly_goals WHERE id = ? AND user_id = ?',
-            [id, req.user.id]
+        const goal = await findWritableRow(req, res, 'quarterly_goals', 'goal:update:any', 'Goal');
+        if (!goal) return;
+
+        const patch = buildPatch(req.body, GOAL_PATCH_COLUMNS);
+        const updated = await getOne(
+            `UPDATE quarterly_goals SET ${patch.assignments} WHERE id = ? AND version = ? RETURNING id`,
+            [...patch.params, id, goal.version]
         );
 
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Goal not found or unauthorized' });
+        if (!updated) {
+            return sendLostUpdate(res, 'quarterly_goals', id);
         }
 
-        res.json({ message: 'Goal deleted successfully' });
+        await progressService.recalculateGoal(id);
+        await recordItemChange(req, 'goal', goal.id, goal);
+
+        const result = await getOne('SELECT * FROM quarterly_goals WHERE id = ?', [id]);
+        setETag(res, result);
+        res.json(result);
     } catch (error) {
-        console.error('Error deleting goal:', error);
-        res.status(500).json({ error: 'Failed to delete goal' });
+        console.error('Error updating goal:', error);
+        res.status(500).json({ error: 'Failed to update goal' });
     }
 });
 
-// ============================================
-// MONTHLY PLANS ROUTES
-// ============================================
-
-// Get all monthly plans for current user
-app.get('/api/monthly-plans', authenticateToken, async (req, res) => {
+// Get one quarterly goal with its monthly plans
+app.get('/api/quarterly-goals/:id', authenticateToken, requirePermission('goal:read'), async (req, res) => {
     try {
-        const { quarterly_goal_id } = req.query;
-
-        let query = 'SELECT * FROM monthly_plans WHERE user_id = ?';
-        let params = [req.user.id];
+        const goal = await getOne(
+            `SELECT qg.*, u.name as owner_name
+       FROM quarterly_goals qg
+       JOIN users u ON qg.user_id = u.id
+       WHERE qg.id = ? AND qg.deleted_at IS NULL`,
+            [req.params.id]
+        );
 
-        if (quarterly_goal_id) {
-            query += ' AND quarterly_goal_id = ?';
-            params.push(quarterly_goal_id);
+        if (!goal || !(await teamService.canViewWorkOf(req.user, goal.user_id))) {
+            return res.status(404).json({ error: 'Goal not found or unauthorized' });
         }
 
-        query += ' ORDER BY year DESC, month DESC';
+        goal.plans = await getAll(
+            `SELECT id, title, month, year, status, progress
+       FROM monthly_plans
+       WHERE quarterly_goal_id = ? AND deleted_at IS NULL
+       ORDER BY year, month, id`,
+            [goal.id]
+        );
+
+        // Where a quarter rollover carried it from, or carried a copy of it to
+        Object.assign(goal, await rolloverService.lineage('goal', goal.id));
 
-        const plans = await getAll(query, params);
-        res.json(plans);
+        setETag(res, goal);
+        res.json(goal);
     } catch (error) {
-        console.error('Error fetching plans:', error);
-        res.status(500).json({ error: 'Failed to fetch plans' });
+        console.error('Error fetching goal:', error);
+        res.status(500).json({ error: 'Failed to fetch goal' });
     }
 });
 
-// Create monthly plan
-app.post('/api/monthly-plans', authenticateToken, validate(planSchema), async (req, res) => {
+// Progress roll-up for a goal: each plan's task totals, weight and computed progress
+app.get('/api/quarterly-goals/:id/progress', authenticateToken, requirePermission('goal:read'), async (req, res) => {
     try {
-        const { title, description, month, year, quarterly_goal_id, status, progress } = req.body;
+        const goal = await getOne('SELECT * FROM quarterly_goals WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
 
-        if (!title || !month || !year) {
-            return res.status(400).json({ error: 'Title, month, and year are required' });
+        if (!goal || !(await teamService.canViewWorkOf(req.user, goal.user_id))) {
+            return res.status(404).json({ error: 'Goal not found or unauthorized' });
         }
 
-        const result = await runQuery(
-            'INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year, status, progress) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-            [req.user.id, quarterly_goal_id || null, title, description, month, year, status || 'pending', progress || 0]
-        );
-
-        res.status(201).json({
+        res.json(await progressService.getBreakdown(goal));
+    } catch (error) {
+        console.error('Error fetching goal progress:', error);
+        res.status(500).json({ error: 'Failed to fetch goal progress' });
+    }
+});
+
+// One goal with its plans and their tasks, with totals at each level
+app.get('/api/quarterly-goals/:id/tree', authenticateToken, requirePermission('goal:read'), async (req, res) => {
+    try {
+        const goal = await getOne('SELECT * FROM quarterly_goals WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+
+        if (!goal || !(await teamService.canViewWorkOf(req.user, goal.user_id))) {
+            return res.status(404).json({ error: 'Goal not found or unauthorized' });
+        }
+
+        res.json(await hierarchyService.getGoalTree(goal));
+    } catch (error) {
+        console.error('Error fetching goal tree:', error);
+        res.status(500).json({ error: 'Failed to fetch goal tree' });
+    }
+});
+
+// Move a quarterly goal to the trash, with its plans and their tasks
+app.delete('/api/quarterly-goals/:id', authenticateToken, requirePermission('goal:delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const goal = await findWritableRow(req, res, 'quarterly_goals', 'goal:delete:any', 'Goal');
+        if (!goal) return;
+
+        const trashed = await trashService.moveToTrash('goal', goal, req.user.id);
+        if (!trashed) {
+            return sendLostUpdate(res, 'quarterly_goals', id);
+        }
+
+        await afterMoveToTrash(req, 'goal', goal, trashed);
+
+        res.json({
+            message: 'Goal moved to trash',
+            plans: trashed.plans.length,
+            tasks: trashed.tasks.length,
+            purge_at: trashService.purgeAt(trashed.item)
+        });
+    } catch (error) {
+        console.error('Error deleting goal:', error);
+        res.status(500).json({ error: 'Failed to delete goal' });
+    }
+});
+
+// ============================================
+// MONTHLY PLANS ROUTES
+// ============================================
+
+// Sorting and filters accepted by GET /api/monthly-plans
+const PLAN_LIST = {
+    id: 'mp.id',
+    sorts: {
+        month: 'mp.year * 100 + mp.month',
+        created_at: 'mp.created_at',
+        title: 'mp.title',
+        progress: 'mp.progress',
+        status: 'mp.status'
+    },
+    defaultSort: '-month',
+    filters: {
+        status: { column: 'mp.status', type: 'enum', values: ['pending', 'in_progress', 'completed', 'cancelled'] },
+        month: { column: 'mp.month', type: 'integer' },
+        quarter: { column: '((mp.month - 1) / 3 + 1)', type: 'integer' },
+        year: { column: 'mp.year', type: 'integer' },
+        quarterly_goal_id: { column: 'mp.quarterly_goal_id', type: 'integer' }
+    }
+};
+
+// Get monthly plans for current user (paginated)
+app.get('/api/monthly-plans', authenticateToken, requirePermission('plan:read'), async (req, res) => {
+    try {
+        const list = listQueryService.parse(req.query, PLAN_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        let conditions = ['mp.deleted_at IS NULL', 'mp.user_id = ?'];
+        let params = [req.user.id];
+
+        // Leads can list the plans of everyone in their team
+        if (req.query.team_id) {
+            const memberIds = await resolveTeamFilter(req, res);
+            if (!memberIds) return;
+            conditions = ['mp.deleted_at IS NULL', 'mp.user_id = ANY(?)'];
+            params = [memberIds];
+        }
+
+        const page = await listQueryService.fetchPage(
+            { select: 'mp.*', from: 'monthly_plans mp', conditions, params },
+            PLAN_LIST,
+            list
+        );
+        res.json(page);
+    } catch (error) {
+        console.error('Error fetching plans:', error);
+        res.status(500).json({ error: 'Failed to fetch plans' });
+    }
+});
+
+// Get one monthly plan with its parent goal and weekly tasks
+app.get('/api/monthly-plans/:id', authenticateToken, requirePermission('plan:read'), async (req, res) => {
+    try {
+        const plan = await getOne(
+            `SELECT mp.*, u.name as owner_name
+       FROM monthly_plans mp
+       JOIN users u ON mp.user_id = u.id
+       WHERE mp.id = ? AND mp.deleted_at IS NULL`,
+            [req.params.id]
+        );
+
+        if (!plan || !(await teamService.canViewWorkOf(req.user, plan.user_id))) {
+            return res.status(404).json({ error: 'Plan not found or unauthorized' });
+        }
+
+        plan.goal = plan.quarterly_goal_id
+            ? await getOne(
+                'SELECT id, title, quarter, year, status, progress FROM quarterly_goals WHERE id = ? AND deleted_at IS NULL',
+                [plan.quarterly_goal_id]
+            )
+            : null;
+
+        plan.tasks = await getAll(
+            `SELECT wt.id, wt.title, wt.week_number, wt.year, wt.priority, wt.status, wt.due_date,
+              wt.estimated_hours, wt.actual_hours, wt.assigned_to, au.name as assignee_name
+       FROM weekly_tasks wt
+       LEFT JOIN users au ON wt.assigned_to = au.id
+       WHERE wt.monthly_plan_id = ? AND wt.deleted_at IS NULL
+       ORDER BY wt.year, wt.week_number, wt.id`,
+            [plan.id]
+        );
+
+        // Where a quarter rollover carried it from, or carried a copy of it to
+        Object.assign(plan, await rolloverService.lineage('plan', plan.id));
+
+        setETag(res, plan);
+        res.json(plan);
+    } catch (error) {
+        console.error('Error fetching plan:', error);
+        res.status(500).json({ error: 'Failed to fetch plan' });
+    }
+});
+
+// Create monthly plan
+app.post('/api/monthly-plans', authenticateToken, requirePermission('plan:create'), validate(planSchema), async (req, res) => {
+    try {
+        const { title, description, month, year, quarterly_goal_id, status, progress } = req.body;
+
+        if (!title || !month || !year) {
+            return res.status(400).json({ error: 'Title, month, and year are required' });
+        }
+        if (quarterly_goal_id && !(await findEditableParent(req, res, 'goal', quarterly_goal_id))) return;
+
+        const result = await runQuery(
+            'INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year, status, progress) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [req.user.id, quarterly_goal_id || null, title, description, month, year, status || 'pending', progress || 0]
+        );
+
+        await progressService.recalculateForPlans([result.id]);
+        await recordItemChange(req, 'plan', result.id, null);
+
+        res.status(201).json({
             message: 'Monthly plan created successfully',
             id: result.id
         });
@@ -398,12 +1246,18 @@ app.post('/api/monthly-plans', authenticateToken, validate(planSchema), async (r
 });
 
 // Update monthly plan
-app.put('/api/monthly-plans/:id', authenticateToken, async (req, res) => {
+app.put('/api/monthly-plans/:id', authenticateToken, requirePermission('plan:update'), validate(planUpdateSchema), async (req, res) => {
     try {
         const { id } = req.params;
         const { title, description, month, year, status, progress, quarterly_goal_id } = req.body;
 
-        const result = await runQuery(
+        const plan = await findWritableRow(req, res, 'monthly_plans', 'plan:update:any', 'Plan');
+        if (!plan) return;
+
+        const goalChanged = quarterly_goal_id && Number(quarterly_goal_id) !== plan.quarterly_goal_id;
+        if (goalChanged && !(await findEditableParent(req, res, 'goal', quarterly_goal_id))) return;
+
+        const updated = await getOne(
             `UPDATE monthly_plans 
        SET title = COALESCE(?, title),
            description = COALESCE(?, description),
@@ -412,15 +1266,25 @@ app.put('/api/monthly-plans/:id', authenticateToken, async (req, res) => {
            status = COALESCE(?, status),
            progress = COALESCE(?, progress),
            quarterly_goal_id = COALESCE(?, quarterly_goal_id),
+           version = version + 1,
            updated_at = CURRENT_TIMESTAMP
-       WHERE id = ? AND user_id = ?`,
-            [title, description, month, year, status, progress, quarterly_goal_id, id, req.user.id]
+       WHERE id = ? AND version = ?
+       RETURNING version`,
+            [title, description, month, year, status, progress, quarterly_goal_id, id, plan.version]
         );
 
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Plan not found or unauthorized' });
+        if (!updated) {
+            return sendLostUpdate(res, 'monthly_plans', id);
+        }
+
+        // Roll up into the new goal, and out of the old one when the plan moved
+        await progressService.recalculateForPlans([id]);
+        if (plan.quarterly_goal_id) {
+            await progressService.recalculateGoal(plan.quarterly_goal_id);
         }
+        await recordItemChange(req, 'plan', plan.id, plan);
 
+        setETag(res, updated);
         res.json({ message: 'Plan updated successfully' });
     } catch (error) {
         console.error('Error updating plan:', error);
@@ -428,252 +1292,2101 @@ app.put('/api/monthly-plans/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Delete monthly plan
-app.delete('/api/monthly-plans/:id', authenticateToken, async (req, res) => {
+// Partially update a monthly plan: only the fields sent change, null clears
+// description or unlinks the goal
+app.patch('/api/monthly-plans/:id', authenticateToken, requirePermission('plan:update'), validate(planPatchSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const plan = await findWritableRow(req, res, 'monthly_plans', 'plan:update:any', 'Plan');
+        if (!plan) return;
+
+        const { quarterly_goal_id } = req.body;
+        const goalChanged = quarterly_goal_id && Number(quarterly_goal_id) !== plan.quarterly_goal_id;
+        if (goalChanged && !(await findEditableParent(req, res, 'goal', quarterly_goal_id))) return;
+
+        const patch = buildPatch(req.body, PLAN_PATCH_COLUMNS);
+        const updated = await getOne(
+            `UPDATE monthly_plans SET ${patch.assignments} WHERE id = ? AND version = ? RETURNING *`,
+            [...patch.params, id, plan.version]
+        );
+
+        if (!updated) {
+            return sendLostUpdate(res, 'monthly_plans', id);
+        }
+
+        // Roll up into the new goal, and out of the old one when the plan moved
+        await progressService.recalculateForPlans([id]);
+        if (plan.quarterly_goal_id && plan.quarterly_goal_id !== updated.quarterly_goal_id) {
+            await progressService.recalculateGoal(plan.quarterly_goal_id);
+        }
+        await recordItemChange(req, 'plan', plan.id, plan);
+
+        const result = await getOne('SELECT * FROM monthly_plans WHERE id = ?', [id]);
+        setETag(res, result);
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating plan:', error);
+        res.status(500).json({ error: 'Failed to update plan' });
+    }
+});
+
+// Move a monthly plan to the trash, with its tasks
+app.delete('/api/monthly-plans/:id', authenticateToken, requirePermission('plan:delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const plan = await findWritableRow(req, res, 'monthly_plans', 'plan:delete:any', 'Plan');
+        if (!plan) return;
+
+        const trashed = await trashService.moveToTrash('plan', plan, req.user.id);
+        if (!trashed) {
+            return sendLostUpdate(res, 'monthly_plans', id);
+        }
+
+        if (plan.quarterly_goal_id) {
+            await progressService.recalculateGoal(plan.quarterly_goal_id);
+        }
+        await afterMoveToTrash(req, 'plan', plan, trashed);
+
+        res.json({
+            message: 'Plan moved to trash',
+            tasks: trashed.tasks.length,
+            purge_at: trashService.purgeAt(trashed.item)
+        });
+    } catch (error) {
+        console.error('Error deleting plan:', error);
+        res.status(500).json({ error: 'Failed to delete plan' });
+    }
+});
+
+// ============================================
+// WEEKLY TASKS ROUTES
+// ============================================
+
+// Sorting and filters accepted by GET /api/weekly-tasks
+const TASK_LIST = {
+    id: 'wt.id',
+    sorts: {
+        due_date: "COALESCE(wt.due_date, DATE '9999-12-31')",
+        priority: "CASE wt.priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END",
+        week: 'wt.year * 100 + wt.week_number',
+        created_at: 'wt.created_at',
+        title: 'wt.title',
+        status: 'wt.status'
+    },
+    defaultSort: 'due_date',
+    filters: {
+        status: { column: 'wt.status', type: 'enum', values: ['pending', 'in_progress', 'completed', 'cancelled'] },
+        priority: { column: 'wt.priority', type: 'enum', values: ['low', 'medium', 'high'] },
+        is_urgent: { column: 'wt.is_urgent', type: 'boolean' },
+        due_before: { column: 'wt.due_date', type: 'date', op: '<=' },
+        due_after: { column: 'wt.due_date', type: 'date', op: '>=' },
+        week_number: { column: 'wt.week_number', type: 'integer' },
+        year: { column: 'wt.year', type: 'integer' },
+        monthly_plan_id: { column: 'wt.monthly_plan_id', type: 'integer' }
+    }
+};
+
+// Get weekly tasks for current user (paginated)
+app.get('/api/weekly-tasks', authenticateToken, requirePermission('task:read'), async (req, res) => {
+    try {
+        const { assignee } = req.query;
+
+        const list = listQueryService.parse(req.query, TASK_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const conditions = ['wt.deleted_at IS NULL'];
+        const params = [];
+
+        // assignee=me or assignee=<user id> narrows to tasks assigned to that user
+        if (assignee) {
+            const assigneeId = assignee === 'me' ? req.user.id : parseInt(assignee, 10);
+            if (!Number.isInteger(assigneeId)) {
+                return res.status(400).json({ error: 'assignee must be "me" or a user id' });
+            }
+            conditions.push('wt.assigned_to = ?');
+            params.push(assigneeId);
+        }
+
+        if (req.query.team_id) {
+            // Leads see every task created by or assigned to a member of their team
+            const memberIds = await resolveTeamFilter(req, res);
+            if (!memberIds) return;
+            conditions.push('(wt.user_id = ANY(?) OR wt.assigned_to = ANY(?))');
+            params.push(memberIds, memberIds);
+        } else if (!(assignee && await permissionService.can(req.user, 'task:read:any'))) {
+            // Users see tasks they created or were assigned; task:read:any may look up anyone's assignments
+            conditions.push('(wt.user_id = ? OR wt.assigned_to = ?)');
+            params.push(req.user.id, req.user.id);
+        }
+
+        const page = await listQueryService.fetchPage(
+            {
+                select: `wt.*, au.name as assignee_name, ${dependencyService.dependsOnColumn()},
+              ${checklistService.progressColumns()}`,
+                from: 'weekly_tasks wt LEFT JOIN users au ON wt.assigned_to = au.id',
+                conditions,
+                params
+            },
+            TASK_LIST,
+            list
+        );
+        res.json(page);
+    } catch (error) {
+        console.error('Error fetching tasks:', error);
+        res.status(500).json({ error: 'Failed to fetch tasks' });
+    }
+});
+
+// Get one weekly task with its plan and goal, dependencies and time logs
+app.get('/api/weekly-tasks/:id', authenticateToken, requirePermission('task:read'), async (req, res) => {
+    try {
+        const task = await getOne(
+            `SELECT wt.*, cu.name as creator_name, au.name as assignee_name, ${checklistService.progressColumns()}
+       FROM weekly_tasks wt
+       JOIN users cu ON wt.user_id = cu.id
+       LEFT JOIN users au ON wt.assigned_to = au.id
+       WHERE wt.id = ? AND wt.deleted_at IS NULL`,
+            [req.params.id]
+        );
+
+        if (!task || !(await canViewTask(req.user, task))) {
+            return res.status(404).json({ error: 'Task not found or unauthorized' });
+        }
+
+        task.plan = task.monthly_plan_id
+            ? await getOne(
+                'SELECT id, title, month, year, status, progress, quarterly_goal_id FROM monthly_plans WHERE id = ? AND deleted_at IS NULL',
+                [task.monthly_plan_id]
+            )
+            : null;
+
+        task.goal = task.plan?.quarterly_goal_id
+            ? await getOne(
+                'SELECT id, title, quarter, year, status, progress FROM quarterly_goals WHERE id = ? AND deleted_at IS NULL',
+                [task.plan.quarterly_goal_id]
+            )
+            : null;
+
+        // The tasks this one waits on, and the tasks waiting on this one
+        task.dependencies = await dependencyService.getDependencies(task.id);
+        task.depends_on = task.dependencies.map(blocker => blocker.id);
+        task.dependents = await dependencyService.getDependents(task.id);
+
+        task.time_logs = await getAll(
+            `SELECT tl.id, tl.hours, tl.date, tl.notes, tl.created_at, tl.user_id, u.name as user_name
+       FROM time_logs tl
+       JOIN users u ON tl.user_id = u.id
+       WHERE tl.task_id = ?
+       ORDER BY tl.date DESC, tl.id DESC`,
+            [task.id]
+        );
+
+        // Where a quarter rollover carried it from, or carried a copy of it to
+        Object.assign(task, await rolloverService.lineage('task', task.id));
+
+        setETag(res, task);
+        res.json(task);
+    } catch (error) {
+        console.error('Error fetching task:', error);
+        res.status(500).json({ error: 'Failed to fetch task' });
+    }
+});
+
+// Create weekly task
+app.post('/api/weekly-tasks', authenticateToken, requirePermission('task:create'), validate(taskSchema), async (req, res) => {
+    try {
+        const {
+            title,
+            description,
+            week_number,
+            year,
+            monthly_plan_id,
+            priority = 'medium',
+            estimated_hours = 0,
+            due_date,
+            is_urgent = 0,
+            depends_on,
+            assigned_to
+        } = req.body;
+
+        if (!title || !week_number || !year) {
+            return res.status(400).json({ error: 'Title, week number, and year are required' });
+        }
+
+        if (monthly_plan_id && !(await findEditableParent(req, res, 'plan', monthly_plan_id))) return;
+
+        const dependsOnIds = parseDependsOn(depends_on, true);
+        if (dependsOnIds && !(await checkBlockers(req, res, null, dependsOnIds))) return;
+
+        // Tasks are assigned to their creator unless another assignee is given
+        const assigneeId = assigned_to === undefined ? req.user.id : assigned_to;
+        if (assigneeId && assigneeId !== req.user.id) {
+            if (!(await permissionService.can(req.user, 'task:assign'))) {
+                return res.status(403).json({ error: 'Insufficient permissions', required: 'task:assign' });
+            }
+            const assignee = await getOne('SELECT id FROM users WHERE id = ?', [assigneeId]);
+            if (!assignee) {
+                return res.status(400).json({ error: 'Assignee not found' });
+            }
+        }
+
+        const result = await runQuery(
+            `INSERT INTO weekly_tasks 
+       (user_id, monthly_plan_id, title, description, week_number, year, priority, estimated_hours, due_date, is_urgent, assigned_to, assigned_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, monthly_plan_id || null, title, description, week_number, year, priority, estimated_hours, due_date, is_urgent, assigneeId, assigneeId ? req.user.id : null]
+        );
+
+        if (dependsOnIds?.length > 0) {
+            await dependencyService.setDependencies(result.id, dependsOnIds, req.user.id);
+        }
+
+        await notificationService.notifyTaskAssigned({ title }, assigneeId, req.user);
+        await progressService.recalculateForPlans([monthly_plan_id]);
+        await recordItemChange(req, 'task', result.id, null);
+
+        res.status(201).json({
+            message: 'Weekly task created successfully',
+            id: result.id
+        });
+    } catch (error) {
+        console.error('Error creating task:', error);
+        res.status(500).json({ error: 'Failed to create task' });
+    }
+});
+
+// Update weekly task
+app.put('/api/weekly-tasks/:id', authenticateToken, requirePermission('task:update'), validate(taskUpdateSchema), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            title,
+            description,
+            week_number,
+            year,
+            priority,
+            status,
+            estimated_hours,
+            actual_hours,
+            due_date,
+            is_urgent,
+            depends_on,
+            monthly_plan_id,
+            assigned_to
+        } = req.body;
+
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const reassigning = assigned_to !== undefined && assigned_to !== task.assigned_to;
+        if (reassigning && !(await authorizeReassignment(req, res, task, assigned_to))) return;
+
+        const planChanged = monthly_plan_id && Number(monthly_plan_id) !== task.monthly_plan_id;
+        if (planChanged && !(await findEditableParent(req, res, 'plan', monthly_plan_id))) return;
+
+        const dependsOnIds = parseDependsOn(depends_on, false);
+        if (dependsOnIds && !(await checkBlockers(req, res, task.id, dependsOnIds))) return;
+        if (!(await checkStatusChange(res, task, status, dependsOnIds))) return;
+
+        const before = await loadItemSnapshot('task', task.id);
+        const updated = await getOne(
+            `UPDATE weekly_tasks 
+       SET title = COALESCE(?, title),
+           description = COALESCE(?, description),
+           week_number = COALESCE(?, week_number),
+           year = COALESCE(?, year),
+           priority = COALESCE(?, priority),
+           status = COALESCE(?, status),
+           estimated_hours = COALESCE(?, estimated_hours),
+           actual_hours = COALESCE(?, actual_hours),
+           due_date = COALESCE(?, due_date),
+           is_urgent = COALESCE(?, is_urgent),
+           monthly_plan_id = COALESCE(?, monthly_plan_id),
+           assigned_to = ?,
+           assigned_by = ?,
+           version = version + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND version = ?
+       RETURNING *`,
+            [
+                // Empty strings from forms mean "unchanged", like null
+                title, description, week_number, year, priority, status, estimated_hours, actual_hours,
+                due_date || null, is_urgent, monthly_plan_id || null,
+                reassigning ? assigned_to : task.assigned_to,
+                reassigning ? req.user.id : task.assigned_by,
+                id,
+                task.version
+            ]
+        );
+
+        if (!updated) {
+            return sendLostUpdate(res, 'weekly_tasks', id);
+        }
+
+        if (dependsOnIds) {
+            await dependencyService.setDependencies(task.id, dependsOnIds, req.user.id);
+        }
+
+        if (reassigning) {
+            await notificationService.notifyTaskAssigned(task, assigned_to, req.user);
+        }
+        await notificationService.notifyDependentsOfChange(task, updated, req.user);
+
+        // Status, estimates or the plan may have changed: roll up the old and new plan
+        await progressService.recalculateForPlans([task.monthly_plan_id, monthly_plan_id]);
+        await recordItemChange(req, 'task', task.id, before);
+
+        setETag(res, updated);
+        res.json({ message: 'Task updated successfully' });
+    } catch (error) {
+        console.error('Error updating task:', error);
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+// Partially update a weekly task: only the fields sent change, and null clears
+// description, due_date, depends_on, monthly_plan_id or assigned_to. With ?scope=future
+// the title, description, plan, priority, estimate, urgency and assignee sent also
+// apply to the recurrence and its later pending occurrences.
+app.patch('/api/weekly-tasks/:id', authenticateToken, requirePermission('task:update'), validate(taskPatchSchema), async (req, res) => {
     try {
         const { id } = req.params;
+        const { assigned_to, depends_on, monthly_plan_id, status } = req.body;
+
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const scope = parseScope(req, res, task);
+        if (!scope) return;
+
+        const reassigning = assigned_to !== undefined && assigned_to !== task.assigned_to;
+        if (reassigning && !(await authorizeReassignment(req, res, task, assigned_to))) return;
+
+        const dependsOnIds = parseDependsOn(depends_on, true);
+        if (dependsOnIds && !(await checkBlockers(req, res, task.id, dependsOnIds))) return;
+        if (!(await checkStatusChange(res, task, status, dependsOnIds))) return;
+
+        const planChanged = monthly_plan_id && Number(monthly_plan_id) !== task.monthly_plan_id;
+        if (planChanged && !(await findEditableParent(req, res, 'plan', monthly_plan_id))) return;
+
+        const before = await loadItemSnapshot('task', task.id);
+        const patch = buildPatch(req.body, TASK_PATCH_COLUMNS);
+        if (reassigning) {
+            patch.assignments += ', assigned_to = ?, assigned_by = ?';
+            patch.params.push(assigned_to, req.user.id);
+        }
 
         const result = await runQuery(
-            'DELETE FROM monthly_plans WHERE id = ? AND user_id = ?',
-            [id, req.user.id]
+            `UPDATE weekly_tasks SET ${patch.assignments} WHERE id = ? AND version = ?`,
+            [...patch.params, id, task.version]
         );
 
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Plan not found or unauthorized' });
-        }
+        if (result.changes === 0) {
+            return sendLostUpdate(res, 'weekly_tasks', id);
+        }
+
+        if (dependsOnIds) {
+            await dependencyService.setDependencies(task.id, dependsOnIds, req.user.id);
+        }
+
+        if (reassigning) {
+            await notificationService.notifyTaskAssigned(task, assigned_to, req.user);
+        }
+
+        await progressService.recalculateForPlans([task.monthly_plan_id, monthly_plan_id]);
+        await recordItemChange(req, 'task', task.id, before);
+
+        if (scope === 'future') {
+            await applyToFutureOccurrences(req, task);
+        }
+
+        const updated = await getOne(
+            `SELECT wt.*, au.name as assignee_name, ${dependencyService.dependsOnColumn()},
+              ${checklistService.progressColumns()}
+       FROM weekly_tasks wt
+       LEFT JOIN users au ON wt.assigned_to = au.id
+       WHERE wt.id = ?`,
+            [id]
+        );
+        await notificationService.notifyDependentsOfChange(task, updated, req.user);
+
+        setETag(res, updated);
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating task:', error);
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+// Move a weekly task to the trash. With ?scope=future a recurring task's recurrence
+// ends before it and its later pending occurrences go to the trash too.
+app.delete('/api/weekly-tasks/:id', authenticateToken, requirePermission('task:delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const task = await findWritableRow(req, res, 'weekly_tasks', 'task:delete:any', 'Task');
+        if (!task) return;
+
+        const scope = parseScope(req, res, task);
+        if (!scope) return;
+
+        const before = await loadItemSnapshot('task', task.id);
+        const trashed = await trashService.moveToTrash('task', task, req.user.id);
+        if (!trashed) {
+            return sendLostUpdate(res, 'weekly_tasks', id);
+        }
+
+        await progressService.recalculateForPlans([task.monthly_plan_id]);
+        await afterMoveToTrash(req, 'task', before, trashed);
+
+        if (scope === 'future') {
+            const recurrence = await recurrenceService.get(task.recurrence_id);
+            const { rrule, stale } = await recurrenceService.endBefore(recurrence, recurrenceService.occurrenceOf(task));
+            await trashOccurrences(req, stale);
+            await recordRecurrenceChange(req, task, recurrence, { rrule: recurrence.rrule }, { rrule });
+
+            return res.json({
+                message: 'Task and its later occurrences moved to trash',
+                occurrences: stale.length,
+                purge_at: trashService.purgeAt(trashed.item)
+            });
+        }
+
+        res.json({ message: 'Task moved to trash', purge_at: trashService.purgeAt(trashed.item) });
+    } catch (error) {
+        console.error('Error deleting task:', error);
+        res.status(500).json({ error: 'Failed to delete task' });
+    }
+});
+
+// ============================================
+// TASK DEPENDENCIES ROUTES
+// ============================================
+
+// Dependency changes count as edits of the waiting task: bump its version (guarded like
+// other writes) and send the new ETag. Sends 412 itself and returns false on a lost race.
+const bumpTaskVersion = async (res, task) => {
+    const updated = await getOne(
+        `UPDATE weekly_tasks SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND version = ?
+       RETURNING version`,
+        [task.id, task.version]
+    );
+
+    if (!updated) {
+        await sendLostUpdate(res, 'weekly_tasks', task.id);
+        return false;
+    }
+    setETag(res, updated);
+    return true;
+};
+
+// Tasks a task waits on and tasks waiting on it
+app.get('/api/weekly-tasks/:id/dependencies', authenticateToken, requirePermission('task:read'), async (req, res) => {
+    try {
+        const task = await getOne('SELECT * FROM weekly_tasks WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+
+        if (!task || !(await canViewTask(req.user, task))) {
+            return res.status(404).json({ error: 'Task not found or unauthorized' });
+        }
+
+        res.json({
+            dependencies: await dependencyService.getDependencies(task.id),
+            dependents: await dependencyService.getDependents(task.id),
+            enforced: await dependencyService.isEnforced()
+        });
+    } catch (error) {
+        console.error('Error fetching dependencies:', error);
+        res.status(500).json({ error: 'Failed to fetch dependencies' });
+    }
+});
+
+// Make a task wait on another (or change the type of an existing dependency)
+app.post('/api/weekly-tasks/:id/dependencies', authenticateToken, requirePermission('task:update'), validate(taskDependencySchema), async (req, res) => {
+    try {
+        const { depends_on_task_id, type = 'finish_to_start' } = req.body;
+
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        if (!(await checkBlockers(req, res, task.id, [depends_on_task_id]))) return;
+
+        const before = await loadItemSnapshot('task', task.id);
+        if (!(await bumpTaskVersion(res, task))) return;
+
+        await dependencyService.addDependency(task.id, depends_on_task_id, type, req.user.id);
+        await recordItemChange(req, 'task', task.id, before);
+
+        res.status(201).json({
+            message: 'Dependency added successfully',
+            dependencies: await dependencyService.getDependencies(task.id)
+        });
+    } catch (error) {
+        console.error('Error adding dependency:', error);
+        res.status(500).json({ error: 'Failed to add dependency' });
+    }
+});
+
+// Stop a task waiting on another
+app.delete('/api/weekly-tasks/:id/dependencies/:dependsOnId', authenticateToken, requirePermission('task:update'), async (req, res) => {
+    try {
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const dependsOnId = parseInt(req.params.dependsOnId, 10);
+        const exists = await getOne(
+            'SELECT id FROM task_dependencies WHERE task_id = ? AND depends_on_task_id = ?',
+            [task.id, Number.isInteger(dependsOnId) ? dependsOnId : 0]
+        );
+        if (!exists) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        const before = await loadItemSnapshot('task', task.id);
+        if (!(await bumpTaskVersion(res, task))) return;
+        await dependencyService.removeDependency(task.id, dependsOnId);
+        await recordItemChange(req, 'task', task.id, before);
+
+        res.json({
+            message: 'Dependency removed successfully',
+            dependencies: await dependencyService.getDependencies(task.id)
+        });
+    } catch (error) {
+        console.error('Error removing dependency:', error);
+        res.status(500).json({ error: 'Failed to remove dependency' });
+    }
+});
+
+// Every task linked to this one through dependencies, for drawing the graph.
+// Tasks the user cannot open are shown without their title.
+app.get('/api/weekly-tasks/:id/dependency-graph', authenticateToken, requirePermission('task:read'), async (req, res) => {
+    try {
+        const task = await getOne('SELECT * FROM weekly_tasks WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+
+        if (!task || !(await canViewTask(req.user, task))) {
+            return res.status(404).json({ error: 'Task not found or unauthorized' });
+        }
+
+        const graph = await dependencyService.getGraph(task.id);
+        const nodes = [];
+        for (const { user_id, assigned_to, ...node } of graph.nodes) {
+            const visible = await canViewTask(req.user, { user_id, assigned_to });
+            nodes.push(visible ? node : { ...node, title: null, hidden: true });
+        }
+
+        res.json({ ...graph, nodes });
+    } catch (error) {
+        console.error('Error fetching dependency graph:', error);
+        res.status(500).json({ error: 'Failed to fetch dependency graph' });
+    }
+});
+
+// ============================================
+// TASK CHECKLIST ROUTES
+// ============================================
+
+// A task's checklist with its progress, as returned by every checklist route
+const sendChecklist = async (res, task, status = 200, extra = {}) => {
+    const items = await checklistService.getItems(task.id);
+    res.status(status).json({ ...extra, items, progress: checklistService.summarize(task, items) });
+};
+
+// Checklist item assignees must be existing users. Sends the 400 itself and returns false.
+const checkItemAssignee = async (res, assignedTo) => {
+    if (!assignedTo || await getOne('SELECT id FROM users WHERE id = ?', [assignedTo])) return true;
+    res.status(400).json({ error: 'Assignee not found' });
+    return false;
+};
+
+// Get a task's checklist
+app.get('/api/weekly-tasks/:id/checklist', authenticateToken, requirePermission('task:read'), async (req, res) => {
+    try {
+        const task = await getOne('SELECT * FROM weekly_tasks WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+
+        if (!task || !(await canViewTask(req.user, task))) {
+            return res.status(404).json({ error: 'Task not found or unauthorized' });
+        }
+
+        await sendChecklist(res, task);
+    } catch (error) {
+        console.error('Error fetching checklist:', error);
+        res.status(500).json({ error: 'Failed to fetch checklist' });
+    }
+});
+
+// Add an item at the end of a task's checklist
+app.post('/api/weekly-tasks/:id/checklist', authenticateToken, requirePermission('task:update'), validate(checklistItemSchema), async (req, res) => {
+    try {
+        const { assigned_to } = req.body;
+
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        if (await checklistService.countItems(task.id) >= checklistService.maxItems) {
+            return res.status(400).json({ error: `A task can have at most ${checklistService.maxItems} checklist items` });
+        }
+        if (!(await checkItemAssignee(res, assigned_to))) return;
+
+        const id = await checklistService.addItem(task.id, req.body, req.user.id);
+        await notificationService.notifyChecklistItemAssigned(task, req.body, assigned_to, req.user);
+        await activityService.record(req, {
+            action: 'create',
+            entityType: 'checklist_item',
+            entityId: id,
+            parent: { type: 'task', id: task.id },
+            after: await checklistService.getItem(task.id, id)
+        });
+
+        await sendChecklist(res, task, 201, { message: 'Checklist item added successfully', id });
+    } catch (error) {
+        console.error('Error adding checklist item:', error);
+        res.status(500).json({ error: 'Failed to add checklist item' });
+    }
+});
+
+// Reorder a task's checklist: item_ids lists every item once, in the new order
+app.put('/api/weekly-tasks/:id/checklist/order', authenticateToken, requirePermission('task:update'), validate(checklistOrderSchema), async (req, res) => {
+    try {
+        const { item_ids } = req.body;
+
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const items = await checklistService.getItems(task.id);
+        if (item_ids.length !== items.length || !items.every(item => item_ids.includes(item.id))) {
+            return res.status(400).json({ error: 'item_ids must list every checklist item of the task once' });
+        }
+
+        await checklistService.reorder(task.id, item_ids);
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'task',
+            entityId: task.id,
+            before: { checklist_order: items.map(item => item.id) },
+            after: { checklist_order: item_ids }
+        });
+
+        await sendChecklist(res, task, 200, { message: 'Checklist reordered successfully' });
+    } catch (error) {
+        console.error('Error reordering checklist:', error);
+        res.status(500).json({ error: 'Failed to reorder checklist' });
+    }
+});
+
+// Change a checklist item. Task editors may change anything; the item's
+// assignee may check or uncheck it.
+app.patch('/api/weekly-tasks/:id/checklist/:itemId', authenticateToken, requirePermission('task:update'), validate(checklistItemPatchSchema), async (req, res) => {
+    try {
+        const { assigned_to } = req.body;
+
+        const task = await getOne('SELECT * FROM weekly_tasks WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+        const itemId = parseInt(req.params.itemId, 10);
+        const item = task && Number.isInteger(itemId) ? await checklistService.getItem(task.id, itemId) : null;
+
+        const checksOwnItem = item?.assigned_to === req.user.id && Object.keys(req.body).every(field => field === 'is_done');
+        if (!item || !(checksOwnItem || await canEditTask(req.user, task))) {
+            return res.status(404).json({ error: 'Checklist item not found or unauthorized' });
+        }
+
+        const reassigning = assigned_to !== undefined && assigned_to !== item.assigned_to;
+        if (reassigning && !(await checkItemAssignee(res, assigned_to))) return;
+
+        await checklistService.updateItem(item, req.body, req.user.id);
+        await activityService.record(req, {
+            action: 'update',
+            entityType: 'checklist_item',
+            entityId: item.id,
+            parent: { type: 'task', id: task.id },
+            before: item,
+            after: await checklistService.getItem(task.id, item.id)
+        });
+
+        if (reassigning) {
+            await notificationService.notifyChecklistItemAssigned(task, { ...item, ...req.body }, assigned_to, req.user);
+        }
+
+        await sendChecklist(res, task, 200, { message: 'Checklist item updated successfully' });
+    } catch (error) {
+        console.error('Error updating checklist item:', error);
+        res.status(500).json({ error: 'Failed to update checklist item' });
+    }
+});
+
+// Remove a checklist item
+app.delete('/api/weekly-tasks/:id/checklist/:itemId', authenticateToken, requirePermission('task:update'), async (req, res) => {
+    try {
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const itemId = parseInt(req.params.itemId, 10);
+        const item = Number.isInteger(itemId) ? await checklistService.getItem(task.id, itemId) : null;
+        if (!item) {
+            return res.status(404).json({ error: 'Checklist item not found or unauthorized' });
+        }
+
+        await checklistService.deleteItem(item.id);
+        await activityService.record(req, {
+            action: 'delete',
+            entityType: 'checklist_item',
+            entityId: item.id,
+            parent: { type: 'task', id: task.id },
+            before: item
+        });
+
+        await sendChecklist(res, task, 200, { message: 'Checklist item deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting checklist item:', error);
+        res.status(500).json({ error: 'Failed to delete checklist item' });
+    }
+});
+
+// ============================================
+// TASK RECURRENCE ROUTES
+// ============================================
+
+// Log a change to the recurrence a task belongs to, in the task's history
+const recordRecurrenceChange = async (req, task, recurrence, before, after) => {
+    await activityService.record(req, {
+        action: before ? 'update' : 'create',
+        entityType: 'recurrence',
+        entityId: recurrence.id,
+        parent: { type: 'task', id: task.id },
+        before,
+        after
+    });
+};
+
+// The "this and future" half of a task PATCH: carry the template fields sent over
+// to the task's recurrence and to its later pending occurrences
+const applyToFutureOccurrences = async (req, task) => {
+    const recurrence = await recurrenceService.get(task.recurrence_id);
+    const changed = await recurrenceService.applyToFuture(
+        recurrence, req.body, recurrenceService.occurrenceOf(task), req.user.id
+    );
+
+    const fields = recurrenceService.templateFields.filter(field => req.body[field] !== undefined);
+    await recordRecurrenceChange(
+        req, task, recurrence,
+        Object.fromEntries(fields.map(field => [field, recurrence[field]])),
+        Object.fromEntries(fields.map(field => [field, req.body[field]]))
+    );
+    for (const { id, before, after } of changed) {
+        await activityService.record(req, { action: 'update', entityType: 'task', entityId: id, before, after });
+    }
+
+    await progressService.recalculateForPlans([
+        recurrence.monthly_plan_id, req.body.monthly_plan_id, ...changed.map(change => change.monthly_plan_id)
+    ]);
+};
+
+// Load the recurrence of a task. Sends the 400 itself and returns null when it does not repeat.
+const findRecurrence = async (res, task) => {
+    const recurrence = task.recurrence_id ? await recurrenceService.get(task.recurrence_id) : null;
+    if (!recurrence) {
+        res.status(400).json({ error: 'Task does not repeat' });
+        return null;
+    }
+    return recurrence;
+};
+
+// A task's recurrence with its next occurrences (each with its task, if created, and
+// whether it is skipped) and skipped days; recurrence is null when the task does not repeat
+app.get('/api/weekly-tasks/:id/recurrence', authenticateToken, requirePermission('task:read'), async (req, res) => {
+    try {
+        const task = await findViewableItem(req, res, 'task');
+        if (!task) return;
+
+        const recurrence = task.recurrence_id ? await recurrenceService.get(task.recurrence_id) : null;
+        if (!recurrence) {
+            return res.json({ recurrence: null, occurrence_date: null, upcoming: [], exceptions: [] });
+        }
+
+        res.json({
+            recurrence,
+            occurrence_date: recurrenceService.occurrenceOf(task),
+            upcoming: await recurrenceService.getUpcoming(recurrence),
+            exceptions: await recurrenceService.getExceptions(recurrence.id)
+        });
+    } catch (error) {
+        console.error('Error fetching recurrence:', error);
+        res.status(500).json({ error: 'Failed to fetch recurrence' });
+    }
+});
+
+// Make a task repeat on { rrule }, starting with itself on its due date, or change the
+// rule of a recurring task from this occurrence on. Pending occurrences the new rule
+// no longer has go to the trash.
+app.put('/api/weekly-tasks/:id/recurrence', authenticateToken, requirePermission('task:create'), validate(taskRecurrenceSchema), async (req, res) => {
+    try {
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const { error, rrule } = recurrenceService.parseRule(req.body.rrule);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const recurrence = task.recurrence_id ? await recurrenceService.get(task.recurrence_id) : null;
+        let result;
+        if (recurrence) {
+            result = await recurrenceService.changeRule(recurrence, recurrenceService.occurrenceOf(task), rrule);
+            await trashOccurrences(req, result.stale);
+            if (result.previous) {
+                await recordRecurrenceChange(req, task, recurrence, { rrule: recurrence.rrule }, { rrule: result.previous });
+                await recordRecurrenceChange(req, task, result.recurrence, null, result.recurrence);
+            } else {
+                await recordRecurrenceChange(req, task, recurrence, { rrule: recurrence.rrule }, { rrule });
+            }
+        } else {
+            if (!task.due_date) {
+                return res.status(400).json({ error: 'Give the task a due date first; it becomes the first occurrence' });
+            }
+
+            const before = await loadItemSnapshot('task', task.id);
+            result = await recurrenceService.create(task, rrule, req.user.id);
+            await recordRecurrenceChange(req, task, result.recurrence, null, result.recurrence);
+            await recordItemChange(req, 'task', task.id, before);
+        }
+
+        await afterGenerate(req, result.created);
+
+        res.json({
+            message: recurrence ? 'Recurrence updated successfully' : 'Task now repeats',
+            recurrence: result.recurrence,
+            created: result.created.length,
+            trashed: result.stale?.length || 0
+        });
+    } catch (error) {
+        console.error('Error saving recurrence:', error);
+        res.status(500).json({ error: 'Failed to save recurrence' });
+    }
+});
+
+// Stop repeating after this occurrence; later pending occurrences go to the trash
+app.delete('/api/weekly-tasks/:id/recurrence', authenticateToken, requirePermission('task:update'), async (req, res) => {
+    try {
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const recurrence = await findRecurrence(res, task);
+        if (!recurrence) return;
+
+        const { rrule, stale } = await recurrenceService.end(recurrence, recurrenceService.occurrenceOf(task));
+        await trashOccurrences(req, stale);
+        await recordRecurrenceChange(req, task, recurrence, { rrule: recurrence.rrule }, { rrule });
+
+        res.json({ message: 'Task stops repeating after this occurrence', trashed: stale.length });
+    } catch (error) {
+        console.error('Error ending recurrence:', error);
+        res.status(500).json({ error: 'Failed to stop recurrence' });
+    }
+});
+
+// Skip one occurrence { date } of a recurring task; its task is not created, or goes
+// to the trash if it was created and not started yet
+app.post('/api/weekly-tasks/:id/recurrence/exceptions', authenticateToken, requirePermission('task:update'), validate(recurrenceExceptionSchema), async (req, res) => {
+    try {
+        const { date } = req.body;
+
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const recurrence = await findRecurrence(res, task);
+        if (!recurrence) return;
+
+        if (!recurrenceService.isOccurrence(recurrence, date)) {
+            return res.status(400).json({ error: `${date} is not an occurrence of this task` });
+        }
+
+        const occurrence = await recurrenceService.findOccurrence(recurrence.id, date);
+        if (occurrence && occurrence.status !== 'pending') {
+            return res.status(409).json({ error: `The task for ${date} has already been started`, task_id: occurrence.id });
+        }
+        if (!(await recurrenceService.skip(recurrence, date, req.user.id))) {
+            return res.status(409).json({ error: `${date} is already skipped` });
+        }
+
+        if (occurrence) {
+            await trashOccurrences(req, [occurrence]);
+        }
+        await recordRecurrenceChange(req, task, recurrence, { skipped: null }, { skipped: date });
+
+        res.status(201).json({
+            message: `Occurrence on ${date} skipped`,
+            exceptions: await recurrenceService.getExceptions(recurrence.id)
+        });
+    } catch (error) {
+        console.error('Error skipping occurrence:', error);
+        res.status(500).json({ error: 'Failed to skip occurrence' });
+    }
+});
+
+// Stop skipping an occurrence. Its task is created now if generation has passed it,
+// or brought back from the trash if skipping put it there.
+app.delete('/api/weekly-tasks/:id/recurrence/exceptions/:date', authenticateToken, requirePermission('task:update'), async (req, res) => {
+    try {
+        const { date } = req.params;
+
+        const task = await findEditableTask(req, res);
+        if (!task) return;
+
+        const recurrence = await findRecurrence(res, task);
+        if (!recurrence) return;
+
+        const { removed, created, trashed } = await recurrenceService.unskip(recurrence, date);
+        if (!removed) {
+            return res.status(404).json({ error: 'Skipped occurrence not found' });
+        }
+
+        await afterGenerate(req, created);
+        if (trashed && await trashService.restore('task', trashed)) {
+            await progressService.recalculateForPlans([trashed.monthly_plan_id]);
+            await activityService.record(req, {
+                action: 'update', entityType: 'task', entityId: trashed.id,
+                before: { deleted_at: trashed.deleted_at }, after: { deleted_at: null }
+            });
+        }
+        await recordRecurrenceChange(req, task, recurrence, { skipped: date }, { skipped: null });
+
+        res.json({
+            message: `Occurrence on ${date} restored`,
+            created: created.length,
+            restored: trashed ? trashed.id : null,
+            exceptions: await recurrenceService.getExceptions(recurrence.id)
+        });
+    } catch (error) {
+        console.error('Error restoring occurrence:', error);
+        res.status(500).json({ error: 'Failed to restore occurrence' });
+    }
+});
+
+// ============================================
+// COMMENTS ROUTES
+// ============================================
+
+// Load a comment with the item it is on, as { comment, type, row }.
+// Sends 404 itself and returns null when the user cannot see the item.
+const findComment = async (req, res) => {
+    const commentId = parseInt(req.params.id, 10);
+    const comment = Number.isInteger(commentId) ? await commentService.getComment(commentId) : null;
+
+    if (comment) {
+        const { type, id } = commentService.targetOf(comment);
+        if (await hasPermission(req, ITEM_TYPES[type].permission)) {
+            const row = await getOne(`SELECT * FROM ${ITEM_TYPES[type].table} WHERE id = ? AND deleted_at IS NULL`, [id]);
+            if (row && await canViewItem(req.user, type, row)) {
+                return { comment, type, row };
+            }
+        }
+    }
+
+    res.status(404).json({ error: 'Comment not found or unauthorized' });
+    return null;
+};
+
+// Notify users @mentioned in body who were not mentioned in this comment before.
+// Users who cannot open the item are not notified; both lists go back to the author.
+const notifyMentions = async (req, type, row, commentId, body) => {
+    const mentioned = [];
+    const notNotified = [];
+    for (const user of await commentService.findMentionedUsers(body)) {
+        if (user.id === req.user.id) continue;
+        const { id, name, email } = user;
+        ((await canViewItem(user, type, row)) ? mentioned : notNotified).push({ id, name, email });
+    }
+
+    const newlyMentioned = await commentService.addMentions(commentId, mentioned.map(user => user.id));
+    for (const userId of newlyMentioned) {
+        await notificationService.notifyMentioned(userId, req.user, type, row.title, body.trim());
+    }
+
+    return { mentioned, not_notified: notNotified };
+};
+
+// Whoever can open a goal, plan or task can read its comments and, with comment:create, add some
+for (const [type, itemType] of Object.entries(ITEM_TYPES)) {
+    // Comments on a goal, plan or task as a thread
+    app.get(`/api/${itemType.path}/:id/comments`, authenticateToken, requirePermission(itemType.permission), async (req, res) => {
+        try {
+            const row = await findViewableItem(req, res, type);
+            if (!row) return;
+
+            res.json(await commentService.getThread(type, row.id));
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+            res.status(500).json({ error: 'Failed to fetch comments' });
+        }
+    });
+
+    // Comment on a goal, plan or task, or reply to one of its comments with parent_id
+    app.post(`/api/${itemType.path}/:id/comments`, authenticateToken, requirePermission(itemType.permission, 'comment:create'), validate(commentSchema), async (req, res) => {
+        try {
+            const { body, parent_id } = req.body;
+
+            const row = await findViewableItem(req, res, type);
+            if (!row) return;
+
+            if (parent_id) {
+                const parent = await commentService.getComment(parent_id);
+                const parentTarget = parent && commentService.targetOf(parent);
+                if (!parent || parent.deleted_at || parentTarget.type !== type || parentTarget.id !== row.id) {
+                    return res.status(400).json({ error: 'Parent comment not found' });
+                }
+            }
+
+            const id = await commentService.createComment(type, row.id, req.body, req.user.id);
+            const mentions = await notifyMentions(req, type, row, id, body);
+            await activityService.record(req, {
+                action: 'create',
+                entityType: 'comment',
+                entityId: id,
+                parent: { type, id: row.id },
+                after: await commentService.getComment(id)
+            });
+
+            res.status(201).json({
+                message: 'Comment added successfully',
+                id,
+                ...mentions
+            });
+        } catch (error) {
+            console.error('Error adding comment:', error);
+            res.status(500).json({ error: 'Failed to add comment' });
+        }
+    });
+}
+
+// Edit a comment; only its author may, and the old body is kept in its history
+app.patch('/api/comments/:id', authenticateToken, requirePermission('comment:create'), validate(commentEditSchema), async (req, res) => {
+    try {
+        const { body } = req.body;
+
+        const found = await findComment(req, res);
+        if (!found) return;
+        const { comment, type, row } = found;
+
+        if (comment.deleted_at || comment.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Comment not found or unauthorized' });
+        }
+
+        if (body.trim() !== comment.body) {
+            await commentService.editComment(comment, body, req.user.id);
+            await activityService.record(req, {
+                action: 'update',
+                entityType: 'comment',
+                entityId: comment.id,
+                parent: { type, id: row.id },
+                before: comment,
+                after: await commentService.getComment(comment.id)
+            });
+        }
+        const mentions = await notifyMentions(req, type, row, comment.id, body);
+
+        res.json({
+            message: 'Comment updated successfully',
+            ...mentions
+        });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json({ error: 'Failed to update comment' });
+    }
+});
+
+// Delete a comment (its author, or comment:delete:any). The body moves to its history;
+// replies stay in the thread under a "deleted" placeholder.
+app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
+    try {
+        const found = await findComment(req, res);
+        if (!found) return;
+        const { comment, type, row } = found;
+
+        const allowed = comment.user_id === req.user.id || await permissionService.can(req.user, 'comment:delete:any');
+        if (comment.deleted_at || !allowed) {
+            return res.status(404).json({ error: 'Comment not found or unauthorized' });
+        }
+
+        await commentService.deleteComment(comment, req.user.id);
+        await activityService.record(req, {
+            action: 'delete',
+            entityType: 'comment',
+            entityId: comment.id,
+            parent: { type, id: row.id },
+            before: comment,
+            after: await commentService.getComment(comment.id)
+        });
+
+        res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+// Earlier bodies of an edited or deleted comment
+app.get('/api/comments/:id/history', authenticateToken, async (req, res) => {
+    try {
+        const found = await findComment(req, res);
+        if (!found) return;
+        const { comment } = found;
+
+        res.json({
+            id: comment.id,
+            body: comment.body,
+            edited_at: comment.edited_at,
+            deleted_at: comment.deleted_at,
+            revisions: await commentService.getRevisions(comment.id)
+        });
+    } catch (error) {
+        console.error('Error fetching comment history:', error);
+        res.status(500).json({ error: 'Failed to fetch comment history' });
+    }
+});
+
+// ============================================
+// ATTACHMENTS ROUTES
+// ============================================
+
+// One file per request, held in memory until it has been checked and scanned
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: attachmentService.maxBytes, files: 1 },
+    defParamCharset: 'utf8'
+}).single('file');
+
+// Parse a multipart upload with the file in the "file" field. Sends 400 itself and
+// resolves to null when there is no acceptable file.
+const receiveUpload = (req, res) => new Promise((resolve, reject) => {
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const error = err.code === 'LIMIT_FILE_SIZE'
+                ? `Files can be at most ${attachmentService.maxBytes / (1024 * 1024)} MB`
+                : err.message;
+            res.status(400).json({ error });
+            return resolve(null);
+        }
+        if (err) return reject(err);
+
+        if (!req.file) {
+            res.status(400).json({ error: 'Send the file as multipart/form-data in a field named "file"' });
+            return resolve(null);
+        }
+
+        const invalid = attachmentService.checkFile(req.file);
+        if (invalid) {
+            res.status(400).json({ error: invalid, allowed_types: attachmentService.allowedTypes });
+            return resolve(null);
+        }
+        resolve(req.file);
+    });
+});
+
+// Load an attachment with the item it is on, as { attachment, type, row }.
+// Sends 404 itself and returns null when the user cannot see the item.
+const findAttachment = async (req, res) => {
+    const attachmentId = parseInt(req.params.id, 10);
+    const attachment = Number.isInteger(attachmentId) ? await attachmentService.get(attachmentId) : null;
+
+    if (attachment) {
+        const { type, id } = attachmentService.targetOf(attachment);
+        if (await hasPermission(req, ITEM_TYPES[type].permission)) {
+            const row = await getOne(`SELECT * FROM ${ITEM_TYPES[type].table} WHERE id = ? AND deleted_at IS NULL`, [id]);
+            if (row && await canViewItem(req.user, type, row)) {
+                return { attachment, type, row };
+            }
+        }
+    }
+
+    res.status(404).json({ error: 'Attachment not found or unauthorized' });
+    return null;
+};
+
+// Whoever can open a goal, plan or task can list and download its files; whoever can edit it can upload
+for (const [type, itemType] of Object.entries(ITEM_TYPES)) {
+    app.get(`/api/${itemType.path}/:id/attachments`, authenticateToken, requirePermission(itemType.permission), async (req, res) => {
+        try {
+            const row = await findViewableItem(req, res, type);
+            if (!row) return;
+
+            res.json(await attachmentService.list(type, row.id));
+        } catch (error) {
+            console.error('Error fetching attachments:', error);
+            res.status(500).json({ error: 'Failed to fetch attachments' });
+        }
+    });
+
+    app.post(`/api/${itemType.path}/:id/attachments`, authenticateToken, requirePermission(itemType.updatePermission), async (req, res) => {
+        try {
+            // Checked before the upload is read, so refused requests are not buffered
+            const row = await getOne(`SELECT * FROM ${itemType.table} WHERE id = ? AND deleted_at IS NULL`, [req.params.id]);
+            if (!row || !(await canEditItem(req.user, type, row))) {
+                return res.status(404).json({ error: `${itemType.label} not found or unauthorized` });
+            }
+            if (await attachmentService.count(type, row.id) >= attachmentService.maxPerItem) {
+                return res.status(400).json({ error: `A ${type} can have at most ${attachmentService.maxPerItem} attachments` });
+            }
+
+            const file = await receiveUpload(req, res);
+            if (!file) return;
+
+            const scan = await attachmentService.scan(file);
+            if (scan.status === 'infected') {
+                console.warn(`Rejected upload "${file.originalname}" from user ${req.user.id}: ${scan.detail || 'infected'}`);
+                return res.status(400).json({ error: 'File rejected by virus scan' });
+            }
+
+            const id = await attachmentService.save(type, row.id, file, scan.status, req.user.id);
+            await activityService.record(req, {
+                action: 'create',
+                entityType: 'attachment',
+                entityId: id,
+                parent: { type, id: row.id },
+                after: await attachmentService.get(id)
+            });
+
+            res.status(201).json({
+                message: 'File uploaded successfully',
+                id,
+                attachments: await attachmentService.list(type, row.id)
+            });
+        } catch (error) {
+            console.error('Error uploading attachment:', error);
+            res.status(500).json({ error: 'Failed to upload attachment' });
+        }
+    });
+}
+
+// Download a file; always as an attachment, never rendered inline
+app.get('/api/attachments/:id/download', authenticateToken, async (req, res) => {
+    try {
+        const found = await findAttachment(req, res);
+        if (!found) return;
+        const { attachment } = found;
+
+        const stream = attachmentService.openStream(attachment);
+        stream.on('error', (error) => {
+            console.error('Error reading attachment file:', error);
+            if (res.headersSent) {
+                res.destroy(error);
+            } else if (error.code === 'ENOENT') {
+                res.status(404).json({ error: 'Attachment file is missing' });
+            } else {
+                res.status(500).json({ error: 'Failed to download attachment' });
+            }
+        });
+        stream.once('open', () => {
+            res.attachment(attachment.filename);
+            res.type(attachment.mime_type);
+            res.set('Content-Length', String(attachment.size_bytes));
+            stream.pipe(res);
+        });
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        res.status(500).json({ error: 'Failed to download attachment' });
+    }
+});
+
+// Delete a file: its uploader, or anyone who can edit the item it is on
+app.delete('/api/attachments/:id', authenticateToken, async (req, res) => {
+    try {
+        const found = await findAttachment(req, res);
+        if (!found) return;
+        const { attachment, type, row } = found;
+
+        if (attachment.uploaded_by !== req.user.id && !(await canEditItem(req.user, type, row))) {
+            return res.status(404).json({ error: 'Attachment not found or unauthorized' });
+        }
+
+        await attachmentService.remove(attachment);
+        await activityService.record(req, {
+            action: 'delete',
+            entityType: 'attachment',
+            entityId: attachment.id,
+            parent: { type, id: row.id },
+            before: attachment
+        });
+
+        res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+});
+
+// ============================================
+// TIME LOGS ROUTES
+// ============================================
+
+// Sorting and filters accepted by GET /api/time-logs
+const TIME_LOG_LIST = {
+    id: 'tl.id',
+    sorts: {
+        date: 'tl.date',
+        hours: 'tl.hours',
+        created_at: 'tl.created_at'
+    },
+    defaultSort: '-date',
+    filters: {
+        task_id: { column: 'tl.task_id', type: 'integer' },
+        date_before: { column: 'tl.date', type: 'date', op: '<=' },
+        date_after: { column: 'tl.date', type: 'date', op: '>=' }
+    }
+};
+
+// Get time logs (paginated)
+app.get('/api/time-logs', authenticateToken, requirePermission('time-log:read'), async (req, res) => {
+    try {
+        const list = listQueryService.parse(req.query, TIME_LOG_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const page = await listQueryService.fetchPage(
+            {
+                select: 'tl.*, wt.title as task_title, u.name as user_name',
+                from: `time_logs tl
+       JOIN weekly_tasks wt ON tl.task_id = wt.id
+       JOIN users u ON tl.user_id = u.id`,
+                conditions: ['tl.user_id = ?'],
+                params: [req.user.id]
+            },
+            TIME_LOG_LIST,
+            list
+        );
+        res.json(page);
+    } catch (error) {
+        console.error('Error fetching time logs:', error);
+        res.status(500).json({ error: 'Failed to fetch time logs' });
+    }
+});
+
+// Create time log
+app.post('/api/time-logs', authenticateToken, requirePermission('time-log:create'), validate(timeLogSchema), async (req, res) => {
+    try {
+        const { task_id, hours, date, notes } = req.body;
+
+        if (!task_id || !hours || !date) {
+            return res.status(400).json({ error: 'Task ID, hours, and date are required' });
+        }
+
+        // Verify task was created by or assigned to the user
+        const task = await getOne(
+            'SELECT * FROM weekly_tasks WHERE id = ? AND deleted_at IS NULL AND (user_id = ? OR assigned_to = ?)',
+            [task_id, req.user.id, req.user.id]
+        );
+
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found or unauthorized' });
+        }
+
+        // Create time log
+        const result = await runQuery(
+            'INSERT INTO time_logs (task_id, user_id, hours, date, notes) VALUES (?, ?, ?, ?, ?)',
+            [task_id, req.user.id, hours, date, notes]
+        );
+
+        // Update task actual hours
+        await runQuery(
+            'UPDATE weekly_tasks SET actual_hours = actual_hours + ? WHERE id = ?',
+            [hours, task_id]
+        );
+
+        await activityService.record(req, {
+            action: 'create',
+            entityType: 'time_log',
+            entityId: result.id,
+            parent: { type: 'task', id: task.id },
+            after: await getOne('SELECT * FROM time_logs WHERE id = ?', [result.id])
+        });
+
+        res.status(201).json({
+            message: 'Time log created successfully',
+            id: result.id
+        });
+    } catch (error) {
+        console.error('Error creating time log:', error);
+        res.status(500).json({ error: 'Failed to create time log' });
+    }
+});
+
+// ============================================
+// TRASH ROUTES
+// ============================================
+
+// Sorting accepted by GET /api/trash; ?type= picks goals, plans or tasks
+const TRASH_LIST = {
+    id: 't.id',
+    sorts: {
+        deleted_at: 't.deleted_at',
+        title: 't.title'
+    },
+    defaultSort: '-deleted_at'
+};
+
+// Owners with :delete, and holders of :delete:any, may restore or purge a trashed item
+const canManageTrashed = async (req, type, row) => {
+    if (row.user_id === req.user.id && await hasPermission(req, `${type}:delete`)) return true;
+    return hasPermission(req, `${type}:delete:any`);
+};
+
+// Load the trashed goal, plan or task named by req.params.type and req.params.id.
+// Sends 404 itself and returns null when it is not in the trash or not the user's to manage.
+const findTrashedItem = async (req, res) => {
+    const itemType = trashService.types.includes(req.params.type) ? ITEM_TYPES[req.params.type] : null;
+    const id = parseInt(req.params.id, 10);
+    const row = itemType && Number.isInteger(id)
+        ? await getOne(`SELECT * FROM ${itemType.table} WHERE id = ? AND deleted_at IS NOT NULL`, [id])
+        : null;
+
+    if (!row || !(await canManageTrashed(req, req.params.type, row))) {
+        res.status(404).json({ error: `${itemType ? itemType.label : 'Item'} not found in trash or unauthorized` });
+        return null;
+    }
+    return row;
+};
+
+// Log goals, plans and tasks removed for good (req is null for the scheduled purge)
+const recordPurge = async (req, purged) => {
+    for (const [type, rows] of Object.entries(purged)) {
+        for (const row of rows) {
+            await activityService.record(req, {
+                action: 'delete', entityType: type, entityId: row.id,
+                before: { title: row.title }, after: { purged: true }
+            });
+        }
+    }
+};
+
+// Deleted goals, plans or tasks (?type=, default goal), newest first (paginated). Each
+// entry lists the plans and tasks deleted together with it and when it will be purged.
+// Owners see their own items; :delete:any sees everyone's.
+app.get('/api/trash', authenticateToken, async (req, res) => {
+    try {
+        const { type = 'goal' } = req.query;
+        if (!trashService.types.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${trashService.types.join(', ')}` });
+        }
+        if (!(await hasPermission(req, `${type}:delete`))) {
+            return res.status(403).json({ error: 'Insufficient permissions', required: `${type}:delete` });
+        }
+
+        const list = listQueryService.parse(req.query, TRASH_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const conditions = [trashService.entryCondition(type, 't')];
+        const params = [];
+        if (!(await hasPermission(req, `${type}:delete:any`))) {
+            conditions.push('t.user_id = ?');
+            params.push(req.user.id);
+        }
+
+        const page = await listQueryService.fetchPage(
+            {
+                select: 't.*, du.name as deleted_by_name',
+                from: `${ITEM_TYPES[type].table} t LEFT JOIN users du ON t.deleted_by = du.id`,
+                conditions,
+                params
+            },
+            TRASH_LIST,
+            list
+        );
+
+        const cascaded = await trashService.getCascaded(type, page.data.map(row => row.id));
+        page.data = page.data.map(row => ({
+            ...row,
+            type,
+            purge_at: trashService.purgeAt(row),
+            ...cascaded.get(row.id)
+        }));
+        res.json(page);
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+// Restore a trashed goal, plan or task with the plans and tasks deleted together with it.
+// A plan or task whose goal or plan is still in the trash cannot come back on its own.
+app.post('/api/trash/:type/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        const { type } = req.params;
+        const item = await findTrashedItem(req, res);
+        if (!item) return;
+
+        const parent = await trashService.getParent(type, item);
+        if (parent?.deleted_at) {
+            return res.status(409).json({
+                error: `Restore the ${ITEM_TYPES[parent.type].label.toLowerCase()} "${parent.title}" first`,
+                parent: { type: parent.type, id: parent.id }
+            });
+        }
+
+        const restored = await trashService.restore(type, item);
+        if (!restored) {
+            return res.status(404).json({ error: `${ITEM_TYPES[type].label} not found in trash or unauthorized` });
+        }
+
+        if (type === 'goal') {
+            await progressService.recalculateGoal(item.id);
+        } else {
+            await progressService.recalculateForPlans([type === 'plan' ? item.id : item.monthly_plan_id]);
+        }
+
+        const restoredRows = [
+            [type, restored.item, null],
+            ...restored.plans.map(plan => ['plan', plan, { type: 'goal', id: plan.quarterly_goal_id }]),
+            ...restored.tasks.map(task => ['task', task, { type: 'plan', id: task.monthly_plan_id }])
+        ];
+        for (const [entityType, row, parentRef] of restoredRows) {
+            await activityService.record(req, {
+                action: 'update', entityType, entityId: row.id, parent: parentRef,
+                before: { deleted_at: item.deleted_at }, after: { deleted_at: null }
+            });
+        }
+
+        res.json({
+            message: `${ITEM_TYPES[type].label} restored`,
+            plans: restored.plans.length,
+            tasks: restored.tasks.length
+        });
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        res.status(500).json({ error: 'Failed to restore item' });
+    }
+});
+
+// Delete a trashed goal, plan or task for good, with everything deleted together with it
+app.delete('/api/trash/:type/:id', authenticateToken, async (req, res) => {
+    try {
+        const item = await findTrashedItem(req, res);
+        if (!item) return;
+
+        const purged = await trashService.purgeEntry(req.params.type, item);
+        await recordPurge(req, purged);
 
-        res.json({ message: 'Plan deleted successfully' });
+        res.json({ message: `${ITEM_TYPES[req.params.type].label} deleted permanently` });
     } catch (error) {
-        console.error('Error deleting plan:', error);
-        res.status(500).json({ error: 'Failed to delete plan' });
+        console.error('Error purging item:', error);
+        res.status(500).json({ error: 'Failed to delete item permanently' });
     }
 });
 
 // ============================================
-// WEEKLY TASKS ROUTES
+// TEMPLATE ROUTES
 // ============================================
 
-// Get all weekly tasks for current user
-app.get('/api/weekly-tasks', authenticateToken, async (req, res) => {
-    try {
-        const { monthly_plan_id, status } = req.query;
+// Sorting and filters accepted by GET /api/templates
+const TEMPLATE_LIST = {
+    id: 't.id',
+    sorts: {
+        name: 't.name',
+        updated_at: 't.updated_at'
+    },
+    defaultSort: 'name',
+    filters: {
+        kind: { column: 't.kind', type: 'enum', values: templateService.kinds }
+    }
+};
 
-        let query = 'SELECT * FROM weekly_tasks WHERE user_id = ?';
-        let params = [req.user.id];
+// Templates are shared only with a team the user belongs to. Sends the 400 itself.
+const checkTemplateTeam = async (req, res) => {
+    const teamId = req.body.team_id;
+    if (teamId === undefined || teamId === null) return true;
+    if (!(await teamService.getMemberRole(teamId, req.user.id))) {
+        res.status(400).json({ error: 'Templates can only be shared with a team you belong to' });
+        return false;
+    }
+    return true;
+};
 
-        if (monthly_plan_id) {
-            query += ' AND monthly_plan_id = ?';
-            params.push(monthly_plan_id);
-        }
+// Load the template req.params.id names. Anyone it is shared with may use it; only its
+// owner (with template:create) or template:manage:any may change it (manage = true).
+// Sends 404 itself and returns null otherwise.
+const findTemplate = async (req, res, { manage = false } = {}) => {
+    const template = await templateService.get(req.params.id);
+    const isOwner = template?.user_id === req.user.id;
+
+    let allowed = false;
+    if (template && manage) {
+        allowed = (isOwner && await hasPermission(req, 'template:create')) ||
+            await hasPermission(req, 'template:manage:any');
+    } else if (template) {
+        allowed = isOwner ||
+            (template.team_id && !!(await teamService.getMemberRole(template.team_id, req.user.id))) ||
+            await hasPermission(req, 'template:manage:any');
+    }
+
+    if (!allowed) {
+        res.status(404).json({ error: 'Template not found or unauthorized' });
+        return null;
+    }
+    return template;
+};
+
+// Store a new template and log it; returns its id
+const createTemplate = async (req, { kind, content }) => {
+    const { name, description, team_id } = req.body;
+    const result = await runQuery(
+        'INSERT INTO templates (user_id, team_id, kind, name, description, content) VALUES (?, ?, ?, ?, ?, ?)',
+        [req.user.id, team_id || null, kind, name, description || '', JSON.stringify(content)]
+    );
+    await activityService.record(req, {
+        action: 'create', entityType: 'template', entityId: result.id,
+        after: await templateService.get(result.id)
+    });
+    return result.id;
+};
 
-        if (status) {
-            query += ' AND status = ?';
-            params.push(status);
+// Templates the user can use: their own and those shared with their teams
+// (everyone's with template:manage:any). ?kind= filters; paginated.
+app.get('/api/templates', authenticateToken, requirePermission('template:read'), async (req, res) => {
+    try {
+        const list = listQueryService.parse(req.query, TEMPLATE_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
         }
 
-        query += ' ORDER BY due_date ASC, priority DESC';
+        const base = templateService.listQuery(req.user.id);
+        if (await hasPermission(req, 'template:manage:any')) {
+            base.conditions = [];
+            base.params = [];
+        }
 
-        const tasks = await getAll(query, params);
-        res.json(tasks);
+        const page = await listQueryService.fetchPage(base, TEMPLATE_LIST, list);
+        page.data = page.data.map(template => templateService.summarize(template));
+        res.json(page);
     } catch (error) {
-        console.error('Error fetching tasks:', error);
-        res.status(500).json({ error: 'Failed to fetch tasks' });
+        console.error('Error fetching templates:', error);
+        res.status(500).json({ error: 'Failed to fetch templates' });
     }
 });
 
-// Create weekly task
-app.post('/api/weekly-tasks', authenticateToken, validate(taskSchema), async (req, res) => {
+// One template with its content
+app.get('/api/templates/:id', authenticateToken, requirePermission('template:read'), async (req, res) => {
     try {
-        const {
-            title,
-            description,
-            week_number,
-            year,
-            monthly_plan_id,
-            priority = 'medium',
-            estimated_hours = 0,
-            due_date,
-            is_urgent = 0,
-            depends_on
-        } = req.body;
+        const template = await findTemplate(req, res);
+        if (!template) return;
 
-        if (!title || !week_number || !year) {
-            return res.status(400).json({ error: 'Title, week number, and year are required' });
-        }
+        res.json({ ...template, ...templateService.countItems(template.kind, template.content) });
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({ error: 'Failed to fetch template' });
+    }
+});
 
-        const result = await runQuery(
-            `INSERT INTO weekly_tasks 
-       (user_id, monthly_plan_id, title, description, week_number, year, priority, estimated_hours, due_date, is_urgent, depends_on)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [req.user.id, monthly_plan_id || null, title, description, week_number, year, priority, estimated_hours, due_date, is_urgent, depends_on || null]
-        );
+// Create a template from { name, description, team_id, kind, content }
+app.post('/api/templates', authenticateToken, requirePermission('template:create'), validate(templateSchema), async (req, res) => {
+    try {
+        if (!(await checkTemplateTeam(req, res))) return;
+
+        const id = await createTemplate(req, req.body);
 
         res.status(201).json({
-            message: 'Weekly task created successfully',
-            id: result.id
+            message: 'Template created successfully',
+            id
         });
     } catch (error) {
-        console.error('Error creating task:', error);
-        res.status(500).json({ error: 'Failed to create task' });
+        console.error('Error creating template:', error);
+        res.status(500).json({ error: 'Failed to create template' });
     }
 });
 
-// Update weekly task
-app.put('/api/weekly-tasks/:id', authenticateToken, async (req, res) => {
+// Save a goal, plan or task, with everything under it, as a template; offsets are
+// taken from where its plans and tasks fall relative to it
+for (const [type, itemType] of Object.entries(ITEM_TYPES)) {
+    app.post(`/api/${itemType.path}/:id/template`, authenticateToken, requirePermission('template:create'), requirePermission(itemType.permission), validate(templateCaptureSchema), async (req, res) => {
+        try {
+            const item = await findViewableItem(req, res, type);
+            if (!item) return;
+            if (!(await checkTemplateTeam(req, res))) return;
+
+            const id = await createTemplate(req, { kind: type, content: await templateService.capture(type, item) });
+
+            res.status(201).json({
+                message: 'Template created successfully',
+                id
+            });
+        } catch (error) {
+            console.error(`Error saving ${type} as template:`, error);
+            res.status(500).json({ error: 'Failed to create template' });
+        }
+    });
+}
+
+// Change only the fields sent; content replaces the whole tree and must fit the template's kind
+app.patch('/api/templates/:id', authenticateToken, requirePermission('template:create'), validate(templatePatchSchema), async (req, res) => {
     try {
-        const { id } = req.params;
-        const {
-            title,
-            description,
-            week_number,
-            year,
-            priority,
-            status,
-            estimated_hours,
-            actual_hours,
-            due_date,
-            is_urgent,
-            depends_on,
-            monthly_plan_id
-        } = req.body;
+        const template = await findTemplate(req, res, { manage: true });
+        if (!template) return;
+        if (!(await checkTemplateTeam(req, res))) return;
+
+        const { name, description, team_id, content } = req.body;
+        if (content !== undefined) {
+            const { error } = templateContentSchemas[template.kind].validate(content, { abortEarly: false });
+            if (error) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: error.details.map(detail => detail.message)
+                });
+            }
+        }
 
-        const result = await runQuery(
-            `UPDATE weekly_tasks 
-       SET title = COALESCE(?, title),
-           description = COALESCE(?, description),
-           week_number = COALESCE(?, week_number),
-           year = COALESCE(?, year),
-           priority = COALESCE(?, priority),
-           status = COALESCE(?, status),
-           estimated_hours = COALESCE(?, estimated_hours),
-           actual_hours = COALESCE(?, actual_hours),
-           due_date = COALESCE(?, due_date),
-           is_urgent = COALESCE(?, is_urgent),
-           depends_on = COALESCE(?, depends_on),
-           monthly_plan_id = COALESCE(?, monthly_plan_id),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = ? AND user_id = ?`,
-            [title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent, depends_on, monthly_plan_id, id, req.user.id]
+        const sets = [];
+        const params = [];
+        for (const [column, value] of [['name', name], ['description', description], ['team_id', team_id]]) {
+            if (value === undefined) continue;
+            sets.push(`${column} = ?`);
+            params.push(value);
+        }
+        if (content !== undefined) {
+            sets.push('content = ?');
+            params.push(JSON.stringify(content));
+        }
+
+        await runQuery(
+            `UPDATE templates SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, template.id]
         );
 
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Task not found or unauthorized' });
-        }
+        const updated = await templateService.get(template.id);
+        await activityService.record(req, {
+            action: 'update', entityType: 'template', entityId: template.id,
+            before: template, after: updated
+        });
 
-        res.json({ message: 'Task updated successfully' });
+        res.json(updated);
     } catch (error) {
-        console.error('Error updating task:', error);
-        res.status(500).json({ error: 'Failed to update task' });
+        console.error('Error updating template:', error);
+        res.status(500).json({ error: 'Failed to update template' });
     }
 });
 
-// Delete weekly task
-app.delete('/api/weekly-tasks/:id', authenticateToken, async (req, res) => {
+// Delete a template; items created from it are not affected
+app.delete('/api/templates/:id', authenticateToken, requirePermission('template:create'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const template = await findTemplate(req, res, { manage: true });
+        if (!template) return;
 
-        const result = await runQuery(
-            'DELETE FROM weekly_tasks WHERE id = ? AND user_id = ?',
-            [id, req.user.id]
-        );
+        await runQuery('DELETE FROM templates WHERE id = ?', [template.id]);
+        await activityService.record(req, {
+            action: 'delete', entityType: 'template', entityId: template.id,
+            before: { name: template.name, kind: template.kind }
+        });
 
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Task not found or unauthorized' });
+        res.json({ message: 'Template deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+});
+
+// What each kind of template is placed by, and the item it may be added under
+const TEMPLATE_TARGETS = {
+    goal: { field: 'quarter', parent: null },
+    plan: { field: 'month', parent: { type: 'goal', column: 'quarterly_goal_id' } },
+    task: { field: 'week_number', parent: { type: 'plan', column: 'monthly_plan_id' } }
+};
+
+// Create the goal, plan or task a template describes, with everything under it, in
+// one transaction: a goal template into { quarter, year }, a plan template into
+// { month, year } (under quarterly_goal_id, if given) and a task template into
+// { week_number, year } (under monthly_plan_id, if given). The user owns what is created.
+app.post('/api/templates/:id/instantiate', authenticateToken, requirePermission('template:read'), validate(templateInstantiateSchema), async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        const { field, parent } = TEMPLATE_TARGETS[template.kind];
+        if (!req.body[field]) {
+            return res.status(400).json({ error: `${field} is required to use a ${template.kind} template` });
         }
 
-        res.json({ message: 'Task deleted successfully' });
+        // Creating the item and everything under it takes the matching create permissions
+        const { plan_count: planCount, task_count: taskCount } = templateService.countItems(template.kind, template.content);
+        const required = [
+            `${template.kind}:create`,
+            ...(template.kind === 'goal' && planCount > 0 ? ['plan:create'] : []),
+            ...(template.kind !== 'task' && taskCount > 0 ? ['task:create'] : [])
+        ];
+        for (const permission of required) {
+            if (!(await hasPermission(req, permission))) {
+                return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+            }
+        }
+
+        const parentId = parent && req.body[parent.column];
+        if (parentId) {
+            const row = await getOne(
+                `SELECT * FROM ${ITEM_TYPES[parent.type].table} WHERE id = ? AND deleted_at IS NULL`,
+                [parentId]
+            );
+            if (!row || !(await canEditItem(req.user, parent.type, row))) {
+                return res.status(404).json({ error: `${ITEM_TYPES[parent.type].label} not found or unauthorized` });
+            }
+        }
+
+        const { goal, plans, tasks } = await templateService.instantiate(template, req.body, req.user.id);
+
+        if (goal) {
+            await progressService.recalculateGoal(goal.id);
+        } else {
+            await progressService.recalculateForPlans([
+                ...plans.map(plan => plan.id), ...tasks.map(task => task.monthly_plan_id)
+            ]);
+        }
+        const created = [
+            ...(goal ? [['goal', goal]] : []),
+            ...plans.map(plan => ['plan', plan]),
+            ...tasks.map(task => ['task', task])
+        ];
+        for (const [type, row] of created) {
+            await recordItemChange(req, type, row.id, null);
+        }
+
+        const [rootType, root] = created[0];
+        res.status(201).json({
+            message: `${ITEM_TYPES[rootType].label} created from template "${template.name}"`,
+            type: rootType,
+            id: root.id,
+            plans: plans.length,
+            tasks: tasks.length
+        });
     } catch (error) {
-        console.error('Error deleting task:', error);
-        res.status(500).json({ error: 'Failed to delete task' });
+        console.error('Error instantiating template:', error);
+        res.status(500).json({ error: 'Failed to create items from template' });
     }
 });
 
 // ============================================
-// TIME LOGS ROUTES
+// ROLLOVER ROUTES
 // ============================================
 
-// Get time logs
-app.get('/api/time-logs', authenticateToken, async (req, res) => {
-    try {
-        const { task_id } = req.query;
+// What carrying or closing an item takes: moving or closing changes it, cloning creates a copy
+const rolloverPermission = (type, action, mode) => {
+    return action === 'carry' && mode === 'clone' ? `${type}:create` : `${type}:update`;
+};
 
-        let query = `
-      SELECT tl.*, wt.title as task_title, u.name as user_name
-      FROM time_logs tl
-      JOIN weekly_tasks wt ON tl.task_id = wt.id
-      JOIN users u ON tl.user_id = u.id
-      WHERE tl.user_id = ?
-    `;
-        let params = [req.user.id];
+// Everything of the user's still open in ?quarter=&year= (defaulting to the current
+// quarter) with where carrying it into the next quarter would put it
+app.get('/api/rollovers/preview', authenticateToken, requirePermission('goal:read'), async (req, res) => {
+    try {
+        const now = new Date();
+        const quarter = req.query.quarter ? parseInt(req.query.quarter, 10) : Math.floor(now.getMonth() / 3) + 1;
+        const year = req.query.year ? parseInt(req.query.year, 10) : now.getFullYear();
 
-        if (task_id) {
-            query += ' AND tl.task_id = ?';
-            params.push(task_id);
+        if (!(quarter >= 1 && quarter <= 4) || !Number.isInteger(year)) {
+            return res.status(400).json({ error: 'quarter must be 1-4 and year a number' });
         }
 
-        query += ' ORDER BY tl.date DESC';
-
-        const logs = await getAll(query, params);
-        res.json(logs);
+        res.json(await rolloverService.preview(req.user.id, quarter, year));
     } catch (error) {
-        console.error('Error fetching time logs:', error);
-        res.status(500).json({ error: 'Failed to fetch time logs' });
+        console.error('Error previewing rollover:', error);
+        res.status(500).json({ error: 'Failed to preview rollover' });
     }
 });
 
-// Create time log
-app.post('/api/time-logs', authenticateToken, validate(timeLogSchema), async (req, res) => {
+// Carry the chosen items of a quarter into the next one (moving them, or cloning them
+// with mode clone) and close others, in one transaction. Items must be part of the
+// quarter's preview; those not listed are left alone.
+app.post('/api/rollovers', authenticateToken, requirePermission('goal:read'), validate(rolloverSchema), async (req, res) => {
     try {
-        const { task_id, hours, date, notes } = req.body;
-
-        if (!task_id || !hours || !date) {
-            return res.status(400).json({ error: 'Task ID, hours, and date are required' });
+        const { quarter, year, mode, items } = req.body;
+        const preview = await rolloverService.preview(req.user.id, quarter, year);
+        const candidates = rolloverService.flatten(preview);
+
+        const chosen = new Map();
+        for (const { type, id, action } of items) {
+            const item = candidates.get(`${type}:${id}`);
+            if (!item) {
+                return res.status(400).json({
+                    error: `${ITEM_TYPES[type].label} ${id} is not open in Q${quarter} ${year} or was already carried over`
+                });
+            }
+            chosen.set(`${type}:${id}`, { item, action });
         }
 
-        // Verify task belongs to user
-        const task = await getOne(
-            'SELECT * FROM weekly_tasks WHERE id = ? AND user_id = ?',
-            [task_id, req.user.id]
-        );
+        for (const permission of new Set([...chosen.values()].map(({ item, action }) => rolloverPermission(item.type, action, mode)))) {
+            if (!(await hasPermission(req, permission))) {
+                return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+            }
+        }
 
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found or unauthorized' });
+        // In preview order, so goals and plans are carried before what is under them
+        const choices = [...candidates.keys()].filter(key => chosen.has(key)).map(key => chosen.get(key));
+        const changed = choices.filter(({ action }) => action === 'close' || mode === 'move');
+        const before = new Map();
+        for (const { item } of changed) {
+            before.set(`${item.type}:${item.id}`, await loadItemSnapshot(item.type, item.id));
         }
 
-        // Create time log
-        const result = await runQuery(
-            'INSERT INTO time_logs (task_id, user_id, hours, date, notes) VALUES (?, ?, ?, ?, ?)',
-            [task_id, req.user.id, hours, date, notes]
-        );
+        const executed = await rolloverService.execute(req.user.id, preview, mode, choices);
+        if (executed.changed) {
+            const { type, id } = executed.changed;
+            return res.status(409).json({
+                error: `${ITEM_TYPES[type].label} ${id} changed since the preview was loaded. Load it again and retry.`
+            });
+        }
+        const { rollover, results } = executed;
+
+        const planIds = [];
+        for (const { type, source_id: sourceId, target_id: targetId, parent_id: parentId } of results) {
+            if (type === 'goal') {
+                await progressService.recalculateGoal(sourceId);
+                if (targetId && targetId !== sourceId) await progressService.recalculateGoal(targetId);
+            } else {
+                planIds.push(...(type === 'plan' ? [sourceId, targetId] : [parentId]));
+            }
+        }
+        for (const { item } of choices) {
+            if (item.type === 'task') planIds.push(item.monthly_plan_id);
+        }
+        await progressService.recalculateForPlans(planIds);
 
-        // Update task actual hours
-        await runQuery(
-            'UPDATE weekly_tasks SET actual_hours = actual_hours + ? WHERE id = ?',
-            [hours, task_id]
-        );
+        for (const { type, source_id: sourceId, target_id: targetId } of results) {
+            const snapshot = before.get(`${type}:${sourceId}`);
+            await recordItemChange(req, type, snapshot ? sourceId : targetId, snapshot || null);
+        }
+        const carried = results.filter(({ action }) => action === 'carry').length;
+        await activityService.record(req, {
+            action: 'create', entityType: 'rollover', entityId: rollover.id,
+            after: { ...rollover, carried, closed: results.length - carried }
+        });
 
         res.status(201).json({
-            message: 'Time log created successfully',
-            id: result.id
+            message: `Carried ${carried} items into Q${rollover.to_quarter} ${rollover.to_year} and closed ${results.length - carried}`,
+            id: rollover.id,
+            to: { quarter: rollover.to_quarter, year: rollover.to_year },
+            items: results
         });
     } catch (error) {
-        console.error('Error creating time log:', error);
-        res.status(500).json({ error: 'Failed to create time log' });
+        console.error('Error running rollover:', error);
+        res.status(500).json({ error: 'Failed to roll over quarter' });
+    }
+});
+
+// ============================================
+// ACTIVITY ROUTES
+// ============================================
+
+// Sorting and filters accepted by the activity lists
+const ACTIVITY_LIST = {
+    id: 'ae.id',
+    sorts: {
+        occurred_at: 'ae.occurred_at'
+    },
+    defaultSort: '-occurred_at',
+    filters: {
+        entity_type: { column: 'ae.entity_type', type: 'enum', values: activityService.entityTypes },
+        entity_id: { column: 'ae.entity_id', type: 'integer' },
+        parent_type: { column: 'ae.parent_type', type: 'enum', values: activityService.entityTypes },
+        parent_id: { column: 'ae.parent_id', type: 'integer' },
+        actor_id: { column: 'ae.actor_id', type: 'integer' },
+        action: { column: 'ae.action', type: 'enum', values: activityService.actions },
+        occurred_after: { column: 'ae.occurred_at::date', type: 'date', op: '>=' },
+        occurred_before: { column: 'ae.occurred_at::date', type: 'date', op: '<=' }
+    }
+};
+
+// Where a change came from is only shown to those who may read everyone's activity
+const activityColumns = (readsAll) => {
+    const columns = `ae.id, ae.occurred_at, ae.actor_id, ae.actor_email, u.name as actor_name, ae.action,
+              ae.entity_type, ae.entity_id, ae.parent_type, ae.parent_id, ae.changes`;
+    return readsAll ? `${columns}, ae.ip, ae.user_agent` : columns;
+};
+
+// The activity log (paginated). Without activity:read:any only the user's own changes are listed.
+app.get('/api/activity', authenticateToken, requirePermission('activity:read'), async (req, res) => {
+    try {
+        const list = listQueryService.parse(req.query, ACTIVITY_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const readsAll = await hasPermission(req, 'activity:read:any');
+        const page = await listQueryService.fetchPage(
+            {
+                select: activityColumns(readsAll),
+                from: 'activity_events ae LEFT JOIN users u ON ae.actor_id = u.id',
+                conditions: readsAll ? [] : ['ae.actor_id = ?'],
+                params: readsAll ? [] : [req.user.id]
+            },
+            ACTIVITY_LIST,
+            list
+        );
+        res.json(page);
+    } catch (error) {
+        console.error('Error fetching activity:', error);
+        res.status(500).json({ error: 'Failed to fetch activity' });
     }
 });
 
+// History of a goal, plan or task, including its checklist, comments and attachments,
+// for whoever can open it
+for (const [type, itemType] of Object.entries(ITEM_TYPES)) {
+    app.get(`/api/${itemType.path}/:id/activity`, authenticateToken, requirePermission(itemType.permission, 'activity:read'), async (req, res) => {
+        try {
+            const list = listQueryService.parse(req.query, ACTIVITY_LIST);
+            if (list.error) {
+                return res.status(400).json({ error: list.error });
+            }
+
+            const row = await findViewableItem(req, res, type);
+            if (!row) return;
+
+            const { condition, params } = activityService.entityCondition(type, row.id);
+            const page = await listQueryService.fetchPage(
+                {
+                    select: activityColumns(await hasPermission(req, 'activity:read:any')),
+                    from: 'activity_events ae LEFT JOIN users u ON ae.actor_id = u.id',
+                    conditions: [condition],
+                    params
+                },
+                ACTIVITY_LIST,
+                list
+            );
+            res.json(page);
+        } catch (error) {
+            console.error('Error fetching item activity:', error);
+            res.status(500).json({ error: 'Failed to fetch activity' });
+        }
+    });
+}
+
 // ============================================
 // NOTIFICATIONS ROUTES
 // ============================================
 
-// Get notifications for current user
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+// Sorting and filters accepted by GET /api/notifications
+const NOTIFICATION_LIST = {
+    id: 'n.id',
+    sorts: {
+        created_at: 'n.created_at'
+    },
+    defaultSort: '-created_at',
+    filters: {
+        is_read: { column: 'n.is_read', type: 'boolean' }
+    }
+};
+
+// Get notifications for current user (paginated)
+app.get('/api/notifications', authenticateToken, requirePermission('notification:read'), async (req, res) => {
     try {
-        const notifications = await getAll(
-            'SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at DESC LIMIT 50',
-            [req.user.id]
+        const list = listQueryService.parse(req.query, NOTIFICATION_LIST);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const page = await listQueryService.fetchPage(
+            { select: 'n.*', from: 'notifications n', conditions: ['n.user_id = ?'], params: [req.user.id] },
+            NOTIFICATION_LIST,
+            list
         );
-        res.json(notifications);
+        res.json(page);
     } catch (error) {
         console.error('Error fetching notifications:', error);
         res.status(500).json({ error: 'Failed to fetch notifications' });
@@ -681,7 +3394,7 @@ app.get('/api/notifications', authenticateToken, async (req, res) => {
 });
 
 // Mark notification as read
-app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+app.put('/api/notifications/:id/read', authenticateToken, requirePermission('notification:read'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -702,7 +3415,7 @@ app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
 });
 
 // Mark all notifications as read
-app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
+app.put('/api/notifications/read-all', authenticateToken, requirePermission('notification:read'), async (req, res) => {
     try {
         await runQuery(
             'UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0',
@@ -721,7 +3434,7 @@ app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
 // ============================================
 
 // Get dashboard statistics
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+app.get('/api/dashboard/stats', authenticateToken, requirePermission('report:self'), async (req, res) => {
     try {
         const stats = {
             totalGoals: 0,
@@ -735,14 +3448,14 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
         };
 
         // Get counts - use single quotes for string values (PostgreSQL)
-        const goalCount = await getOne('SELECT COUNT(*) as count FROM quarterly_goals WHERE user_id = ?', [req.user.id]);
-        const planCount = await getOne('SELECT COUNT(*) as count FROM monthly_plans WHERE user_id = ?', [req.user.id]);
-        const taskCount = await getOne('SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ?', [req.user.id]);
-        const completedCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND status = 'completed'", [req.user.id]);
-        const pendingCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND status = 'pending'", [req.user.id]);
-        const inProgressCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND status = 'in_progress'", [req.user.id]);
+        const goalCount = await getOne('SELECT COUNT(*) as count FROM quarterly_goals WHERE user_id = ? AND deleted_at IS NULL', [req.user.id]);
+        const planCount = await getOne('SELECT COUNT(*) as count FROM monthly_plans WHERE user_id = ? AND deleted_at IS NULL', [req.user.id]);
+        const taskCount = await getOne('SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND deleted_at IS NULL', [req.user.id]);
+        const completedCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND status = 'completed' AND deleted_at IS NULL", [req.user.id]);
+        const pendingCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND status = 'pending' AND deleted_at IS NULL", [req.user.id]);
+        const inProgressCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND status = 'in_progress' AND deleted_at IS NULL", [req.user.id]);
         const hoursSum = await getOne('SELECT COALESCE(SUM(hours), 0) as total FROM time_logs WHERE user_id = ?', [req.user.id]);
-        const overdueCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND due_date < CURRENT_DATE AND status != 'completed'", [req.user.id]);
+        const overdueCount = await getOne("SELECT COUNT(*) as count FROM weekly_tasks WHERE user_id = ? AND due_date < CURRENT_DATE AND status != 'completed' AND deleted_at IS NULL", [req.user.id]);
 
         stats.totalGoals = parseInt(goalCount?.count) || 0;
         stats.totalPlans = parseInt(planCount?.count) || 0;
@@ -760,9 +3473,21 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
     }
 });
 
-// Get team performance (admin only or all users)
-app.get('/api/dashboard/team-performance', authenticateToken, async (req, res) => {
+// Get team performance for a team the user leads (?team_id=), every team they lead, or everyone (report:all)
+app.get('/api/dashboard/team-performance', authenticateToken, requirePermission('report:team'), async (req, res) => {
     try {
+        let memberIds;
+
+        if (req.query.team_id) {
+            memberIds = await resolveTeamFilter(req, res);
+            if (!memberIds) return;
+        } else if (!(await permissionService.can(req.user, 'report:all'))) {
+            memberIds = await teamService.getLedMemberIds(req.user.id);
+            if (memberIds.length === 0) {
+                memberIds = [req.user.id];
+            }
+        }
+
         const teamStats = await getAll(`
       SELECT 
         u.id,
@@ -774,11 +3499,12 @@ app.get('/api/dashboard/team-performance', authenticateToken, async (req, res) =
         SUM(CASE WHEN wt.status = 'pending' THEN 1 ELSE 0 END) as pending_tasks,
         COALESCE(SUM(tl.hours), 0) as total_hours
       FROM users u
-      LEFT JOIN weekly_tasks wt ON u.id = wt.user_id
+      LEFT JOIN weekly_tasks wt ON u.id = wt.user_id AND wt.deleted_at IS NULL
       LEFT JOIN time_logs tl ON u.id = tl.user_id
+      ${memberIds ? 'WHERE u.id = ANY(?)' : ''}
       GROUP BY u.id
       ORDER BY completed_tasks DESC
-    `);
+    `, memberIds ? [memberIds] : []);
 
         res.json(teamStats);
     } catch (error) {
@@ -799,8 +3525,8 @@ cron.schedule('0 9 * * *', async () => {
         const overdueTasks = await getAll(`
       SELECT wt.*, u.id as user_id, u.name as user_name
       FROM weekly_tasks wt
-      JOIN users u ON wt.user_id = u.id
-      WHERE wt.due_date < CURRENT_DATE AND wt.status != 'completed'
+      JOIN users u ON COALESCE(wt.assigned_to, wt.user_id) = u.id
+      WHERE wt.due_date < CURRENT_DATE AND wt.status != 'completed' AND wt.deleted_at IS NULL
     `);
 
         for (const task of overdueTasks) {
@@ -829,8 +3555,8 @@ cron.schedule('0 18 * * *', async () => {
         const dueTomorrowTasks = await getAll(`
       SELECT wt.*, u.id as user_id, u.name as user_name
       FROM weekly_tasks wt
-      JOIN users u ON wt.user_id = u.id
-      WHERE wt.due_date = CURRENT_DATE + INTERVAL '1 day' AND wt.status != 'completed'
+      JOIN users u ON COALESCE(wt.assigned_to, wt.user_id) = u.id
+      WHERE wt.due_date = CURRENT_DATE + INTERVAL '1 day' AND wt.status != 'completed' AND wt.deleted_at IS NULL
     `);
 
         for (const task of dueTomorrowTasks) {
@@ -851,95 +3577,70 @@ cron.schedule('0 18 * * *', async () => {
     }
 });
 
-// ============================================
-// DATABASE SEEDING ENDPOINT
-// ============================================
-
-app.post('/api/seed', async (req, res) => {
+// Purge long-expired and revoked sessions (runs daily at 3 AM)
+cron.schedule('0 3 * * *', async () => {
     try {
-        console.log('🌱 Starting database seeding...');
-
-        // Create demo user
-        const hashedPassword = await bcrypt.hash('demo123', 10);
-        const userResult = await runQuery(
-            'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?) RETURNING id',
-            ['Demo User', 'demo@example.com', hashedPassword, 'admin']
-        );
-        const userId = userResult.id;
-
-        // Create quarterly goals
-        const goal1 = await runQuery(
-            'INSERT INTO quarterly_goals (user_id, title, description, quarter, year, status, progress) VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id',
-            [userId, 'Launch Product V2.0', 'Complete redesign and launch of our flagship product with new features', 1, 2026, 'in_progress', 65]
-        );
-
-        const goal2 = await runQuery(
-            'INSERT INTO quarterly_goals (user_id, title, description, quarter, year, status, progress) VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id',
-            [userId, 'Improve Team Productivity', 'Implement new tools and processes to boost team efficiency by 30%', 1, 2026, 'in_progress', 45]
-        );
-
-        // Create monthly plans
-        const plan1 = await runQuery(
-            'INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year, status, progress) VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING id',
-            [userId, goal1.id, 'Backend API Development', 'Build new REST API endpoints and database schema', 3, 2026, 'in_progress', 70]
-        );
-
-        const plan2 = await runQuery(
-            'INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year, status, progress) VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING id',
-            [userId, goal2.id, 'Implement Project Management Tool', 'Set up and train team on new PM software', 2, 2026, 'in_progress', 60]
-        );
-
-        // Create weekly tasks
-        await runQuery(
-            'INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [userId, plan1.id, 'Design database schema', 'Create ERD and define all tables and relationships', 10, 2026, 'high', 'completed', 8, 10, '2026-03-07', 0]
-        );
-
-        await runQuery(
-            'INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [userId, plan1.id, 'Implement authentication endpoints', 'Build login, register, and JWT token management', 11, 2026, 'high', 'completed', 12, 14, '2026-03-14', 0]
-        );
-
-        await runQuery(
-            'INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [userId, plan1.id, 'Create CRUD endpoints for goals', 'Build API endpoints for quarterly goals management', 12, 2026, 'medium', 'in_progress', 10, 6, '2026-03-21', 1]
-        );
-
-        await runQuery(
-            'INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [userId, plan2.id, 'Research PM tools', 'Evaluate top 5 project management tools', 9, 2026, 'high', 'completed', 4, 5, '2026-02-28', 0]
-        );
+        const purged = await sessionService.purgeStale();
+        console.log(`Purged ${purged} stale sessions`);
+    } catch (error) {
+        console.error('Error purging sessions:', error);
+    }
+});
 
-        await runQuery(
-            'INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, priority, status, estimated_hours, actual_hours, due_date, is_urgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [userId, plan2.id, 'Train team members', 'Conduct training sessions for all team members', 11, 2026, 'medium', 'in_progress', 8, 4, '2026-03-14', 0]
-        );
+// Create the tasks of recurring tasks' occurrences up to RECURRENCE_HORIZON_DAYS
+// ahead (runs daily at 1 AM)
+cron.schedule('0 1 * * *', async () => {
+    try {
+        const created = await recurrenceService.generateDue();
+        await afterGenerate(null, created);
+        console.log(`Created ${created.length} recurring task occurrences`);
+    } catch (error) {
+        console.error('Error generating recurring tasks:', error);
+    }
+});
 
-        // Create notifications
-        await runQuery(
-            'INSERT INTO notifications (user_id, type, title, message, is_read) VALUES (?, ?, ?, ?, ?)',
-            [userId, 'reminder', 'Task Due Soon', 'Task "Create CRUD endpoints for goals" is due in 3 days', 0]
-        );
+// Purge goals, plans and tasks that have been in the trash longer than
+// TRASH_RETENTION_DAYS (runs daily at 4 AM)
+cron.schedule('0 4 * * *', async () => {
+    try {
+        const purged = await trashService.purgeExpired();
+        await recordPurge(null, purged);
+        console.log(`Purged ${purged.goal.length} goals, ${purged.plan.length} plans and ${purged.task.length} tasks from the trash`);
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+});
 
-        await runQuery(
-            'INSERT INTO notifications (user_id, type, title, message, is_read) VALUES (?, ?, ?, ?, ?)',
-            [userId, 'general', 'Welcome!', 'Welcome to Team Goal Tracker! Your demo data has been loaded.', 1]
-        );
+// ============================================
+// FIXTURE LOADING ENDPOINT (non-production only)
+// ============================================
 
-        console.log('✅ Database seeded successfully');
+// Production builds never expose this route; use `npm run seed` against dev databases instead
+if (process.env.NODE_ENV !== 'production') {
+    app.post('/api/seed', authenticateSession, requirePermission('admin:fixtures'), async (req, res) => {
+        try {
+            const { fixture = 'demo' } = req.body;
 
-        res.json({
-            message: 'Database seeded successfully',
-            credentials: {
-                email: 'demo@example.com',
-                password: 'demo123'
+            if (typeof fixture !== 'string' || !Object.hasOwn(FIXTURES, fixture)) {
+                return res.status(400).json({
+                    error: `Unknown fixture. Available: ${Object.keys(FIXTURES).join(', ')}`
+                });
             }
-        });
-    } catch (error) {
-        console.error('Seeding error:', error);
-        res.status(500).json({ error: 'Failed to seed database', details: error.message });
-    }
-});
+
+            const summary = await loadFixtures([fixture]);
+
+            res.json({
+                message: 'Fixture loaded successfully',
+                fixture,
+                ...summary[fixture],
+                password: FIXTURE_PASSWORD
+            });
+        } catch (error) {
+            console.error('Seeding error:', error);
+            res.status(500).json({ error: 'Failed to load fixture' });
+        }
+    });
+}
 
 // ============================================
 // ERROR HANDLING MIDDLEWARE
@@ -978,6 +3679,13 @@ app.use((err, req, res, next) => {
 // SERVER START
 // ============================================
 
+// Apply pending schema migrations on boot (set AUTO_MIGRATE=false to run them manually)
+if (process.env.AUTO_MIGRATE !== 'false') {
+    migrateUp().catch((error) => {
+        console.error('❌ Error applying database migrations:', error);
+    });
+}
+
 app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
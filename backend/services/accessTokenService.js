@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { runQuery, getOne, getAll } = require('../database');
+
+// Personal access tokens are told apart from JWTs by this prefix
+const TOKEN_PREFIX = 'ttpat_';
+
+// What each scope allows, as permissions the route checks. The user's role must
+// still grant the permission; a scope can only narrow it.
+const SCOPES = {
+    'read': [
+        'user:read', 'goal:read', 'plan:read', 'task:read', 'task:read:any', 'time-log:read',
+        'notification:read', 'report:self', 'report:team', 'report:all', 'team:read',
+        'activity:read', 'activity:read:any'
+    ],
+    'tasks:write': [
+        'task:create', 'task:update', 'task:update:any', 'task:delete', 'task:delete:any',
+        'task:assign', 'task:assign:any'
+    ],
+    'time-logs:write': ['time-log:create']
+};
+
+// The read scope never allows changes, even when a route checks a read permission
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class AccessTokenService {
+    constructor() {
+        this.scopes = Object.keys(SCOPES);
+    }
+
+    isAccessToken(token) {
+        return token.startsWith(TOKEN_PREFIX);
+    }
+
+    /**
+     * Whether a token's scopes allow a permission for this HTTP method
+     */
+    allows(scopes, permission, method) {
+        return scopes.some(scope => {
+            if (scope === 'read' && !SAFE_METHODS.includes(method)) return false;
+            return SCOPES[scope]?.includes(permission) || false;
+        });
+    }
+
+    /**
+     * Create a token. The raw token is returned once and never stored.
+     * @param {number|null} expiresInDays - null for a token that never expires
+     */
+    async create(userId, { name, scopes, expires_in_days: expiresInDays }) {
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+            : null;
+
+        const result = await runQuery(
+            `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, name, hashToken(token), token.slice(-4), [...new Set(scopes)], expiresAt]
+        );
+
+        const created = await getOne(
+            `SELECT id, name, token_hint, scopes, created_at, expires_at, last_used_at
+       FROM personal_access_tokens WHERE id = ?`,
+            [result.id]
+        );
+
+        return { ...created, token };
+    }
+
+    /**
+     * The user's usable tokens (not revoked or expired)
+     */
+    async list(userId) {
+        return getAll(
+            `SELECT id, name, token_hint, scopes, created_at, expires_at, last_used_at
+       FROM personal_access_tokens
+       WHERE user_id = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       ORDER BY created_at DESC`,
+            [userId]
+        );
+    }
+
+    async revoke(tokenId, userId) {
+        const result = await runQuery(
+            `UPDATE personal_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+            [tokenId, userId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Resolve a raw token to the request user, or null when it is unknown,
+     * revoked or expired. Role and email are read fresh so role changes apply at once.
+     */
+    async authenticate(token) {
+        const row = await getOne(
+            `SELECT t.id as token_id, t.scopes, u.id, u.email, u.role
+       FROM personal_access_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = ? AND t.revoked_at IS NULL
+         AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)`,
+            [hashToken(token)]
+        );
+        if (!row) return null;
+
+        // Record use, at most once a minute per token
+        await runQuery(
+            `UPDATE personal_access_tokens SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+            [row.token_id]
+        );
+
+        return { id: row.id, email: row.email, role: row.role, token_id: row.token_id, scopes: row.scopes };
+    }
+}
+
+module.exports = new AccessTokenService();
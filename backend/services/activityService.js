@@ -0,0 +1,109 @@
+const { runQuery, getAll } = require('../database');
+
+// Everything the activity log records changes of
+const ENTITY_TYPES = [
+    'goal', 'plan', 'task', 'recurrence', 'checklist_item', 'comment', 'attachment', 'time_log',
+    'template', 'rollover', 'team', 'team_member', 'user', 'role', 'policy', 'access_token', 'session'
+];
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+// Bookkeeping columns that change on every write and say nothing about the change
+const IGNORED_FIELDS = ['version', 'created_at', 'updated_at'];
+
+// Fields whose values never reach the log; a change to them is recorded as [redacted]
+const SECRET_FIELD = /password|secret|token_hash|^token$/;
+const REDACTED = '[redacted]';
+
+// Rows per query when exporting, so a large trail is never held in memory at once
+const EXPORT_BATCH_SIZE = 1000;
+
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+const shown = (field, value) => {
+    if (value === undefined || value === null) return null;
+    return SECRET_FIELD.test(field) ? REDACTED : value;
+};
+
+// Append-only log of every create, update and delete made through the API
+class ActivityService {
+    constructor() {
+        this.entityTypes = ENTITY_TYPES;
+        this.actions = ACTIONS;
+    }
+
+    /**
+     * { field: { from, to } } for every field that differs between two versions of a
+     * row. Either side may be null: a create has no before, a delete no after.
+     */
+    diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changes = {};
+        for (const field of fields) {
+            if (IGNORED_FIELDS.includes(field)) continue;
+            const from = before ? before[field] : undefined;
+            const to = after ? after[field] : undefined;
+            if (comparable(from) === comparable(to)) continue;
+            changes[field] = { from: shown(field, from), to: shown(field, to) };
+        }
+        return changes;
+    }
+
+    /**
+     * Record a change made by the request's user (or actor, for routes without a signed-in
+     * user such as registration). req is null for changes made by scheduled jobs.
+     * parent is the { type, id } a child record belongs to.
+     * Updates that change nothing are not recorded. A failure is logged, never thrown:
+     * the change it describes has already been made.
+     */
+    async record(req, { action, entityType, entityId, parent = null, before = null, after = null, actor = req?.user }) {
+        try {
+            const changes = this.diff(before, after);
+            if (action === 'update' && Object.keys(changes).length === 0) return;
+
+            await runQuery(
+                `INSERT INTO activity_events
+         (actor_id, actor_email, action, entity_type, entity_id, parent_type, parent_id, changes, ip, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    actor?.id || null, actor?.email || null, action, entityType, entityId,
+                    parent?.type || null, parent?.id || null, JSON.stringify(changes),
+                    req?.ip || null, (req?.headers['user-agent'] || '').slice(0, 500) || null
+                ]
+            );
+        } catch (err) {
+            console.error(`Error recording ${action} of ${entityType} ${entityId}:`, err);
+        }
+    }
+
+    /**
+     * SQL condition (and params) matching an entity's own events and those of its children
+     */
+    entityCondition(entityType, entityId, alias = 'ae') {
+        return {
+            condition: `((${alias}.entity_type = ? AND ${alias}.entity_id = ?) OR (${alias}.parent_type = ? AND ${alias}.parent_id = ?))`,
+            params: [entityType, entityId, entityType, entityId]
+        };
+    }
+
+    /**
+     * Every event matching conditions, oldest first, in batches of EXPORT_BATCH_SIZE
+     */
+    async *exportEvents(conditions = [], params = []) {
+        let lastId = 0;
+        for (;;) {
+            const rows = await getAll(
+                `SELECT * FROM activity_events
+       WHERE ${[...conditions, 'id > ?'].join(' AND ')}
+       ORDER BY id
+       LIMIT ${EXPORT_BATCH_SIZE}`,
+                [...params, lastId]
+            );
+            yield* rows;
+            if (rows.length < EXPORT_BATCH_SIZE) return;
+            lastId = rows[rows.length - 1].id;
+        }
+    }
+}
+
+module.exports = new ActivityService();
@@ -66,16 +66,16 @@ class GroqService {
         }
     }
 
-    async processNaturalLanguageQuery(query, userId, userRole, userDept) {
+    async processNaturalLanguageQuery(query, userId, userRole, userTeams) {
         const systemPrompt = `You are an AI assistant for a Team Goal Tracker application.
-Current user: ID ${userId}, Role: ${userRole}, Department: ${userDept}
+Current user: ID ${userId}, Role: ${userRole}, Teams: ${userTeams}
 
 You help users manage their quarterly goals, monthly plans, and weekly tasks.
 Parse the user's query and determine what action they want to take.
 
 Available actions:
 - get_my_tasks: Get tasks assigned to current user
-- get_team_tasks: Get all tasks in user's department (leads/admins only)
+- get_team_tasks: Get all tasks in user's teams (leads/admins only)
 - get_overdue_tasks: Get overdue tasks
 - get_task_by_id: Get specific task details
 - create_task: Create a new task (leads/admins only)
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { runQuery, getOne } = require('../database');
+
+// Lifetime of emailed tokens per purpose, in minutes
+const TOKEN_TTL_MINUTES = {
+    password_reset: 60,
+    email_verification: 24 * 60
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class AuthTokenService {
+    ttlMinutes(purpose) {
+        return TOKEN_TTL_MINUTES[purpose];
+    }
+
+    /**
+     * Issue a new token, invalidating any earlier unused token for the same purpose
+     * @returns {string} the raw token to send to the user (never stored)
+     */
+    async issue(userId, purpose) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+        await runQuery(
+            `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+            [userId, purpose]
+        );
+
+        await runQuery(
+            'INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+            [userId, purpose, hashToken(token), expiresAt]
+        );
+
+        return token;
+    }
+
+    /**
+     * Mark a token used and return its user id, or null when it is unknown,
+     * expired or already used. The single UPDATE makes concurrent use impossible.
+     */
+    async consume(token, purpose) {
+        const row = await getOne(
+            `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+            [hashToken(token || ''), purpose]
+        );
+        return row ? row.user_id : null;
+    }
+}
+
+module.exports = new AuthTokenService();
@@ -0,0 +1,44 @@
+// Day and ISO week arithmetic shared by recurring tasks, templates and quarter rollovers
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days are handled as 'YYYY-MM-DD' strings, which sort like the dates they name,
+// and converted to UTC midnights for arithmetic
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+const toDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (day, days) => toDay(new Date(toDate(day).getTime() + days * DAY_MS));
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / DAY_MS);
+
+// Monday = 0 … Sunday = 6
+const weekdayOf = (date) => (date.getUTCDay() + 6) % 7;
+
+// DATE columns read with SELECT * arrive as local midnights
+const dayOf = (value) => {
+    if (!(value instanceof Date)) return value;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+/**
+ * ISO 8601 week number and week-numbering year of a day: weeks start on Monday
+ * and week 1 is the one with the year's first Thursday in it
+ */
+const isoWeek = (day) => {
+    const date = toDate(day);
+    const thursday = new Date(date.getTime() + (3 - weekdayOf(date)) * DAY_MS);
+    const year = thursday.getUTCFullYear();
+    return { week_number: Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1, year };
+};
+
+// The Monday of the week a day falls in
+const mondayOf = (day) => addDays(day, -weekdayOf(toDate(day)));
+
+// The Monday an ISO week starts on; week 1 is the one with January 4th in it
+const weekStart = (weekNumber, year) => {
+    return addDays(mondayOf(`${year}-01-04`), (weekNumber - 1) * 7);
+};
+
+// The first day of a month (1-12)
+const monthStart = (month, year) => toDay(new Date(Date.UTC(year, month - 1, 1)));
+
+module.exports = { DAY_MS, toDate, toDay, addDays, daysBetween, weekdayOf, dayOf, isoWeek, mondayOf, weekStart, monthStart };
@@ -0,0 +1,128 @@
+const { runQuery, getOne, getAll, pool } = require('../database');
+
+// Most checklist items one task may have
+const MAX_ITEMS = 100;
+
+const ITEM_COLUMNS = `ci.id, ci.task_id, ci.title, ci.position, ci.is_done, ci.assigned_to, ci.due_date,
+              ci.completed_at, ci.completed_by, ci.created_at, ci.updated_at, au.name as assignee_name`;
+
+// Checklist items inside weekly tasks, and the task progress they add up to
+class ChecklistService {
+    constructor() {
+        this.maxItems = MAX_ITEMS;
+    }
+
+    /**
+     * SQL for a task's checklist_total, checklist_done and progress columns.
+     * A completed task is at 100%; otherwise progress is the share of checked
+     * items, or 0 without a checklist.
+     */
+    progressColumns(alias = 'wt') {
+        const items = `FROM checklist_items ci WHERE ci.task_id = ${alias}.id`;
+        return `(SELECT COUNT(*) ${items})::int as checklist_total,
+              (SELECT COUNT(*) ${items} AND ci.is_done)::int as checklist_done,
+              (CASE WHEN ${alias}.status = 'completed' THEN 100
+                    ELSE COALESCE((SELECT ROUND(100.0 * COUNT(*) FILTER (WHERE ci.is_done) / NULLIF(COUNT(*), 0)) ${items}), 0)
+               END)::int as progress`;
+    }
+
+    /**
+     * The same totals for a task whose items are already loaded
+     */
+    summarize(task, items) {
+        const done = items.filter(item => item.is_done).length;
+        let percent = 0;
+        if (task.status === 'completed') {
+            percent = 100;
+        } else if (items.length > 0) {
+            percent = Math.round((done / items.length) * 100);
+        }
+        return { total: items.length, done, percent };
+    }
+
+    async getItems(taskId) {
+        return getAll(
+            `SELECT ${ITEM_COLUMNS}
+       FROM checklist_items ci
+       LEFT JOIN users au ON ci.assigned_to = au.id
+       WHERE ci.task_id = ?
+       ORDER BY ci.position, ci.id`,
+            [taskId]
+        );
+    }
+
+    async getItem(taskId, itemId) {
+        return getOne(
+            `SELECT ${ITEM_COLUMNS}
+       FROM checklist_items ci
+       LEFT JOIN users au ON ci.assigned_to = au.id
+       WHERE ci.task_id = ? AND ci.id = ?`,
+            [taskId, itemId]
+        );
+    }
+
+    async countItems(taskId) {
+        const row = await getOne('SELECT COUNT(*) as count FROM checklist_items WHERE task_id = ?', [taskId]);
+        return parseInt(row.count);
+    }
+
+    /**
+     * Append an item at the end of the task's checklist; returns its id
+     */
+    async addItem(taskId, { title, assigned_to = null, due_date = null }, createdBy) {
+        const result = await runQuery(
+            `INSERT INTO checklist_items (task_id, title, position, assigned_to, due_date, created_by)
+       VALUES (?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM checklist_items WHERE task_id = ?), ?, ?, ?)`,
+            [taskId, title.trim(), taskId, assigned_to, due_date, createdBy]
+        );
+        return result.id;
+    }
+
+    /**
+     * Change the fields present in changes; checking an item records who checked it and when
+     */
+    async updateItem(item, changes, userId) {
+        const fields = ['title', 'assigned_to', 'due_date', 'is_done'].filter(field => changes[field] !== undefined);
+        const assignments = fields.map(field => `${field} = ?`);
+        const params = fields.map(field => (field === 'title' ? changes.title.trim() : changes[field]));
+
+        const isDone = changes.is_done === undefined ? item.is_done : changes.is_done === true || changes.is_done === 'true';
+        if (isDone !== item.is_done) {
+            assignments.push(isDone ? 'completed_at = CURRENT_TIMESTAMP' : 'completed_at = NULL', 'completed_by = ?');
+            params.push(isDone ? userId : null);
+        }
+
+        await runQuery(
+            `UPDATE checklist_items SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = ?`,
+            [...params, item.id]
+        );
+    }
+
+    async deleteItem(itemId) {
+        await runQuery('DELETE FROM checklist_items WHERE id = ?', [itemId]);
+    }
+
+    /**
+     * Put a task's items in the given order (ids of every item, once each) in one transaction
+     */
+    async reorder(taskId, itemIds) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            for (const [index, itemId] of itemIds.entries()) {
+                await client.query(
+                    'UPDATE checklist_items SET position = $1 WHERE id = $2 AND task_id = $3',
+                    [index + 1, itemId, taskId]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new ChecklistService();
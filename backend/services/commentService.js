@@ -0,0 +1,166 @@
+const { getOne, getAll, pool } = require('../database');
+
+// Column of comments that points at each kind of item
+const ENTITY_COLUMNS = {
+    goal: 'goal_id',
+    plan: 'plan_id',
+    task: 'task_id'
+};
+
+// Most users one comment can notify
+const MAX_MENTIONS = 20;
+
+// @ followed by a user's email address, e.g. "@alice@example.com"
+const MENTION_PATTERN = /(?:^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+const COMMENT_COLUMNS = `c.id, c.parent_id, c.user_id, u.name as author_name, c.body,
+              c.created_at, c.edited_at, c.deleted_at,
+              (SELECT COUNT(*) FROM comment_revisions cr WHERE cr.comment_id = c.id)::int as revision_count,
+              (SELECT COALESCE(json_agg(json_build_object('id', mu.id, 'name', mu.name, 'email', mu.email)), '[]')
+               FROM comment_mentions cm JOIN users mu ON mu.id = cm.user_id
+               WHERE cm.comment_id = c.id) as mentions`;
+
+// Threaded comments on goals, plans and tasks, their edit history and @mentions
+class CommentService {
+    constructor() {
+        this.entityTypes = Object.keys(ENTITY_COLUMNS);
+        this.maxMentions = MAX_MENTIONS;
+    }
+
+    /**
+     * The { type, id } of the goal, plan or task a comment row is on
+     */
+    targetOf(comment) {
+        const type = this.entityTypes.find(entityType => comment[ENTITY_COLUMNS[entityType]] !== null);
+        return { type, id: comment[ENTITY_COLUMNS[type]] };
+    }
+
+    /**
+     * Every comment on an item as a tree: top-level comments oldest first, each with
+     * its replies. Deleted comments (body null) stay only while they have replies.
+     */
+    async getThread(entityType, entityId) {
+        const rows = await getAll(
+            `SELECT ${COMMENT_COLUMNS}
+       FROM comments c
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE c.${ENTITY_COLUMNS[entityType]} = ?
+       ORDER BY c.created_at, c.id`,
+            [entityId]
+        );
+
+        const byId = new Map(rows.map(row => [row.id, { ...row, replies: [] }]));
+        const roots = [];
+        for (const comment of byId.values()) {
+            const parent = byId.get(comment.parent_id);
+            (parent ? parent.replies : roots).push(comment);
+        }
+
+        const prune = (comments) => comments
+            .map(comment => ({ ...comment, replies: prune(comment.replies) }))
+            .filter(comment => !comment.deleted_at || comment.replies.length > 0);
+
+        return prune(roots);
+    }
+
+    async getComment(commentId) {
+        return getOne('SELECT * FROM comments WHERE id = ?', [commentId]);
+    }
+
+    /**
+     * Users (with their role, for permission checks) whose email is @mentioned in body, up to MAX_MENTIONS
+     */
+    async findMentionedUsers(body) {
+        const emails = [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))];
+        if (emails.length === 0) return [];
+
+        return getAll(
+            'SELECT id, name, email, role FROM users WHERE LOWER(email) = ANY(?) ORDER BY id LIMIT ?',
+            [emails, MAX_MENTIONS]
+        );
+    }
+
+    /**
+     * Record mentions of userIds; returns the ids not mentioned in this comment before
+     */
+    async addMentions(commentId, userIds) {
+        if (userIds.length === 0) return [];
+
+        const rows = await getAll(
+            `INSERT INTO comment_mentions (comment_id, user_id)
+       SELECT ?, unnest(?::int[])
+       ON CONFLICT DO NOTHING
+       RETURNING user_id`,
+            [commentId, userIds]
+        );
+        return rows.map(row => row.user_id);
+    }
+
+    /**
+     * Add a comment (a reply when parentId is set); returns its id
+     */
+    async createComment(entityType, entityId, { body, parent_id = null }, userId) {
+        const row = await getOne(
+            `INSERT INTO comments (${ENTITY_COLUMNS[entityType]}, parent_id, user_id, body)
+       VALUES (?, ?, ?, ?)
+       RETURNING id`,
+            [entityId, parent_id, userId, body.trim()]
+        );
+        return row.id;
+    }
+
+    /**
+     * Replace a comment's body (null deletes it), keeping the old body as a revision
+     */
+    async replaceBody(comment, body, userId) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'INSERT INTO comment_revisions (comment_id, body, replaced_by) VALUES ($1, $2, $3)',
+                [comment.id, comment.body, userId]
+            );
+            if (body === null) {
+                await client.query(
+                    'UPDATE comments SET body = NULL, deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE id = $2',
+                    [userId, comment.id]
+                );
+            } else {
+                await client.query(
+                    'UPDATE comments SET body = $1, edited_at = CURRENT_TIMESTAMP WHERE id = $2',
+                    [body.trim(), comment.id]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async editComment(comment, body, userId) {
+        await this.replaceBody(comment, body, userId);
+    }
+
+    async deleteComment(comment, userId) {
+        await this.replaceBody(comment, null, userId);
+    }
+
+    /**
+     * Earlier bodies of a comment, oldest first, with who replaced each
+     */
+    async getRevisions(commentId) {
+        return getAll(
+            `SELECT cr.id, cr.body, cr.replaced_at, cr.replaced_by, u.name as replaced_by_name
+       FROM comment_revisions cr
+       LEFT JOIN users u ON cr.replaced_by = u.id
+       WHERE cr.comment_id = ?
+       ORDER BY cr.replaced_at, cr.id`,
+            [commentId]
+        );
+    }
+}
+
+module.exports = new CommentService();
@@ -0,0 +1,257 @@
+const { runQuery, getOne, getAll, pool } = require('../database');
+
+// Which end of the blocker and of the waiting task each dependency type links
+const TYPES = {
+    finish_to_start: { blocker: 'finish', dependent: 'start' },
+    start_to_start: { blocker: 'start', dependent: 'start' },
+    finish_to_finish: { blocker: 'finish', dependent: 'finish' },
+    start_to_finish: { blocker: 'start', dependent: 'finish' }
+};
+
+// Largest graph returned for display
+const MAX_GRAPH_NODES = 100;
+
+const hasStarted = (status) => status === 'in_progress' || status === 'completed';
+
+// Whether a blocker has reached its end of the link; cancelled blockers never hold anything up
+const isSatisfied = (type, status) => {
+    if (status === 'cancelled') return true;
+    return TYPES[type].blocker === 'finish' ? status === 'completed' : hasStarted(status);
+};
+
+// Task dependency graph: edges, cycle checks and the blocking rules
+class DependencyService {
+    constructor() {
+        this.types = Object.keys(TYPES);
+    }
+
+    /**
+     * SQL for a task's blocker ids as an integer array column named depends_on.
+     * openOnly leaves out blockers that are completed or cancelled.
+     *
+     * Links to trashed tasks stay in task_dependencies (a restore brings them back)
+     * but are left out of the lists, blocking rules and graph, so a trashed task
+     * neither blocks nor waits.
+     */
+    dependsOnColumn(alias = 'wt', { openOnly = false } = {}) {
+        const open = openOnly ? " AND blocker.status NOT IN ('completed', 'cancelled')" : '';
+        return `ARRAY(SELECT td.depends_on_task_id
+              FROM task_dependencies td
+              JOIN weekly_tasks blocker ON blocker.id = td.depends_on_task_id AND blocker.deleted_at IS NULL
+              WHERE td.task_id = ${alias}.id${open}
+              ORDER BY td.depends_on_task_id) as depends_on`;
+    }
+
+    /**
+     * Tasks this task waits on, with the type of each link
+     */
+    async getDependencies(taskId) {
+        return getAll(
+            `SELECT wt.id, wt.title, wt.status, wt.user_id, wt.assigned_to, td.type
+       FROM task_dependencies td
+       JOIN weekly_tasks wt ON wt.id = td.depends_on_task_id AND wt.deleted_at IS NULL
+       WHERE td.task_id = ?
+       ORDER BY td.id`,
+            [taskId]
+        );
+    }
+
+    /**
+     * Tasks waiting on this task
+     */
+    async getDependents(taskId) {
+        return getAll(
+            `SELECT wt.id, wt.title, wt.status, wt.due_date, wt.user_id, wt.assigned_to, td.type
+       FROM task_dependencies td
+       JOIN weekly_tasks wt ON wt.id = td.task_id AND wt.deleted_at IS NULL
+       WHERE td.depends_on_task_id = ?
+       ORDER BY td.id`,
+            [taskId]
+        );
+    }
+
+    /**
+     * The chain of ids from dependsOnId to taskId if dependsOnId already waits on
+     * taskId (directly or through others), i.e. if the new edge would close a cycle.
+     * Returns null when the edge is safe. Walks the graph breadth-first, one query per level.
+     * Links through trashed tasks count, so restoring a task can never close a cycle.
+     */
+    async findCycle(taskId, dependsOnId) {
+        if (taskId === dependsOnId) return [taskId];
+
+        const cameFrom = new Map([[dependsOnId, null]]);
+        let frontier = [dependsOnId];
+
+        while (frontier.length > 0) {
+            const edges = await getAll(
+                'SELECT task_id, depends_on_task_id FROM task_dependencies WHERE task_id = ANY(?)',
+                [frontier]
+            );
+
+            const next = [];
+            for (const edge of edges) {
+                if (cameFrom.has(edge.depends_on_task_id)) continue;
+                cameFrom.set(edge.depends_on_task_id, edge.task_id);
+
+                if (edge.depends_on_task_id === taskId) {
+                    const chain = [];
+                    for (let id = taskId; id !== null; id = cameFrom.get(id)) {
+                        chain.unshift(id);
+                    }
+                    return chain;
+                }
+                next.push(edge.depends_on_task_id);
+            }
+            frontier = next;
+        }
+
+        return null;
+    }
+
+    /**
+     * Add an edge, or change the type of an existing one
+     */
+    async addDependency(taskId, dependsOnId, type, createdBy) {
+        await runQuery(
+            `INSERT INTO task_dependencies (task_id, depends_on_task_id, type, created_by)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (task_id, depends_on_task_id) DO UPDATE SET type = EXCLUDED.type`,
+            [taskId, dependsOnId, type, createdBy]
+        );
+    }
+
+    /**
+     * Remove an edge; returns false if there was none
+     */
+    async removeDependency(taskId, dependsOnId) {
+        const result = await runQuery(
+            'DELETE FROM task_dependencies WHERE task_id = ? AND depends_on_task_id = ?',
+            [taskId, dependsOnId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Make a task wait on exactly these tasks in one transaction. Edges that stay keep
+     * their type; new ones are finish_to_start. Links to trashed blockers are kept.
+     */
+    async setDependencies(taskId, dependsOnIds, createdBy) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `DELETE FROM task_dependencies
+         WHERE task_id = $1 AND NOT (depends_on_task_id = ANY($2))
+           AND depends_on_task_id IN (SELECT id FROM weekly_tasks WHERE deleted_at IS NULL)`,
+                [taskId, dependsOnIds]
+            );
+            for (const dependsOnId of dependsOnIds) {
+                await client.query(
+                    `INSERT INTO task_dependencies (task_id, depends_on_task_id, created_by)
+           VALUES ($1, $2, $3)
+           ON CONFLICT DO NOTHING`,
+                    [taskId, dependsOnId, createdBy]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Blockers that keep a task from moving to status. Starting needs the blockers
+     * linked to its start; finishing needs every blocker, since a finished task has
+     * also started. dependsOnIds checks a blocker list that is about to replace the
+     * current one (new edges count as finish_to_start).
+     */
+    async getUnmetBlockers(taskId, status, dependsOnIds) {
+        if (status !== 'in_progress' && status !== 'completed') return [];
+
+        const blockers = dependsOnIds === undefined
+            ? await this.getDependencies(taskId)
+            : await getAll(
+                `SELECT wt.id, wt.title, wt.status, COALESCE(td.type, 'finish_to_start') as type
+       FROM weekly_tasks wt
+       LEFT JOIN task_dependencies td ON td.depends_on_task_id = wt.id AND td.task_id = ?
+       WHERE wt.id = ANY(?) AND wt.deleted_at IS NULL
+       ORDER BY wt.id`,
+                [taskId, dependsOnIds]
+            );
+
+        return blockers
+            .filter(blocker => status === 'completed' || TYPES[blocker.type].dependent === 'start')
+            .filter(blocker => !isSatisfied(blocker.type, blocker.status))
+            .map(({ id, title, status: blockerStatus, type }) => ({ id, title, status: blockerStatus, type }));
+    }
+
+    /**
+     * Every task connected to this one through dependencies in either direction,
+     * up to MAX_GRAPH_NODES, as { nodes, edges, truncated }
+     */
+    async getGraph(taskId) {
+        const ids = new Set([taskId]);
+        const edges = new Map();
+        let frontier = [taskId];
+        let truncated = false;
+
+        while (frontier.length > 0) {
+            const rows = await getAll(
+                `SELECT td.task_id, td.depends_on_task_id, td.type
+         FROM task_dependencies td
+         JOIN weekly_tasks waiting ON waiting.id = td.task_id AND waiting.deleted_at IS NULL
+         JOIN weekly_tasks blocker ON blocker.id = td.depends_on_task_id AND blocker.deleted_at IS NULL
+         WHERE td.task_id = ANY(?) OR td.depends_on_task_id = ANY(?)`,
+                [frontier, frontier]
+            );
+
+            const next = [];
+            for (const row of rows) {
+                for (const id of [row.task_id, row.depends_on_task_id]) {
+                    if (ids.has(id)) continue;
+                    if (ids.size >= MAX_GRAPH_NODES) {
+                        truncated = true;
+                        continue;
+                    }
+                    ids.add(id);
+                    next.push(id);
+                }
+                if (ids.has(row.task_id) && ids.has(row.depends_on_task_id)) {
+                    edges.set(`${row.task_id}-${row.depends_on_task_id}`, row);
+                }
+            }
+            frontier = next;
+        }
+
+        const nodes = await getAll(
+            'SELECT id, title, status, user_id, assigned_to FROM weekly_tasks WHERE id = ANY(?) ORDER BY id',
+            [[...ids]]
+        );
+
+        return { nodes, edges: [...edges.values()], truncated };
+    }
+
+    // ============================================
+    // POLICY
+    // ============================================
+
+    async isEnforced() {
+        const row = await getOne("SELECT value FROM app_settings WHERE key = 'enforce_task_dependencies'");
+        return row ? JSON.parse(row.value) : true;
+    }
+
+    async setEnforced(enforced, updatedBy) {
+        await runQuery(
+            `INSERT INTO app_settings (key, value, updated_by) VALUES ('enforce_task_dependencies', ?, ?)
+       ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING key`,
+            [JSON.stringify(enforced), updatedBy]
+        );
+    }
+}
+
+module.exports = new DependencyService();
@@ -0,0 +1,123 @@
+const { getAll } = require('../database');
+
+const TASK_COLUMNS = `wt.id, wt.user_id, wt.monthly_plan_id, wt.title, wt.week_number, wt.year, wt.priority,
+              wt.status, wt.estimated_hours, wt.actual_hours, wt.due_date, wt.is_urgent, wt.assigned_to,
+              (wt.due_date < CURRENT_DATE AND wt.status NOT IN ('completed', 'cancelled')) as is_overdue`;
+
+/**
+ * Totals for a set of tasks; cancelled tasks are listed but not counted
+ */
+function aggregate(tasks) {
+    const counted = tasks.filter(task => task.status !== 'cancelled');
+
+    return {
+        task_count: counted.length,
+        completed_count: counted.filter(task => task.status === 'completed').length,
+        overdue_count: counted.filter(task => task.is_overdue).length,
+        estimated_hours: counted.reduce((sum, task) => sum + (task.estimated_hours || 0), 0),
+        actual_hours: counted.reduce((sum, task) => sum + (task.actual_hours || 0), 0)
+    };
+}
+
+function planNode(plan, tasksByPlan) {
+    const tasks = tasksByPlan.get(plan.id) || [];
+    return { ...plan, aggregates: aggregate(tasks), tasks };
+}
+
+// Goal → plan → task trees with totals at each level
+class HierarchyService {
+    /**
+     * Nest plans and their tasks under each goal (three queries, whatever the size)
+     */
+    async buildGoalTrees(goals) {
+        if (goals.length === 0) return [];
+
+        const plans = await getAll(
+            `SELECT * FROM monthly_plans
+       WHERE quarterly_goal_id = ANY(?) AND deleted_at IS NULL
+       ORDER BY year, month, id`,
+            [goals.map(goal => goal.id)]
+        );
+        const tasksByPlan = await this.getTasksByPlan(plans.map(plan => plan.id));
+
+        return goals.map(goal => {
+            const planNodes = plans
+                .filter(plan => plan.quarterly_goal_id === goal.id)
+                .map(plan => planNode(plan, tasksByPlan));
+
+            return {
+                ...goal,
+                aggregates: aggregate(planNodes.flatMap(plan => plan.tasks)),
+                plans: planNodes
+            };
+        });
+    }
+
+    async getTasksByPlan(planIds) {
+        const tasksByPlan = new Map();
+        if (planIds.length === 0) return tasksByPlan;
+
+        const tasks = await getAll(
+            `SELECT ${TASK_COLUMNS}
+       FROM weekly_tasks wt
+       WHERE wt.monthly_plan_id = ANY(?) AND wt.deleted_at IS NULL
+       ORDER BY wt.year, wt.week_number, wt.id`,
+            [planIds]
+        );
+
+        for (const task of tasks) {
+            if (!tasksByPlan.has(task.monthly_plan_id)) {
+                tasksByPlan.set(task.monthly_plan_id, []);
+            }
+            tasksByPlan.get(task.monthly_plan_id).push(task);
+        }
+        return tasksByPlan;
+    }
+
+    /**
+     * One goal with its plans and tasks
+     */
+    async getGoalTree(goal) {
+        const [tree] = await this.buildGoalTrees([goal]);
+        return tree;
+    }
+
+    /**
+     * Every goal of a quarter for the given owners, plus that quarter's plans
+     * that are not linked to any goal
+     */
+    async getQuarterTree(userIds, quarter, year) {
+        const goals = await getAll(
+            `SELECT * FROM quarterly_goals
+       WHERE user_id = ANY(?) AND quarter = ? AND year = ? AND deleted_at IS NULL
+       ORDER BY created_at, id`,
+            [userIds, quarter, year]
+        );
+
+        const unlinkedPlans = await getAll(
+            `SELECT * FROM monthly_plans
+       WHERE user_id = ANY(?) AND quarterly_goal_id IS NULL AND deleted_at IS NULL
+         AND year = ? AND month BETWEEN ? AND ?
+       ORDER BY month, id`,
+            [userIds, year, (quarter - 1) * 3 + 1, quarter * 3]
+        );
+        const tasksByPlan = await this.getTasksByPlan(unlinkedPlans.map(plan => plan.id));
+
+        const goalNodes = await this.buildGoalTrees(goals);
+        const unlinkedNodes = unlinkedPlans.map(plan => planNode(plan, tasksByPlan));
+        const allTasks = [
+            ...goalNodes.flatMap(goal => goal.plans.flatMap(plan => plan.tasks)),
+            ...unlinkedNodes.flatMap(plan => plan.tasks)
+        ];
+
+        return {
+            quarter,
+            year,
+            aggregates: aggregate(allTasks),
+            goals: goalNodes,
+            unlinked_plans: unlinkedNodes
+        };
+    }
+}
+
+module.exports = new HierarchyService();
@@ -0,0 +1,172 @@
+const { getAll, getOne } = require('../database');
+
+// Page sizes for list endpoints
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false };
+
+// Parsers per filter type; each returns undefined for an invalid value.
+// Lookups check own properties so names like "constructor" are invalid values.
+const FILTER_TYPES = {
+    integer: (value) => (/^-?\d+$/.test(value) ? parseInt(value, 10) : undefined),
+    boolean: (value) => (Object.hasOwn(BOOLEAN_VALUES, value) ? BOOLEAN_VALUES[value] : undefined),
+    date: (value) => (DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) ? value : undefined),
+    enum: (value, filter) => {
+        // Comma-separated values match any of them
+        const values = value.split(',').map(v => v.trim()).filter(Boolean);
+        return values.length && values.every(v => filter.values.includes(v)) ? values : undefined;
+    }
+};
+
+/**
+ * Shared list layer: keyset (cursor) pagination, whitelisted sorting and typed filters.
+ *
+ * A resource describes what it supports:
+ *   {
+ *     id: 'wt.id',                                 // unique tie-breaker column
+ *     sorts: { due_date: "COALESCE(wt.due_date, DATE '9999-12-31')", ... },
+ *     defaultSort: 'due_date',                     // prefix with '-' for descending
+ *     filters: { priority: { column: 'wt.priority', type: 'enum', values: [...] },
+ *                due_before: { column: 'wt.due_date', type: 'date', op: '<=' }, ... }
+ *   }
+ * Sort expressions must never be NULL, so that (value, id) orders rows totally.
+ */
+class ListQueryService {
+    /**
+     * Opaque ?cursor value for the row a page ended on
+     * @param {{ s, v, id }} cursor - sort param, sort value (as text) and row id
+     */
+    encodeCursor(cursor) {
+        return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    }
+
+    /**
+     * @returns {{ s, v, id }|null} null when the value is not a cursor
+     */
+    decodeCursor(value) {
+        try {
+            const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+            return cursor && typeof cursor.s === 'string' && 'v' in cursor && Number.isInteger(cursor.id) ? cursor : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Validate ?limit, ?cursor, ?sort and filters against a resource definition
+     * @returns {{ error }|{ limit, sort, cursor, conditions, params }}
+     */
+    parse(query, resource) {
+        const limit = query.limit === undefined ? DEFAULT_LIMIT : FILTER_TYPES.integer(String(query.limit));
+        if (!limit || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+        }
+
+        const sortParam = String(query.sort || resource.defaultSort);
+        const descending = sortParam.startsWith('-');
+        const sortKey = descending ? sortParam.slice(1) : sortParam;
+        if (!Object.hasOwn(resource.sorts, sortKey)) {
+            return { error: `sort must be one of: ${Object.keys(resource.sorts).join(', ')} (prefix with - for descending)` };
+        }
+
+        let cursor = null;
+        if (query.cursor) {
+            cursor = this.decodeCursor(String(query.cursor));
+            if (!cursor || cursor.s !== sortParam) {
+                return { error: 'Invalid cursor for this sort' };
+            }
+        }
+
+        const conditions = [];
+        const params = [];
+
+        for (const [name, filter] of Object.entries(resource.filters || {})) {
+            if (query[name] === undefined || query[name] === '') continue;
+
+            const value = FILTER_TYPES[filter.type](String(query[name]), filter);
+            if (value === undefined) {
+                return { error: `Invalid value for ${name}` };
+            }
+
+            if (Array.isArray(value)) {
+                conditions.push(`${filter.column} = ANY(?)`);
+            } else {
+                conditions.push(`${filter.column} ${filter.op || '='} ?`);
+            }
+            params.push(value);
+        }
+
+        return {
+            limit,
+            sort: { param: sortParam, expression: resource.sorts[sortKey], descending },
+            cursor,
+            conditions,
+            params
+        };
+    }
+
+    /**
+     * Run a list query one page at a time
+     * @param {{ select, from, conditions, params }} base - the endpoint's own query and access filters
+     * @param {object} resource - the definition passed to parse()
+     * @param {object} list - result of parse()
+     * @returns {{ data, pagination: { total, limit, sort, next_cursor } }}
+     */
+    async fetchPage({ select, from, conditions = [], params = [] }, resource, list) {
+        const where = [...conditions, ...list.conditions];
+        const whereParams = [...params, ...list.params];
+        const whereClause = (clauses) => (clauses.length ? `WHERE ${clauses.join(' AND ')}` : '');
+
+        const { total } = await getOne(
+            `SELECT COUNT(*) as total FROM ${from} ${whereClause(where)}`,
+            whereParams
+        );
+
+        const { expression, descending } = list.sort;
+        const direction = descending ? 'DESC' : 'ASC';
+        const pageWhere = [...where];
+        const pageParams = [...whereParams];
+
+        if (list.cursor) {
+            pageWhere.push(`(${expression}, ${resource.id}) ${descending ? '<' : '>'} (?, ?)`);
+            pageParams.push(list.cursor.v, list.cursor.id);
+        }
+
+        // Fetch one extra row to know whether another page exists. The sort value is
+        // read back as text so timestamps keep their full precision in the cursor.
+        const rows = await getAll(
+            `SELECT ${select}, (${expression})::text as cursor_sort_value
+       FROM ${from}
+       ${whereClause(pageWhere)}
+       ORDER BY ${expression} ${direction}, ${resource.id} ${direction}
+       LIMIT ${list.limit + 1}`,
+            pageParams
+        );
+
+        const hasMore = rows.length > list.limit;
+        const data = rows.slice(0, list.limit);
+        const last = data[data.length - 1];
+        const nextCursor = hasMore
+            ? this.encodeCursor({ s: list.sort.param, v: last.cursor_sort_value, id: last.id })
+            : null;
+
+        for (const row of data) {
+            delete row.cursor_sort_value;
+        }
+
+        return {
+            data,
+            pagination: {
+                total: parseInt(total),
+                limit: list.limit,
+                sort: list.sort.param,
+                next_cursor: nextCursor
+            }
+        };
+    }
+}
+
+module.exports = new ListQueryService();
@@ -0,0 +1,45 @@
+const { createTransport } = require('./transports');
+
+// Links in emails point at the frontend
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+class MailService {
+    constructor() {
+        // Development defaults to the outbox table; production must configure SMTP
+        const name = process.env.MAIL_TRANSPORT
+            || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+
+        this.from = process.env.MAIL_FROM || 'TacksTracker <no-reply@tackstracker.app>';
+        this.transport = createTransport(name);
+        console.log(`✉️  Mail transport: ${this.transport.name}`);
+    }
+
+    async send({ to, subject, text, html }) {
+        await this.transport.send({ from: this.from, to, subject, text, html });
+    }
+
+    async sendPasswordReset(user, token, expiresInMinutes) {
+        const link = `${APP_URL}/reset-password?token=${token}`;
+        await this.send({
+            to: user.email,
+            subject: 'Reset your TacksTracker password',
+            text: `Hi ${user.name},\n\n`
+                + `Someone asked to reset the password for your account. Open this link to choose a new one:\n\n${link}\n\n`
+                + `The link expires in ${expiresInMinutes} minutes and can be used once. `
+                + 'If you did not ask for this, you can ignore this email.'
+        });
+    }
+
+    async sendEmailVerification(user, token) {
+        const link = `${APP_URL}/verify-email?token=${token}`;
+        await this.send({
+            to: user.email,
+            subject: 'Confirm your TacksTracker email address',
+            text: `Hi ${user.name},\n\n`
+                + `Please confirm your email address by opening this link:\n\n${link}\n\n`
+                + 'If you did not create an account, you can ignore this email.'
+        });
+    }
+}
+
+module.exports = new MailService();
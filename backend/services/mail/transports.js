@@ -0,0 +1,79 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { runQuery } = require('../../database');
+
+// Every transport implements send({ to, subject, text, html }) and exposes a name.
+
+/**
+ * Delivers through an SMTP server (production)
+ */
+class SmtpTransport {
+    constructor() {
+        this.name = 'smtp';
+        // Required lazily so the other transports work without SMTP configured
+        const nodemailer = require('nodemailer');
+        this.transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    async send({ from, to, subject, text, html }) {
+        await this.transporter.sendMail({ from, to, subject, text, html });
+    }
+}
+
+/**
+ * Stores messages in the mail_outbox table (development and tests)
+ */
+class OutboxTransport {
+    constructor() {
+        this.name = 'outbox';
+    }
+
+    async send({ to, subject, text, html }) {
+        await runQuery(
+            'INSERT INTO mail_outbox (to_address, subject, text_body, html_body) VALUES (?, ?, ?, ?)',
+            [to, subject, text, html || null]
+        );
+    }
+}
+
+/**
+ * Writes each message as a .eml-style text file into MAIL_OUTBOX_DIR
+ */
+class FileTransport {
+    constructor() {
+        this.name = 'file';
+        this.dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+    }
+
+    async send({ from, to, subject, text }) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const safeTo = to.replace(/[^a-z0-9@._-]/gi, '_');
+        const file = path.join(this.dir, `${Date.now()}-${safeTo}.eml`);
+        await fs.writeFile(file, `From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    }
+}
+
+const TRANSPORTS = {
+    smtp: SmtpTransport,
+    outbox: OutboxTransport,
+    file: FileTransport
+};
+
+function createTransport(name) {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return new Transport();
+}
+
+module.exports = {
+    createTransport
+};
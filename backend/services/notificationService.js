@@ -0,0 +1,139 @@
+const { runQuery } = require('../database');
+const dependencyService = require('./dependencyService');
+
+// DATE columns come back as local midnight; show them as YYYY-MM-DD
+const formatDate = (date) => new Date(date).toLocaleDateString('en-CA');
+
+const isLater = (date, than) => !!date && !!than && new Date(date) > new Date(than);
+
+// Title and message for each thing that can happen to a blocker, per waiting task
+const DEPENDENCY_EVENTS = {
+    completed: (blocker, task) => [
+        'Blocker Completed',
+        `"${blocker.title}" is completed, so "${task.title}" no longer waits on it.`
+    ],
+    cancelled: (blocker, task) => [
+        'Blocker Cancelled',
+        `"${blocker.title}" was cancelled. "${task.title}" no longer waits on it; check whether its work is still needed.`
+    ],
+    deleted: (blocker, task) => [
+        'Blocker Deleted',
+        `"${blocker.title}" was moved to the trash, so "${task.title}" no longer waits on it unless it is restored.`
+    ],
+    slipped: (blocker, task) => [
+        'Blocker Slipped',
+        `"${blocker.title}" is now due ${formatDate(blocker.due_date)}, after "${task.title}" (due ${formatDate(task.due_date)}).`
+    ]
+};
+
+// Creates in-app notifications shown by the frontend NotificationBell
+class NotificationService {
+    /**
+     * Insert a notification for a single user
+     * type must be one of the values allowed by notifications_type_check
+     */
+    async create(userId, type, title, message) {
+        return runQuery(
+            'INSERT INTO notifications (user_id, type, title, message) VALUES (?, ?, ?, ?)',
+            [userId, type, title, message]
+        );
+    }
+
+    /**
+     * Tell a user that a task was assigned to them (skips self-assignment)
+     */
+    async notifyTaskAssigned(task, assigneeId, assigner) {
+        if (!assigneeId || assigneeId === assigner.id) return null;
+
+        return this.create(
+            assigneeId,
+            'assignment',
+            'Task Assigned',
+            `${assigner.name || assigner.email} assigned you the task "${task.title}".`
+        );
+    }
+
+    /**
+     * Tell a user that a checklist item of a task was assigned to them (skips self-assignment)
+     */
+    async notifyChecklistItemAssigned(task, item, assigneeId, assigner) {
+        if (!assigneeId || assigneeId === assigner.id) return null;
+
+        return this.create(
+            assigneeId,
+            'assignment',
+            'Checklist Item Assigned',
+            `${assigner.name || assigner.email} assigned you "${item.title}" on the task "${task.title}".`
+        );
+    }
+
+    /**
+     * Tell a user a team lead invited them to a team
+     */
+    async notifyTeamInvitation(team, userId, inviter) {
+        return this.create(
+            userId,
+            'general',
+            'Team Invitation',
+            `${inviter.name || inviter.email} invited you to join the team "${team.name}". Accept it on the Teams page to share your work with its leads.`
+        );
+    }
+
+    /**
+     * Tell a user they were @mentioned in a comment on a goal, plan or task
+     */
+    async notifyMentioned(userId, author, noun, title, body) {
+        const excerpt = body.length > 120 ? `${body.slice(0, 117)}...` : body;
+        return this.create(
+            userId,
+            'mention',
+            'You Were Mentioned',
+            `${author.name || author.email} mentioned you on the ${noun} "${title}": "${excerpt}"`
+        );
+    }
+
+    /**
+     * Tell whoever works on each task waiting on blocker (its assignee, or else its
+     * creator) that the blocker was completed, cancelled, deleted or slipped.
+     * dependents narrows who is told; it defaults to every task waiting on blocker
+     * (a trashed blocker keeps its links, so this also works after a deletion).
+     * The user who made the change is not notified.
+     */
+    async notifyDependents(blocker, event, actor, dependents = null) {
+        const waiting = dependents || await dependencyService.getDependents(blocker.id);
+
+        for (const task of waiting) {
+            if (task.status === 'completed' || task.status === 'cancelled') continue;
+
+            const recipientId = task.assigned_to || task.user_id;
+            if (recipientId === actor.id) continue;
+
+            const [title, message] = DEPENDENCY_EVENTS[event](blocker, task);
+            await this.create(recipientId, 'dependency', title, message);
+        }
+    }
+
+    /**
+     * After a task's status or due date changed, notify the tasks waiting on it:
+     * when it was completed or cancelled, and when its due date moved past theirs
+     */
+    async notifyDependentsOfChange(before, after, actor) {
+        const finished = ['completed', 'cancelled'].includes(after.status);
+        if (finished && after.status !== before.status) {
+            await this.notifyDependents(after, after.status, actor);
+        }
+
+        const movedLater = after.due_date && (!before.due_date || isLater(after.due_date, before.due_date));
+        if (!finished && movedLater) {
+            const dependents = await dependencyService.getDependents(after.id);
+            const overtaken = dependents.filter(task =>
+                isLater(after.due_date, task.due_date) && !isLater(before.due_date, task.due_date)
+            );
+            if (overtaken.length > 0) {
+                await this.notifyDependents(after, 'slipped', actor, overtaken);
+            }
+        }
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,131 @@
+const { getAll, pool } = require('../database');
+
+// Global user roles (team-level lead/member roles live in team_members)
+const ROLES = ['admin', 'manager', 'member'];
+
+// Every permission the API checks. Grants per role are stored in role_permissions.
+// ':any' variants allow acting on resources owned by other users.
+const PERMISSIONS = {
+    'user:read': 'List users (assignee and member pickers)',
+    'goal:read': 'View own quarterly goals',
+    'goal:create': 'Create quarterly goals',
+    'goal:update': 'Edit own quarterly goals',
+    'goal:delete': 'Delete own quarterly goals',
+    'goal:update:any': "Edit anyone's quarterly goals",
+    'goal:delete:any': "Delete anyone's quarterly goals",
+    'plan:read': 'View own monthly plans',
+    'plan:create': 'Create monthly plans',
+    'plan:update': 'Edit own monthly plans',
+    'plan:delete': 'Delete own monthly plans',
+    'plan:update:any': "Edit anyone's monthly plans",
+    'plan:delete:any': "Delete anyone's monthly plans",
+    'task:read': 'View tasks created by or assigned to the user',
+    'task:read:any': "View anyone's task assignments",
+    'task:create': 'Create weekly tasks',
+    'task:update': 'Edit tasks created by or assigned to the user',
+    'task:update:any': 'Edit any task',
+    'task:delete': 'Delete own tasks',
+    'task:delete:any': 'Delete any task',
+    'task:assign': 'Assign own tasks to other users',
+    'task:assign:any': 'Reassign any task',
+    'time-log:read': 'View own time logs',
+    'time-log:create': 'Log time on own or assigned tasks',
+    'comment:create': 'Comment on goals, plans and tasks the user can view',
+    'comment:delete:any': "Delete anyone's comments",
+    'activity:read': 'View own activity and the history of items the user can view',
+    'activity:read:any': "View everyone's activity",
+    'template:read': "Use own templates and those shared with the user's teams",
+    'template:create': 'Create templates and edit or delete own ones',
+    'template:manage:any': "Edit and delete anyone's templates",
+    'notification:read': 'View and dismiss own notifications',
+    'report:self': 'View personal dashboard statistics',
+    'report:team': 'View performance of teams the user leads',
+    'report:all': 'View work and performance of every user and team',
+    'team:read': 'View teams the user belongs to',
+    'team:create': 'Create teams',
+    'team:manage:any': 'Manage any team and its members',
+    'ai:use': 'Use AI assistant features',
+    'admin:roles': 'View and edit role permission grants',
+    'admin:users': "Change users' roles",
+    'admin:fixtures': 'Load fixture data sets (non-production only)',
+    'admin:security': 'Edit security policy (required two-factor authentication)',
+    'admin:workflow': 'Edit workflow rules (whether open dependencies block task status changes)',
+    'admin:audit': 'Export the audit trail of every change'
+};
+
+// How long role grants are cached before being re-read from the database
+const CACHE_TTL_MS = 60 * 1000;
+
+class PermissionService {
+    constructor() {
+        this.roles = ROLES;
+        this.permissions = PERMISSIONS;
+        this.grants = null;
+        this.loadedAt = 0;
+    }
+
+    /**
+     * Map of role -> Set of granted permissions, cached for CACHE_TTL_MS
+     */
+    async getGrants() {
+        if (!this.grants || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+            const rows = await getAll('SELECT role, permission FROM role_permissions');
+            const grants = new Map(ROLES.map(role => [role, new Set()]));
+
+            for (const row of rows) {
+                if (!grants.has(row.role)) grants.set(row.role, new Set());
+                grants.get(row.role).add(row.permission);
+            }
+
+            this.grants = grants;
+            this.loadedAt = Date.now();
+        }
+
+        return this.grants;
+    }
+
+    async getPermissionsForRole(role) {
+        const grants = await this.getGrants();
+        return [...(grants.get(role) || [])].sort();
+    }
+
+    /**
+     * Whether the (token) user's role grants a permission
+     */
+    async can(user, permission) {
+        if (!user) return false;
+        const grants = await this.getGrants();
+        return grants.get(user.role)?.has(permission) || false;
+    }
+
+    /**
+     * Replace every grant of a role in one transaction
+     */
+    async setRolePermissions(role, permissions) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+            for (const permission of permissions) {
+                await client.query(
+                    'INSERT INTO role_permissions (role, permission) VALUES ($1, $2)',
+                    [role, permission]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        this.invalidate();
+    }
+
+    invalidate() {
+        this.grants = null;
+    }
+}
+
+module.exports = new PermissionService();
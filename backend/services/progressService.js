@@ -0,0 +1,119 @@
+const { runQuery, getOne, getAll } = require('../database');
+
+/**
+ * Progress (0-100) from completed vs. total weight. Cancelled and trashed tasks are left out.
+ * 'hours' weighting falls back to counting tasks when nothing is estimated.
+ */
+function ratio(stats, weighting) {
+    if (weighting === 'hours' && stats.estimated_hours > 0) {
+        return stats.completed_hours / stats.estimated_hours;
+    }
+    return stats.task_count > 0 ? stats.completed_count / stats.task_count : 0;
+}
+
+function weightOf(stats, weighting) {
+    return weighting === 'hours' && stats.estimated_hours > 0 ? stats.estimated_hours : stats.task_count;
+}
+
+class ProgressService {
+    /**
+     * Task totals for each plan of a goal
+     */
+    async getPlanStats(goalId) {
+        const rows = await getAll(
+            `SELECT mp.id, mp.title, mp.progress,
+              COUNT(wt.id) as task_count,
+              COUNT(wt.id) FILTER (WHERE wt.status = 'completed') as completed_count,
+              COALESCE(SUM(wt.estimated_hours), 0) as estimated_hours,
+              COALESCE(SUM(wt.estimated_hours) FILTER (WHERE wt.status = 'completed'), 0) as completed_hours
+       FROM monthly_plans mp
+       LEFT JOIN weekly_tasks wt ON wt.monthly_plan_id = mp.id AND wt.status != 'cancelled'
+                                 AND wt.deleted_at IS NULL
+       WHERE mp.quarterly_goal_id = ? AND mp.deleted_at IS NULL
+       GROUP BY mp.id
+       ORDER BY mp.year, mp.month, mp.id`,
+            [goalId]
+        );
+
+        return rows.map(row => ({
+            ...row,
+            task_count: parseInt(row.task_count),
+            completed_count: parseInt(row.completed_count),
+            estimated_hours: parseFloat(row.estimated_hours),
+            completed_hours: parseFloat(row.completed_hours)
+        }));
+    }
+
+    /**
+     * What automatic mode gives a goal and each of its plans, whatever the goal's mode.
+     * A goal's progress is its plans' progress weighted by their tasks (or hours).
+     */
+    async getBreakdown(goal) {
+        const weighting = goal.progress_weighting;
+        const plans = (await this.getPlanStats(goal.id)).map(plan => ({
+            ...plan,
+            weight: weightOf(plan, weighting),
+            computed_progress: Math.round(ratio(plan, weighting) * 100)
+        }));
+
+        const totalWeight = plans.reduce((sum, plan) => sum + plan.weight, 0);
+        const weighted = plans.reduce((sum, plan) => sum + ratio(plan, weighting) * plan.weight, 0);
+
+        return {
+            goal: {
+                id: goal.id,
+                title: goal.title,
+                progress: goal.progress,
+                progress_mode: goal.progress_mode,
+                progress_weighting: weighting,
+                computed_progress: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0
+            },
+            plans
+        };
+    }
+
+    /**
+     * Recompute an 'auto' goal and its plans from their tasks; manual goals are left alone
+     */
+    async recalculateGoal(goalId) {
+        const goal = await getOne('SELECT * FROM quarterly_goals WHERE id = ? AND deleted_at IS NULL', [goalId]);
+        if (!goal || goal.progress_mode !== 'auto') return;
+
+        const { goal: rolledUp, plans } = await this.getBreakdown(goal);
+
+        for (const plan of plans) {
+            if (plan.progress !== plan.computed_progress) {
+                await runQuery(
+                    'UPDATE monthly_plans SET progress = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [plan.computed_progress, plan.id]
+                );
+            }
+        }
+
+        if (goal.progress !== rolledUp.computed_progress) {
+            await runQuery(
+                'UPDATE quarterly_goals SET progress = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [rolledUp.computed_progress, goal.id]
+            );
+        }
+    }
+
+    /**
+     * Recompute the goals above some plans (after their tasks changed)
+     */
+    async recalculateForPlans(planIds) {
+        const ids = [...new Set(planIds.filter(Boolean).map(Number))];
+        if (ids.length === 0) return;
+
+        const goals = await getAll(
+            'SELECT DISTINCT quarterly_goal_id FROM monthly_plans WHERE id = ANY(?) AND quarterly_goal_id IS NOT NULL',
+            [ids]
+        );
+
+        for (const { quarterly_goal_id: goalId } of goals) {
+            await this.recalculateGoal(goalId);
+        }
+    }
+}
+
+module.exports = new ProgressService();
@@ -0,0 +1,559 @@
+const { runQuery, getOne, getAll, pool } = require('../database');
+const { DAY_MS, toDate, toDay, addDays, weekdayOf, dayOf, isoWeek } = require('./calendar');
+
+// Days ahead the generator keeps occurrences materialized as tasks
+const DEFAULT_HORIZON_DAYS = 28;
+
+// Most occurrences a COUNT may ask for, and the largest INTERVAL
+const MAX_COUNT = 500;
+const MAX_INTERVAL = 99;
+
+// How far ahead GET /recurrence looks for upcoming occurrences
+const UPCOMING_DAYS = 731;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Fields every occurrence starts with; "this and future" edits change them on the
+// recurrence and on the later occurrences
+const TEMPLATE_FIELDS = ['title', 'description', 'monthly_plan_id', 'priority', 'estimated_hours', 'is_urgent', 'assigned_to'];
+
+const RECURRENCE_COLUMNS = `id, user_id, rrule, starts_on::text as starts_on, ${TEMPLATE_FIELDS.join(', ')},
+              assigned_by, generated_until::text as generated_until, created_at, updated_at`;
+
+// One parser per RRULE part; each returns an error message or null
+const PARTS = {
+    FREQ: (value, rule) => {
+        if (!FREQUENCIES.includes(value)) return `FREQ must be one of ${FREQUENCIES.join(', ')}`;
+        rule.freq = value;
+        return null;
+    },
+    INTERVAL: (value, rule) => {
+        rule.interval = Number(value);
+        if (!/^\d+$/.test(value) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+            return `INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}`;
+        }
+        return null;
+    },
+    BYDAY: (value, rule) => {
+        for (const entry of value.split(',')) {
+            const match = /^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry);
+            const nth = match?.[1] ? Number(match[1]) : null;
+            if (!match || nth === 0 || Math.abs(nth) > 5) return `BYDAY has an invalid day: ${entry}`;
+            rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), nth });
+        }
+        return null;
+    },
+    BYMONTHDAY: (value, rule) => {
+        for (const entry of value.split(',')) {
+            const day = Number(entry);
+            if (!/^-?\d+$/.test(entry) || day === 0 || Math.abs(day) > 31) {
+                return `BYMONTHDAY has an invalid day: ${entry}`;
+            }
+            rule.byMonthDay.push(day);
+        }
+        return null;
+    },
+    COUNT: (value, rule) => {
+        rule.count = Number(value);
+        if (!/^\d+$/.test(value) || rule.count < 1 || rule.count > MAX_COUNT) {
+            return `COUNT must be a whole number from 1 to ${MAX_COUNT}`;
+        }
+        return null;
+    },
+    UNTIL: (value, rule) => {
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+        rule.until = match && `${match[1]}-${match[2]}-${match[3]}`;
+        if (!match || Number.isNaN(toDate(rule.until).getTime())) return 'UNTIL must be a date as YYYYMMDD';
+        return null;
+    }
+};
+
+/**
+ * Parse the supported subset of an RFC 5545 RRULE: FREQ (DAILY, WEEKLY or MONTHLY),
+ * INTERVAL, BYDAY (MO..SU, with an ordinal such as 1MO or -1FR for MONTHLY),
+ * BYMONTHDAY (MONTHLY) and at most one of COUNT and UNTIL. Returns { error } when
+ * the rule cannot be used, else { rule, rrule } with the rule in canonical form.
+ */
+const parseRule = (text) => {
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+    const seen = new Set();
+
+    const parts = String(text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    for (const part of parts) {
+        const [name, value = ''] = part.toUpperCase().split('=');
+        if (!PARTS[name]) return { error: `${name} is not supported in rrule` };
+        if (seen.has(name)) return { error: `${name} appears more than once in rrule` };
+        seen.add(name);
+
+        const error = PARTS[name](value, rule);
+        if (error) return { error };
+    }
+
+    if (!rule.freq) return { error: 'rrule needs a FREQ' };
+    if (rule.count && rule.until) return { error: 'rrule may have COUNT or UNTIL, not both' };
+    if (rule.freq !== 'MONTHLY' && rule.byMonthDay.length > 0) return { error: 'BYMONTHDAY needs FREQ=MONTHLY' };
+    if (rule.freq !== 'MONTHLY' && rule.byDay.some(({ nth }) => nth)) {
+        return { error: 'BYDAY ordinals such as 1MO need FREQ=MONTHLY' };
+    }
+
+    return { rule, rrule: formatRule(rule) };
+};
+
+const formatRule = (rule) => [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.byDay.length > 0 && `BYDAY=${rule.byDay.map(({ weekday, nth }) => `${nth || ''}${WEEKDAYS[weekday]}`).join(',')}`,
+    rule.byMonthDay.length > 0 && `BYMONTHDAY=${rule.byMonthDay.join(',')}`,
+    rule.count && `COUNT=${rule.count}`,
+    rule.until && `UNTIL=${rule.until.replace(/-/g, '')}`
+].filter(Boolean).join(';');
+
+// The first day of the period (day, week from Monday, or month) a date falls in
+const periodOf = (freq, date) => {
+    if (freq === 'WEEKLY') return new Date(date.getTime() - weekdayOf(date) * DAY_MS);
+    if (freq === 'MONTHLY') return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    return date;
+};
+
+const nextPeriod = (rule, period) => {
+    if (rule.freq === 'MONTHLY') return new Date(Date.UTC(period.getUTCFullYear(), period.getUTCMonth() + rule.interval, 1));
+    return new Date(period.getTime() + rule.interval * (rule.freq === 'WEEKLY' ? 7 : 1) * DAY_MS);
+};
+
+// Days of one month matching BYDAY and BYMONTHDAY (both must match when both are given);
+// without either, the start day's day of the month, skipped in months that lack it
+const monthDays = (rule, period, start) => {
+    const year = period.getUTCFullYear();
+    const month = period.getUTCMonth();
+    const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    const byMonthDay = rule.byMonthDay.map(day => (day > 0 ? day : length + day + 1));
+    const byDay = [];
+    for (const { weekday, nth } of rule.byDay) {
+        const matching = [];
+        for (let day = 1; day <= length; day++) {
+            if (weekdayOf(new Date(Date.UTC(year, month, day))) === weekday) matching.push(day);
+        }
+        if (!nth) {
+            byDay.push(...matching);
+        } else {
+            const day = matching[nth > 0 ? nth - 1 : matching.length + nth];
+            if (day) byDay.push(day);
+        }
+    }
+
+    let days;
+    if (rule.byDay.length > 0 && rule.byMonthDay.length > 0) days = byDay.filter(day => byMonthDay.includes(day));
+    else if (rule.byDay.length > 0) days = byDay;
+    else if (rule.byMonthDay.length > 0) days = byMonthDay;
+    else days = [start.getUTCDate()];
+
+    return [...new Set(days)]
+        .filter(day => day >= 1 && day <= length)
+        .sort((a, b) => a - b)
+        .map(day => toDay(new Date(Date.UTC(year, month, day))));
+};
+
+const periodDays = (rule, period, start) => {
+    if (rule.freq === 'MONTHLY') return monthDays(rule, period, start);
+    if (rule.freq === 'WEEKLY') {
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [weekdayOf(start)];
+        return [...new Set(weekdays)].sort((a, b) => a - b).map(weekday => toDay(new Date(period.getTime() + weekday * DAY_MS)));
+    }
+    const matches = rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => weekday === weekdayOf(period));
+    return matches ? [toDay(period)] : [];
+};
+
+/**
+ * The occurrences of a rule starting on startsOn, in order, up to and including
+ * `through` and within COUNT or UNTIL. As DTSTART in RFC 5545, startsOn is always the
+ * first occurrence and counts towards COUNT.
+ */
+const occurrences = (rule, startsOn, through) => {
+    const last = rule.until && rule.until < through ? rule.until : through;
+    if (startsOn > last) return [];
+
+    const start = toDate(startsOn);
+    const days = [startsOn];
+    for (let period = periodOf(rule.freq, start); toDay(period) <= last; period = nextPeriod(rule, period)) {
+        for (const day of periodDays(rule, period, start)) {
+            if (day <= startsOn) continue;
+            if (day > last || (rule.count && days.length >= rule.count)) return days;
+            days.push(day);
+        }
+    }
+    return days;
+};
+
+/**
+ * Recurring tasks. A recurrence keeps an RRULE and the fields its occurrences start
+ * with; generate() creates a weekly task for every occurrence from today up to the
+ * horizon that has not been created or skipped yet, with week_number, year and
+ * due_date taken from the occurrence date. Past occurrences are never created, so a
+ * rule starting long ago does not fill the list with overdue tasks. generated_until
+ * records how far generation has gone, so an occurrence whose task was deleted is not
+ * created again.
+ */
+class RecurrenceService {
+    constructor() {
+        this.horizonDays = parseInt(process.env.RECURRENCE_HORIZON_DAYS, 10) || DEFAULT_HORIZON_DAYS;
+        this.templateFields = TEMPLATE_FIELDS;
+    }
+
+    parseRule(text) {
+        return parseRule(text);
+    }
+
+    /**
+     * The occurrence days of a stored (valid) rrule starting on startsOn, up to and
+     * including `through`, as 'YYYY-MM-DD'
+     */
+    occurrences(rrule, startsOn, through) {
+        return occurrences(parseRule(rrule).rule, startsOn, through);
+    }
+
+    /**
+     * The occurrence date of a generated task, as 'YYYY-MM-DD'
+     */
+    occurrenceOf(task) {
+        return dayOf(task.occurrence_date);
+    }
+
+    // The last day generation currently reaches
+    horizon() {
+        return addDays(toDay(new Date()), this.horizonDays);
+    }
+
+    async get(recurrenceId) {
+        return getOne(`SELECT ${RECURRENCE_COLUMNS} FROM task_recurrences WHERE id = ?`, [recurrenceId]);
+    }
+
+    async getExceptions(recurrenceId) {
+        const rows = await getAll(
+            `SELECT occurrence_date::text as occurrence_date FROM task_recurrence_exceptions
+       WHERE recurrence_id = ? ORDER BY occurrence_date`,
+            [recurrenceId]
+        );
+        return rows.map(row => row.occurrence_date);
+    }
+
+    /**
+     * The next `limit` occurrences from today, each with the live task created for it
+     * (if any) and whether it is skipped
+     */
+    async getUpcoming(recurrence, limit = 10) {
+        const today = toDay(new Date());
+        const days = this.occurrences(recurrence.rrule, recurrence.starts_on, addDays(today, UPCOMING_DAYS))
+            .filter(day => day >= today)
+            .slice(0, limit);
+
+        const skipped = new Set(await this.getExceptions(recurrence.id));
+        const tasks = await getAll(
+            `SELECT id, occurrence_date::text as occurrence_date, status FROM weekly_tasks
+       WHERE recurrence_id = ? AND occurrence_date = ANY(?::date[]) AND deleted_at IS NULL`,
+            [recurrence.id, days]
+        );
+
+        return days.map(day => {
+            const task = tasks.find(row => row.occurrence_date === day);
+            return { date: day, task_id: task?.id || null, status: task?.status || null, skipped: skipped.has(day) };
+        });
+    }
+
+    /**
+     * Whether a day is an occurrence of a recurrence (skipped or not)
+     */
+    isOccurrence(recurrence, day) {
+        return this.occurrences(recurrence.rrule, recurrence.starts_on, day).includes(day);
+    }
+
+    /**
+     * Make a task with a due date repeat: it becomes the first occurrence of a new
+     * recurrence with its fields as the template. Returns the recurrence and the
+     * tasks generated for the following occurrences, all created in one transaction.
+     */
+    async create(task, rrule, userId) {
+        const startsOn = dayOf(task.due_date);
+        const client = await pool.connect();
+        let created;
+        let id;
+        try {
+            await client.query('BEGIN');
+
+            const values = [userId, rrule, startsOn, ...TEMPLATE_FIELDS.map(field => task[field]), task.assigned_by, startsOn];
+            const { rows: [recurrence] } = await client.query(
+                `INSERT INTO task_recurrences
+         (user_id, rrule, starts_on, ${TEMPLATE_FIELDS.join(', ')}, assigned_by, generated_until)
+         VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING ${RECURRENCE_COLUMNS}`,
+                values
+            );
+            id = recurrence.id;
+
+            const { week_number, year } = isoWeek(startsOn);
+            await client.query(
+                `UPDATE weekly_tasks
+         SET recurrence_id = $1, occurrence_date = $2, week_number = $3, year = $4,
+             version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+                [id, startsOn, week_number, year, task.id]
+            );
+
+            created = await this.generate(recurrence, this.horizon(), client);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        return { recurrence: await this.get(id), created };
+    }
+
+    /**
+     * Create the tasks for some occurrence days; days that already have a task (even
+     * one in the trash) are left alone. A trashed template plan is not linked. db is
+     * the pool or a transaction's client.
+     */
+    async createOccurrences(recurrence, days, db = pool) {
+        const created = [];
+        for (const day of days) {
+            const { week_number, year } = isoWeek(day);
+            const { rows: [task] } = await db.query(
+                `INSERT INTO weekly_tasks
+         (user_id, monthly_plan_id, title, description, week_number, year, priority, estimated_hours,
+          due_date, is_urgent, assigned_to, assigned_by, recurrence_id, occurrence_date)
+         SELECT r.user_id, mp.id, r.title, r.description, $1, $2, r.priority, r.estimated_hours,
+                $3, r.is_urgent, r.assigned_to, r.assigned_by, r.id, $3
+         FROM task_recurrences r
+         LEFT JOIN monthly_plans mp ON mp.id = r.monthly_plan_id AND mp.deleted_at IS NULL
+         WHERE r.id = $4
+         ON CONFLICT (recurrence_id, occurrence_date) DO NOTHING
+         RETURNING *`,
+                [week_number, year, day, recurrence.id]
+            );
+            if (task) created.push(task);
+        }
+        return created;
+    }
+
+    /**
+     * Create the tasks of every occurrence from today (and after generated_until) up
+     * to `through`, except skipped ones. db is the pool or a transaction's client.
+     * Returns the new tasks.
+     */
+    async generate(recurrence, through = this.horizon(), db = pool) {
+        const skipped = new Set(await this.getExceptions(recurrence.id));
+        const today = toDay(new Date());
+        const days = this.occurrences(recurrence.rrule, recurrence.starts_on, through)
+            .filter(day => day >= today && !skipped.has(day))
+            .filter(day => !recurrence.generated_until || day > recurrence.generated_until);
+
+        const created = await this.createOccurrences(recurrence, days, db);
+        await db.query(
+            `UPDATE task_recurrences SET generated_until = $1
+       WHERE id = $2 AND (generated_until IS NULL OR generated_until < $1)`,
+            [through, recurrence.id]
+        );
+        return created;
+    }
+
+    /**
+     * Run generate() for every recurrence that is behind the horizon (the daily job)
+     */
+    async generateDue() {
+        const through = this.horizon();
+        const recurrences = await getAll(
+            `SELECT ${RECURRENCE_COLUMNS} FROM task_recurrences
+       WHERE generated_until IS NULL OR generated_until < ?`,
+            [through]
+        );
+
+        const created = [];
+        for (const recurrence of recurrences) {
+            created.push(...await this.generate(recurrence, through));
+        }
+        return created;
+    }
+
+    /**
+     * Apply template fields from a "this and future" edit to the recurrence and to the
+     * pending occurrences after `afterDay`. An occurrence whose field was edited on its
+     * own (it no longer holds the template value) keeps it. Returns the changed tasks
+     * as { id, monthly_plan_id, before, after }.
+     */
+    async applyToFuture(recurrence, changes, afterDay, userId) {
+        const fields = TEMPLATE_FIELDS.filter(field => changes[field] !== undefined);
+        if (fields.length === 0) return [];
+
+        const changed = new Map();
+        for (const field of fields) {
+            const reassigns = field === 'assigned_to' ? ', assigned_by = ?' : '';
+            const rows = await getAll(
+                `UPDATE weekly_tasks SET ${field} = ?${reassigns}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE recurrence_id = ? AND occurrence_date > ? AND status = 'pending' AND deleted_at IS NULL
+           AND ${field} IS NOT DISTINCT FROM ?
+         RETURNING id, monthly_plan_id`,
+                [changes[field], ...(reassigns ? [userId] : []), recurrence.id, afterDay, recurrence[field]]
+            );
+            for (const row of rows) {
+                const entry = changed.get(row.id) || { id: row.id, monthly_plan_id: row.monthly_plan_id, before: {}, after: {} };
+                entry.before[field] = recurrence[field];
+                entry.after[field] = changes[field];
+                changed.set(row.id, entry);
+            }
+        }
+
+        const assignments = fields.map(field => `${field} = ?`);
+        const params = fields.map(field => changes[field]);
+        if (fields.includes('assigned_to')) {
+            assignments.push('assigned_by = ?');
+            params.push(userId);
+        }
+        await runQuery(
+            `UPDATE task_recurrences SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, recurrence.id]
+        );
+
+        return [...changed.values()];
+    }
+
+    // Pending, live occurrences after a day, which a schedule change leaves stale
+    async findPendingAfter(recurrenceId, afterDay) {
+        return getAll(
+            `SELECT * FROM weekly_tasks
+       WHERE recurrence_id = ? AND occurrence_date > ? AND status = 'pending' AND deleted_at IS NULL
+       ORDER BY occurrence_date`,
+            [recurrenceId, afterDay]
+        );
+    }
+
+    /**
+     * Stop a recurrence after lastDay (UNTIL replaces any COUNT). Returns { rrule, stale }:
+     * the new rule and the pending occurrences after it, which the caller moves to the trash.
+     */
+    async end(recurrence, lastDay) {
+        const { rule } = parseRule(recurrence.rrule);
+        const rrule = formatRule({ ...rule, count: null, until: lastDay });
+        await runQuery(
+            'UPDATE task_recurrences SET rrule = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [rrule, recurrence.id]
+        );
+        return { rrule, stale: await this.findPendingAfter(recurrence.id, lastDay) };
+    }
+
+    /**
+     * Stop a recurrence before a day: end() with the day before as the last one
+     */
+    async endBefore(recurrence, day) {
+        return this.end(recurrence, addDays(day, -1));
+    }
+
+    /**
+     * Give the occurrences from fromDay on a new rule. From the first occurrence the
+     * recurrence simply changes; later on it is split: the old one ends the day before
+     * and a new one with the same template starts on fromDay, taking over the tasks
+     * (and skips) of days the new rule keeps. Returns { recurrence, previous, stale,
+     * created }: the recurrence now in effect, the rule the old one ends with (or null),
+     * pending tasks the new rule drops (for the trash) and the tasks generated.
+     */
+    async changeRule(recurrence, fromDay, rrule) {
+        const { rule } = parseRule(rrule);
+        const splits = fromDay > recurrence.starts_on;
+        const reach = recurrence.generated_until > fromDay ? recurrence.generated_until : fromDay;
+        const kept = occurrences(rule, fromDay, reach);
+
+        let target = recurrence;
+        let previous = null;
+        if (splits) {
+            const { id } = await runQuery(
+                `INSERT INTO task_recurrences
+         (user_id, rrule, starts_on, ${TEMPLATE_FIELDS.join(', ')}, assigned_by)
+         SELECT user_id, ?, ?, ${TEMPLATE_FIELDS.join(', ')}, assigned_by
+         FROM task_recurrences WHERE id = ?`,
+                [rrule, fromDay, recurrence.id]
+            );
+            target = await this.get(id);
+
+            await runQuery(
+                `UPDATE weekly_tasks SET recurrence_id = ?
+         WHERE recurrence_id = ? AND occurrence_date >= ? AND occurrence_date = ANY(?::date[])`,
+                [id, recurrence.id, fromDay, kept]
+            );
+            await runQuery(
+                `UPDATE task_recurrence_exceptions SET recurrence_id = ?
+         WHERE recurrence_id = ? AND occurrence_date >= ?`,
+                [id, recurrence.id, fromDay]
+            );
+            previous = (await this.endBefore(recurrence, fromDay)).rrule;
+        }
+
+        const stale = await getAll(
+            `SELECT * FROM weekly_tasks
+       WHERE recurrence_id = ? AND occurrence_date >= ? AND NOT (occurrence_date = ANY(?::date[]))
+         AND status = 'pending' AND deleted_at IS NULL
+       ORDER BY occurrence_date`,
+            [recurrence.id, fromDay, kept]
+        );
+
+        // Generation restarts at fromDay; days that already have a task are skipped
+        await runQuery(
+            'UPDATE task_recurrences SET rrule = ?, generated_until = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [rrule, addDays(fromDay, -1), target.id]
+        );
+        target = await this.get(target.id);
+
+        return { recurrence: target, previous, stale, created: await this.generate(target) };
+    }
+
+    /**
+     * Skip an occurrence so its task is never created. Returns false if it was already skipped.
+     */
+    async skip(recurrence, day, userId) {
+        const result = await runQuery(
+            `INSERT INTO task_recurrence_exceptions (recurrence_id, occurrence_date, created_by)
+       VALUES (?, ?, ?)
+       ON CONFLICT (recurrence_id, occurrence_date) DO NOTHING
+       RETURNING recurrence_id`,
+            [recurrence.id, day, userId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * The live task of one occurrence, if it has been created
+     */
+    async findOccurrence(recurrenceId, day) {
+        return getOne(
+            'SELECT * FROM weekly_tasks WHERE recurrence_id = ? AND occurrence_date = ? AND deleted_at IS NULL',
+            [recurrenceId, day]
+        );
+    }
+
+    /**
+     * Stop skipping an occurrence. If generation has already passed it, its task is
+     * created now, unless the skip sent an existing one to the trash: that one is
+     * returned as `trashed` for the caller to restore. Returns { removed, created, trashed }.
+     */
+    async unskip(recurrence, day) {
+        const result = await runQuery(
+            'DELETE FROM task_recurrence_exceptions WHERE recurrence_id = ? AND occurrence_date = ?',
+            [recurrence.id, day]
+        );
+        if (result.changes === 0) return { removed: false, created: [], trashed: null };
+
+        const reached = recurrence.generated_until && day <= recurrence.generated_until;
+        return {
+            removed: true,
+            created: reached ? await this.createOccurrences(recurrence, [day]) : [],
+            trashed: await getOne(
+                'SELECT * FROM weekly_tasks WHERE recurrence_id = ? AND occurrence_date = ? AND deleted_at IS NOT NULL',
+                [recurrence.id, day]
+            )
+        };
+    }
+}
+
+module.exports = new RecurrenceService();
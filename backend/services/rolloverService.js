@@ -0,0 +1,338 @@
+const { getOne, getAll, pool } = require('../database');
+const { addDays, daysBetween, dayOf, isoWeek, mondayOf, weekStart, monthStart } = require('./calendar');
+
+// Carrying an item moves it into the next quarter, or leaves it and creates a copy there
+const MODES = ['move', 'clone'];
+const ACTIONS = ['carry', 'close'];
+
+const OPEN = "status NOT IN ('completed', 'cancelled') AND deleted_at IS NULL";
+
+// Items cloned into a later quarter already were carried over; moved ones left the quarter
+const NOT_CLONED = (type, alias) => `NOT EXISTS (
+         SELECT 1 FROM rollover_items ri
+         WHERE ri.item_type = '${type}' AND ri.source_id = ${alias}.id AND ri.action = 'carry' AND ri.target_id <> ri.source_id
+       )`;
+
+const TABLES = { goal: 'quarterly_goals', plan: 'monthly_plans', task: 'weekly_tasks' };
+
+// The column holding the quarter, month or week an item is in
+const PERIOD_COLUMNS = { goal: 'quarter', plan: 'month', task: 'week_number' };
+
+// Parameters ($2 on) of MOVE and CLONE for an item's target
+const moveParams = (type, target) => {
+    if (type === 'goal') return [target.quarter, target.year];
+    if (type === 'plan') return [target.month, target.year];
+    return [target.week_number, target.year, target.due_date];
+};
+
+const MOVE = {
+    goal: `UPDATE quarterly_goals
+           SET quarter = $2, year = $3, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+    plan: `UPDATE monthly_plans
+           SET month = $2, year = $3, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+    task: `UPDATE weekly_tasks
+           SET week_number = $2, year = $3, due_date = $4, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`
+};
+
+// Copies keep the item's fields and status; checklists, comments, attachments, time
+// logs and dependencies stay with the original
+const CLONE = {
+    goal: `INSERT INTO quarterly_goals (user_id, title, description, quarter, year, status, progress, progress_mode, progress_weighting)
+           SELECT user_id, title, description, $2, $3, status, progress, progress_mode, progress_weighting
+           FROM quarterly_goals WHERE id = $1
+           RETURNING id`,
+    plan: `INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year, status, progress)
+           SELECT user_id, $4, title, description, $2, $3, status, progress
+           FROM monthly_plans WHERE id = $1
+           RETURNING id`,
+    task: `INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year, due_date,
+                                     status, priority, estimated_hours, is_urgent, assigned_to, assigned_by)
+           SELECT user_id, $5, title, description, $2, $3, $4, status, priority, estimated_hours, is_urgent, assigned_to, assigned_by
+           FROM weekly_tasks WHERE id = $1
+           RETURNING id`
+};
+
+const nextQuarter = (quarter, year) => (quarter === 4 ? { quarter: 1, year: year + 1 } : { quarter: quarter + 1, year });
+
+// Fields of a goal, plan or task the preview shows
+const summary = (type, row) => ({
+    id: row.id,
+    title: row.title,
+    status: row.status,
+    ...(type === 'goal' && { quarter: row.quarter, year: row.year, progress: row.progress }),
+    ...(type === 'plan' && { month: row.month, year: row.year, progress: row.progress, quarterly_goal_id: row.quarterly_goal_id }),
+    ...(type === 'task' && {
+        week_number: row.week_number, year: row.year, due_date: row.due_date ? dayOf(row.due_date) : null,
+        priority: row.priority, monthly_plan_id: row.monthly_plan_id
+    })
+});
+
+// The quarter, month or week an item is in, as rollover_items records it
+const periodOf = (type, row) => ({ period: row[PERIOD_COLUMNS[type]], year: row.year });
+
+/**
+ * Lock the chosen items and check each is still as the preview showed it: open, not
+ * carried over and in the same period. The check is a statement of its own after the
+ * lock, so a rollover that waited on another one's locks sees what that one committed.
+ * Locks are taken goals, plans, tasks, each by id, so two rollovers cannot deadlock.
+ * @returns {object|null} the first chosen item that changed, or null
+ */
+const lockChosen = async (client, choices) => {
+    for (const type of Object.keys(TABLES)) {
+        const items = choices.map(({ item }) => item).filter(item => item.type === type);
+        if (items.length === 0) continue;
+
+        const ids = items.map(item => item.id);
+        await client.query(`SELECT id FROM ${TABLES[type]} WHERE id = ANY($1) ORDER BY id FOR UPDATE`, [ids]);
+
+        const { rows } = await client.query(
+            `SELECT id, ${PERIOD_COLUMNS[type]}, year FROM ${TABLES[type]} t
+       WHERE id = ANY($1) AND ${OPEN} AND ${NOT_CLONED(type, 't')}`,
+            [ids]
+        );
+        const changed = items.find(item => {
+            const row = rows.find(candidate => candidate.id === item.id);
+            const from = periodOf(type, item);
+            const now = row && periodOf(type, row);
+            return !now || now.period !== from.period || now.year !== from.year;
+        });
+        if (changed) return changed;
+    }
+
+    return null;
+};
+
+/**
+ * Carries unfinished goals, plans and tasks from one quarter into the next. Goals go
+ * to the next quarter and plans three months on. A task keeps its place relative to
+ * the start of its plan's month (when its plan is part of the rollover) or of the
+ * quarter: it moves as many weeks on as that start did, and its due date keeps its
+ * weekday. Tasks generated by a recurrence are left to it.
+ */
+class RolloverService {
+    constructor() {
+        this.modes = MODES;
+        this.actions = ACTIONS;
+    }
+
+    nextQuarter(quarter, year) {
+        return nextQuarter(quarter, year);
+    }
+
+    /**
+     * The month three months on from a plan's, as { month, year }
+     */
+    planTarget(plan) {
+        const start = monthStart(plan.month + 3, plan.year);
+        return { month: Number(start.slice(5, 7)), year: Number(start.slice(0, 4)) };
+    }
+
+    /**
+     * Where a task goes when the period it keeps its place in moves from the day `from`
+     * to the day `to` (both the first of a month): as many weeks on as the Monday of
+     * that day moved, with its due date on the same weekday. Returns
+     * { week_number, year, due_date }.
+     */
+    taskTarget(task, from, to) {
+        const monday = weekStart(task.week_number, task.year);
+        const target = addDays(mondayOf(to), daysBetween(mondayOf(from), monday));
+        return {
+            ...isoWeek(target),
+            due_date: task.due_date ? addDays(dayOf(task.due_date), daysBetween(monday, target)) : null
+        };
+    }
+
+    /**
+     * Everything of a user's still open in a quarter, as
+     * { from, to, goals: [goal + plans: [plan + tasks]], plans: [plan + tasks], tasks }
+     * where the top-level plans are those not under an open goal of the quarter and the
+     * top-level tasks those not under one of its open plans. Each item has the target
+     * ({ quarter | month | week_number, year, due_date }) carrying it would give it.
+     */
+    async preview(userId, quarter, year) {
+        const to = this.nextQuarter(quarter, year);
+        const firstMonth = quarter * 3 - 2;
+
+        const goals = await getAll(
+            `SELECT * FROM quarterly_goals qg
+       WHERE user_id = ? AND quarter = ? AND year = ? AND ${OPEN} AND ${NOT_CLONED('goal', 'qg')}
+       ORDER BY created_at, id`,
+            [userId, quarter, year]
+        );
+        const goalIds = goals.map(goal => goal.id);
+
+        const plans = await getAll(
+            `SELECT * FROM monthly_plans mp
+       WHERE user_id = ? AND ${OPEN} AND ${NOT_CLONED('plan', 'mp')}
+         AND ((year = ? AND month BETWEEN ? AND ?) OR quarterly_goal_id = ANY(?))
+       ORDER BY year, month, id`,
+            [userId, year, firstMonth, firstMonth + 2, goalIds]
+        );
+        const planIds = plans.map(plan => plan.id);
+
+        // A task is in the quarter when the Thursday of its ISO week is, as ISO weeks
+        // belong to the year their Thursday is in
+        const quarterStart = monthStart(firstMonth, year);
+        const quarterEnd = monthStart(firstMonth + 3, year);
+        const inQuarter = (task) => {
+            const thursday = addDays(weekStart(task.week_number, task.year), 3);
+            return thursday >= quarterStart && thursday < quarterEnd;
+        };
+        const tasks = (await getAll(
+            `SELECT * FROM weekly_tasks wt
+       WHERE (user_id = ? OR assigned_to = ?) AND ${OPEN} AND recurrence_id IS NULL AND ${NOT_CLONED('task', 'wt')}
+         AND (monthly_plan_id = ANY(?) OR year = ?)
+       ORDER BY year, week_number, id`,
+            [userId, userId, planIds, year]
+        )).filter(task => planIds.includes(task.monthly_plan_id) || inQuarter(task));
+
+        // Starts of the periods tasks keep their place relative to, and where they go
+        const quarterShift = { from: quarterStart, to: monthStart(to.quarter * 3 - 2, to.year) };
+        const planShifts = new Map(plans.map(plan => [
+            plan.id, { from: monthStart(plan.month, plan.year), to: monthStart(plan.month + 3, plan.year) }
+        ]));
+
+        const taskTarget = (task) => {
+            const { from, to: toStart } = planShifts.get(task.monthly_plan_id) || quarterShift;
+            return this.taskTarget(task, from, toStart);
+        };
+
+        const taskNode = (task) => ({ ...summary('task', task), target: taskTarget(task) });
+        const planNode = (plan) => ({
+            ...summary('plan', plan),
+            target: this.planTarget(plan),
+            tasks: tasks.filter(task => task.monthly_plan_id === plan.id).map(taskNode)
+        });
+
+        return {
+            from: { quarter, year },
+            to,
+            goals: goals.map(goal => ({
+                ...summary('goal', goal),
+                target: to,
+                plans: plans.filter(plan => plan.quarterly_goal_id === goal.id).map(planNode)
+            })),
+            plans: plans.filter(plan => !goalIds.includes(plan.quarterly_goal_id)).map(planNode),
+            tasks: tasks.filter(task => !planIds.includes(task.monthly_plan_id)).map(taskNode)
+        };
+    }
+
+    /**
+     * Every item of a preview as { type, id, target, row summary }, goals before their
+     * plans before their tasks, keyed by 'type:id'
+     */
+    flatten(preview) {
+        const items = new Map();
+        const add = (type, node) => items.set(`${type}:${node.id}`, { type, ...node });
+        const addPlan = (plan) => {
+            add('plan', plan);
+            plan.tasks.forEach(task => add('task', task));
+        };
+
+        preview.goals.forEach(goal => {
+            add('goal', goal);
+            goal.plans.forEach(addPlan);
+        });
+        preview.plans.forEach(addPlan);
+        preview.tasks.forEach(task => add('task', task));
+        return items;
+    }
+
+    /**
+     * Carry or close the chosen items of a preview in one transaction and record the
+     * rollover. choices are [{ item (from flatten), action }] in flatten order; clones
+     * of plans and tasks go under the clone of their goal or plan when that was cloned
+     * too. Returns { rollover, results: [{ type, source_id, target_id, action, parent_id }] }
+     * where parent_id is the goal or plan the item (or its copy) is under, or
+     * { changed: item } (and nothing done) when a chosen item changed since the preview.
+     */
+    async execute(userId, preview, mode, choices) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const changed = await lockChosen(client, choices);
+            if (changed) {
+                await client.query('ROLLBACK');
+                return { changed };
+            }
+
+            const { rows: [rollover] } = await client.query(
+                `INSERT INTO rollovers (user_id, from_quarter, from_year, to_quarter, to_year, mode)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+                [userId, preview.from.quarter, preview.from.year, preview.to.quarter, preview.to.year, mode]
+            );
+
+            const clones = { goal: new Map(), plan: new Map() };
+            const results = [];
+            for (const { item, action } of choices) {
+                const { type, id, target } = item;
+                let targetId = null;
+                let parentId = type === 'plan' ? item.quarterly_goal_id : type === 'task' ? item.monthly_plan_id : null;
+
+                if (action === 'close') {
+                    await client.query(
+                        `UPDATE ${TABLES[type]}
+           SET status = 'cancelled', version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+                        [id]
+                    );
+                } else if (mode === 'move') {
+                    await client.query(MOVE[type], [id, ...moveParams(type, target)]);
+                    targetId = id;
+                } else {
+                    if (type !== 'goal') parentId = clones[type === 'plan' ? 'goal' : 'plan'].get(parentId) || parentId;
+                    const { rows: [copy] } = await client.query(
+                        CLONE[type], [id, ...moveParams(type, target), ...(type === 'goal' ? [] : [parentId])]
+                    );
+                    targetId = copy.id;
+                    if (clones[type]) clones[type].set(id, copy.id);
+                }
+
+                const from = periodOf(type, item);
+                const to = action === 'carry' ? periodOf(type, { ...item, ...target }) : { period: null, year: null };
+                await client.query(
+                    `INSERT INTO rollover_items (rollover_id, item_type, source_id, target_id, action, from_period, from_year, to_period, to_year)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                    [rollover.id, type, id, targetId, action, from.period, from.year, to.period, to.year]
+                );
+                results.push({ type, source_id: id, target_id: targetId, action, parent_id: parentId });
+            }
+
+            await client.query('COMMIT');
+            return { rollover, results };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Where an item was carried over from and to: { carried_from, carried_to }, each the
+     * latest matching rollover_items row with its rollover's mode and date, or null
+     */
+    async lineage(type, id) {
+        const query = (column, extra) => getOne(
+            `SELECT ri.*, r.mode, r.created_at
+       FROM rollover_items ri
+       JOIN rollovers r ON r.id = ri.rollover_id
+       WHERE ri.item_type = ? AND ri.${column} = ? AND ri.action = 'carry'${extra}
+       ORDER BY ri.id DESC
+       LIMIT 1`,
+            [type, id]
+        );
+
+        return {
+            carried_from: (await query('target_id', '')) || null,
+            carried_to: (await query('source_id', ' AND ri.target_id <> ri.source_id')) || null
+        };
+    }
+}
+
+module.exports = new RolloverService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { runQuery, getOne, getAll } = require('../database');
+const permissionService = require('./permissionService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-key-change-in-production';
+
+// Access tokens are short-lived; sessions (refresh tokens) slide forward on every refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Split "<sessionId>.<secret>" into its parts, or null when malformed
+ */
+function parseRefreshToken(refreshToken) {
+    const match = /^(\d+)\.([0-9a-f]{64})$/.exec(refreshToken || '');
+    return match ? { sessionId: parseInt(match[1], 10), secret: match[2] } : null;
+}
+
+class SessionService {
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { id: user.id, email: user.email, role: user.role, sid: sessionId },
+            JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_TTL }
+        );
+    }
+
+    verifyAccessToken(token) {
+        return jwt.verify(token, JWT_SECRET);
+    }
+
+    /**
+     * Start a session for a freshly authenticated user
+     * @returns {{ token, refreshToken, sessionId }}
+     */
+    async create(user, req) {
+        const secret = crypto.randomBytes(32).toString('hex');
+
+        const session = await runQuery(
+            `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+            [user.id, hashSecret(secret), req.headers['user-agent'] || null, req.ip, refreshExpiry()]
+        );
+
+        return {
+            token: this.signAccessToken(user, session.id),
+            refreshToken: `${session.id}.${secret}`,
+            sessionId: session.id
+        };
+    }
+
+    /**
+     * Start a session and build the login response for a fully authenticated user row
+     */
+    async login(user, req) {
+        const { token, refreshToken } = await this.create(user, req);
+
+        return {
+            token,
+            refreshToken,
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                email_verified: !!user.email_verified_at,
+                permissions: await permissionService.getPermissionsForRole(user.role)
+            }
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and a new refresh token.
+     * Presenting an already-rotated token revokes the whole session (reuse detection).
+     * @returns {{ token, refreshToken }} or { error } when the token is not usable
+     */
+    async rotate(refreshToken, req) {
+        const parsed = parseRefreshToken(refreshToken);
+        if (!parsed) {
+            return { error: 'Invalid refresh token' };
+        }
+
+        const session = await getOne(
+            `SELECT s.*, u.email, u.role
+       FROM sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = ?`,
+            [parsed.sessionId]
+        );
+
+        if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+            return { error: 'Session expired or revoked' };
+        }
+
+        if (session.refresh_token_hash !== hashSecret(parsed.secret)) {
+            await this.revoke(session.id, 'reuse_detected');
+            console.warn(`Refresh token reuse detected for session ${session.id} (user ${session.user_id})`);
+            return { error: 'Session expired or revoked' };
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+
+        // Guard on the old hash so two concurrent refreshes cannot both succeed
+        const result = await runQuery(
+            `UPDATE sessions
+       SET refresh_token_hash = ?, last_used_at = CURRENT_TIMESTAMP, expires_at = ?,
+           user_agent = COALESCE(?, user_agent), ip_address = ?
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+            [hashSecret(secret), refreshExpiry(), req.headers['user-agent'] || null, req.ip, session.id, session.refresh_token_hash]
+        );
+
+        if (result.changes === 0) {
+            return { error: 'Session expired or revoked' };
+        }
+
+        const user = { id: session.user_id, email: session.email, role: session.role };
+        return {
+            token: this.signAccessToken(user, session.id),
+            refreshToken: `${session.id}.${secret}`
+        };
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to (logout). Unknown tokens are ignored.
+     */
+    async revokeByRefreshToken(refreshToken) {
+        const parsed = parseRefreshToken(refreshToken);
+        if (!parsed) return false;
+
+        const result = await runQuery(
+            `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+            [parsed.sessionId, hashSecret(parsed.secret)]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Revoke a session by id; pass userId to restrict it to that user's sessions
+     */
+    async revoke(sessionId, reason, userId = null) {
+        const result = await runQuery(
+            `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+       WHERE id = ? AND revoked_at IS NULL ${userId ? 'AND user_id = ?' : ''}`,
+            userId ? [reason, sessionId, userId] : [reason, sessionId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Revoke every live session of a user (e.g. after a password reset)
+     */
+    async revokeAllForUser(userId, reason) {
+        const result = await runQuery(
+            `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+       WHERE user_id = ? AND revoked_at IS NULL`,
+            [reason, userId]
+        );
+        return result.changes;
+    }
+
+    async isActive(sessionId) {
+        const session = await getOne(
+            'SELECT id FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP',
+            [sessionId]
+        );
+        return !!session;
+    }
+
+    async listActive(userId) {
+        return getAll(
+            `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+            [userId]
+        );
+    }
+
+    /**
+     * Drop sessions that expired or were revoked more than a month ago
+     */
+    async purgeStale() {
+        const result = await runQuery(
+            `DELETE FROM sessions
+       WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+          OR revoked_at < CURRENT_TIMESTAMP - INTERVAL '30 days'`
+        );
+        return result.changes;
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const path = require('path');
+const { runQuery, getOne, getAll } = require('../../database');
+const { createDriver } = require('./drivers');
+const { createScanner } = require('./scanners');
+
+// Column of attachments that points at each kind of item
+const ENTITY_COLUMNS = {
+    goal: 'goal_id',
+    plan: 'plan_id',
+    task: 'task_id'
+};
+
+// Most files one goal, plan or task can have
+const MAX_PER_ITEM = 50;
+
+// Accepted MIME types. Where a format has a fixed signature, the first bytes must
+// match it, so a renamed executable cannot pass as a PDF or an image.
+const ZIP = ['504b0304'];
+const OLE = ['d0cf11e0a1b11ae1'];
+const ALLOWED_TYPES = {
+    'image/png': ['89504e470d0a1a0a'],
+    'image/jpeg': ['ffd8ff'],
+    'image/gif': ['474946383761', '474946383961'],
+    'image/webp': ['52494646'],
+    'application/pdf': ['25504446'],
+    'application/zip': ZIP,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ZIP,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ZIP,
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ZIP,
+    'application/vnd.oasis.opendocument.text': ZIP,
+    'application/vnd.oasis.opendocument.spreadsheet': ZIP,
+    'application/msword': OLE,
+    'application/vnd.ms-excel': OLE,
+    'application/vnd.ms-powerpoint': OLE,
+    'text/plain': null,
+    'text/csv': null,
+    'text/markdown': null,
+    'application/json': null
+};
+
+const ATTACHMENT_COLUMNS = `a.id, a.filename, a.mime_type, a.size_bytes, a.scan_status,
+              a.uploaded_by, u.name as uploader_name, a.created_at`;
+
+// Keep the last path segment, without control characters, at most 255 characters
+const cleanFilename = (name) => {
+    const base = path.basename(String(name).replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').trim();
+    return (base || 'file').slice(-255);
+};
+
+// Files on goals, plans and tasks: limits, scanning, storage and their rows
+class AttachmentService {
+    constructor() {
+        this.maxBytes = Math.round((parseFloat(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024);
+        this.maxPerItem = MAX_PER_ITEM;
+        this.allowedTypes = Object.keys(ALLOWED_TYPES);
+
+        this.driver = createDriver(process.env.ATTACHMENT_STORAGE || 'local');
+        this.scanner = createScanner(process.env.ATTACHMENT_SCANNER || 'none');
+        console.log(`📎 Attachment storage: ${this.driver.name}, scanner: ${this.scanner.name}`);
+    }
+
+    /**
+     * Why an uploaded file is not accepted, or null when it is
+     */
+    checkFile(file) {
+        if (!Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, file.mimetype)) {
+            return `Files of type ${file.mimetype} are not allowed`;
+        }
+
+        const signatures = ALLOWED_TYPES[file.mimetype];
+        const head = file.buffer.subarray(0, 8).toString('hex');
+        if (signatures && !signatures.some(signature => head.startsWith(signature))) {
+            return `File content does not match type ${file.mimetype}`;
+        }
+        return null;
+    }
+
+    /**
+     * The { type, id } of the goal, plan or task an attachment row is on
+     */
+    targetOf(attachment) {
+        const type = Object.keys(ENTITY_COLUMNS).find(entityType => attachment[ENTITY_COLUMNS[entityType]] !== null);
+        return { type, id: attachment[ENTITY_COLUMNS[type]] };
+    }
+
+    async list(entityType, entityId) {
+        return getAll(
+            `SELECT ${ATTACHMENT_COLUMNS}
+       FROM attachments a
+       LEFT JOIN users u ON a.uploaded_by = u.id
+       WHERE a.${ENTITY_COLUMNS[entityType]} = ?
+       ORDER BY a.created_at, a.id`,
+            [entityId]
+        );
+    }
+
+    async count(entityType, entityId) {
+        const row = await getOne(
+            `SELECT COUNT(*) as count FROM attachments WHERE ${ENTITY_COLUMNS[entityType]} = ?`,
+            [entityId]
+        );
+        return parseInt(row.count);
+    }
+
+    async get(attachmentId) {
+        return getOne('SELECT * FROM attachments WHERE id = ?', [attachmentId]);
+    }
+
+    /**
+     * Run the configured virus scanner over an uploaded file
+     */
+    async scan(file) {
+        return this.scanner.scan(file.buffer, { filename: file.originalname, mimeType: file.mimetype });
+    }
+
+    /**
+     * Store an uploaded file and record it on an item; returns its id.
+     * The file is removed again if the row cannot be written.
+     */
+    async save(entityType, entityId, file, scanStatus, userId) {
+        const now = new Date();
+        const key = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}`;
+        const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+        await this.driver.put(key, file.buffer);
+        try {
+            const result = await runQuery(
+                `INSERT INTO attachments (${ENTITY_COLUMNS[entityType]}, filename, mime_type, size_bytes, checksum,
+                                  storage_driver, storage_key, scan_status, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [entityId, cleanFilename(file.originalname), file.mimetype, file.size, checksum,
+                    this.driver.name, key, scanStatus, userId]
+            );
+            return result.id;
+        } catch (err) {
+            await this.driver.delete(key);
+            throw err;
+        }
+    }
+
+    openStream(attachment) {
+        return this.driver.createReadStream(attachment.storage_key);
+    }
+
+    async remove(attachment) {
+        await runQuery('DELETE FROM attachments WHERE id = ?', [attachment.id]);
+        await this.driver.delete(attachment.storage_key);
+    }
+
+    /**
+     * Storage keys of the files on some goals, plans or tasks. Purging the items
+     * cascades to the rows, so the trash reads these first and passes them to
+     * removeFiles once the items are gone.
+     */
+    async getStorageKeys(entityType, entityIds) {
+        if (entityIds.length === 0) return [];
+        const rows = await getAll(
+            `SELECT storage_key FROM attachments WHERE ${ENTITY_COLUMNS[entityType]} = ANY(?)`,
+            [entityIds]
+        );
+        return rows.map(row => row.storage_key);
+    }
+
+    // A file that cannot be removed is logged and left behind rather than failing the request
+    async removeFiles(keys) {
+        for (const key of keys) {
+            try {
+                await this.driver.delete(key);
+            } catch (err) {
+                console.error(`Error removing attachment file ${key}:`, err);
+            }
+        }
+    }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Every driver implements put(key, buffer), createReadStream(key) and delete(key),
+// and exposes a name. Keys are generated by attachmentService, never taken from users.
+
+/**
+ * Stores files under ATTACHMENT_STORAGE_DIR on the server's disk
+ */
+class LocalDriver {
+    constructor() {
+        this.name = 'local';
+        this.dir = path.resolve(process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+    }
+
+    // Absolute path of a key, refusing anything that would land outside the storage dir
+    pathOf(key) {
+        const file = path.resolve(this.dir, key);
+        if (!file.startsWith(this.dir + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return file;
+    }
+
+    async put(key, buffer) {
+        const file = this.pathOf(key);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, buffer, { flag: 'wx' });
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.pathOf(key));
+    }
+
+    // Deleting a file that is already gone is not an error
+    async delete(key) {
+        await fsp.rm(this.pathOf(key), { force: true });
+    }
+}
+
+const DRIVERS = {
+    local: LocalDriver
+};
+
+function createDriver(name) {
+    const Driver = DRIVERS[name];
+    if (!Driver) {
+        throw new Error(`Unknown ATTACHMENT_STORAGE "${name}". Use: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return new Driver();
+}
+
+module.exports = {
+    createDriver
+};
@@ -0,0 +1,32 @@
+// Every scanner implements scan(buffer, { filename, mimeType }) resolving to
+// { status: 'clean' | 'infected' | 'skipped', detail? }, and exposes a name.
+// Uploads marked 'infected' are rejected before they are stored.
+
+/**
+ * Accepts every file without looking at it; the status records that no scan ran
+ */
+class NoScanner {
+    constructor() {
+        this.name = 'none';
+    }
+
+    async scan() {
+        return { status: 'skipped' };
+    }
+}
+
+const SCANNERS = {
+    none: NoScanner
+};
+
+function createScanner(name) {
+    const Scanner = SCANNERS[name];
+    if (!Scanner) {
+        throw new Error(`Unknown ATTACHMENT_SCANNER "${name}". Use: ${Object.keys(SCANNERS).join(', ')}`);
+    }
+    return new Scanner();
+}
+
+module.exports = {
+    createScanner
+};
@@ -0,0 +1,59 @@
+const { getOne, getAll } = require('../database');
+const permissionService = require('./permissionService');
+
+// Team membership lookups used to scope list and report routes
+class TeamService {
+    /**
+     * Role ('lead' | 'member') of a user in a team, or null if not a member
+     */
+    async getMemberRole(teamId, userId) {
+        const row = await getOne(
+            'SELECT role FROM team_members WHERE team_id = ? AND user_id = ?',
+            [teamId, userId]
+        );
+        return row ? row.role : null;
+    }
+
+    async getMemberIds(teamId) {
+        const rows = await getAll('SELECT user_id FROM team_members WHERE team_id = ?', [teamId]);
+        return rows.map(row => row.user_id);
+    }
+
+    /**
+     * Ids of every user in any team the given user leads (including the lead)
+     */
+    async getLedMemberIds(userId) {
+        const rows = await getAll(
+            `SELECT DISTINCT tm.user_id
+       FROM team_members tm
+       JOIN team_members lead ON lead.team_id = tm.team_id
+       WHERE lead.user_id = ? AND lead.role = 'lead'`,
+            [userId]
+        );
+        return rows.map(row => row.user_id);
+    }
+
+    /**
+     * Resolve the member ids a user may view for ?team_id=.
+     * Returns null unless the user leads the team or has report:all.
+     */
+    async resolveTeamScope(user, teamId) {
+        if (!(await permissionService.can(user, 'report:all'))) {
+            const role = await this.getMemberRole(teamId, user.id);
+            if (role !== 'lead') return null;
+        }
+        return this.getMemberIds(teamId);
+    }
+
+    /**
+     * Whether a user may view another user's goals, plans and tasks:
+     * their own, anyone in a team they lead, or anyone with report:all
+     */
+    async canViewWorkOf(user, ownerId) {
+        if (user.id === ownerId) return true;
+        if (await permissionService.can(user, 'report:all')) return true;
+        return (await this.getLedMemberIds(user.id)).includes(ownerId);
+    }
+}
+
+module.exports = new TeamService();
@@ -0,0 +1,219 @@
+const { getOne, getAll, pool } = require('../database');
+const { addDays, daysBetween, dayOf, isoWeek, mondayOf, weekStart, monthStart } = require('./calendar');
+
+// A template instantiates a goal with its plans and their tasks, a plan with its tasks, or a task
+const KINDS = ['goal', 'plan', 'task'];
+
+// Largest offsets a template can hold; captured items further out are pulled in to them
+const MAX_MONTH_OFFSET = 11;
+const MAX_WEEK_OFFSET = 52;
+const MAX_DUE_OFFSET_DAYS = 365;
+
+const TEMPLATE_COLUMNS = `t.id, t.user_id, u.name as owner_name, t.team_id, tm.name as team_name,
+              t.kind, t.name, t.description, t.created_at, t.updated_at`;
+
+const TEMPLATE_FROM = `templates t
+       LEFT JOIN users u ON u.id = t.user_id
+       LEFT JOIN teams tm ON tm.id = t.team_id`;
+
+/**
+ * Reusable goal, plan and task trees. A template's content holds the fields each
+ * item is created with and where it falls relative to the item above it:
+ * a plan's month_offset counts months from the first month of its goal's quarter,
+ * a task's week_offset counts weeks from the week its plan's month starts in (or
+ * from the target week, for a task template) and its due_offset_days counts days
+ * from that week's Monday.
+ */
+class TemplateService {
+    constructor() {
+        this.kinds = KINDS;
+    }
+
+    /**
+     * Base list query (for listQueryService) of the templates a user can use: their
+     * own and those shared with a team they belong to
+     */
+    listQuery(userId) {
+        return {
+            select: `${TEMPLATE_COLUMNS}, t.content`,
+            from: TEMPLATE_FROM,
+            conditions: ['(t.user_id = ? OR t.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?))'],
+            params: [userId, userId]
+        };
+    }
+
+    async get(id) {
+        return getOne(`SELECT ${TEMPLATE_COLUMNS}, t.content FROM ${TEMPLATE_FROM} WHERE t.id = ?`, [id]);
+    }
+
+    /**
+     * A template for lists: without its content, with how many plans and tasks it creates
+     */
+    summarize({ content, ...template }) {
+        return { ...template, ...this.countItems(template.kind, content) };
+    }
+
+    /**
+     * How many plans and tasks instantiating some content creates
+     */
+    countItems(kind, content) {
+        const plans = kind === 'goal' ? content.plans || [] : kind === 'plan' ? [content] : [];
+        const tasks = kind === 'task' ? 1 : plans.reduce((total, plan) => total + (plan.tasks || []).length, 0);
+        return { plan_count: plans.length, task_count: tasks };
+    }
+
+    /**
+     * Template content for a live goal, plan or task and everything under it, with
+     * offsets taken from where each item sits relative to its parent
+     */
+    async capture(kind, row) {
+        if (kind === 'task') {
+            return this.captureTask(row, weekStart(row.week_number, row.year));
+        }
+
+        const plans = kind === 'goal'
+            ? await getAll(
+                `SELECT * FROM monthly_plans
+         WHERE quarterly_goal_id = ? AND deleted_at IS NULL
+         ORDER BY year, month, id`,
+                [row.id]
+            )
+            : [row];
+        const tasks = await getAll(
+            `SELECT * FROM weekly_tasks
+       WHERE monthly_plan_id = ANY(?) AND deleted_at IS NULL
+       ORDER BY year, week_number, due_date, id`,
+            [plans.map(plan => plan.id)]
+        );
+
+        const capturePlan = (plan, goal) => {
+            const firstMonday = mondayOf(monthStart(plan.month, plan.year));
+            const captured = {
+                title: plan.title,
+                description: plan.description || '',
+                tasks: tasks
+                    .filter(task => task.monthly_plan_id === plan.id)
+                    .map(task => this.captureTask(task, firstMonday))
+            };
+            if (goal) {
+                const offset = (plan.year - goal.year) * 12 + plan.month - (goal.quarter * 3 - 2);
+                captured.month_offset = Math.min(MAX_MONTH_OFFSET, Math.max(0, offset));
+            }
+            return captured;
+        };
+
+        if (kind === 'plan') return capturePlan(row, null);
+        return {
+            title: row.title,
+            description: row.description || '',
+            progress_mode: row.progress_mode,
+            progress_weighting: row.progress_weighting,
+            plans: plans.map(plan => capturePlan(plan, row))
+        };
+    }
+
+    // A task's fields and offsets, counting weeks from the Monday its parent starts on
+    captureTask(task, fromMonday) {
+        const monday = weekStart(task.week_number, task.year);
+        return {
+            title: task.title,
+            description: task.description || '',
+            priority: task.priority,
+            estimated_hours: task.estimated_hours,
+            is_urgent: task.is_urgent,
+            week_offset: Math.min(MAX_WEEK_OFFSET, Math.max(0, Math.round(daysBetween(fromMonday, monday) / 7))),
+            due_offset_days: task.due_date
+                ? Math.min(MAX_DUE_OFFSET_DAYS, Math.max(0, daysBetween(monday, dayOf(task.due_date))))
+                : null
+        };
+    }
+
+    /**
+     * Create the goal, plan or task a template describes for a user, in one
+     * transaction. target is { quarter, year } for a goal template, { month, year,
+     * quarterly_goal_id } for a plan template and { week_number, year, monthly_plan_id }
+     * for a task template. Returns { goal, plans, tasks } with the created rows.
+     */
+    async instantiate(template, target, userId) {
+        const { kind, content } = template;
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const insertTask = async (task, fromMonday, planId) => {
+                const monday = addDays(fromMonday, (task.week_offset || 0) * 7);
+                const { week_number, year } = isoWeek(monday);
+                const dueOffset = task.due_offset_days;
+                const { rows: [row] } = await client.query(
+                    `INSERT INTO weekly_tasks (user_id, monthly_plan_id, title, description, week_number, year,
+                                priority, estimated_hours, due_date, is_urgent, assigned_to, assigned_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $1, $1)
+           RETURNING *`,
+                    [
+                        userId, planId, task.title, task.description || '', week_number, year,
+                        task.priority || 'medium', task.estimated_hours || 0,
+                        dueOffset === null || dueOffset === undefined ? null : addDays(monday, dueOffset),
+                        task.is_urgent || false
+                    ]
+                );
+                return row;
+            };
+
+            const insertPlan = async (plan, month, year, goalId) => {
+                const { rows: [row] } = await client.query(
+                    `INSERT INTO monthly_plans (user_id, quarterly_goal_id, title, description, month, year)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+                    [userId, goalId, plan.title, plan.description || '', month, year]
+                );
+                const firstMonday = mondayOf(monthStart(month, year));
+                const tasks = [];
+                for (const task of plan.tasks || []) {
+                    tasks.push(await insertTask(task, firstMonday, row.id));
+                }
+                return { plan: row, tasks };
+            };
+
+            const created = { goal: null, plans: [], tasks: [] };
+            if (kind === 'goal') {
+                const { rows: [goal] } = await client.query(
+                    `INSERT INTO quarterly_goals (user_id, title, description, quarter, year, progress_mode, progress_weighting)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+                    [
+                        userId, content.title, content.description || '', target.quarter, target.year,
+                        content.progress_mode || 'manual', content.progress_weighting || 'count'
+                    ]
+                );
+                created.goal = goal;
+                for (const plan of content.plans || []) {
+                    // monthStart rolls a month past December into the next year
+                    const start = monthStart(target.quarter * 3 - 2 + (plan.month_offset || 0), target.year);
+                    const { plan: row, tasks } = await insertPlan(
+                        plan, Number(start.slice(5, 7)), Number(start.slice(0, 4)), goal.id
+                    );
+                    created.plans.push(row);
+                    created.tasks.push(...tasks);
+                }
+            } else if (kind === 'plan') {
+                const { plan, tasks } = await insertPlan(content, target.month, target.year, target.quarterly_goal_id || null);
+                created.plans.push(plan);
+                created.tasks.push(...tasks);
+            } else {
+                created.tasks.push(await insertTask(
+                    content, weekStart(target.week_number, target.year), target.monthly_plan_id || null
+                ));
+            }
+
+            await client.query('COMMIT');
+            return created;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new TemplateService();
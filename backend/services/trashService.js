@@ -0,0 +1,275 @@
+const { getOne, getAll, pool } = require('../database');
+const attachmentService = require('./storage/attachmentService');
+
+// Goals, plans and tasks, and the column linking each to the item above it
+const ITEMS = {
+    goal: { table: 'quarterly_goals', parent: null },
+    plan: { table: 'monthly_plans', parent: { type: 'goal', column: 'quarterly_goal_id' } },
+    task: { table: 'weekly_tasks', parent: { type: 'plan', column: 'monthly_plan_id' } }
+};
+
+// Days a deleted item stays restorable before the purge removes it
+const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run fn(client) in a transaction and return its result. fn may return
+ * { rollback: true, result } to undo its changes.
+ */
+async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rollback = false, result } = await fn(client);
+        await client.query(rollback ? 'ROLLBACK' : 'COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Soft deletion of goals, plans and tasks. Deleting a goal also deletes its plans
+ * and their tasks, and deleting a plan its tasks; everything deleted together shares
+ * one deleted_at (the transaction's timestamp), which is how a restore or purge finds
+ * the children that went with an item. Items deleted on their own earlier keep their
+ * own deleted_at and stay in the trash as separate entries.
+ */
+class TrashService {
+    constructor() {
+        this.types = Object.keys(ITEMS);
+        this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+    }
+
+    /**
+     * When a trashed item will be purged
+     */
+    purgeAt(row) {
+        return new Date(new Date(row.deleted_at).getTime() + this.retentionDays * DAY_MS);
+    }
+
+    /**
+     * SQL condition for the trash entries of a type: deleted rows that did not go
+     * together with the item above them (those are listed under that item)
+     */
+    entryCondition(type, alias) {
+        const { parent } = ITEMS[type];
+        const condition = `${alias}.deleted_at IS NOT NULL`;
+        if (!parent) return condition;
+
+        return `${condition} AND NOT EXISTS (
+         SELECT 1 FROM ${ITEMS[parent.type].table} parent
+         WHERE parent.id = ${alias}.${parent.column} AND parent.deleted_at = ${alias}.deleted_at)`;
+    }
+
+    /**
+     * The goal or plan a plan or task belongs to, as { type, id, title, deleted_at }, if any
+     */
+    async getParent(type, row) {
+        const { parent } = ITEMS[type];
+        if (!parent || !row[parent.column]) return null;
+
+        const parentRow = await getOne(
+            `SELECT id, title, deleted_at FROM ${ITEMS[parent.type].table} WHERE id = ?`,
+            [row[parent.column]]
+        );
+        return parentRow && { type: parent.type, ...parentRow };
+    }
+
+    /**
+     * The plans and tasks deleted together with each of some trashed goals or plans,
+     * as a Map of id → { plans, tasks }
+     */
+    async getCascaded(type, ids) {
+        const cascaded = new Map(ids.map(id => [id, { plans: [], tasks: [] }]));
+        if (type === 'task' || ids.length === 0) return cascaded;
+
+        const plans = type === 'goal'
+            ? await getAll(
+                `SELECT mp.id, mp.title, mp.quarterly_goal_id
+         FROM monthly_plans mp
+         JOIN quarterly_goals qg ON qg.id = mp.quarterly_goal_id AND qg.deleted_at = mp.deleted_at
+         WHERE qg.id = ANY(?)
+         ORDER BY mp.year, mp.month, mp.id`,
+                [ids]
+            )
+            : [];
+        for (const plan of plans) {
+            cascaded.get(plan.quarterly_goal_id).plans.push(plan);
+        }
+
+        const planIds = type === 'goal' ? plans.map(plan => plan.id) : ids;
+        const tasks = planIds.length > 0
+            ? await getAll(
+                `SELECT wt.id, wt.title, wt.monthly_plan_id
+         FROM weekly_tasks wt
+         JOIN monthly_plans mp ON mp.id = wt.monthly_plan_id AND mp.deleted_at = wt.deleted_at
+         WHERE mp.id = ANY(?)
+         ORDER BY wt.year, wt.week_number, wt.id`,
+                [planIds]
+            )
+            : [];
+        for (const task of tasks) {
+            const owner = type === 'goal'
+                ? plans.find(plan => plan.id === task.monthly_plan_id).quarterly_goal_id
+                : task.monthly_plan_id;
+            cascaded.get(owner).tasks.push(task);
+        }
+
+        return cascaded;
+    }
+
+    /**
+     * Move an item and everything under it to the trash, guarded by the version it was
+     * read at. Returns { item, plans, tasks } with the rows as trashed, or null when the
+     * item changed (or was deleted) since.
+     */
+    async moveToTrash(type, row, userId) {
+        return inTransaction(async (client) => {
+            const { rows: [item] } = await client.query(
+                `UPDATE ${ITEMS[type].table}
+         SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND version = $3 AND deleted_at IS NULL
+         RETURNING *`,
+                [row.id, userId, row.version]
+            );
+            if (!item) return { rollback: true, result: null };
+
+            const plans = type === 'goal'
+                ? (await client.query(
+                    `UPDATE monthly_plans
+           SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, version = version + 1
+           WHERE quarterly_goal_id = $1 AND deleted_at IS NULL
+           RETURNING *`,
+                    [row.id, userId]
+                )).rows
+                : [];
+
+            const planIds = type === 'plan' ? [row.id] : plans.map(plan => plan.id);
+            const tasks = planIds.length > 0
+                ? (await client.query(
+                    `UPDATE weekly_tasks
+           SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, version = version + 1
+           WHERE monthly_plan_id = ANY($1) AND deleted_at IS NULL
+           RETURNING *`,
+                    [planIds, userId]
+                )).rows
+                : [];
+
+            return { result: { item, plans, tasks } };
+        });
+    }
+
+    /**
+     * Bring a trashed item back with the plans and tasks deleted together with it;
+     * they are still linked to it, so the hierarchy is whole again. Children go first,
+     * while the item's deleted_at still identifies them. Returns { item, plans, tasks }
+     * with the restored rows.
+     */
+    async restore(type, row) {
+        const { table } = ITEMS[type];
+        return inTransaction(async (client) => {
+            const deletedWith = `(SELECT deleted_at FROM ${table} WHERE id = $1)`;
+            // alias qualifies version where another table with one is joined
+            const restoreColumns = (alias = '') =>
+                `deleted_at = NULL, deleted_by = NULL, version = ${alias}version + 1, updated_at = CURRENT_TIMESTAMP`;
+
+            let tasks = [];
+            let plans = [];
+            if (type === 'goal') {
+                tasks = (await client.query(
+                    `UPDATE weekly_tasks wt SET ${restoreColumns('wt.')}
+           FROM monthly_plans mp
+           WHERE wt.monthly_plan_id = mp.id AND wt.deleted_at = mp.deleted_at
+             AND mp.quarterly_goal_id = $1 AND mp.deleted_at = ${deletedWith}
+           RETURNING wt.*`,
+                    [row.id]
+                )).rows;
+                plans = (await client.query(
+                    `UPDATE monthly_plans SET ${restoreColumns()}
+           WHERE quarterly_goal_id = $1 AND deleted_at = ${deletedWith}
+           RETURNING *`,
+                    [row.id]
+                )).rows;
+            } else if (type === 'plan') {
+                tasks = (await client.query(
+                    `UPDATE weekly_tasks SET ${restoreColumns()}
+           WHERE monthly_plan_id = $1 AND deleted_at = ${deletedWith}
+           RETURNING *`,
+                    [row.id]
+                )).rows;
+            }
+
+            const { rows: [item] } = await client.query(
+                `UPDATE ${table} SET ${restoreColumns()} WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`,
+                [row.id]
+            );
+            return { rollback: !item, result: item ? { item, plans, tasks } : null };
+        });
+    }
+
+    /**
+     * Delete trashed goals, plans and tasks for good, with their attachment files.
+     * Checklists, comments, time logs and dependency links go with them.
+     * Returns the removed rows as { goal, plan, task }.
+     */
+    async purge({ goal = [], plan = [], task = [] }) {
+        const attachmentKeys = [
+            ...await attachmentService.getStorageKeys('goal', goal),
+            ...await attachmentService.getStorageKeys('plan', plan),
+            ...await attachmentService.getStorageKeys('task', task)
+        ];
+
+        // Children first, so nothing is unlinked by ON DELETE SET NULL on the way
+        const purged = await inTransaction(async (client) => {
+            const remove = async (type, ids) => (ids.length === 0 ? [] : (await client.query(
+                `DELETE FROM ${ITEMS[type].table} WHERE id = ANY($1) AND deleted_at IS NOT NULL
+         RETURNING id, user_id, title, deleted_at`,
+                [ids]
+            )).rows);
+
+            const tasks = await remove('task', task);
+            const plans = await remove('plan', plan);
+            return { result: { goal: await remove('goal', goal), plan: plans, task: tasks } };
+        });
+
+        await attachmentService.removeFiles(attachmentKeys);
+        return purged;
+    }
+
+    /**
+     * Purge one trash entry together with the plans and tasks deleted with it
+     */
+    async purgeEntry(type, row) {
+        const cascaded = (await this.getCascaded(type, [row.id])).get(row.id);
+        const ids = {
+            goal: [],
+            plan: cascaded.plans.map(plan => plan.id),
+            task: cascaded.tasks.map(task => task.id)
+        };
+        ids[type].push(row.id);
+        return this.purge(ids);
+    }
+
+    /**
+     * Purge everything that has been in the trash longer than the retention period
+     */
+    async purgeExpired() {
+        const expired = {};
+        for (const [type, { table }] of Object.entries(ITEMS)) {
+            const rows = await getAll(
+                `SELECT id FROM ${table}
+         WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => ?)`,
+                [this.retentionDays]
+            );
+            expired[type] = rows.map(row => row.id);
+        }
+        return this.purge(expired);
+    }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { TOTP_STEP_SECONDS, TOTP_DIGITS, base32Encode, hotp } = require('./totp');
+const { runQuery, getOne, pool } = require('../database');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-key-change-in-production';
+
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const ISSUER = 'TacksTracker';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Login challenges bridge the password step and the code step
+const CHALLENGE_TTL = '5m';
+
+// Secrets are encrypted at rest with a key derived from TOTP_ENCRYPTION_KEY (or JWT_SECRET)
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+    const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCode() {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+class TwoFactorService {
+    /**
+     * Start (or restart) enrollment with a fresh secret
+     * @returns {{ secret, otpauth_uri, qr_code }} qr_code is a PNG data URL
+     */
+    async beginEnrollment(user) {
+        const secret = base32Encode(crypto.randomBytes(20));
+
+        await runQuery(
+            'UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+            [encryptSecret(secret), user.id]
+        );
+
+        const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+        const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}`
+            + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+        return {
+            secret,
+            otpauth_uri: otpauthUri,
+            qr_code: await QRCode.toDataURL(otpauthUri)
+        };
+    }
+
+    /**
+     * Check a TOTP code against the user's secret. A code (time step) can only be used once.
+     */
+    async verifyCode(userId, code) {
+        if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return false;
+
+        const user = await getOne('SELECT totp_secret, totp_last_step FROM users WHERE id = ?', [userId]);
+        if (!user?.totp_secret) return false;
+
+        const secret = decryptSecret(user.totp_secret);
+        const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+        for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+            const step = currentStep + drift;
+            const candidate = hotp(secret, step);
+
+            if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+                // Record the step; the guard rejects replays of this or an earlier code
+                const result = await runQuery(
+                    `UPDATE users SET totp_last_step = ?
+           WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+                    [step, userId, step]
+                );
+                return result.changes > 0;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Finish enrollment: confirm the first code, turn 2FA on, issue recovery codes
+     * @returns {string[]|null} recovery codes, or null when the code is wrong
+     */
+    async completeEnrollment(userId, code) {
+        const user = await getOne('SELECT totp_secret, totp_enabled_at FROM users WHERE id = ?', [userId]);
+        if (!user?.totp_secret || user.totp_enabled_at) return null;
+
+        if (!(await this.verifyCode(userId, code))) return null;
+
+        await runQuery('UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+        return this.regenerateRecoveryCodes(userId);
+    }
+
+    async disable(userId) {
+        await runQuery(
+            'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+            [userId]
+        );
+        await runQuery('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+    }
+
+    /**
+     * Replace all recovery codes. The plain codes are returned once and never stored.
+     */
+    async regenerateRecoveryCodes(userId) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+            for (const code of codes) {
+                await client.query(
+                    'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+                    [userId, hashRecoveryCode(code)]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        return codes;
+    }
+
+    /**
+     * Use up a recovery code; true when it was valid and unused
+     */
+    async consumeRecoveryCode(userId, code) {
+        if (typeof code !== 'string') return false;
+
+        const result = await runQuery(
+            `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [userId, hashRecoveryCode(code)]
+        );
+        return result.changes > 0;
+    }
+
+    async getStatus(userId) {
+        const user = await getOne(
+            `SELECT u.role, u.totp_enabled_at,
+              (SELECT COUNT(*) FROM recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) as recovery_codes_remaining
+       FROM users u WHERE u.id = ?`,
+            [userId]
+        );
+
+        return {
+            enabled: !!user.totp_enabled_at,
+            enabled_at: user.totp_enabled_at,
+            recovery_codes_remaining: parseInt(user.recovery_codes_remaining),
+            required: await this.isRequiredForRole(user.role)
+        };
+    }
+
+    // ============================================
+    // POLICY
+    // ============================================
+
+    async getRequiredRoles() {
+        const row = await getOne("SELECT value FROM app_settings WHERE key = 'two_factor_required_roles'");
+        return row ? JSON.parse(row.value) : [];
+    }
+
+    async setRequiredRoles(roles, updatedBy) {
+        await runQuery(
+            `INSERT INTO app_settings (key, value, updated_by) VALUES ('two_factor_required_roles', ?, ?)
+       ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING key`,
+            [JSON.stringify(roles), updatedBy]
+        );
+    }
+
+    async isRequiredForRole(role) {
+        return (await this.getRequiredRoles()).includes(role);
+    }
+
+    // ============================================
+    // LOGIN CHALLENGES
+    // ============================================
+
+    /**
+     * Short-lived token proving the password step passed.
+     * purpose: 'login' (enter a code) or 'setup' (policy requires enrolling first)
+     */
+    signChallenge(userId, purpose) {
+        return jwt.sign({ id: userId, purpose: `2fa_${purpose}` }, JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+    }
+
+    /**
+     * @returns {number|null} the user id when the challenge is valid for that purpose
+     */
+    verifyChallenge(token, purpose) {
+        try {
+            const payload = jwt.verify(token || '', JWT_SECRET);
+            return payload.purpose === `2fa_${purpose}` ? payload.id : null;
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+module.exports = new TwoFactorService();
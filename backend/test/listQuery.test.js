@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const listQueryService = require('../services/listQueryService');
+
+const RESOURCE = {
+    id: 't.id',
+    sorts: { due_date: 't.due_date', title: 't.title' },
+    defaultSort: 'due_date',
+    filters: {
+        is_read: { column: 't.is_read', type: 'boolean' },
+        team_id: { column: 't.team_id', type: 'integer' },
+        due_before: { column: 't.due_date', type: 'date', op: '<=' },
+        priority: { column: 't.priority', type: 'enum', values: ['low', 'medium', 'high'] }
+    }
+};
+
+test('cursors round-trip and anything else decodes to null', () => {
+    const cursor = { s: '-title', v: '2026-01-05 10:00:00.123456+00', id: 42 };
+    const encoded = listQueryService.encodeCursor(cursor);
+
+    assert.match(encoded, /^[\w-]+$/);
+    assert.deepStrictEqual(listQueryService.decodeCursor(encoded), cursor);
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    for (const value of ['', 'not a cursor', encode(null), encode({ s: 'title', v: 'a' }), encode({ s: 1, v: 'a', id: 1 }), encode({ s: 'title', id: 1.5, v: 'a' })]) {
+        assert.strictEqual(listQueryService.decodeCursor(value), null, value);
+    }
+});
+
+test('parse applies defaults and accepts a cursor only for its own sort', () => {
+    const list = listQueryService.parse({}, RESOURCE);
+    assert.strictEqual(list.limit, 50);
+    assert.deepStrictEqual(list.sort, { param: 'due_date', expression: 't.due_date', descending: false });
+    assert.strictEqual(list.cursor, null);
+
+    const cursor = listQueryService.encodeCursor({ s: '-title', v: 'b', id: 7 });
+    assert.deepStrictEqual(listQueryService.parse({ sort: '-title', cursor }, RESOURCE).cursor, { s: '-title', v: 'b', id: 7 });
+    assert.deepStrictEqual(listQueryService.parse({ sort: 'title', cursor }, RESOURCE), { error: 'Invalid cursor for this sort' });
+});
+
+test('parse rejects bad limits and sorts, including inherited property names', () => {
+    for (const limit of ['0', '201', 'ten', '1.5']) {
+        assert.ok(listQueryService.parse({ limit }, RESOURCE).error, `limit = ${limit}`);
+    }
+    for (const sort of ['priority', 'constructor', '-toString', ['title', 'due_date']]) {
+        assert.ok(listQueryService.parse({ sort }, RESOURCE).error, `sort = ${sort}`);
+    }
+});
+
+test('parse turns filters into conditions and parameters', () => {
+    const list = listQueryService.parse(
+        { is_read: '1', team_id: '3', due_before: '2026-03-31', priority: 'high,low', unknown: 'x' },
+        RESOURCE
+    );
+
+    assert.deepStrictEqual(list.conditions, ['t.is_read = ?', 't.team_id = ?', 't.due_date <= ?', 't.priority = ANY(?)']);
+    assert.deepStrictEqual(list.params, [true, 3, '2026-03-31', ['high', 'low']]);
+    assert.deepStrictEqual(listQueryService.parse({ is_read: 'false' }, RESOURCE).params, [false]);
+    assert.deepStrictEqual(listQueryService.parse({ is_read: '' }, RESOURCE).conditions, []);
+});
+
+test('parse rejects invalid filter values, including inherited property names', () => {
+    const invalid = [
+        { is_read: 'yes' }, { is_read: 'constructor' }, { is_read: '__proto__' }, { is_read: 'toString' },
+        { team_id: '3a' }, { due_before: '2026-02-30x' }, { due_before: '31/03/2026' },
+        { priority: 'urgent' }, { priority: 'high,constructor' }
+    ];
+
+    for (const query of invalid) {
+        const [name] = Object.keys(query);
+        assert.deepStrictEqual(listQueryService.parse(query, RESOURCE), { error: `Invalid value for ${name}` }, JSON.stringify(query));
+    }
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { migrateUp, migrateDown } = require('../migrate');
+
+// These are rejected before any connection is made, so no database is needed
+
+test('migrateDown rejects steps that are not a whole number from 1', async () => {
+    for (const steps of [0, -1, 1.5, NaN, '2', null]) {
+        await assert.rejects(migrateDown(steps), /Steps must be a whole number from 1/, `steps = ${steps}`);
+    }
+});
+
+test('migrateUp rejects a target version that is not a whole number from 1', async () => {
+    for (const version of [0, -3, NaN, '5']) {
+        await assert.rejects(migrateUp(version), /Target version must be a whole number from 1/, `version = ${version}`);
+    }
+});
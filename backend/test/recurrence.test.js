@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const recurrenceService = require('../services/recurrenceService');
+
+test('parseRule accepts the supported subset and returns it in canonical form', () => {
+    const canonical = {
+        'FREQ=DAILY': 'FREQ=DAILY',
+        'rrule:freq=weekly;interval=1;byday=mo,we': 'FREQ=WEEKLY;BYDAY=MO,WE',
+        'FREQ=WEEKLY;INTERVAL=2;UNTIL=20261231T000000Z': 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20261231',
+        'COUNT=3;BYDAY=-1FR;FREQ=MONTHLY': 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=3',
+        'FREQ=MONTHLY;BYMONTHDAY=1,-1': 'FREQ=MONTHLY;BYMONTHDAY=1,-1'
+    };
+
+    for (const [text, rrule] of Object.entries(canonical)) {
+        const parsed = recurrenceService.parseRule(text);
+        assert.strictEqual(parsed.error, undefined, text);
+        assert.strictEqual(parsed.rrule, rrule);
+    }
+
+    assert.deepStrictEqual(recurrenceService.parseRule('FREQ=MONTHLY;INTERVAL=3;BYDAY=2TU;COUNT=5').rule, {
+        freq: 'MONTHLY', interval: 3, byDay: [{ weekday: 1, nth: 2 }], byMonthDay: [], count: 5, until: null
+    });
+});
+
+test('parseRule explains rules it cannot use', () => {
+    const errors = {
+        '': 'rrule needs a FREQ',
+        'INTERVAL=2': 'rrule needs a FREQ',
+        'FREQ=YEARLY': 'FREQ must be one of DAILY, WEEKLY, MONTHLY',
+        'FREQ=DAILY;BYHOUR=9': 'BYHOUR is not supported in rrule',
+        'FREQ=DAILY;FREQ=WEEKLY': 'FREQ appears more than once in rrule',
+        'FREQ=DAILY;INTERVAL=0': 'INTERVAL must be a whole number from 1 to 99',
+        'FREQ=DAILY;COUNT=501': 'COUNT must be a whole number from 1 to 500',
+        'FREQ=DAILY;UNTIL=2026-12-31': 'UNTIL must be a date as YYYYMMDD',
+        'FREQ=DAILY;COUNT=2;UNTIL=20261231': 'rrule may have COUNT or UNTIL, not both',
+        'FREQ=WEEKLY;BYDAY=XX': 'BYDAY has an invalid day: XX',
+        'FREQ=MONTHLY;BYDAY=6MO': 'BYDAY has an invalid day: 6MO',
+        'FREQ=MONTHLY;BYMONTHDAY=32': 'BYMONTHDAY has an invalid day: 32',
+        'FREQ=WEEKLY;BYMONTHDAY=1': 'BYMONTHDAY needs FREQ=MONTHLY',
+        'FREQ=WEEKLY;BYDAY=1MO': 'BYDAY ordinals such as 1MO need FREQ=MONTHLY'
+    };
+
+    for (const [text, error] of Object.entries(errors)) {
+        assert.deepStrictEqual(recurrenceService.parseRule(text), { error }, text);
+    }
+});
+
+test('occurrences steps by day, week and month', () => {
+    const cases = [
+        ['FREQ=DAILY;INTERVAL=2', '2026-01-01', '2026-01-07', ['2026-01-01', '2026-01-03', '2026-01-05', '2026-01-07']],
+        // 2026-01-01 is a Thursday: the start day is always the first occurrence
+        ['FREQ=WEEKLY;BYDAY=MO,WE', '2026-01-01', '2026-01-14', ['2026-01-01', '2026-01-05', '2026-01-07', '2026-01-12', '2026-01-14']],
+        ['FREQ=WEEKLY;INTERVAL=2', '2026-01-01', '2026-02-01', ['2026-01-01', '2026-01-15', '2026-01-29']],
+        ['FREQ=DAILY;BYDAY=SA,SU', '2026-01-01', '2026-01-11', ['2026-01-01', '2026-01-03', '2026-01-04', '2026-01-10', '2026-01-11']]
+    ];
+
+    for (const [rrule, startsOn, through, days] of cases) {
+        assert.deepStrictEqual(recurrenceService.occurrences(rrule, startsOn, through), days, rrule);
+    }
+});
+
+test('monthly occurrences skip months without the day and resolve ordinals', () => {
+    const cases = [
+        ['FREQ=MONTHLY;COUNT=4', '2026-01-31', '2027-12-31', ['2026-01-31', '2026-03-31', '2026-05-31', '2026-07-31']],
+        ['FREQ=MONTHLY;BYMONTHDAY=-1', '2026-01-31', '2026-04-30', ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']],
+        ['FREQ=MONTHLY;BYDAY=-1FR', '2026-01-30', '2026-04-30', ['2026-01-30', '2026-02-27', '2026-03-27', '2026-04-24']],
+        ['FREQ=MONTHLY;BYDAY=1MO;INTERVAL=2', '2026-01-05', '2026-06-30', ['2026-01-05', '2026-03-02', '2026-05-04']],
+        ['FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13', '2026-01-01', '2026-12-31', ['2026-01-01', '2026-02-13', '2026-03-13', '2026-11-13']]
+    ];
+
+    for (const [rrule, startsOn, through, days] of cases) {
+        assert.deepStrictEqual(recurrenceService.occurrences(rrule, startsOn, through), days, rrule);
+    }
+});
+
+test('occurrences stop at COUNT, UNTIL or through, whichever comes first', () => {
+    assert.deepStrictEqual(recurrenceService.occurrences('FREQ=WEEKLY;UNTIL=20260115', '2026-01-01', '2026-12-31'),
+        ['2026-01-01', '2026-01-08', '2026-01-15']);
+    assert.deepStrictEqual(recurrenceService.occurrences('FREQ=DAILY;COUNT=3', '2026-01-01', '2026-01-02'),
+        ['2026-01-01', '2026-01-02']);
+    assert.deepStrictEqual(recurrenceService.occurrences('FREQ=DAILY;COUNT=1', '2026-01-01', '2026-12-31'), ['2026-01-01']);
+    assert.deepStrictEqual(recurrenceService.occurrences('FREQ=DAILY', '2026-02-01', '2026-01-31'), []);
+    assert.deepStrictEqual(recurrenceService.occurrences('FREQ=DAILY;UNTIL=20251231', '2026-01-01', '2026-12-31'), []);
+});
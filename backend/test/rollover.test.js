@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rolloverService = require('../services/rolloverService');
+
+test('goals go to the next quarter, across the year end', () => {
+    assert.deepStrictEqual(rolloverService.nextQuarter(1, 2026), { quarter: 2, year: 2026 });
+    assert.deepStrictEqual(rolloverService.nextQuarter(4, 2026), { quarter: 1, year: 2027 });
+});
+
+test('plans go three months on, across the year end', () => {
+    assert.deepStrictEqual(rolloverService.planTarget({ month: 1, year: 2026 }), { month: 4, year: 2026 });
+    assert.deepStrictEqual(rolloverService.planTarget({ month: 11, year: 2026 }), { month: 2, year: 2027 });
+});
+
+test('tasks move as many weeks as the Monday of their period start did', () => {
+    // Q1 to Q2 2026: Monday 2025-12-29 to Monday 2026-03-30, 13 weeks
+    assert.deepStrictEqual(
+        rolloverService.taskTarget({ week_number: 2, year: 2026, due_date: '2026-01-08' }, '2026-01-01', '2026-04-01'),
+        { week_number: 15, year: 2026, due_date: '2026-04-09' }
+    );
+
+    // March to June 2026: Monday 2026-02-23 to Monday 2026-06-01, 14 weeks
+    assert.deepStrictEqual(
+        rolloverService.taskTarget({ week_number: 10, year: 2026, due_date: '2026-03-06' }, '2026-03-01', '2026-06-01'),
+        { week_number: 24, year: 2026, due_date: '2026-06-12' }
+    );
+});
+
+test('task targets cross into the next ISO year, and a missing due date stays missing', () => {
+    // Q4 2026 to Q1 2027: 2026 has 53 ISO weeks and week 1 of 2027 starts on 2027-01-04
+    assert.deepStrictEqual(
+        rolloverService.taskTarget({ week_number: 50, year: 2026, due_date: null }, '2026-10-01', '2027-01-01'),
+        { week_number: 10, year: 2027, due_date: null }
+    );
+    assert.deepStrictEqual(
+        rolloverService.taskTarget({ week_number: 53, year: 2026, due_date: new Date(2026, 11, 31) }, '2026-10-01', '2027-01-01'),
+        { week_number: 13, year: 2027, due_date: '2027-04-01' }
+    );
+});
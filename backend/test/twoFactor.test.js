@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, hotp, TOTP_STEP_SECONDS } = require('../services/totp');
+const twoFactorService = require('../services/twoFactorService');
+
+// The shared secret of the RFC 4226 / RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32Encode matches RFC 4648 and base32Decode reverses it', () => {
+    const vectors = { f: 'MY', fo: 'MZXQ', foo: 'MZXW6', foob: 'MZXW6YQ', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI' };
+
+    for (const [plain, encoded] of Object.entries(vectors)) {
+        assert.strictEqual(base32Encode(Buffer.from(plain)), encoded);
+        assert.strictEqual(base32Decode(encoded).toString(), plain);
+    }
+
+    assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.strictEqual(base32Decode('mzxw6ytboi======').toString(), 'foobar');
+});
+
+test('hotp gives the RFC 4226 codes', () => {
+    const codes = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    codes.forEach((code, counter) => assert.strictEqual(hotp(RFC_SECRET, counter), code));
+});
+
+test('TOTP codes match the last six digits of the RFC 6238 SHA-1 vectors', () => {
+    const vectors = { 59: '287082', 1111111109: '081804', 1234567890: '005924', 2000000000: '279037' };
+
+    for (const [seconds, code] of Object.entries(vectors)) {
+        assert.strictEqual(hotp(RFC_SECRET, Math.floor(seconds / TOTP_STEP_SECONDS)), code);
+    }
+});
+
+// Codes that are not strings are refused before the database is asked
+test('verifyCode and consumeRecoveryCode refuse codes that are not strings', async () => {
+    for (const code of [123456, null, undefined, ['123456'], { code: '123456' }]) {
+        assert.strictEqual(await twoFactorService.verifyCode(1, code), false);
+        assert.strictEqual(await twoFactorService.consumeRecoveryCode(1, code), false);
+    }
+    assert.strictEqual(await twoFactorService.verifyCode(1, '12345'), false);
+});
@@ -1,10 +1,16 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
 import Dashboard from './components/Dashboard/Dashboard';
 import Layout from './components/Layout/Layout';
+import GoalDetail from './components/Details/GoalDetail';
+import PlanDetail from './components/Details/PlanDetail';
+import TaskDetail from './components/Details/TaskDetail';
 // AI chatbot removed
 import ErrorBoundary from './components/ErrorBoundary';
 import { Toaster } from 'react-hot-toast';
@@ -13,6 +19,7 @@ import './styles.css';
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
     const { user, loading } = useAuth();
+    const location = useLocation();
 
     if (loading) {
         return (
@@ -23,16 +30,21 @@ const ProtectedRoute = ({ children }) => {
         );
     }
 
-    return user ? children : <Navigate to="/login" />;
+    return user ? children : <Navigate to="/login" state={{ from: location }} />;
 };
 
 function AppRoutes() {
     const { user } = useAuth();
+    // Where to go once signed in (set by ProtectedRoute for deep links)
+    const returnTo = useLocation().state?.from?.pathname || '/';
 
     return (
         <Routes>
-            <Route path="/login" element={user ? <Navigate to="/" /> : <Login />} />
+            <Route path="/login" element={user ? <Navigate to={returnTo} replace /> : <Login />} />
             <Route path="/register" element={user ? <Navigate to="/" /> : <Register />} />
+            <Route path="/forgot-password" element={user ? <Navigate to="/" /> : <ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
 
             <Route
                 path="/*"
@@ -41,6 +53,9 @@ function AppRoutes() {
                         <Layout>
                             <Routes>
                                 <Route path="/" element={<Dashboard />} />
+                                <Route path="/goals/:id" element={<GoalDetail />} />
+                                <Route path="/plans/:id" element={<PlanDetail />} />
+                                <Route path="/tasks/:id" element={<TaskDetail />} />
                                 <Route path="*" element={<Navigate to="/" />} />
                             </Routes>
                         </Layout>
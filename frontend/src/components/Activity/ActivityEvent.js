@@ -0,0 +1,59 @@
+import React from 'react';
+import { format } from 'date-fns';
+
+const VERBS = { create: 'created', update: 'updated', delete: 'deleted' };
+
+// Fields that name what a created or deleted record was
+const NAME_FIELDS = ['title', 'name', 'filename', 'body'];
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+// Restores and purges are logged as an update of deleted_at and a delete marked purged
+const verbOf = (event) => {
+    if (event.action === 'delete' && event.changes.purged) return 'permanently deleted';
+    if (event.action === 'update' && event.changes.deleted_at?.to === null) return 'restored';
+    return VERBS[event.action];
+};
+
+const entityLabel = (type, id) => `${type.replace(/_/g, ' ')}${id ? ` #${id}` : ''}`;
+
+/**
+ * One activity log entry: who changed what and when, with the changed fields of an update
+ */
+function ActivityEvent({ event, showParent = true }) {
+    const changes = Object.entries(event.changes);
+    const nameField = NAME_FIELDS.find(field => event.changes[field]);
+    const name = nameField && (event.changes[nameField].to ?? event.changes[nameField].from);
+
+    return (
+        <li className="activity-event">
+            <div className="activity-header">
+                <strong>{event.actor_name || event.actor_email || 'Unknown user'}</strong>
+                <span>
+                    {verbOf(event)} {entityLabel(event.entity_type, event.entity_id)}
+                    {event.action !== 'update' && name && ` "${formatValue(name)}"`}
+                    {showParent && event.parent_type && ` on ${entityLabel(event.parent_type, event.parent_id)}`}
+                </span>
+                <span className="permission-description">{format(new Date(event.occurred_at), 'MMM dd, yyyy HH:mm')}</span>
+            </div>
+            {event.action === 'update' && changes.length > 0 && (
+                <ul className="activity-changes">
+                    {changes.map(([field, { from, to }]) => (
+                        <li key={field}>
+                            <code>{field}</code>: {formatValue(from)} → {formatValue(to)}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {event.ip && (
+                <div className="permission-description">{event.ip}{event.user_agent && ` · ${event.user_agent}`}</div>
+            )}
+        </li>
+    );
+}
+
+export default ActivityEvent;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { activityAPI, adminAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import usePagedList from '../../hooks/usePagedList';
+import ListFooter from '../Tasks/ListFooter';
+import ActivityEvent from './ActivityEvent';
+import { Download, History } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ENTITY_TYPES = [
+    'goal', 'plan', 'task', 'recurrence', 'checklist_item', 'comment', 'attachment', 'time_log',
+    'template', 'rollover', 'team', 'team_member', 'user', 'role', 'policy', 'access_token', 'session'
+];
+
+/**
+ * The activity log: the user's own changes, or everyone's with activity:read:any.
+ * Holders of admin:audit can export the full trail for the chosen days as CSV.
+ */
+function ActivityLog() {
+    const { can } = useAuth();
+    const [filters, setFilters] = useState({ entity_type: '', action: '', occurred_after: '', occurred_before: '' });
+    const { items: events, total, hasMore, loading, loadMore } = usePagedList(activityAPI.getAll, filters);
+    const [exporting, setExporting] = useState(false);
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const response = await adminAPI.exportAudit({
+                format: 'csv',
+                from: filters.occurred_after || undefined,
+                to: filters.occurred_before || undefined
+            });
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting audit trail:', error);
+            toast.error('Failed to export audit trail');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div className="manager-container">
+            <div className="manager-header">
+                <h2><History size={24} /> {can('activity:read:any') ? 'Activity' : 'My Activity'}</h2>
+                <div className="header-actions">
+                    <select
+                        value={filters.entity_type}
+                        onChange={(e) => setFilters({ ...filters, entity_type: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Records</option>
+                        {ENTITY_TYPES.map((type) => (
+                            <option key={type} value={type}>{type.replace(/_/g, ' ')}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.action}
+                        onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Changes</option>
+                        <option value="create">Created</option>
+                        <option value="update">Updated</option>
+                        <option value="delete">Deleted</option>
+                    </select>
+                    <input
+                        type="date"
+                        value={filters.occurred_after}
+                        onChange={(e) => setFilters({ ...filters, occurred_after: e.target.value })}
+                        className="filter-select"
+                        title="From"
+                    />
+                    <input
+                        type="date"
+                        value={filters.occurred_before}
+                        onChange={(e) => setFilters({ ...filters, occurred_before: e.target.value })}
+                        className="filter-select"
+                        title="To"
+                    />
+                    {can('admin:audit') && (
+                        <button className="btn btn-secondary" onClick={handleExport} disabled={exporting}>
+                            <Download size={18} /> {exporting ? 'Exporting...' : 'Export CSV'}
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {!loading && events.length === 0 && (
+                <div className="empty-state">
+                    <p>No activity matches these filters.</p>
+                </div>
+            )}
+            <ul className="activity-list">
+                {events.map((event) => (
+                    <ActivityEvent key={event.id} event={event} />
+                ))}
+            </ul>
+            <ListFooter shown={events.length} total={total} hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+        </div>
+    );
+}
+
+export default ActivityLog;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { adminAPI, usersAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { Shield } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function RolePermissions() {
+    const { user, can } = useAuth();
+    const [roles, setRoles] = useState([]);
+    const [permissions, setPermissions] = useState([]);
+    const [grants, setGrants] = useState({});
+    const [users, setUsers] = useState([]);
+    const [twoFactorRoles, setTwoFactorRoles] = useState([]);
+    const [enforceDependencies, setEnforceDependencies] = useState(true);
+
+    useEffect(() => {
+        fetchRoles();
+        fetchUsers();
+        if (can('admin:security')) fetchSecurityPolicy();
+        if (can('admin:workflow')) fetchWorkflowPolicy();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const fetchRoles = async () => {
+        try {
+            const response = await adminAPI.getRoles();
+            setRoles(response.data.roles);
+            setPermissions(response.data.permissions);
+            setGrants(response.data.grants);
+        } catch (error) {
+            console.error('Error fetching roles:', error);
+            toast.error(error.response?.data?.error || 'Failed to load roles');
+        }
+    };
+
+    const fetchUsers = async () => {
+        try {
+            const response = await usersAPI.getAll();
+            setUsers(response.data);
+        } catch (error) {
+            console.error('Error fetching users:', error);
+        }
+    };
+
+    const fetchSecurityPolicy = async () => {
+        try {
+            const response = await adminAPI.getSecurityPolicy();
+            setTwoFactorRoles(response.data.two_factor_required_roles);
+        } catch (error) {
+            console.error('Error fetching security policy:', error);
+        }
+    };
+
+    const toggleTwoFactorRole = async (role) => {
+        const next = twoFactorRoles.includes(role)
+            ? twoFactorRoles.filter(r => r !== role)
+            : [...twoFactorRoles, role];
+
+        try {
+            const response = await adminAPI.updateSecurityPolicy({ two_factor_required_roles: next });
+            setTwoFactorRoles(response.data.two_factor_required_roles);
+            toast.success('Security policy updated! It applies at each user\'s next sign-in.');
+        } catch (error) {
+            console.error('Error updating security policy:', error);
+            toast.error(error.response?.data?.error || 'Failed to update security policy');
+        }
+    };
+
+    const fetchWorkflowPolicy = async () => {
+        try {
+            const response = await adminAPI.getWorkflowPolicy();
+            setEnforceDependencies(response.data.enforce_task_dependencies);
+        } catch (error) {
+            console.error('Error fetching workflow policy:', error);
+        }
+    };
+
+    const toggleEnforceDependencies = async () => {
+        try {
+            const response = await adminAPI.updateWorkflowPolicy({ enforce_task_dependencies: !enforceDependencies });
+            setEnforceDependencies(response.data.enforce_task_dependencies);
+            toast.success('Workflow policy updated!');
+        } catch (error) {
+            console.error('Error updating workflow policy:', error);
+            toast.error(error.response?.data?.error || 'Failed to update workflow policy');
+        }
+    };
+
+    const toggleGrant = async (role, permission) => {
+        const current = grants[role] || [];
+        const next = current.includes(permission)
+            ? current.filter(p => p !== permission)
+            : [...current, permission];
+
+        try {
+            const response = await adminAPI.updateRole(role, next);
+            setGrants({ ...grants, [role]: response.data.permissions });
+            toast.success(`Updated ${role} permissions`);
+        } catch (error) {
+            console.error('Error updating role:', error);
+            toast.error(error.response?.data?.error || 'Failed to update role');
+        }
+    };
+
+    const handleUserRoleChange = async (userId, role) => {
+        try {
+            await adminAPI.updateUserRole(userId, role);
+            fetchUsers();
+            toast.success('User role updated! It applies on their next login.');
+        } catch (error) {
+            console.error('Error updating user role:', error);
+            toast.error(error.response?.data?.error || 'Failed to update user role');
+        }
+    };
+
+    return (
+        <div className="manager-container">
+            <div className="manager-header">
+                <h2><Shield size={24} /> Roles & Permissions</h2>
+            </div>
+
+            <div className="chart-card">
+                <table className="permission-table">
+                    <thead>
+                        <tr>
+                            <th>Permission</th>
+                            {roles.map((role) => (
+                                <th key={role}>{role}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {permissions.map((permission) => (
+                            <tr key={permission.key}>
+                                <td>
+                                    <code>{permission.key}</code>
+                                    <span className="permission-description">{permission.description}</span>
+                                </td>
+                                {roles.map((role) => (
+                                    <td key={role}>
+                                        <input
+                                            type="checkbox"
+                                            checked={(grants[role] || []).includes(permission.key)}
+                                            onChange={() => toggleGrant(role, permission.key)}
+                                        />
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {can('admin:security') && (
+                <div className="chart-card">
+                    <h3>Require Two-Factor Authentication</h3>
+                    <table className="permission-table">
+                        <tbody>
+                            <tr>
+                                {roles.map((role) => (
+                                    <td key={role}>
+                                        <label>
+                                            <input
+                                                type="checkbox"
+                                                checked={twoFactorRoles.includes(role)}
+                                                onChange={() => toggleTwoFactorRole(role)}
+                                            />
+                                            {' '}{role}
+                                        </label>
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {can('admin:workflow') && (
+                <div className="chart-card">
+                    <h3>Workflow</h3>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={enforceDependencies}
+                            onChange={toggleEnforceDependencies}
+                        />
+                        {' '}Block tasks from starting or finishing while the tasks they depend on are open
+                    </label>
+                </div>
+            )}
+
+            {can('admin:users') && (
+                <div className="chart-card">
+                    <h3>User Roles</h3>
+                    <div className="member-list">
+                        {users.map((member) => (
+                            <div key={member.id} className="member-row">
+                                <div className="member-avatar">
+                                    {member.name.charAt(0).toUpperCase()}
+                                </div>
+                                <div className="member-info">
+                                    <h3>{member.name}{member.id === user?.id ? ' (me)' : ''}</h3>
+                                    <p>{member.email}</p>
+                                </div>
+                                <select
+                                    value={member.role}
+                                    onChange={(e) => handleUserRoleChange(member.id, e.target.value)}
+                                    className="filter-select"
+                                >
+                                    {roles.map((role) => (
+                                        <option key={role} value={role}>{role}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default RolePermissions;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { accessTokensAPI } from '../../services/api';
+import { KeyRound, Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const SCOPES = [
+    { key: 'read', label: 'Read-only', description: 'View goals, plans, tasks, time logs and reports' },
+    { key: 'tasks:write', label: 'tasks:write', description: 'Create, update, assign and delete tasks' },
+    { key: 'time-logs:write', label: 'time-logs:write', description: 'Log time on tasks' }
+];
+
+const EXPIRY_OPTIONS = [
+    { value: 7, label: '7 days' },
+    { value: 30, label: '30 days' },
+    { value: 90, label: '90 days' },
+    { value: 365, label: '1 year' },
+    { value: '', label: 'Never' }
+];
+
+const emptyForm = { name: '', scopes: ['read'], expires_in_days: 30 };
+
+function AccessTokens() {
+    const [tokens, setTokens] = useState([]);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState(emptyForm);
+    const [newToken, setNewToken] = useState(null);
+
+    useEffect(() => {
+        fetchTokens();
+    }, []);
+
+    const fetchTokens = async () => {
+        try {
+            const response = await accessTokensAPI.getAll();
+            setTokens(response.data);
+        } catch (error) {
+            console.error('Error fetching access tokens:', error);
+            toast.error(error.response?.data?.error || 'Failed to load access tokens');
+        }
+    };
+
+    const resetForm = () => {
+        setFormData(emptyForm);
+        setShowForm(false);
+    };
+
+    const toggleScope = (scope) => {
+        const scopes = formData.scopes.includes(scope)
+            ? formData.scopes.filter(s => s !== scope)
+            : [...formData.scopes, scope];
+        setFormData({ ...formData, scopes });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (formData.scopes.length === 0) {
+            toast.error('Choose at least one scope');
+            return;
+        }
+
+        try {
+            const response = await accessTokensAPI.create({
+                ...formData,
+                expires_in_days: formData.expires_in_days || null
+            });
+            setNewToken(response.data.token);
+            resetForm();
+            fetchTokens();
+            toast.success('Access token created!');
+        } catch (error) {
+            console.error('Error creating access token:', error);
+            toast.error(error.response?.data?.error || 'Failed to create access token');
+        }
+    };
+
+    const handleRevoke = async (token) => {
+        if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+        try {
+            await accessTokensAPI.revoke(token.id);
+            fetchTokens();
+            toast.success('Access token revoked!');
+        } catch (error) {
+            console.error('Error revoking access token:', error);
+            toast.error(error.response?.data?.error || 'Failed to revoke access token');
+        }
+    };
+
+    const copyToken = async () => {
+        try {
+            await navigator.clipboard.writeText(newToken);
+            toast.success('Copied to clipboard');
+        } catch (error) {
+            toast.error('Copy failed; select the token and copy it manually');
+        }
+    };
+
+    return (
+        <div className="chart-card">
+            <div className="manager-header">
+                <h3><KeyRound size={20} /> Personal Access Tokens</h3>
+                <button className="btn btn-primary btn-sm" onClick={() => setShowForm(true)}>
+                    <Plus size={16} /> New Token
+                </button>
+            </div>
+            <p className="permission-description">
+                Use a token from scripts and CI as <code>Authorization: Bearer &lt;token&gt;</code>.
+                Tokens act as you, limited to their scopes.
+            </p>
+
+            {newToken && (
+                <div className="success-message">
+                    Copy your new token now. It won't be shown again.
+                    <div className="token-value">
+                        <code>{newToken}</code>
+                        <button className="btn btn-secondary btn-sm" onClick={copyToken}>Copy</button>
+                        <button className="btn btn-secondary btn-sm" onClick={() => setNewToken(null)}>Done</button>
+                    </div>
+                </div>
+            )}
+
+            <div className="member-list">
+                {tokens.length === 0 && <p className="empty-state">No access tokens yet.</p>}
+                {tokens.map((token) => (
+                    <div key={token.id} className="member-row">
+                        <KeyRound size={20} />
+                        <div className="member-info">
+                            <h3>
+                                {token.name}
+                                {token.scopes.map((scope) => (
+                                    <span key={scope} className="badge">{scope}</span>
+                                ))}
+                            </h3>
+                            <p>
+                                …{token.token_hint}
+                                {' · '}Created {new Date(token.created_at).toLocaleDateString()}
+                                {' · '}{token.last_used_at ? `Last used ${new Date(token.last_used_at).toLocaleString()}` : 'Never used'}
+                                {' · '}{token.expires_at ? `Expires ${new Date(token.expires_at).toLocaleDateString()}` : 'No expiry'}
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => handleRevoke(token)}
+                            className="icon-btn delete"
+                            title="Revoke token"
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {showForm && (
+                <div className="modal-overlay" onClick={resetForm}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <h3>New Personal Access Token</h3>
+                        <form onSubmit={handleSubmit}>
+                            <div className="form-group">
+                                <label>Name *</label>
+                                <input
+                                    type="text"
+                                    value={formData.name}
+                                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                    placeholder="e.g. CI task import"
+                                    maxLength={100}
+                                    required
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label>Scopes *</label>
+                                {SCOPES.map((scope) => (
+                                    <div key={scope.key} className="checkbox-group">
+                                        <label>
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.scopes.includes(scope.key)}
+                                                onChange={() => toggleScope(scope.key)}
+                                            />
+                                            <span>
+                                                {scope.label}
+                                                <span className="permission-description">{scope.description}</span>
+                                            </span>
+                                        </label>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="form-group">
+                                <label>Expires</label>
+                                <select
+                                    value={formData.expires_in_days}
+                                    onChange={(e) => setFormData({ ...formData, expires_in_days: e.target.value ? parseInt(e.target.value) : '' })}
+                                >
+                                    {EXPIRY_OPTIONS.map((option) => (
+                                        <option key={option.label} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="form-actions">
+                                <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-primary">
+                                    Create Token
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default AccessTokens;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+import { KeyRound } from 'lucide-react';
+
+function ForgotPassword() {
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const response = await authAPI.forgotPassword(email);
+            setMessage(response.data.message);
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to send reset link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card">
+                <div className="auth-header">
+                    <div className="auth-icon">
+                        <KeyRound size={32} />
+                    </div>
+                    <h1>Forgot Password</h1>
+                    <p>We'll email you a link to choose a new password</p>
+                </div>
+
+                {error && (
+                    <div className="error-message">
+                        {error}
+                    </div>
+                )}
+
+                {message ? (
+                    <div className="success-message">
+                        {message}
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label htmlFor="email">Email Address</label>
+                            <input
+                                id="email"
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="you@example.com"
+                                required
+                                autoFocus
+                                autoComplete="email"
+                            />
+                        </div>
+
+                        <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                            {loading ? 'Sending...' : 'Send Reset Link'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="auth-footer">
+                    <p>
+                        Remembered it? <Link to="/login">Sign in</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ForgotPassword;
@@ -1,15 +1,23 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { LogIn } from 'lucide-react';
+import TwoFactorSetup from './TwoFactorSetup';
+import { LogIn, ShieldCheck } from 'lucide-react';
 
 function Login() {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
-    const { login } = useAuth();
+    // Second step after the password: 'required' (enter a code) or 'setup' (enroll first)
+    const [twoFactor, setTwoFactor] = useState(null);
+    const [challengeToken, setChallengeToken] = useState('');
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const { login, loginTwoFactor, completeLogin } = useAuth();
     const navigate = useNavigate();
+    // Deep links (e.g. /tasks/42) bounce through here and return afterwards
+    const returnTo = useLocation().state?.from?.pathname || '/';
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -19,13 +27,122 @@ function Login() {
         const result = await login(email, password);
 
         if (result.success) {
-            navigate('/');
+            navigate(returnTo, { replace: true });
+        } else if (result.twoFactor) {
+            setTwoFactor(result.twoFactor);
+            setChallengeToken(result.challengeToken);
+            setLoading(false);
+        } else {
+            setError(result.error);
+            setLoading(false);
+        }
+    };
+
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        const result = await loginTwoFactor(
+            challengeToken,
+            useRecoveryCode ? { recoveryCode: code } : { code }
+        );
+
+        if (result.success) {
+            navigate(returnTo, { replace: true });
         } else {
             setError(result.error);
             setLoading(false);
         }
     };
 
+    const handleSetupComplete = (data) => {
+        completeLogin(data);
+        navigate(returnTo, { replace: true });
+    };
+
+    const startOver = () => {
+        setTwoFactor(null);
+        setChallengeToken('');
+        setCode('');
+        setUseRecoveryCode(false);
+        setError('');
+    };
+
+    if (twoFactor) {
+        return (
+            <div className="auth-container">
+                <div className="auth-card">
+                    <div className="auth-header">
+                        <div className="auth-icon">
+                            <ShieldCheck size={32} />
+                        </div>
+                        <h1>Two-Factor Authentication</h1>
+                        <p>
+                            {twoFactor === 'setup'
+                                ? 'Your role requires two-factor authentication. Set it up to continue.'
+                                : 'Enter the code from your authenticator app'}
+                        </p>
+                    </div>
+
+                    {error && (
+                        <div className="error-message">
+                            {error}
+                        </div>
+                    )}
+
+                    {twoFactor === 'setup' ? (
+                        <TwoFactorSetup
+                            challengeToken={challengeToken}
+                            onComplete={handleSetupComplete}
+                            onCancel={startOver}
+                        />
+                    ) : (
+                        <form onSubmit={handleCodeSubmit} className="auth-form">
+                            <div className="form-group">
+                                <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+                                <input
+                                    id="code"
+                                    type="text"
+                                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value.trim())}
+                                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                                    required
+                                    autoFocus
+                                    autoComplete="one-time-code"
+                                />
+                            </div>
+
+                            <div className="auth-links">
+                                <button
+                                    type="button"
+                                    className="link-btn"
+                                    onClick={() => {
+                                        setUseRecoveryCode(!useRecoveryCode);
+                                        setCode('');
+                                    }}
+                                >
+                                    {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+                                </button>
+                            </div>
+
+                            <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                                {loading ? 'Verifying...' : 'Verify'}
+                            </button>
+                        </form>
+                    )}
+
+                    <div className="auth-footer">
+                        <p>
+                            Not you? <button type="button" className="link-btn" onClick={startOver}>Start over</button>
+                        </p>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="auth-container">
             <div className="auth-card">
@@ -71,6 +188,10 @@ function Login() {
                         />
                     </div>
 
+                    <div className="auth-links">
+                        <Link to="/forgot-password">Forgot password?</Link>
+                    </div>
+
                     <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
                         {loading ? 'Signing in...' : 'Sign In'}
                     </button>
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { UserPlus } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 function Register() {
     const [name, setName] = useState('');
@@ -33,7 +34,12 @@ function Register() {
         const result = await register(name, email, password);
 
         if (result.success) {
+            toast.success('Account created! Check your email to confirm your address.');
             navigate('/');
+        } else if (result.twoFactor) {
+            // Policy requires 2FA for new accounts; enrollment happens at sign-in
+            toast.success('Account created! Sign in to set up two-factor authentication.');
+            navigate('/login');
         } else {
             setError(result.error);
             setLoading(false);
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+import { KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function ResetPassword() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const navigate = useNavigate();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        // Validation
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        if (password.length < 6) {
+            setError('Password must be at least 6 characters');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const response = await authAPI.resetPassword({ token, password });
+            toast.success(response.data.message);
+            navigate('/login');
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to reset password');
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card">
+                <div className="auth-header">
+                    <div className="auth-icon">
+                        <KeyRound size={32} />
+                    </div>
+                    <h1>Choose a New Password</h1>
+                    <p>You'll be signed out of all other devices</p>
+                </div>
+
+                {!token && (
+                    <div className="error-message">
+                        This reset link is incomplete. Please request a new one.
+                    </div>
+                )}
+
+                {error && (
+                    <div className="error-message">
+                        {error}
+                    </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="auth-form">
+                    <div className="form-group">
+                        <label htmlFor="password">New Password</label>
+                        <input
+                            id="password"
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            placeholder="••••••••"
+                            required
+                            autoFocus
+                            autoComplete="new-password"
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="confirmPassword">Confirm Password</label>
+                        <input
+                            id="confirmPassword"
+                            type="password"
+                            value={confirmPassword}
+                            onChange={(e) => setConfirmPassword(e.target.value)}
+                            placeholder="••••••••"
+                            required
+                            autoComplete="new-password"
+                        />
+                    </div>
+
+                    <button type="submit" className="btn btn-primary btn-block" disabled={loading || !token}>
+                        {loading ? 'Saving...' : 'Reset Password'}
+                    </button>
+                </form>
+
+                <div className="auth-footer">
+                    <p>
+                        Link expired? <Link to="/forgot-password">Request a new one</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ResetPassword;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { Monitor, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function SessionList() {
+    const { logout } = useAuth();
+    const [sessions, setSessions] = useState([]);
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const fetchSessions = async () => {
+        try {
+            const response = await authAPI.getSessions();
+            setSessions(response.data);
+        } catch (error) {
+            console.error('Error fetching sessions:', error);
+            toast.error(error.response?.data?.error || 'Failed to load sessions');
+        }
+    };
+
+    const handleRevoke = async (session) => {
+        if (session.current) {
+            if (!window.confirm('Sign out of this device?')) return;
+            logout();
+            return;
+        }
+
+        if (!window.confirm('Sign out this device?')) return;
+
+        try {
+            await authAPI.revokeSession(session.id);
+            fetchSessions();
+            toast.success('Session revoked!');
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            toast.error(error.response?.data?.error || 'Failed to revoke session');
+        }
+    };
+
+    return (
+        <div className="chart-card">
+            <h3>Active Sessions</h3>
+            <div className="member-list">
+                {sessions.map((session) => (
+                    <div key={session.id} className="member-row">
+                        <Monitor size={20} />
+                        <div className="member-info">
+                            <h3>
+                                {session.user_agent || 'Unknown device'}
+                                {session.current && <span className="badge">This device</span>}
+                            </h3>
+                            <p>
+                                {session.ip_address} · Last active {new Date(session.last_used_at).toLocaleString()}
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => handleRevoke(session)}
+                            className="icon-btn delete"
+                            title="Sign out this device"
+                        >
+                            <LogOut size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default SessionList;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../../services/api';
+import TwoFactorSetup, { RecoveryCodeList } from './TwoFactorSetup';
+import { ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function TwoFactorSettings() {
+    const [status, setStatus] = useState(null);
+    const [mode, setMode] = useState(null); // 'setup' | 'regenerate' | 'disable'
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+    useEffect(() => {
+        fetchStatus();
+    }, []);
+
+    const fetchStatus = async () => {
+        try {
+            const response = await twoFactorAPI.getStatus();
+            setStatus(response.data);
+        } catch (error) {
+            console.error('Error fetching 2FA status:', error);
+            toast.error(error.response?.data?.error || 'Failed to load two-factor status');
+        }
+    };
+
+    const closeForm = () => {
+        setMode(null);
+        setCode('');
+        setPassword('');
+    };
+
+    const handleSetupComplete = () => {
+        closeForm();
+        fetchStatus();
+        toast.success('Two-factor authentication enabled!');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        try {
+            if (mode === 'regenerate') {
+                const response = await twoFactorAPI.regenerateRecoveryCodes(code);
+                setRecoveryCodes(response.data.recovery_codes);
+                toast.success('New recovery codes generated!');
+            } else {
+                await twoFactorAPI.disable(password, code);
+                toast.success('Two-factor authentication disabled');
+            }
+            closeForm();
+            fetchStatus();
+        } catch (error) {
+            console.error('Error updating 2FA:', error);
+            toast.error(error.response?.data?.error || 'Failed to update two-factor authentication');
+        }
+    };
+
+    if (!status) return null;
+
+    return (
+        <div className="chart-card">
+            <h3><ShieldCheck size={20} /> Two-Factor Authentication</h3>
+
+            {!status.enabled && mode !== 'setup' && (
+                <>
+                    <p>
+                        Protect your account with a code from an authenticator app on every sign-in.
+                        {status.required && ' Your role requires it.'}
+                    </p>
+                    <button onClick={() => setMode('setup')} className="btn btn-primary">
+                        Set Up Two-Factor
+                    </button>
+                </>
+            )}
+
+            {mode === 'setup' && (
+                <TwoFactorSetup onComplete={handleSetupComplete} onCancel={closeForm} />
+            )}
+
+            {status.enabled && (
+                <>
+                    <p>
+                        Enabled {new Date(status.enabled_at).toLocaleDateString()} ·
+                        {' '}{status.recovery_codes_remaining} recovery codes left
+                    </p>
+
+                    {recoveryCodes && (
+                        <>
+                            <div className="success-message">
+                                Save these recovery codes somewhere safe. They won't be shown again.
+                            </div>
+                            <RecoveryCodeList codes={recoveryCodes} />
+                        </>
+                    )}
+
+                    {mode ? (
+                        <form onSubmit={handleSubmit} className="auth-form">
+                            {mode === 'disable' && (
+                                <div className="form-group">
+                                    <label htmlFor="twoFactorPassword">Password</label>
+                                    <input
+                                        id="twoFactorPassword"
+                                        type="password"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        required
+                                        autoComplete="current-password"
+                                    />
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label htmlFor="twoFactorCode">Authentication Code</label>
+                                <input
+                                    id="twoFactorCode"
+                                    type="text"
+                                    inputMode="numeric"
+                                    pattern="[0-9]{6}"
+                                    maxLength={6}
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value.trim())}
+                                    placeholder="123456"
+                                    required
+                                    autoComplete="one-time-code"
+                                />
+                            </div>
+                            <div className="form-actions">
+                                <button type="button" onClick={closeForm} className="btn btn-secondary">
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-primary">
+                                    {mode === 'regenerate' ? 'Generate New Codes' : 'Disable Two-Factor'}
+                                </button>
+                            </div>
+                        </form>
+                    ) : (
+                        <div className="form-actions">
+                            <button onClick={() => setMode('regenerate')} className="btn btn-secondary">
+                                New Recovery Codes
+                            </button>
+                            {!status.required && (
+                                <button onClick={() => setMode('disable')} className="btn btn-secondary">
+                                    Disable
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { twoFactorAPI } from '../../services/api';
+
+/**
+ * Enrollment flow: scan the QR code, confirm a code, save the recovery codes.
+ * challengeToken is set when enrolling mid-login because policy requires 2FA.
+ */
+function TwoFactorSetup({ challengeToken, onComplete, onCancel }) {
+    const [enrollment, setEnrollment] = useState(null);
+    const [code, setCode] = useState('');
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    // Each setup call issues a new secret, so only start once (StrictMode runs effects twice)
+    const started = useRef(false);
+
+    useEffect(() => {
+        if (started.current) return;
+        started.current = true;
+        startSetup();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const startSetup = async () => {
+        try {
+            const response = await twoFactorAPI.setup(challengeToken);
+            setEnrollment(response.data);
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to start two-factor setup');
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const response = await twoFactorAPI.enable(code, challengeToken);
+            setResult(response.data);
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to enable two-factor authentication');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (result) {
+        return (
+            <div>
+                <div className="success-message">
+                    Two-factor authentication is on. Save these recovery codes somewhere safe:
+                    each one signs you in once if you lose your device. They won't be shown again.
+                </div>
+                <RecoveryCodeList codes={result.recovery_codes} />
+                <button onClick={() => onComplete(result)} className="btn btn-primary btn-block">
+                    I've saved my recovery codes
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            {error && (
+                <div className="error-message">
+                    {error}
+                </div>
+            )}
+
+            {enrollment && (
+                <>
+                    <p>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+                    <div className="qr-code">
+                        <img src={enrollment.qr_code} alt="Two-factor QR code" />
+                    </div>
+                    <p className="permission-description">
+                        Can't scan? Enter this key manually: <code>{enrollment.secret}</code>
+                    </p>
+
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label htmlFor="totpCode">Authentication Code</label>
+                            <input
+                                id="totpCode"
+                                type="text"
+                                inputMode="numeric"
+                                pattern="[0-9]{6}"
+                                maxLength={6}
+                                value={code}
+                                onChange={(e) => setCode(e.target.value.trim())}
+                                placeholder="123456"
+                                required
+                                autoFocus
+                                autoComplete="one-time-code"
+                            />
+                        </div>
+
+                        <div className="form-actions">
+                            {onCancel && (
+                                <button type="button" onClick={onCancel} className="btn btn-secondary">
+                                    Cancel
+                                </button>
+                            )}
+                            <button type="submit" className="btn btn-primary" disabled={loading}>
+                                {loading ? 'Verifying...' : 'Enable Two-Factor'}
+                            </button>
+                        </div>
+                    </form>
+                </>
+            )}
+        </div>
+    );
+}
+
+export function RecoveryCodeList({ codes }) {
+    return (
+        <ul className="recovery-codes">
+            {codes.map((code) => (
+                <li key={code}><code>{code}</code></li>
+            ))}
+        </ul>
+    );
+}
+
+export default TwoFactorSetup;
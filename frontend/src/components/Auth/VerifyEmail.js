@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { MailCheck } from 'lucide-react';
+
+function VerifyEmail() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+    const [status, setStatus] = useState('verifying');
+    const [message, setMessage] = useState('');
+    const { user, updateUser } = useAuth();
+    // Tokens are single-use, so never send one twice (StrictMode runs effects twice)
+    const sentToken = useRef(null);
+
+    useEffect(() => {
+        if (sentToken.current === token) return;
+        sentToken.current = token;
+        verify();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [token]);
+
+    const verify = async () => {
+        try {
+            const response = await authAPI.verifyEmail(token);
+            setMessage(response.data.message);
+            setStatus('verified');
+            updateUser({ email_verified: true });
+        } catch (error) {
+            setMessage(error.response?.data?.error || 'Failed to verify email');
+            setStatus('failed');
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card">
+                <div className="auth-header">
+                    <div className="auth-icon">
+                        <MailCheck size={32} />
+                    </div>
+                    <h1>Email Verification</h1>
+                    {status === 'verifying' && <p>Confirming your email address...</p>}
+                </div>
+
+                {status === 'verified' && (
+                    <div className="success-message">
+                        {message}
+                    </div>
+                )}
+
+                {status === 'failed' && (
+                    <div className="error-message">
+                        {message}
+                        {user && ' You can request a new link from the banner at the top of the dashboard.'}
+                    </div>
+                )}
+
+                <div className="auth-footer">
+                    <p>
+                        {user ? <Link to="/">Go to dashboard</Link> : <Link to="/login">Sign in</Link>}
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default VerifyEmail;
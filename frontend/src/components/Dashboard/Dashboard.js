@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { dashboardAPI } from '../../services/api';
+import { dashboardAPI, teamsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
 import {
     Target,
     Calendar,
@@ -23,28 +24,43 @@ import {
 import TaskManager from '../Tasks/TaskManager';
 import GoalManager from '../Tasks/GoalManager';
 import PlanManager from '../Tasks/PlanManager';
+import HierarchyTree from '../Tasks/HierarchyTree';
+import TeamManager from '../Teams/TeamManager';
+import RolePermissions from '../Admin/RolePermissions';
+import SessionList from '../Auth/SessionList';
+import TwoFactorSettings from '../Auth/TwoFactorSettings';
+import AccessTokens from '../Auth/AccessTokens';
+import ActivityLog from '../Activity/ActivityLog';
+import TrashBin from '../Trash/TrashBin';
+import TemplateManager from '../Templates/TemplateManager';
 
 const COLORS = ['#6366f1', '#8b5cf6', '#ec4899', '#f59e0b'];
 
 function Dashboard() {
+    const { can } = useAuth();
     const [stats, setStats] = useState(null);
     const [teamPerformance, setTeamPerformance] = useState([]);
+    const [ledTeams, setLedTeams] = useState([]);
+    const [selectedTeamId, setSelectedTeamId] = useState('');
     const [activeTab, setActiveTab] = useState('overview');
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
         fetchDashboardData();
-    }, []);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [selectedTeamId]);
 
     const fetchDashboardData = async () => {
         try {
-            const [statsRes, teamRes] = await Promise.all([
+            const [statsRes, teamRes, teamsRes] = await Promise.all([
                 dashboardAPI.getStats(),
-                dashboardAPI.getTeamPerformance()
+                dashboardAPI.getTeamPerformance(selectedTeamId || undefined),
+                teamsAPI.getAll()
             ]);
 
             setStats(statsRes.data);
             setTeamPerformance(teamRes.data);
+            setLedTeams(teamsRes.data.filter(team => team.my_role === 'lead'));
             setLoading(false);
         } catch (error) {
             console.error('Error fetching dashboard data:', error);
@@ -100,12 +116,62 @@ function Dashboard() {
                 >
                     Weekly Tasks
                 </button>
+                <button
+                    className={`tab ${activeTab === 'outline' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('outline')}
+                >
+                    Outline
+                </button>
                 <button
                     className={`tab ${activeTab === 'team' ? 'active' : ''}`}
                     onClick={() => setActiveTab('team')}
                 >
                     Team Performance
                 </button>
+                <button
+                    className={`tab ${activeTab === 'teams' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('teams')}
+                >
+                    Teams
+                </button>
+                <button
+                    className={`tab ${activeTab === 'security' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('security')}
+                >
+                    Security
+                </button>
+                {can('activity:read') && (
+                    <button
+                        className={`tab ${activeTab === 'activity' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('activity')}
+                    >
+                        Activity
+                    </button>
+                )}
+                {can('template:read') && (
+                    <button
+                        className={`tab ${activeTab === 'templates' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('templates')}
+                    >
+                        Templates
+                    </button>
+                )}
+                {(can('goal:delete') || can('plan:delete') || can('task:delete')) && (
+                    <button
+                        className={`tab ${activeTab === 'trash' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('trash')}
+                    >
+                        Trash
+                    </button>
+                )}
+                {can('admin:roles') && (
+                    <button
+                        className={`tab ${activeTab === 'roles' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('roles')}
+                    >
+                        Roles
+                    </button>
+                )}
             </div>
 
             {/* Overview Tab */}
@@ -225,10 +291,65 @@ function Dashboard() {
                 <TaskManager onUpdate={fetchDashboardData} />
             )}
 
+            {/* Outline Tab */}
+            {activeTab === 'outline' && (
+                <HierarchyTree teams={ledTeams} />
+            )}
+
+            {/* Teams Tab */}
+            {activeTab === 'teams' && (
+                <TeamManager onUpdate={fetchDashboardData} />
+            )}
+
+            {/* Security Tab */}
+            {activeTab === 'security' && (
+                <div className="manager-container">
+                    <TwoFactorSettings />
+                    <SessionList />
+                    <AccessTokens />
+                </div>
+            )}
+
+            {/* Activity Tab */}
+            {activeTab === 'activity' && can('activity:read') && (
+                <ActivityLog />
+            )}
+
+            {/* Templates Tab */}
+            {activeTab === 'templates' && can('template:read') && (
+                <TemplateManager />
+            )}
+
+            {/* Trash Tab */}
+            {activeTab === 'trash' && (
+                <TrashBin />
+            )}
+
+            {/* Roles Tab */}
+            {activeTab === 'roles' && can('admin:roles') && (
+                <RolePermissions />
+            )}
+
             {/* Team Performance Tab */}
             {activeTab === 'team' && (
                 <div className="team-performance">
-                    <h2>Team Performance Overview</h2>
+                    <div className="team-performance-header">
+                        <h2>Team Performance Overview</h2>
+                        {ledTeams.length > 0 && (
+                            <select
+                                value={selectedTeamId}
+                                onChange={(e) => setSelectedTeamId(e.target.value)}
+                                className="filter-select"
+                            >
+                                <option value="">All Teams I Lead</option>
+                                {ledTeams.map((team) => (
+                                    <option key={team.id} value={team.id}>
+                                        {team.name}
+                                    </option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
                     <div className="team-grid">
                         {teamPerformance.map((member) => (
                             <div key={member.id} className="team-member-card">
@@ -0,0 +1,28 @@
+import React, { useCallback } from 'react';
+import { activityAPI } from '../../services/api';
+import usePagedList from '../../hooks/usePagedList';
+import ActivityEvent from '../Activity/ActivityEvent';
+import ListFooter from '../Tasks/ListFooter';
+
+/**
+ * Every recorded change to a goal, plan or task, newest first, including its
+ * checklist items, comments and attachments
+ */
+function ActivityHistory({ path, id }) {
+    const fetchPage = useCallback((params) => activityAPI.getForItem(path, id, params), [path, id]);
+    const { items: events, total, loading, hasMore, loadMore } = usePagedList(fetchPage, {});
+
+    return (
+        <div className="detail-section">
+            {!loading && events.length === 0 && <p className="empty-state">No recorded changes yet.</p>}
+            <ul className="activity-list">
+                {events.map((event) => (
+                    <ActivityEvent key={event.id} event={event} showParent={false} />
+                ))}
+            </ul>
+            <ListFooter shown={events.length} total={total} hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+        </div>
+    );
+}
+
+export default ActivityHistory;
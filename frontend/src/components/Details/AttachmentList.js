@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { attachmentsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { format } from 'date-fns';
+import { Download, Paperclip, Upload, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Files on a goal, plan or task. path is the API collection (quarterly-goals,
+ * monthly-plans or weekly-tasks); canEdit allows uploading and removing any file,
+ * while uploaders can always remove their own.
+ */
+function AttachmentList({ path, id, canEdit }) {
+    const { user } = useAuth();
+    const [attachments, setAttachments] = useState([]);
+    const [uploading, setUploading] = useState(false);
+    const fileInput = useRef(null);
+
+    const fetchAttachments = useCallback(async () => {
+        try {
+            const response = await attachmentsAPI.getAll(path, id);
+            setAttachments(response.data);
+        } catch (error) {
+            console.error('Error fetching attachments:', error);
+        }
+    }, [path, id]);
+
+    useEffect(() => {
+        fetchAttachments();
+    }, [fetchAttachments]);
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setUploading(true);
+        try {
+            const response = await attachmentsAPI.upload(path, id, file);
+            setAttachments(response.data.attachments);
+            toast.success('File uploaded');
+        } catch (error) {
+            console.error('Error uploading file:', error);
+            toast.error(error.response?.data?.error || 'Failed to upload file');
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    // Downloads go through the API client so the request carries the access token
+    const handleDownload = async (attachment) => {
+        try {
+            const response = await attachmentsAPI.download(attachment.id);
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error downloading file:', error);
+            toast.error('Failed to download file');
+        }
+    };
+
+    const handleDelete = async (attachment) => {
+        if (!window.confirm(`Delete ${attachment.filename}?`)) return;
+        try {
+            await attachmentsAPI.delete(attachment.id);
+            toast.success('File deleted');
+            fetchAttachments();
+        } catch (error) {
+            console.error('Error deleting file:', error);
+            toast.error(error.response?.data?.error || 'Failed to delete file');
+        }
+    };
+
+    return (
+        <div className="detail-section attachment-list">
+            <h3><Paperclip size={18} /> Attachments ({attachments.length})</h3>
+            {attachments.length === 0 && <p className="empty-state">No files attached.</p>}
+            <ul>
+                {attachments.map((attachment) => (
+                    <li key={attachment.id} className="attachment-row">
+                        <button type="button" className="link-btn" onClick={() => handleDownload(attachment)}>
+                            <Download size={14} /> {attachment.filename}
+                        </button>
+                        <span className="permission-description">
+                            {formatSize(attachment.size_bytes)} · {attachment.uploader_name || 'Deleted user'} ·{' '}
+                            {format(new Date(attachment.created_at), 'MMM dd, yyyy')}
+                        </span>
+                        {(canEdit || attachment.uploaded_by === user?.id) && (
+                            <button onClick={() => handleDelete(attachment)} className="icon-btn delete" title="Delete file">
+                                <X size={14} />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {canEdit && (
+                <>
+                    <input type="file" ref={fileInput} onChange={handleUpload} hidden />
+                    <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => fileInput.current.click()}
+                        disabled={uploading}
+                    >
+                        <Upload size={16} /> {uploading ? 'Uploading...' : 'Upload file'}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default AttachmentList;
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { commentsAPI, usersAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { format } from 'date-fns';
+import { MessageSquare } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MENTION_SPLIT = /(@[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/;
+
+const formatTime = (value) => format(new Date(value), 'MMM dd, yyyy HH:mm');
+
+// Show @email mentions of known users as @Name
+function CommentBody({ body, mentions }) {
+    return (
+        <p className="comment-body">
+            {body.split(MENTION_SPLIT).map((part, index) => {
+                const user = part.startsWith('@') && mentions.find(m => m.email.toLowerCase() === part.slice(1).toLowerCase());
+                return user
+                    ? <span key={index} className="mention" title={user.email}>@{user.name}</span>
+                    : part;
+            })}
+        </p>
+    );
+}
+
+/**
+ * Textarea with a picker that inserts @email mentions. onSubmit(body) resolves
+ * to true once saved; the form then clears itself unless it edits a comment.
+ */
+function CommentForm({ users, initialBody = '', submitLabel, onSubmit, onCancel }) {
+    const [body, setBody] = useState(initialBody);
+    const [saving, setSaving] = useState(false);
+
+    const mention = (email) => {
+        if (!email) return;
+        setBody(`${body}${body && !body.endsWith(' ') ? ' ' : ''}@${email} `);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const saved = await onSubmit(body);
+        setSaving(false);
+        if (saved && !initialBody) setBody('');
+    };
+
+    return (
+        <form className="comment-form" onSubmit={handleSubmit}>
+            <textarea
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                placeholder="Write a comment... (@email mentions notify people)"
+                rows={3}
+                maxLength={5000}
+            />
+            <div className="comment-form-actions">
+                <select value="" onChange={(e) => mention(e.target.value)} className="filter-select">
+                    <option value="">@ Mention...</option>
+                    {users.map((u) => (
+                        <option key={u.id} value={u.email}>{u.name}</option>
+                    ))}
+                </select>
+                {onCancel && (
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>Cancel</button>
+                )}
+                <button type="submit" className="btn btn-primary btn-sm" disabled={saving || !body.trim()}>
+                    {saving ? 'Saving...' : submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+function Comment({ comment, users, onReply, onEdit, onDelete }) {
+    const { user, can } = useAuth();
+    // null, 'reply' or 'edit'
+    const [mode, setMode] = useState(null);
+    const [history, setHistory] = useState(null);
+
+    const toggleHistory = async () => {
+        if (history) {
+            setHistory(null);
+            return;
+        }
+        try {
+            const response = await commentsAPI.getHistory(comment.id);
+            setHistory(response.data.revisions);
+        } catch (error) {
+            console.error('Error fetching comment history:', error);
+            toast.error('Failed to load history');
+        }
+    };
+
+    const isAuthor = comment.user_id === user?.id;
+
+    return (
+        <li className="comment">
+            <div className="comment-header">
+                <strong>{comment.author_name || 'Deleted user'}</strong>
+                <span className="permission-description">{formatTime(comment.created_at)}</span>
+                {comment.revision_count > 0 && (
+                    <button type="button" className="link-btn" onClick={toggleHistory}>
+                        {comment.deleted_at ? '(deleted)' : '(edited)'}
+                    </button>
+                )}
+            </div>
+
+            {comment.deleted_at ? (
+                <p className="comment-body deleted">This comment was deleted.</p>
+            ) : mode === 'edit' ? (
+                <CommentForm
+                    users={users}
+                    initialBody={comment.body}
+                    submitLabel="Save"
+                    onSubmit={async (body) => {
+                        const saved = await onEdit(comment, body);
+                        if (saved) setMode(null);
+                        return saved;
+                    }}
+                    onCancel={() => setMode(null)}
+                />
+            ) : (
+                <CommentBody body={comment.body} mentions={comment.mentions} />
+            )}
+
+            {history && (
+                <ol className="comment-history">
+                    {history.map((revision) => (
+                        <li key={revision.id}>
+                            <span className="permission-description">
+                                Until {formatTime(revision.replaced_at)}{revision.replaced_by_name && `, replaced by ${revision.replaced_by_name}`}
+                            </span>
+                            <p>{revision.body}</p>
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {!comment.deleted_at && mode === null && (
+                <div className="comment-actions">
+                    {can('comment:create') && (
+                        <button type="button" className="link-btn" onClick={() => setMode('reply')}>Reply</button>
+                    )}
+                    {isAuthor && (
+                        <button type="button" className="link-btn" onClick={() => setMode('edit')}>Edit</button>
+                    )}
+                    {(isAuthor || can('comment:delete:any')) && (
+                        <button type="button" className="link-btn delete" onClick={() => onDelete(comment)}>Delete</button>
+                    )}
+                </div>
+            )}
+
+            {mode === 'reply' && (
+                <CommentForm
+                    users={users}
+                    submitLabel="Reply"
+                    onSubmit={async (body) => {
+                        const saved = await onReply(comment, body);
+                        if (saved) setMode(null);
+                        return saved;
+                    }}
+                    onCancel={() => setMode(null)}
+                />
+            )}
+
+            {comment.replies.length > 0 && (
+                <ul className="comment-replies">
+                    {comment.replies.map((reply) => (
+                        <Comment
+                            key={reply.id}
+                            comment={reply}
+                            users={users}
+                            onReply={onReply}
+                            onEdit={onEdit}
+                            onDelete={onDelete}
+                        />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+}
+
+/**
+ * Threaded discussion on a goal, plan or task. path is the API collection
+ * (quarterly-goals, monthly-plans or weekly-tasks).
+ */
+function CommentPanel({ path, id }) {
+    const { can } = useAuth();
+    const [thread, setThread] = useState([]);
+    const [users, setUsers] = useState([]);
+
+    const fetchThread = useCallback(async () => {
+        try {
+            const response = await commentsAPI.getThread(path, id);
+            setThread(response.data);
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+        }
+    }, [path, id]);
+
+    useEffect(() => {
+        fetchThread();
+    }, [fetchThread]);
+
+    useEffect(() => {
+        const fetchUsers = async () => {
+            try {
+                const response = await usersAPI.getAll();
+                setUsers(response.data);
+            } catch (error) {
+                console.error('Error fetching users:', error);
+            }
+        };
+
+        fetchUsers();
+    }, []);
+
+    // Saves, then warns about mentioned users who cannot open this item. Resolves to whether it saved.
+    const save = async (request, success) => {
+        try {
+            const response = await request();
+            toast.success(success);
+            const { not_notified: notNotified = [] } = response.data;
+            if (notNotified.length > 0) {
+                toast(`Not notified (no access): ${notNotified.map(u => u.name).join(', ')}`, { icon: '⚠️' });
+            }
+            fetchThread();
+            return true;
+        } catch (error) {
+            console.error('Error saving comment:', error);
+            toast.error(error.response?.data?.error || 'Failed to save comment');
+            return false;
+        }
+    };
+
+    const handleAdd = (body) => save(() => commentsAPI.create(path, id, { body }), 'Comment added');
+
+    const handleReply = (parent, body) =>
+        save(() => commentsAPI.create(path, id, { body, parent_id: parent.id }), 'Reply added');
+
+    const handleEdit = (comment, body) => save(() => commentsAPI.update(comment.id, { body }), 'Comment updated');
+
+    const handleDelete = async (comment) => {
+        if (!window.confirm('Delete this comment?')) return;
+        try {
+            await commentsAPI.delete(comment.id);
+            toast.success('Comment deleted');
+            fetchThread();
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            toast.error(error.response?.data?.error || 'Failed to delete comment');
+        }
+    };
+
+    return (
+        <div className="detail-section comment-panel">
+            <h3><MessageSquare size={18} /> Comments</h3>
+            {thread.length === 0 && <p className="empty-state">No comments yet.</p>}
+            <ul className="comment-thread">
+                {thread.map((comment) => (
+                    <Comment
+                        key={comment.id}
+                        comment={comment}
+                        users={users}
+                        onReply={handleReply}
+                        onEdit={handleEdit}
+                        onDelete={handleDelete}
+                    />
+                ))}
+            </ul>
+            {can('comment:create') && (
+                <CommentForm users={users} submitLabel="Comment" onSubmit={handleAdd} />
+            )}
+        </div>
+    );
+}
+
+export default CommentPanel;
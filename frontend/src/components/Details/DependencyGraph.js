@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { tasksAPI } from '../../services/api';
+
+export const DEPENDENCY_TYPES = {
+    finish_to_start: { label: 'Finish → Start', short: 'FS' },
+    start_to_start: { label: 'Start → Start', short: 'SS' },
+    finish_to_finish: { label: 'Finish → Finish', short: 'FF' },
+    start_to_finish: { label: 'Start → Finish', short: 'SF' }
+};
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 44;
+const COLUMN_GAP = 70;
+const ROW_GAP = 16;
+
+// Column of each task: blockers sit left of the tasks waiting on them
+function layout(nodes, edges) {
+    const blockersOf = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => blockersOf.get(edge.task_id)?.push(edge.depends_on_task_id));
+
+    const levels = new Map();
+    const levelOf = (id, path = new Set()) => {
+        if (levels.has(id)) return levels.get(id);
+        // Cycles from before cycle checks existed: stop instead of recursing forever
+        if (path.has(id)) return 0;
+        path.add(id);
+        const level = Math.max(-1, ...blockersOf.get(id).map(blocker => levelOf(blocker, path))) + 1;
+        path.delete(id);
+        levels.set(id, level);
+        return level;
+    };
+
+    const rows = [];
+    const positions = new Map();
+    for (const node of nodes) {
+        const level = levelOf(node.id);
+        rows[level] = (rows[level] || 0) + 1;
+        positions.set(node.id, {
+            x: level * (NODE_WIDTH + COLUMN_GAP),
+            y: (rows[level] - 1) * (NODE_HEIGHT + ROW_GAP)
+        });
+    }
+
+    return {
+        positions,
+        width: rows.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP,
+        height: Math.max(...rows) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP
+    };
+}
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * Every task linked to taskId through dependencies, drawn left to right
+ * from blockers to the tasks waiting on them. Reloads when version changes.
+ */
+function DependencyGraph({ taskId, version }) {
+    const navigate = useNavigate();
+    const [graph, setGraph] = useState(null);
+
+    useEffect(() => {
+        const fetchGraph = async () => {
+            try {
+                const response = await tasksAPI.getDependencyGraph(taskId);
+                setGraph(response.data);
+            } catch (error) {
+                console.error('Error fetching dependency graph:', error);
+            }
+        };
+
+        fetchGraph();
+    }, [taskId, version]);
+
+    if (!graph || graph.edges.length === 0) return null;
+
+    const { positions, width, height } = layout(graph.nodes, graph.edges);
+
+    return (
+        <div className="dependency-graph">
+            <svg width={width + 2} height={height + 2} viewBox={`-1 -1 ${width + 2} ${height + 2}`}>
+                <defs>
+                    <marker id="dependency-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M 0 0 L 10 5 L 0 10 z" />
+                    </marker>
+                </defs>
+
+                {graph.edges.map((edge) => {
+                    const from = positions.get(edge.depends_on_task_id);
+                    const to = positions.get(edge.task_id);
+                    const x1 = from.x + NODE_WIDTH;
+                    const y1 = from.y + NODE_HEIGHT / 2;
+                    const x2 = to.x;
+                    const y2 = to.y + NODE_HEIGHT / 2;
+
+                    return (
+                        <g key={`${edge.task_id}-${edge.depends_on_task_id}`} className="graph-edge">
+                            <path
+                                d={`M ${x1} ${y1} C ${x1 + COLUMN_GAP / 2} ${y1}, ${x2 - COLUMN_GAP / 2} ${y2}, ${x2} ${y2}`}
+                                markerEnd="url(#dependency-arrow)"
+                            />
+                            <text x={(x1 + x2) / 2} y={(y1 + y2) / 2 - 4}>{DEPENDENCY_TYPES[edge.type].short}</text>
+                        </g>
+                    );
+                })}
+
+                {graph.nodes.map((node) => {
+                    const { x, y } = positions.get(node.id);
+                    const classes = ['graph-node', node.status, node.id === Number(taskId) && 'current', node.hidden && 'hidden']
+                        .filter(Boolean)
+                        .join(' ');
+
+                    return (
+                        <g
+                            key={node.id}
+                            className={classes}
+                            transform={`translate(${x}, ${y})`}
+                            onClick={() => !node.hidden && navigate(`/tasks/${node.id}`)}
+                        >
+                            <title>{node.hidden ? 'Task you cannot open' : node.title}</title>
+                            <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="6" />
+                            <text x="10" y="18">{node.hidden ? `#${node.id}` : truncate(node.title, 24)}</text>
+                            <text x="10" y="34" className="graph-node-status">{node.status.replace('_', ' ')}</text>
+                        </g>
+                    );
+                })}
+            </svg>
+            {graph.truncated && <p className="permission-description">Showing the first {graph.nodes.length} linked tasks.</p>}
+        </div>
+    );
+}
+
+export default DependencyGraph;
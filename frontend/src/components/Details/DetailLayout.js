@@ -0,0 +1,88 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Link2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+/**
+ * Shared frame for goal, plan and task detail pages: back link, title,
+ * the page's own actions, a copy-link button for sharing, and loading/not-found states
+ */
+function DetailLayout({ icon, title, loading, error, actions, children }) {
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            toast.success('Link copied');
+        } catch (err) {
+            toast.error('Copy failed; copy the address bar instead');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+                <p>Loading...</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="detail-page">
+            <Link to="/" className="back-link">
+                <ArrowLeft size={16} /> Dashboard
+            </Link>
+
+            {error ? (
+                <div className="empty-state">
+                    <h3>{error}</h3>
+                </div>
+            ) : (
+                <div className="manager-container">
+                    <div className="manager-header">
+                        <h2>{icon} {title}</h2>
+                        <div className="header-actions">
+                            {actions}
+                            <button className="btn btn-secondary btn-sm" onClick={copyLink}>
+                                <Link2 size={16} /> Copy Link
+                            </button>
+                        </div>
+                    </div>
+                    {children}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Label/value rows; empty values are skipped
+ */
+export function DetailFields({ fields }) {
+    return (
+        <dl className="detail-fields">
+            {fields.filter(([, value]) => value !== null && value !== undefined && value !== '').map(([label, value]) => (
+                <React.Fragment key={label}>
+                    <dt>{label}</dt>
+                    <dd>{value}</dd>
+                </React.Fragment>
+            ))}
+        </dl>
+    );
+}
+
+export function ProgressBar({ value }) {
+    return (
+        <div className="progress-section">
+            <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${value}%` }}></div>
+            </div>
+            <span className="progress-text">{value}%</span>
+        </div>
+    );
+}
+
+export const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : null);
+
+export const formatStatus = (status) => status.replace('_', ' ');
+
+export default DetailLayout;
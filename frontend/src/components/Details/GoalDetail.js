@@ -0,0 +1,76 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { goalsAPI } from '../../services/api';
+import useResource from '../../hooks/useResource';
+import { useAuth } from '../../context/AuthContext';
+import GoalProgressBreakdown from '../Tasks/GoalProgressBreakdown';
+import DetailLayout, { DetailFields, ProgressBar, formatStatus } from './DetailLayout';
+import AttachmentList from './AttachmentList';
+import ItemTabs from './ItemTabs';
+import SaveAsTemplate from '../Templates/SaveAsTemplate';
+import { lineageFields } from '../Rollover/lineage';
+import { Target } from 'lucide-react';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function GoalDetail() {
+    const { id } = useParams();
+    const { user, can } = useAuth();
+    const { data: goal, error, loading } = useResource(goalsAPI.getById, id);
+
+    return (
+        <DetailLayout
+            icon={<Target size={24} />}
+            title={goal?.title}
+            loading={loading}
+            error={error}
+            actions={goal && can('template:create') && <SaveAsTemplate path="goals" id={goal.id} title={goal.title} />}
+        >
+            {goal && (
+                <>
+                    {goal.description && <p className="item-description">{goal.description}</p>}
+
+                    <DetailFields fields={[
+                        ['Quarter', `Q${goal.quarter} ${goal.year}`],
+                        ['Status', <span className="badge">{formatStatus(goal.status)}</span>],
+                        ['Owner', goal.owner_name],
+                        ['Progress', goal.progress_mode === 'auto' ? `Automatic, weighted by ${goal.progress_weighting === 'hours' ? 'hours' : 'task count'}` : 'Manual'],
+                        ...lineageFields('goal', goal)
+                    ]} />
+                    <ProgressBar value={goal.progress} />
+
+                    <div className="detail-section">
+                        <h3>Monthly Plans ({goal.plans.length})</h3>
+                        {goal.plans.length === 0 && <p className="empty-state">No plans linked to this goal yet.</p>}
+                        <div className="member-list">
+                            {goal.plans.map((plan) => (
+                                <div key={plan.id} className="member-row">
+                                    <div className="member-info">
+                                        <h3><Link to={`/plans/${plan.id}`}>{plan.title}</Link></h3>
+                                        <p>{MONTHS[plan.month - 1]} {plan.year} · {formatStatus(plan.status)}</p>
+                                    </div>
+                                    <span className="badge">{plan.progress}%</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="detail-section">
+                        <h3>Progress Breakdown</h3>
+                        <GoalProgressBreakdown goalId={goal.id} />
+                    </div>
+
+                    <AttachmentList
+                        path="quarterly-goals"
+                        id={goal.id}
+                        canEdit={(goal.user_id === user?.id && can('goal:update')) || can('goal:update:any')}
+                    />
+
+                    <ItemTabs path="quarterly-goals" id={goal.id} />
+                </>
+            )}
+        </DetailLayout>
+    );
+}
+
+export default GoalDetail;
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import ActivityHistory from './ActivityHistory';
+import CommentPanel from './CommentPanel';
+
+/**
+ * Comments and change history of a goal, plan or task. path is the API collection
+ * (quarterly-goals, monthly-plans or weekly-tasks).
+ */
+function ItemTabs({ path, id }) {
+    const { can } = useAuth();
+    const [activeTab, setActiveTab] = useState('comments');
+
+    if (!can('activity:read')) {
+        return <CommentPanel path={path} id={id} />;
+    }
+
+    return (
+        <>
+            <div className="tab-navigation">
+                <button
+                    className={`tab ${activeTab === 'comments' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('comments')}
+                >
+                    Comments
+                </button>
+                <button
+                    className={`tab ${activeTab === 'history' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('history')}
+                >
+                    History
+                </button>
+            </div>
+
+            {activeTab === 'comments' && <CommentPanel path={path} id={id} />}
+            {activeTab === 'history' && <ActivityHistory path={path} id={id} />}
+        </>
+    );
+}
+
+export default ItemTabs;
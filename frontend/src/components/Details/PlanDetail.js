@@ -0,0 +1,75 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { plansAPI } from '../../services/api';
+import useResource from '../../hooks/useResource';
+import { useAuth } from '../../context/AuthContext';
+import DetailLayout, { DetailFields, ProgressBar, formatDate, formatStatus } from './DetailLayout';
+import AttachmentList from './AttachmentList';
+import ItemTabs from './ItemTabs';
+import SaveAsTemplate from '../Templates/SaveAsTemplate';
+import { lineageFields } from '../Rollover/lineage';
+import { Calendar } from 'lucide-react';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function PlanDetail() {
+    const { id } = useParams();
+    const { user, can } = useAuth();
+    const { data: plan, error, loading } = useResource(plansAPI.getById, id);
+
+    return (
+        <DetailLayout
+            icon={<Calendar size={24} />}
+            title={plan?.title}
+            loading={loading}
+            error={error}
+            actions={plan && can('template:create') && <SaveAsTemplate path="plans" id={plan.id} title={plan.title} />}
+        >
+            {plan && (
+                <>
+                    {plan.description && <p className="item-description">{plan.description}</p>}
+
+                    <DetailFields fields={[
+                        ['Month', `${MONTHS[plan.month - 1]} ${plan.year}`],
+                        ['Status', <span className="badge">{formatStatus(plan.status)}</span>],
+                        ['Owner', plan.owner_name],
+                        ['Goal', plan.goal && <Link to={`/goals/${plan.goal.id}`}>🎯 {plan.goal.title} (Q{plan.goal.quarter} {plan.goal.year})</Link>],
+                        ...lineageFields('plan', plan)
+                    ]} />
+                    <ProgressBar value={plan.progress} />
+
+                    <div className="detail-section">
+                        <h3>Weekly Tasks ({plan.tasks.length})</h3>
+                        {plan.tasks.length === 0 && <p className="empty-state">No tasks in this plan yet.</p>}
+                        <div className="member-list">
+                            {plan.tasks.map((task) => (
+                                <div key={task.id} className="member-row">
+                                    <div className="member-info">
+                                        <h3><Link to={`/tasks/${task.id}`}>{task.title}</Link></h3>
+                                        <p>
+                                            Week {task.week_number}, {task.year}
+                                            {task.due_date && ` · due ${formatDate(task.due_date)}`}
+                                            {task.assignee_name && ` · ${task.assignee_name}`}
+                                            {` · ${task.actual_hours}/${task.estimated_hours}h`}
+                                        </p>
+                                    </div>
+                                    <span className="badge">{formatStatus(task.status)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <AttachmentList
+                        path="monthly-plans"
+                        id={plan.id}
+                        canEdit={(plan.user_id === user?.id && can('plan:update')) || can('plan:update:any')}
+                    />
+
+                    <ItemTabs path="monthly-plans" id={plan.id} />
+                </>
+            )}
+        </DetailLayout>
+    );
+}
+
+export default PlanDetail;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { tasksAPI } from '../../services/api';
+import DependencyGraph, { DEPENDENCY_TYPES } from './DependencyGraph';
+import { formatStatus } from './DetailLayout';
+import { Plus, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function DependencyRow({ task, onRemove }) {
+    return (
+        <li>
+            <Link to={`/tasks/${task.id}`}>
+                {task.title} <span className="badge">{formatStatus(task.status)}</span>
+            </Link>
+            <span className="permission-description">{DEPENDENCY_TYPES[task.type].label}</span>
+            {onRemove && (
+                <button onClick={() => onRemove(task)} className="icon-btn delete" title="Remove dependency">
+                    <X size={14} />
+                </button>
+            )}
+        </li>
+    );
+}
+
+/**
+ * What a task waits on and what waits on it, with controls to add or remove
+ * blockers and a graph of everything linked to the task
+ */
+function TaskDependencies({ task, onChange }) {
+    const [candidates, setCandidates] = useState([]);
+    const [newDependency, setNewDependency] = useState({ depends_on_task_id: '', type: 'finish_to_start' });
+
+    useEffect(() => {
+        const fetchCandidates = async () => {
+            try {
+                // Blocker picker: the largest page of the user's own tasks
+                const response = await tasksAPI.getAll({ limit: 200, sort: '-created_at' });
+                setCandidates(response.data.data);
+            } catch (error) {
+                console.error('Error fetching tasks:', error);
+            }
+        };
+
+        fetchCandidates();
+    }, []);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (!newDependency.depends_on_task_id) return;
+
+        try {
+            await tasksAPI.addDependency(task.id, {
+                depends_on_task_id: Number(newDependency.depends_on_task_id),
+                type: newDependency.type
+            });
+            setNewDependency({ depends_on_task_id: '', type: 'finish_to_start' });
+            toast.success('Dependency added');
+            onChange();
+        } catch (error) {
+            console.error('Error adding dependency:', error);
+            toast.error(error.response?.data?.error || 'Failed to add dependency');
+        }
+    };
+
+    const handleRemove = async (blocker) => {
+        try {
+            await tasksAPI.removeDependency(task.id, blocker.id);
+            toast.success('Dependency removed');
+            onChange();
+        } catch (error) {
+            console.error('Error removing dependency:', error);
+            toast.error(error.response?.data?.error || 'Failed to remove dependency');
+        }
+    };
+
+    const linkedIds = new Set([task.id, ...task.depends_on]);
+    const available = candidates.filter(candidate => !linkedIds.has(candidate.id));
+
+    return (
+        <div className="detail-section">
+            <h3>Waiting On ({task.dependencies.length})</h3>
+            {task.dependencies.length > 0 && (
+                <ul className="detail-list dependency-list">
+                    {task.dependencies.map((blocker) => (
+                        <DependencyRow key={blocker.id} task={blocker} onRemove={handleRemove} />
+                    ))}
+                </ul>
+            )}
+
+            <form className="dependency-form" onSubmit={handleAdd}>
+                <select
+                    value={newDependency.depends_on_task_id}
+                    onChange={(e) => setNewDependency({ ...newDependency, depends_on_task_id: e.target.value })}
+                    className="filter-select"
+                >
+                    <option value="">-- Add a task this one waits on --</option>
+                    {available.map((candidate) => (
+                        <option key={candidate.id} value={candidate.id}>{candidate.title}</option>
+                    ))}
+                </select>
+                <select
+                    value={newDependency.type}
+                    onChange={(e) => setNewDependency({ ...newDependency, type: e.target.value })}
+                    className="filter-select"
+                >
+                    {Object.entries(DEPENDENCY_TYPES).map(([type, { label }]) => (
+                        <option key={type} value={type}>{label}</option>
+                    ))}
+                </select>
+                <button type="submit" className="btn btn-secondary btn-sm" disabled={!newDependency.depends_on_task_id}>
+                    <Plus size={16} /> Add
+                </button>
+            </form>
+
+            {task.dependents.length > 0 && (
+                <>
+                    <h3>Waiting on This Task ({task.dependents.length})</h3>
+                    <ul className="detail-list dependency-list">
+                        {task.dependents.map((dependent) => (
+                            <DependencyRow key={dependent.id} task={dependent} />
+                        ))}
+                    </ul>
+                </>
+            )}
+
+            <DependencyGraph taskId={task.id} version={task.version} />
+        </div>
+    );
+}
+
+export default TaskDependencies;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { tasksAPI } from '../../services/api';
+import useResource from '../../hooks/useResource';
+import { useAuth } from '../../context/AuthContext';
+import DetailLayout, { DetailFields, formatDate, formatStatus } from './DetailLayout';
+import AttachmentList from './AttachmentList';
+import ItemTabs from './ItemTabs';
+import SaveAsTemplate from '../Templates/SaveAsTemplate';
+import { lineageFields } from '../Rollover/lineage';
+import TaskDependencies from './TaskDependencies';
+import TaskRecurrence from './TaskRecurrence';
+import { CheckCircle } from 'lucide-react';
+
+function TaskDetail() {
+    const { id } = useParams();
+    const { user, can } = useAuth();
+    const { data: task, error, loading, reload } = useResource(tasksAPI.getById, id);
+    const canEdit = task && (((task.user_id === user?.id || task.assigned_to === user?.id) && can('task:update')) ||
+        can('task:update:any'));
+
+    return (
+        <DetailLayout
+            icon={<CheckCircle size={24} />}
+            title={task?.title}
+            loading={loading}
+            error={error}
+            actions={task && can('template:create') && <SaveAsTemplate path="tasks" id={task.id} title={task.title} />}
+        >
+            {task && (
+                <>
+                    {task.description && <p className="item-description">{task.description}</p>}
+
+                    <DetailFields fields={[
+                        ['Status', <span className="badge">{formatStatus(task.status)}</span>],
+                        ['Priority', <span className="badge">{task.priority}</span>],
+                        ['Week', `Week ${task.week_number}, ${task.year}`],
+                        ['Due', formatDate(task.due_date)],
+                        ['Urgent', task.is_urgent ? '⚡ Yes' : null],
+                        ['Progress', task.checklist_total > 0
+                            ? `${task.progress}% (${task.checklist_done} of ${task.checklist_total} checklist items)`
+                            : `${task.progress}%`],
+                        ['Hours', `${task.actual_hours} logged of ${task.estimated_hours} estimated`],
+                        ['Created by', task.creator_name],
+                        ['Assigned to', task.assignee_name],
+                        ['Plan', task.plan && <Link to={`/plans/${task.plan.id}`}>{task.plan.title}</Link>],
+                        ['Goal', task.goal && <Link to={`/goals/${task.goal.id}`}>🎯 {task.goal.title}</Link>],
+                        ...lineageFields('task', task)
+                    ]} />
+
+                    <TaskDependencies task={task} onChange={reload} />
+
+                    <TaskRecurrence task={task} canEdit={canEdit} onChange={reload} />
+
+                    <div className="detail-section">
+                        <h3>Time Logs ({task.time_logs.length})</h3>
+                        {task.time_logs.length === 0 && <p className="empty-state">No time logged yet.</p>}
+                        <div className="member-list">
+                            {task.time_logs.map((log) => (
+                                <div key={log.id} className="member-row">
+                                    <div className="member-info">
+                                        <h3>{log.hours}h · {log.user_name}</h3>
+                                        <p>{formatDate(log.date)}{log.notes && ` · ${log.notes}`}</p>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <AttachmentList
+                        path="weekly-tasks"
+                        id={task.id}
+                        canEdit={canEdit}
+                    />
+
+                    <ItemTabs path="weekly-tasks" id={task.id} />
+                </>
+            )}
+        </DetailLayout>
+    );
+}
+
+export default TaskDetail;
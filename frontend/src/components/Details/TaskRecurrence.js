@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { tasksAPI } from '../../services/api';
+import { formatDate, formatStatus } from './DetailLayout';
+import { Repeat, SkipForward, RotateCcw, Square } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+// Rules offered for a task due on a given day (a YYYY-MM-DD string)
+const presetsFor = (day) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    const weekday = (date.getUTCDay() + 6) % 7;
+    return [
+        { value: 'FREQ=DAILY', label: 'Every day' },
+        { value: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+        { value: `FREQ=WEEKLY;BYDAY=${WEEKDAYS[weekday]}`, label: `Every week on ${WEEKDAY_NAMES[weekday]}` },
+        { value: `FREQ=MONTHLY;BYMONTHDAY=${date.getUTCDate()}`, label: `Every month on day ${date.getUTCDate()}` }
+    ];
+};
+
+// "Every 2 weeks on Mon, Thu, until 10/21/2026" from a canonical rrule
+const describeRule = (rrule) => {
+    const parts = Object.fromEntries(rrule.split(';').map(part => part.split('=')));
+    const interval = Number(parts.INTERVAL || 1);
+    const unit = UNITS[parts.FREQ];
+    let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+    if (parts.BYDAY) {
+        const days = parts.BYDAY.split(',').map((entry) => {
+            const [, nth, weekday] = /^([+-]?\d)?(\w\w)$/.exec(entry);
+            const name = WEEKDAY_NAMES[WEEKDAYS.indexOf(weekday)];
+            return nth ? `the ${ORDINALS[Number(nth)] || nth} ${name}` : name;
+        });
+        text += ` on ${days.join(', ')}`;
+    }
+    if (parts.BYMONTHDAY) {
+        text += ` on day ${parts.BYMONTHDAY.split(',').map(day => (day === '-1' ? 'last' : day)).join(', ')}`;
+    }
+    if (parts.COUNT) text += `, ${parts.COUNT} times`;
+    if (parts.UNTIL) {
+        text += `, until ${formatDate(`${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}T00:00:00`)}`;
+    }
+    return text;
+};
+
+/**
+ * How a task repeats: its rule, with controls to set or change it from this occurrence
+ * on, the next occurrences with skip and unskip, and a way to stop repeating
+ */
+function TaskRecurrence({ task, canEdit, onChange }) {
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState({ preset: '', custom: '', ends: 'never', until: '', count: 10 });
+    const [editing, setEditing] = useState(false);
+
+    const fetchRecurrence = useCallback(async () => {
+        try {
+            const response = await tasksAPI.getRecurrence(task.id);
+            setData(response.data);
+        } catch (error) {
+            console.error('Error fetching recurrence:', error);
+        }
+    }, [task.id]);
+
+    useEffect(() => {
+        fetchRecurrence();
+    }, [fetchRecurrence, task.version]);
+
+    const dueDay = task.due_date ? task.due_date.slice(0, 10) : null;
+    const presets = dueDay ? presetsFor(dueDay) : [];
+
+    const startEditing = () => {
+        const current = data.recurrence?.rrule;
+        const preset = !current
+            ? presets[2].value
+            : presets.some(({ value }) => value === current) ? current : 'custom';
+        setForm({ preset, custom: current || '', ends: 'never', until: '', count: 10 });
+        setEditing(true);
+    };
+
+    const buildRule = () => {
+        if (form.preset === 'custom') return form.custom;
+        if (form.ends === 'until' && form.until) return `${form.preset};UNTIL=${form.until.replace(/-/g, '')}`;
+        if (form.ends === 'count') return `${form.preset};COUNT=${form.count}`;
+        return form.preset;
+    };
+
+    // Run a change, then refresh the recurrence and the task
+    const run = async (action, fallback) => {
+        try {
+            const response = await action();
+            toast.success(response.data.message);
+            fetchRecurrence();
+            onChange();
+            return true;
+        } catch (error) {
+            console.error(`${fallback}:`, error);
+            const { details, error: message } = error.response?.data || {};
+            toast.error(details ? details.join(', ') : message || fallback);
+            return false;
+        }
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const message = data?.recurrence
+            ? 'Change the rule from this occurrence on? Later pending occurrences it no longer has move to the trash.'
+            : null;
+        if (message && !window.confirm(message)) return;
+
+        if (await run(() => tasksAPI.setRecurrence(task.id, buildRule()), 'Failed to save recurrence')) {
+            setEditing(false);
+        }
+    };
+
+    const handleStop = () => {
+        if (!window.confirm('Stop repeating after this occurrence? Later pending occurrences move to the trash.')) return;
+        run(() => tasksAPI.stopRecurrence(task.id), 'Failed to stop recurrence');
+    };
+
+    if (!data) return null;
+    const { recurrence, upcoming } = data;
+
+    return (
+        <div className="detail-section task-recurrence">
+            <h3><Repeat size={18} /> Repeats</h3>
+            <p>{recurrence ? describeRule(recurrence.rrule) : 'Does not repeat'}</p>
+
+            {canEdit && !editing && (
+                <div className="header-actions">
+                    <button className="btn btn-secondary btn-sm" onClick={startEditing} disabled={!dueDay}
+                        title={dueDay ? undefined : 'Give the task a due date first'}>
+                        <Repeat size={14} /> {recurrence ? 'Change rule' : 'Repeat'}
+                    </button>
+                    {recurrence && (
+                        <button className="btn btn-secondary btn-sm" onClick={handleStop}>
+                            <Square size={14} /> Stop repeating
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {editing && (
+                <form className="dependency-form" onSubmit={handleSave}>
+                    <select
+                        value={form.preset}
+                        onChange={(e) => setForm({ ...form, preset: e.target.value })}
+                        className="filter-select"
+                    >
+                        {presets.map(({ value, label }) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                        <option value="custom">Custom rule</option>
+                    </select>
+                    {form.preset === 'custom' ? (
+                        <input
+                            type="text"
+                            value={form.custom}
+                            onChange={(e) => setForm({ ...form, custom: e.target.value })}
+                            placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+                            maxLength={500}
+                        />
+                    ) : (
+                        <>
+                            <select
+                                value={form.ends}
+                                onChange={(e) => setForm({ ...form, ends: e.target.value })}
+                                className="filter-select"
+                            >
+                                <option value="never">Never ends</option>
+                                <option value="until">Ends on</option>
+                                <option value="count">Ends after</option>
+                            </select>
+                            {form.ends === 'until' && (
+                                <input
+                                    type="date"
+                                    value={form.until}
+                                    min={dueDay}
+                                    onChange={(e) => setForm({ ...form, until: e.target.value })}
+                                />
+                            )}
+                            {form.ends === 'count' && (
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="500"
+                                    value={form.count}
+                                    onChange={(e) => setForm({ ...form, count: e.target.value })}
+                                />
+                            )}
+                        </>
+                    )}
+                    <button type="submit" className="btn btn-primary btn-sm">Save</button>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditing(false)}>
+                        Cancel
+                    </button>
+                </form>
+            )}
+
+            {upcoming.length > 0 && (
+                <ul className="detail-list dependency-list">
+                    {upcoming.map((occurrence) => (
+                        <li key={occurrence.date} className={occurrence.skipped ? 'occurrence-skipped' : undefined}>
+                            {occurrence.task_id ? (
+                                <Link to={`/tasks/${occurrence.task_id}`}>
+                                    {formatDate(`${occurrence.date}T00:00:00`)}{' '}
+                                    <span className="badge">{formatStatus(occurrence.status)}</span>
+                                </Link>
+                            ) : (
+                                <span>{formatDate(`${occurrence.date}T00:00:00`)}</span>
+                            )}
+                            {occurrence.skipped && <span className="permission-description">Skipped</span>}
+                            {canEdit && (occurrence.skipped ? (
+                                <button
+                                    onClick={() => run(() => tasksAPI.unskipOccurrence(task.id, occurrence.date), 'Failed to restore occurrence')}
+                                    className="icon-btn"
+                                    title="Don't skip"
+                                >
+                                    <RotateCcw size={14} />
+                                </button>
+                            ) : (!occurrence.status || occurrence.status === 'pending') && (
+                                <button
+                                    onClick={() => run(() => tasksAPI.skipOccurrence(task.id, occurrence.date), 'Failed to skip occurrence')}
+                                    className="icon-btn"
+                                    title="Skip this occurrence"
+                                >
+                                    <SkipForward size={14} />
+                                </button>
+                            ))}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default TaskRecurrence;
@@ -1,11 +1,23 @@
 import React from 'react';
 import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
 import NotificationBell from '../Notifications/NotificationBell';
 import { LogOut, Target } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 function Layout({ children }) {
     const { user, logout } = useAuth();
 
+    const handleResendVerification = async () => {
+        try {
+            await authAPI.resendVerification();
+            toast.success(`Verification email sent to ${user.email}`);
+        } catch (error) {
+            console.error('Error resending verification:', error);
+            toast.error(error.response?.data?.error || 'Failed to send verification email');
+        }
+    };
+
     return (
         <div className="app-layout">
             <header className="app-header">
@@ -34,6 +46,15 @@ function Layout({ children }) {
                 </div>
             </header>
 
+            {user && user.email_verified === false && (
+                <div className="verify-banner">
+                    <span>Please confirm your email address ({user.email}).</span>
+                    <button onClick={handleResendVerification} className="btn btn-secondary btn-sm">
+                        Resend email
+                    </button>
+                </div>
+            )}
+
             <main className="app-main">
                 {children}
             </main>
@@ -20,9 +20,13 @@ function NotificationBell() {
 
     const fetchNotifications = async () => {
         try {
-            const response = await notificationsAPI.getAll();
-            setNotifications(response.data);
-            setUnreadCount(response.data.filter(n => !n.is_read).length);
+            // Latest page for the dropdown; the unread count comes from the filtered total
+            const [latest, unread] = await Promise.all([
+                notificationsAPI.getAll({ limit: 20 }),
+                notificationsAPI.getAll({ is_read: false, limit: 1 })
+            ]);
+            setNotifications(latest.data.data);
+            setUnreadCount(unread.data.pagination.total);
         } catch (error) {
             console.error('Error fetching notifications:', error);
         }
@@ -54,6 +58,10 @@ function NotificationBell() {
                 return '⏰';
             case 'dependency':
                 return '🔗';
+            case 'assignment':
+                return '👤';
+            case 'mention':
+                return '💬';
             default:
                 return '📢';
         }
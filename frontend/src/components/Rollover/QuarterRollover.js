@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { rolloversAPI } from '../../services/api';
+import { periodLabel } from './lineage';
+import toast from 'react-hot-toast';
+
+const now = new Date();
+const currentYear = now.getFullYear();
+const currentQuarter = Math.floor(now.getMonth() / 3) + 1;
+
+const key = (type, node) => `${type}:${node.id}`;
+
+// A node with everything under it, as [type, node] pairs
+const withChildren = (type, node) => [
+    [type, node],
+    ...(node.plans || []).flatMap(plan => withChildren('plan', plan)),
+    ...(node.tasks || []).map(task => ['task', task])
+];
+
+const periodOf = (type, item) => (type === 'goal' ? item.quarter : type === 'plan' ? item.month : item.week_number);
+
+/**
+ * Dialog that carries a quarter's unfinished goals, plans and tasks into the next
+ * quarter: everything open is listed with where it would land, and each item can be
+ * carried, closed (cancelled) or left as it is. Choosing for a goal or plan applies
+ * to everything under it.
+ */
+function QuarterRollover({ onClose }) {
+    const [period, setPeriod] = useState({ quarter: currentQuarter, year: currentYear });
+    const [mode, setMode] = useState('move');
+    const [preview, setPreview] = useState(null);
+    // 'type:id' → carry, close or '' to leave the item alone
+    const [actions, setActions] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    const fetchPreview = useCallback(async () => {
+        try {
+            const response = await rolloversAPI.preview(period);
+            const { goals, plans, tasks } = response.data;
+            const all = [
+                ...goals.flatMap(goal => withChildren('goal', goal)),
+                ...plans.flatMap(plan => withChildren('plan', plan)),
+                ...tasks.map(task => ['task', task])
+            ];
+            setActions(Object.fromEntries(all.map(([type, node]) => [key(type, node), 'carry'])));
+            setPreview(response.data);
+        } catch (error) {
+            console.error('Error fetching rollover preview:', error);
+            toast.error('Failed to load unfinished items');
+        }
+    }, [period]);
+
+    useEffect(() => {
+        fetchPreview();
+    }, [fetchPreview]);
+
+    const setAction = (type, node, action) => {
+        const changed = Object.fromEntries(withChildren(type, node).map(([t, n]) => [key(t, n), action]));
+        setActions({ ...actions, ...changed });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const items = Object.entries(actions)
+            .filter(([, action]) => action)
+            .map(([itemKey, action]) => {
+                const [type, id] = itemKey.split(':');
+                return { type, id: Number(id), action };
+            });
+        if (items.length === 0) {
+            toast.error('Choose something to carry over or close');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const response = await rolloversAPI.run({ ...period, mode, items });
+            toast.success(response.data.message);
+            onClose(true);
+        } catch (error) {
+            console.error('Error running rollover:', error);
+            const { details, error: message } = error.response?.data || {};
+            toast.error(details ? details.join(', ') : message || 'Failed to roll over quarter');
+            setSaving(false);
+        }
+    };
+
+    const renderItem = (type, node, depth) => (
+        <React.Fragment key={key(type, node)}>
+            <li className={`rollover-item depth-${depth}`}>
+                <span className="rollover-title">
+                    {type === 'goal' ? '🎯 ' : type === 'plan' ? '📅 ' : ''}{node.title}
+                </span>
+                <span className="permission-description">
+                    {periodLabel(type, periodOf(type, node), node.year)}
+                    {actions[key(type, node)] === 'carry' && ` → ${periodLabel(type, periodOf(type, node.target), node.target.year)}`}
+                </span>
+                <select
+                    value={actions[key(type, node)] || ''}
+                    onChange={(e) => setAction(type, node, e.target.value)}
+                    className="filter-select"
+                >
+                    <option value="carry">Carry over</option>
+                    <option value="close">Close</option>
+                    <option value="">Leave</option>
+                </select>
+            </li>
+            {(node.plans || []).map(plan => renderItem('plan', plan, depth + 1))}
+            {(node.tasks || []).map(task => renderItem('task', task, depth + 1))}
+        </React.Fragment>
+    );
+
+    const empty = preview && preview.goals.length + preview.plans.length + preview.tasks.length === 0;
+
+    return (
+        <div className="modal-overlay" onClick={() => onClose(false)}>
+            <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+                <h3>Roll Over Quarter</h3>
+                <form onSubmit={handleSubmit}>
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label>From Quarter</label>
+                            <select
+                                value={period.quarter}
+                                onChange={(e) => setPeriod({ ...period, quarter: parseInt(e.target.value) })}
+                            >
+                                {[1, 2, 3, 4].map((q) => (
+                                    <option key={q} value={q}>Q{q}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="form-group">
+                            <label>Year</label>
+                            <select
+                                value={period.year}
+                                onChange={(e) => setPeriod({ ...period, year: parseInt(e.target.value) })}
+                            >
+                                {[currentYear - 1, currentYear, currentYear + 1].map((year) => (
+                                    <option key={year} value={year}>{year}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="form-group">
+                            <label>Carry Over By</label>
+                            <select value={mode} onChange={(e) => setMode(e.target.value)}>
+                                <option value="move">Moving items</option>
+                                <option value="clone">Copying items</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <p className="permission-description">
+                        {mode === 'move'
+                            ? 'Carried items move to the next quarter with their history.'
+                            : 'Carried items are copied to the next quarter; the originals stay where they are with their history.'}
+                        {' '}Closed items are cancelled.
+                    </p>
+
+                    {empty && (
+                        <div className="empty-state">
+                            <p>Nothing unfinished in Q{period.quarter} {period.year}.</p>
+                        </div>
+                    )}
+                    {preview && !empty && (
+                        <ul className="rollover-list">
+                            {preview.goals.map(goal => renderItem('goal', goal, 0))}
+                            {preview.plans.map(plan => renderItem('plan', plan, 0))}
+                            {preview.tasks.map(task => renderItem('task', task, 0))}
+                        </ul>
+                    )}
+
+                    <div className="form-actions">
+                        <button type="button" className="btn btn-secondary" onClick={() => onClose(false)}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={saving || !preview || empty}>
+                            {preview ? `Roll Over to Q${preview.to.quarter} ${preview.to.year}` : 'Roll Over'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default QuarterRollover;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const PATHS = { goal: 'goals', plan: 'plans', task: 'tasks' };
+
+// The quarter, month or week a goal, plan or task is in
+export const periodLabel = (type, period, year) => {
+    if (type === 'goal') return `Q${period} ${year}`;
+    if (type === 'plan') return `${MONTHS[period - 1]} ${year}`;
+    return `Week ${period}, ${year}`;
+};
+
+/**
+ * DetailFields entries for where a quarter rollover carried an item from, or
+ * carried a copy of it to
+ */
+export const lineageFields = (type, item) => {
+    const { carried_from: from, carried_to: to } = item;
+    const fields = [];
+
+    if (from) {
+        const label = periodLabel(type, from.from_period, from.from_year);
+        fields.push(['Carried Over', from.source_id === item.id
+            ? `Moved from ${label}`
+            : <Link to={`/${PATHS[type]}/${from.source_id}`}>Copied from {label}</Link>]);
+    }
+    if (to) {
+        fields.push(['Continued In', (
+            <Link to={`/${PATHS[type]}/${to.target_id}`}>{periodLabel(type, to.to_period, to.to_year)}</Link>
+        )]);
+    }
+    return fields;
+};
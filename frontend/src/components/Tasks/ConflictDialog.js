@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Compare form values with API values: '' and null are both empty,
+// numbers match numeric strings, and timestamps compare by date
+const normalize = (value) => {
+    if (value === null || value === undefined || value === '') return '';
+    return String(value).replace(/^(\d{4}-\d{2}-\d{2})T.*$/, '$1');
+};
+
+const same = (a, b) => normalize(a) === normalize(b);
+
+/**
+ * Shown when saving gets 412 because someone else changed the item first.
+ * Lists the fields both sides changed so the user can pick per field, then
+ * saves their remaining changes on top of the current version, or reloads.
+ *
+ * fields:   [{ key, label, format? }] that the form edits
+ * original: the item as it was when editing started
+ * mine:     the values the user tried to save
+ * current:  the item as it is now (from the 412 response)
+ * onSave(patch, version): resolves on success, rejects like the API
+ */
+function ConflictDialog({ fields, original, mine, current: initialCurrent, onSave, onDone, onReload }) {
+    const [current, setCurrent] = useState(initialCurrent);
+    // Per conflicting field: 'mine' (default) or 'theirs'
+    const [choices, setChoices] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    const display = (field, value) => {
+        if (normalize(value) === '') return '—';
+        if (field.format) return field.format(value);
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        return normalize(value);
+    };
+
+    const myChanges = fields.filter(field => field.key in mine && !same(mine[field.key], original[field.key]));
+    const conflicts = myChanges.filter(field =>
+        !same(current[field.key], original[field.key]) && !same(current[field.key], mine[field.key])
+    );
+
+    const handleMerge = async () => {
+        const patch = {};
+        for (const field of myChanges) {
+            if (choices[field.key] !== 'theirs') {
+                patch[field.key] = mine[field.key];
+            }
+        }
+
+        if (Object.keys(patch).length === 0) {
+            onDone();
+            return;
+        }
+
+        setSaving(true);
+        try {
+            await onSave(patch, current.version);
+            toast.success('Changes merged and saved');
+            onDone();
+        } catch (error) {
+            if (error.response?.status === 412 && error.response.data.current) {
+                // Changed again while we were merging: show the newest version
+                setCurrent(error.response.data.current);
+                toast.error('It changed again; please review');
+            } else {
+                toast.error(error.response?.data?.error || 'Failed to save');
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                <h3><AlertTriangle size={20} /> Someone else changed this</h3>
+                <p className="permission-description">
+                    It was updated after you started editing.
+                    {conflicts.length > 0
+                        ? ' Choose which value to keep where you both made changes.'
+                        : ' None of your changes clash with theirs, so they can be saved on top.'}
+                </p>
+
+                {conflicts.length > 0 && (
+                    <div className="conflict-list">
+                        <div className="conflict-row conflict-heading">
+                            <span>Field</span>
+                            <span>Yours</span>
+                            <span>Theirs</span>
+                        </div>
+                        {conflicts.map((field) => (
+                            <div key={field.key} className="conflict-row">
+                                <span>{field.label}</span>
+                                <label>
+                                    <input
+                                        type="radio"
+                                        name={`conflict-${field.key}`}
+                                        checked={choices[field.key] !== 'theirs'}
+                                        onChange={() => setChoices({ ...choices, [field.key]: 'mine' })}
+                                    />
+                                    {display(field, mine[field.key])}
+                                </label>
+                                <label>
+                                    <input
+                                        type="radio"
+                                        name={`conflict-${field.key}`}
+                                        checked={choices[field.key] === 'theirs'}
+                                        onChange={() => setChoices({ ...choices, [field.key]: 'theirs' })}
+                                    />
+                                    {display(field, current[field.key])}
+                                </label>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {myChanges.length > conflicts.length && (
+                    <p className="permission-description">
+                        Also saving your other changes: {myChanges.filter(field => !conflicts.includes(field)).map(field => field.label).join(', ')}
+                    </p>
+                )}
+
+                <div className="form-actions">
+                    <button type="button" className="btn btn-secondary" onClick={onReload} disabled={saving}>
+                        Discard Mine &amp; Reload
+                    </button>
+                    <button type="button" className="btn btn-primary" onClick={handleMerge} disabled={saving}>
+                        {saving ? 'Saving...' : 'Merge & Save'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Delete an item with If-Match. If someone changed it since it was loaded,
+ * ask before deleting the newer version. Returns false if the user declined.
+ */
+export async function deleteIfUnchanged(remove, item, noun) {
+    try {
+        await remove(item.id, item.version);
+    } catch (error) {
+        const current = error.response?.status === 412 && error.response.data.current;
+        if (!current) throw error;
+        if (!window.confirm(`Someone else changed this ${noun} since it was loaded. Delete it anyway?`)) return false;
+        await remove(item.id, current.version);
+    }
+    return true;
+}
+
+export default ConflictDialog;
@@ -1,31 +1,43 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { goalsAPI } from '../../services/api';
-import { Plus, Edit2, Trash2, Target } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import usePagedList from '../../hooks/usePagedList';
+import ListFooter from './ListFooter';
+import GoalProgressBreakdown from './GoalProgressBreakdown';
+import ConflictDialog, { deleteIfUnchanged } from './ConflictDialog';
+import QuarterRollover from '../Rollover/QuarterRollover';
+import { Plus, Edit2, Trash2, Target, BarChart2, FastForward } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const currentYear = new Date().getFullYear();
+
 function GoalManager({ onUpdate }) {
-    const [goals, setGoals] = useState([]);
+    const { can } = useAuth();
+    const [filters, setFilters] = useState({ sort: '-quarter', status: '', quarter: '', year: '' });
+    const { items: goals, total, hasMore, loading, loadMore, reload: fetchGoals } = usePagedList(goalsAPI.getAll, filters);
     const [showForm, setShowForm] = useState(false);
     const [editingGoal, setEditingGoal] = useState(null);
+    const [expandedGoalId, setExpandedGoalId] = useState(null);
+    const [showRollover, setShowRollover] = useState(false);
+    // Set when saving hit 412: { mine, current }
+    const [conflict, setConflict] = useState(null);
     const [formData, setFormData] = useState({
         title: '',
         description: '',
         quarter: 1,
         year: new Date().getFullYear(),
         status: 'pending',
-        progress: 0
+        progress: 0,
+        progress_mode: 'auto',
+        progress_weighting: 'count'
     });
 
-    useEffect(() => {
-        fetchGoals();
-    }, []);
-
-    const fetchGoals = async () => {
-        try {
-            const response = await goalsAPI.getAll();
-            setGoals(response.data);
-        } catch (error) {
-            console.error('Error fetching goals:', error);
+    const closeRollover = (changed) => {
+        setShowRollover(false);
+        if (changed) {
+            fetchGoals();
+            onUpdate?.();
         }
     };
 
@@ -34,7 +46,7 @@ function GoalManager({ onUpdate }) {
 
         try {
             if (editingGoal) {
-                await goalsAPI.update(editingGoal.id, formData);
+                await goalsAPI.update(editingGoal.id, formData, editingGoal.version);
             } else {
                 await goalsAPI.create(formData);
             }
@@ -44,19 +56,52 @@ function GoalManager({ onUpdate }) {
             resetForm();
             toast.success(editingGoal ? 'Goal updated successfully!' : 'Goal created successfully!');
         } catch (error) {
+            if (error.response?.status === 412) {
+                handleConflict(error.response.data.current);
+                return;
+            }
             console.error('Error saving goal:', error);
             toast.error(error.response?.data?.error || 'Failed to save goal');
         }
     };
 
-    const handleDelete = async (id) => {
-        if (!window.confirm('Are you sure you want to delete this goal?')) return;
+    // Saving hit 412: someone else changed the goal since it was loaded
+    const handleConflict = (current) => {
+        if (!current) {
+            toast.error('This goal was deleted by someone else');
+            resetForm();
+            fetchGoals();
+            return;
+        }
+        setConflict({ mine: formData, current });
+    };
+
+    const closeConflict = (saved) => {
+        setConflict(null);
+        resetForm();
+        fetchGoals();
+        if (saved) onUpdate?.();
+    };
+
+    const conflictFields = [
+        { key: 'title', label: 'Title' },
+        { key: 'description', label: 'Description' },
+        { key: 'quarter', label: 'Quarter', format: (q) => `Q${q}` },
+        { key: 'year', label: 'Year' },
+        { key: 'status', label: 'Status' },
+        { key: 'progress', label: 'Progress', format: (value) => `${value}%` },
+        { key: 'progress_mode', label: 'Progress tracking' },
+        { key: 'progress_weighting', label: 'Weight plans by' }
+    ];
+
+    const handleDelete = async (goal) => {
+        if (!window.confirm('Move this goal to the trash? Its plans and tasks go with it.')) return;
 
         try {
-            await goalsAPI.delete(id);
+            if (!(await deleteIfUnchanged(goalsAPI.delete, goal, 'goal'))) return;
             fetchGoals();
             onUpdate?.();
-            toast.success('Goal deleted successfully!');
+            toast.success('Goal moved to trash');
         } catch (error) {
             console.error('Error deleting goal:', error);
             toast.error('Failed to delete goal');
@@ -71,7 +116,9 @@ function GoalManager({ onUpdate }) {
             quarter: goal.quarter,
             year: goal.year,
             status: goal.status,
-            progress: goal.progress
+            progress: goal.progress,
+            progress_mode: goal.progress_mode,
+            progress_weighting: goal.progress_weighting
         });
         setShowForm(true);
     };
@@ -85,7 +132,9 @@ function GoalManager({ onUpdate }) {
             quarter: 1,
             year: new Date().getFullYear(),
             status: 'pending',
-            progress: 0
+            progress: 0,
+            progress_mode: 'auto',
+            progress_weighting: 'count'
         });
     };
 
@@ -102,12 +151,75 @@ function GoalManager({ onUpdate }) {
         <div className="manager-container">
             <div className="manager-header">
                 <h2><Target size={24} /> Quarterly Goals</h2>
-                <button className="btn btn-primary" onClick={() => setShowForm(true)}>
-                    <Plus size={18} /> New Goal
-                </button>
+                <div className="header-actions">
+                    <select
+                        value={filters.quarter}
+                        onChange={(e) => setFilters({ ...filters, quarter: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Quarters</option>
+                        {[1, 2, 3, 4].map((q) => (
+                            <option key={q} value={q}>Q{q}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.year}
+                        onChange={(e) => setFilters({ ...filters, year: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Years</option>
+                        {[currentYear - 1, currentYear, currentYear + 1].map((year) => (
+                            <option key={year} value={year}>{year}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.status}
+                        onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Statuses</option>
+                        <option value="pending">Pending</option>
+                        <option value="in_progress">In Progress</option>
+                        <option value="completed">Completed</option>
+                        <option value="cancelled">Cancelled</option>
+                    </select>
+                    <select
+                        value={filters.sort}
+                        onChange={(e) => setFilters({ ...filters, sort: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="-quarter">Newest Quarter</option>
+                        <option value="quarter">Oldest Quarter</option>
+                        <option value="-progress">Most Progress</option>
+                        <option value="progress">Least Progress</option>
+                        <option value="title">Title</option>
+                    </select>
+                    {can('goal:update') && (
+                        <button className="btn btn-secondary" onClick={() => setShowRollover(true)}>
+                            <FastForward size={18} /> Roll Over
+                        </button>
+                    )}
+                    <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+                        <Plus size={18} /> New Goal
+                    </button>
+                </div>
             </div>
 
-            {showForm && (
+            {showRollover && <QuarterRollover onClose={closeRollover} />}
+
+            {conflict && (
+                <ConflictDialog
+                    fields={conflictFields}
+                    original={editingGoal}
+                    mine={conflict.mine}
+                    current={conflict.current}
+                    onSave={(patch, version) => goalsAPI.update(editingGoal.id, patch, version)}
+                    onDone={() => closeConflict(true)}
+                    onReload={() => closeConflict(false)}
+                />
+            )}
+
+            {showForm && !conflict && (
                 <div className="modal-overlay" onClick={resetForm}>
                     <div className="modal-content" onClick={(e) => e.stopPropagation()}>
                         <h3>{editingGoal ? 'Edit Goal' : 'Create New Goal'}</h3>
@@ -179,10 +291,36 @@ function GoalManager({ onUpdate }) {
                                         max="100"
                                         value={formData.progress}
                                         onChange={(e) => setFormData({ ...formData, progress: parseInt(e.target.value) })}
+                                        disabled={formData.progress_mode === 'auto'}
+                                        title={formData.progress_mode === 'auto' ? 'Calculated from tasks' : undefined}
                                     />
                                 </div>
                             </div>
 
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Progress Tracking</label>
+                                    <select
+                                        value={formData.progress_mode}
+                                        onChange={(e) => setFormData({ ...formData, progress_mode: e.target.value })}
+                                    >
+                                        <option value="auto">Automatic (from tasks)</option>
+                                        <option value="manual">Manual</option>
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label>Weight Plans By</label>
+                                    <select
+                                        value={formData.progress_weighting}
+                                        onChange={(e) => setFormData({ ...formData, progress_weighting: e.target.value })}
+                                    >
+                                        <option value="count">Number of tasks</option>
+                                        <option value="hours">Estimated hours</option>
+                                    </select>
+                                </div>
+                            </div>
+
                             <div className="form-actions">
                                 <button type="button" className="btn btn-secondary" onClick={resetForm}>
                                     Cancel
@@ -207,12 +345,19 @@ function GoalManager({ onUpdate }) {
                     goals.map((goal) => (
                         <div key={goal.id} className="item-card">
                             <div className="item-header">
-                                <h3>{goal.title}</h3>
+                                <h3><Link to={`/goals/${goal.id}`}>{goal.title}</Link></h3>
                                 <div className="item-actions">
+                                    <button
+                                        onClick={() => setExpandedGoalId(expandedGoalId === goal.id ? null : goal.id)}
+                                        className="icon-btn"
+                                        title="Progress breakdown"
+                                    >
+                                        <BarChart2 size={16} />
+                                    </button>
                                     <button onClick={() => handleEdit(goal)} className="icon-btn">
                                         <Edit2 size={16} />
                                     </button>
-                                    <button onClick={() => handleDelete(goal.id)} className="icon-btn delete">
+                                    <button onClick={() => handleDelete(goal)} className="icon-btn delete">
                                         <Trash2 size={16} />
                                     </button>
                                 </div>
@@ -222,6 +367,7 @@ function GoalManager({ onUpdate }) {
 
                             <div className="item-meta">
                                 <span className="badge">Q{goal.quarter} {goal.year}</span>
+                                {goal.progress_mode === 'auto' && <span className="badge">auto</span>}
                                 <span
                                     className="badge"
                                     style={{ backgroundColor: getStatusColor(goal.status) }}
@@ -239,10 +385,20 @@ function GoalManager({ onUpdate }) {
                                 </div>
                                 <span className="progress-text">{goal.progress}%</span>
                             </div>
+
+                            {expandedGoalId === goal.id && <GoalProgressBreakdown goalId={goal.id} />}
                         </div>
                     ))
                 )}
             </div>
+
+            <ListFooter
+                shown={goals.length}
+                total={total}
+                hasMore={hasMore}
+                loading={loading}
+                onLoadMore={loadMore}
+            />
         </div>
     );
 }
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { goalsAPI } from '../../services/api';
+
+/**
+ * How a goal's plans and tasks add up to its progress
+ */
+function GoalProgressBreakdown({ goalId }) {
+    const [breakdown, setBreakdown] = useState(null);
+
+    useEffect(() => {
+        const fetchBreakdown = async () => {
+            try {
+                const response = await goalsAPI.getProgress(goalId);
+                setBreakdown(response.data);
+            } catch (error) {
+                console.error('Error fetching goal progress:', error);
+            }
+        };
+
+        fetchBreakdown();
+    }, [goalId]);
+
+    if (!breakdown) {
+        return <div className="progress-breakdown">Loading…</div>;
+    }
+
+    const { goal, plans } = breakdown;
+    const byHours = goal.progress_weighting === 'hours';
+
+    return (
+        <div className="progress-breakdown">
+            {plans.length === 0 && <p>No plans linked to this goal yet.</p>}
+            {plans.map((plan) => (
+                <div key={plan.id} className="progress-breakdown-row">
+                    <span>{plan.title}</span>
+                    <div className="progress-bar">
+                        <div className="progress-fill" style={{ width: `${plan.computed_progress}%` }}></div>
+                    </div>
+                    <span>
+                        {byHours
+                            ? `${plan.completed_hours}/${plan.estimated_hours}h`
+                            : `${plan.completed_count}/${plan.task_count} tasks`}
+                    </span>
+                </div>
+            ))}
+            {goal.progress_mode === 'manual' && plans.length > 0 && (
+                <p>Calculated from tasks: {goal.computed_progress}% (progress is set manually)</p>
+            )}
+        </div>
+    );
+}
+
+export default GoalProgressBreakdown;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { goalsAPI } from '../../services/api';
+import { ChevronRight, ChevronDown, ListTree, Target, Calendar, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const now = new Date();
+const currentYear = now.getFullYear();
+const currentQuarter = Math.floor(now.getMonth() / 3) + 1;
+
+function Totals({ aggregates }) {
+    return (
+        <span className="tree-totals">
+            {aggregates.completed_count}/{aggregates.task_count} done
+            {' · '}{aggregates.actual_hours}/{aggregates.estimated_hours}h
+            {aggregates.overdue_count > 0 && <span className="tree-overdue"> · {aggregates.overdue_count} overdue</span>}
+        </span>
+    );
+}
+
+function PlanNode({ plan, expanded, onToggle }) {
+    const open = expanded.has(`plan-${plan.id}`);
+
+    return (
+        <li>
+            <button className="tree-row" onClick={() => onToggle(`plan-${plan.id}`)}>
+                {open ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                <Calendar size={16} />
+                <span className="tree-title">{plan.title}</span>
+                <span className="badge">{plan.progress}%</span>
+                <Totals aggregates={plan.aggregates} />
+            </button>
+            {open && (
+                <ul className="tree-children">
+                    {plan.tasks.length === 0 && <li className="tree-empty">No tasks</li>}
+                    {plan.tasks.map((task) => (
+                        <li key={task.id} className={`tree-row tree-leaf ${task.status}`}>
+                            <CheckCircle size={14} />
+                            <Link to={`/tasks/${task.id}`} className="tree-title">{task.title}</Link>
+                            <span className="badge">{task.status.replace('_', ' ')}</span>
+                            <span className="tree-totals">
+                                Week {task.week_number}
+                                {task.due_date && ` · due ${new Date(task.due_date).toLocaleDateString()}`}
+                                {task.is_overdue && <span className="tree-overdue"> · overdue</span>}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+}
+
+/**
+ * Collapsible outline of a quarter: goals → monthly plans → weekly tasks
+ */
+function HierarchyTree({ teams = [] }) {
+    const [filters, setFilters] = useState({ quarter: currentQuarter, year: currentYear, team_id: '' });
+    const [tree, setTree] = useState(null);
+    const [expanded, setExpanded] = useState(new Set());
+
+    useEffect(() => {
+        const fetchTree = async () => {
+            try {
+                const response = await goalsAPI.getQuarterTree({
+                    ...filters,
+                    team_id: filters.team_id || undefined
+                });
+                setTree(response.data);
+            } catch (error) {
+                console.error('Error fetching quarter tree:', error);
+                toast.error(error.response?.data?.error || 'Failed to load outline');
+            }
+        };
+
+        fetchTree();
+    }, [filters]);
+
+    const toggle = (key) => {
+        const next = new Set(expanded);
+        if (next.has(key)) {
+            next.delete(key);
+        } else {
+            next.add(key);
+        }
+        setExpanded(next);
+    };
+
+    const expandAll = () => {
+        if (!tree) return;
+        const plans = [...tree.goals.flatMap(goal => goal.plans), ...tree.unlinked_plans];
+        setExpanded(new Set([
+            ...tree.goals.map(goal => `goal-${goal.id}`),
+            ...plans.map(plan => `plan-${plan.id}`),
+            'unlinked'
+        ]));
+    };
+
+    const isEmpty = tree && tree.goals.length === 0 && tree.unlinked_plans.length === 0;
+
+    return (
+        <div className="manager-container">
+            <div className="manager-header">
+                <h2><ListTree size={24} /> Outline</h2>
+                <div className="header-actions">
+                    {teams.length > 0 && (
+                        <select
+                            value={filters.team_id}
+                            onChange={(e) => setFilters({ ...filters, team_id: e.target.value })}
+                            className="filter-select"
+                        >
+                            <option value="">My Work</option>
+                            {teams.map((team) => (
+                                <option key={team.id} value={team.id}>{team.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    <select
+                        value={filters.quarter}
+                        onChange={(e) => setFilters({ ...filters, quarter: parseInt(e.target.value) })}
+                        className="filter-select"
+                    >
+                        {[1, 2, 3, 4].map((q) => (
+                            <option key={q} value={q}>Q{q}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.year}
+                        onChange={(e) => setFilters({ ...filters, year: parseInt(e.target.value) })}
+                        className="filter-select"
+                    >
+                        {[currentYear - 1, currentYear, currentYear + 1].map((year) => (
+                            <option key={year} value={year}>{year}</option>
+                        ))}
+                    </select>
+                    <button className="btn btn-secondary btn-sm" onClick={expandAll}>Expand All</button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setExpanded(new Set())}>Collapse All</button>
+                </div>
+            </div>
+
+            {tree && !isEmpty && (
+                <p className="permission-description">
+                    Q{tree.quarter} {tree.year}: <Totals aggregates={tree.aggregates} />
+                </p>
+            )}
+
+            {isEmpty && (
+                <div className="empty-state">
+                    <ListTree size={48} />
+                    <h3>Nothing planned for Q{filters.quarter} {filters.year}</h3>
+                </div>
+            )}
+
+            {tree && !isEmpty && (
+                <ul className="tree">
+                    {tree.goals.map((goal) => {
+                        const open = expanded.has(`goal-${goal.id}`);
+                        return (
+                            <li key={goal.id}>
+                                <button className="tree-row" onClick={() => toggle(`goal-${goal.id}`)}>
+                                    {open ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                                    <Target size={16} />
+                                    <span className="tree-title">{goal.title}</span>
+                                    <span className="badge">{goal.progress}%</span>
+                                    <Totals aggregates={goal.aggregates} />
+                                </button>
+                                {open && (
+                                    <ul className="tree-children">
+                                        {goal.plans.length === 0 && <li className="tree-empty">No plans</li>}
+                                        {goal.plans.map((plan) => (
+                                            <PlanNode key={plan.id} plan={plan} expanded={expanded} onToggle={toggle} />
+                                        ))}
+                                    </ul>
+                                )}
+                            </li>
+                        );
+                    })}
+
+                    {tree.unlinked_plans.length > 0 && (
+                        <li>
+                            <button className="tree-row" onClick={() => toggle('unlinked')}>
+                                {expanded.has('unlinked') ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                                <span className="tree-title">Plans without a goal</span>
+                            </button>
+                            {expanded.has('unlinked') && (
+                                <ul className="tree-children">
+                                    {tree.unlinked_plans.map((plan) => (
+                                        <PlanNode key={plan.id} plan={plan} expanded={expanded} onToggle={toggle} />
+                                    ))}
+                                </ul>
+                            )}
+                        </li>
+                    )}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default HierarchyTree;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+// "Showing X of Y" with a Load More button for paginated lists
+function ListFooter({ shown, total, hasMore, loading, onLoadMore }) {
+    if (total === 0) return null;
+
+    return (
+        <div className="list-footer">
+            <span>Showing {shown} of {total}</span>
+            {hasMore && (
+                <button className="btn btn-secondary btn-sm" onClick={onLoadMore} disabled={loading}>
+                    {loading ? 'Loading...' : 'Load More'}
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default ListFooter;
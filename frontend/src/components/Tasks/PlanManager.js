@@ -1,13 +1,22 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { plansAPI, goalsAPI } from '../../services/api';
+import usePagedList from '../../hooks/usePagedList';
+import ListFooter from './ListFooter';
+import ConflictDialog, { deleteIfUnchanged } from './ConflictDialog';
 import { Plus, Edit2, Trash2, Calendar } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const currentYear = new Date().getFullYear();
+
 function PlanManager({ onUpdate }) {
-    const [plans, setPlans] = useState([]);
+    const [filters, setFilters] = useState({ sort: '-month', status: '', quarter: '', year: '', quarterly_goal_id: '' });
+    const { items: plans, total, hasMore, loading, loadMore, reload: fetchPlans } = usePagedList(plansAPI.getAll, filters);
     const [goals, setGoals] = useState([]);
     const [showForm, setShowForm] = useState(false);
     const [editingPlan, setEditingPlan] = useState(null);
+    // Set when saving hit 412: { mine, current }
+    const [conflict, setConflict] = useState(null);
     const [formData, setFormData] = useState({
         title: '',
         description: '',
@@ -19,23 +28,14 @@ function PlanManager({ onUpdate }) {
     });
 
     useEffect(() => {
-        fetchPlans();
         fetchGoals();
     }, []);
 
-    const fetchPlans = async () => {
-        try {
-            const response = await plansAPI.getAll();
-            setPlans(response.data);
-        } catch (error) {
-            console.error('Error fetching plans:', error);
-        }
-    };
-
     const fetchGoals = async () => {
         try {
-            const response = await goalsAPI.getAll();
-            setGoals(response.data);
+            // Goal picker: the largest page is plenty for one user's goals
+            const response = await goalsAPI.getAll({ limit: 200 });
+            setGoals(response.data.data);
         } catch (error) {
             console.error('Error fetching goals:', error);
         }
@@ -44,14 +44,14 @@ function PlanManager({ onUpdate }) {
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        try {
-            const dataToSend = {
-                ...formData,
-                quarterly_goal_id: formData.quarterly_goal_id || null
-            };
+        const dataToSend = {
+            ...formData,
+            quarterly_goal_id: formData.quarterly_goal_id || null
+        };
 
+        try {
             if (editingPlan) {
-                await plansAPI.update(editingPlan.id, dataToSend);
+                await plansAPI.update(editingPlan.id, dataToSend, editingPlan.version);
             } else {
                 await plansAPI.create(dataToSend);
             }
@@ -61,19 +61,41 @@ function PlanManager({ onUpdate }) {
             resetForm();
             toast.success(editingPlan ? 'Plan updated successfully!' : 'Plan created successfully!');
         } catch (error) {
+            if (error.response?.status === 412) {
+                handleConflict(dataToSend, error.response.data.current);
+                return;
+            }
             console.error('Error saving plan:', error);
             toast.error(error.response?.data?.error || 'Failed to save plan');
         }
     };
 
-    const handleDelete = async (id) => {
-        if (!window.confirm('Are you sure you want to delete this plan?')) return;
+    // Saving hit 412: someone else changed the plan since it was loaded
+    const handleConflict = (mine, current) => {
+        if (!current) {
+            toast.error('This plan was deleted by someone else');
+            resetForm();
+            fetchPlans();
+            return;
+        }
+        setConflict({ mine, current });
+    };
+
+    const closeConflict = (saved) => {
+        setConflict(null);
+        resetForm();
+        fetchPlans();
+        if (saved) onUpdate?.();
+    };
+
+    const handleDelete = async (plan) => {
+        if (!window.confirm('Move this plan to the trash? Its tasks go with it.')) return;
 
         try {
-            await plansAPI.delete(id);
+            if (!(await deleteIfUnchanged(plansAPI.delete, plan, 'plan'))) return;
             fetchPlans();
             onUpdate?.();
-            toast.success('Plan deleted successfully!');
+            toast.success('Plan moved to trash');
         } catch (error) {
             console.error('Error deleting plan:', error);
             toast.error('Failed to delete plan');
@@ -122,21 +144,100 @@ function PlanManager({ onUpdate }) {
         }
     };
 
+    // Plans under an automatic goal get their progress from their tasks
+    const isAutoProgress = (goalId) => goals.some(g => g.id === Number(goalId) && g.progress_mode === 'auto');
+
     const getGoalTitle = (goalId) => {
         const goal = goals.find(g => g.id === goalId);
         return goal ? goal.title : 'No linked goal';
     };
 
+    const conflictFields = [
+        { key: 'title', label: 'Title' },
+        { key: 'description', label: 'Description' },
+        { key: 'month', label: 'Month', format: getMonthName },
+        { key: 'year', label: 'Year' },
+        { key: 'quarterly_goal_id', label: 'Quarterly Goal', format: (id) => getGoalTitle(Number(id)) },
+        { key: 'status', label: 'Status' },
+        { key: 'progress', label: 'Progress', format: (value) => `${value}%` }
+    ];
+
     return (
         <div className="manager-container">
             <div className="manager-header">
                 <h2><Calendar size={24} /> Monthly Plans</h2>
-                <button className="btn btn-primary" onClick={() => setShowForm(true)}>
-                    <Plus size={18} /> New Plan
-                </button>
+                <div className="header-actions">
+                    <select
+                        value={filters.quarterly_goal_id}
+                        onChange={(e) => setFilters({ ...filters, quarterly_goal_id: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Goals</option>
+                        {goals.map((goal) => (
+                            <option key={goal.id} value={goal.id}>{goal.title}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.quarter}
+                        onChange={(e) => setFilters({ ...filters, quarter: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Quarters</option>
+                        {[1, 2, 3, 4].map((q) => (
+                            <option key={q} value={q}>Q{q}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.year}
+                        onChange={(e) => setFilters({ ...filters, year: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Years</option>
+                        {[currentYear - 1, currentYear, currentYear + 1].map((year) => (
+                            <option key={year} value={year}>{year}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.status}
+                        onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Statuses</option>
+                        <option value="pending">Pending</option>
+                        <option value="in_progress">In Progress</option>
+                        <option value="completed">Completed</option>
+                        <option value="cancelled">Cancelled</option>
+                    </select>
+                    <select
+                        value={filters.sort}
+                        onChange={(e) => setFilters({ ...filters, sort: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="-month">Newest Month</option>
+                        <option value="month">Oldest Month</option>
+                        <option value="-progress">Most Progress</option>
+                        <option value="progress">Least Progress</option>
+                        <option value="title">Title</option>
+                    </select>
+                    <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+                        <Plus size={18} /> New Plan
+                    </button>
+                </div>
             </div>
 
-            {showForm && (
+            {conflict && (
+                <ConflictDialog
+                    fields={conflictFields}
+                    original={editingPlan}
+                    mine={conflict.mine}
+                    current={conflict.current}
+                    onSave={(patch, version) => plansAPI.update(editingPlan.id, patch, version)}
+                    onDone={() => closeConflict(true)}
+                    onReload={() => closeConflict(false)}
+                />
+            )}
+
+            {showForm && !conflict && (
                 <div className="modal-overlay" onClick={resetForm}>
                     <div className="modal-content" onClick={(e) => e.stopPropagation()}>
                         <h3>{editingPlan ? 'Edit Plan' : 'Create New Plan'}</h3>
@@ -224,6 +325,8 @@ function PlanManager({ onUpdate }) {
                                         max="100"
                                         value={formData.progress}
                                         onChange={(e) => setFormData({ ...formData, progress: parseInt(e.target.value) })}
+                                        disabled={isAutoProgress(formData.quarterly_goal_id)}
+                                        title={isAutoProgress(formData.quarterly_goal_id) ? 'Calculated from tasks' : undefined}
                                     />
                                 </div>
                             </div>
@@ -252,12 +355,12 @@ function PlanManager({ onUpdate }) {
                     plans.map((plan) => (
                         <div key={plan.id} className="item-card">
                             <div className="item-header">
-                                <h3>{plan.title}</h3>
+                                <h3><Link to={`/plans/${plan.id}`}>{plan.title}</Link></h3>
                                 <div className="item-actions">
                                     <button onClick={() => handleEdit(plan)} className="icon-btn">
                                         <Edit2 size={16} />
                                     </button>
-                                    <button onClick={() => handleDelete(plan.id)} className="icon-btn delete">
+                                    <button onClick={() => handleDelete(plan)} className="icon-btn delete">
                                         <Trash2 size={16} />
                                     </button>
                                 </div>
@@ -288,12 +391,22 @@ function PlanManager({ onUpdate }) {
                                         style={{ width: `${plan.progress}%` }}
                                     ></div>
                                 </div>
-                                <span className="progress-text">{plan.progress}%</span>
+                                <span className="progress-text">
+                                    {plan.progress}%{isAutoProgress(plan.quarterly_goal_id) && ' (from tasks)'}
+                                </span>
                             </div>
                         </div>
                     ))
                 )}
             </div>
+
+            <ListFooter
+                shown={plans.length}
+                total={total}
+                hasMore={hasMore}
+                loading={loading}
+                onLoadMore={loadMore}
+            />
         </div>
     );
 }
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { tasksAPI } from '../../services/api';
+import { ChevronDown, ChevronRight, ChevronUp, Plus, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function ChecklistItem({ item, users, isFirst, isLast, onUpdate, onDelete, onMove }) {
+    const [editing, setEditing] = useState(false);
+    const [title, setTitle] = useState(item.title);
+
+    const saveTitle = () => {
+        setEditing(false);
+        if (title.trim() && title.trim() !== item.title) {
+            onUpdate(item, { title });
+        } else {
+            setTitle(item.title);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') saveTitle();
+        if (e.key === 'Escape') {
+            setTitle(item.title);
+            setEditing(false);
+        }
+    };
+
+    return (
+        <li className={`checklist-item ${item.is_done ? 'done' : ''}`}>
+            <input
+                type="checkbox"
+                checked={item.is_done}
+                onChange={(e) => onUpdate(item, { is_done: e.target.checked })}
+            />
+            {editing ? (
+                <input
+                    type="text"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    onBlur={saveTitle}
+                    onKeyDown={handleKeyDown}
+                    maxLength={300}
+                    autoFocus
+                />
+            ) : (
+                <span className="checklist-title" onClick={() => setEditing(true)} title="Click to edit">
+                    {item.title}
+                </span>
+            )}
+            <select
+                value={item.assigned_to || ''}
+                onChange={(e) => onUpdate(item, { assigned_to: e.target.value ? Number(e.target.value) : null })}
+                className="filter-select"
+                title="Assignee"
+            >
+                <option value="">Unassigned</option>
+                {users.map((u) => (
+                    <option key={u.id} value={u.id}>{u.name}</option>
+                ))}
+            </select>
+            <input
+                type="date"
+                value={item.due_date ? item.due_date.slice(0, 10) : ''}
+                onChange={(e) => onUpdate(item, { due_date: e.target.value || null })}
+                title="Due date"
+            />
+            <button onClick={() => onMove(item, -1)} className="icon-btn" title="Move up" disabled={isFirst}>
+                <ChevronUp size={14} />
+            </button>
+            <button onClick={() => onMove(item, 1)} className="icon-btn" title="Move down" disabled={isLast}>
+                <ChevronDown size={14} />
+            </button>
+            <button onClick={() => onDelete(item)} className="icon-btn delete" title="Delete item">
+                <X size={14} />
+            </button>
+        </li>
+    );
+}
+
+/**
+ * Progress bar for a task card that expands into its checklist, edited in place.
+ * Every change returns the whole checklist, so the list and the bar stay in step.
+ */
+function TaskChecklist({ task, users }) {
+    const [expanded, setExpanded] = useState(false);
+    const [items, setItems] = useState(null);
+    const [progress, setProgress] = useState({
+        total: task.checklist_total || 0,
+        done: task.checklist_done || 0,
+        percent: task.progress || 0
+    });
+    const [newTitle, setNewTitle] = useState('');
+
+    // The task list reloads after task edits, e.g. completing the task puts it at 100%
+    useEffect(() => {
+        setProgress({ total: task.checklist_total || 0, done: task.checklist_done || 0, percent: task.progress || 0 });
+    }, [task.checklist_total, task.checklist_done, task.progress]);
+
+    const apply = (response) => {
+        setItems(response.data.items);
+        setProgress(response.data.progress);
+    };
+
+    const run = async (request, failure) => {
+        try {
+            apply(await request());
+        } catch (error) {
+            console.error(`${failure}:`, error);
+            toast.error(error.response?.data?.error || failure);
+        }
+    };
+
+    const toggle = () => {
+        if (!expanded && items === null) {
+            run(() => tasksAPI.getChecklist(task.id), 'Failed to load checklist');
+        }
+        setExpanded(!expanded);
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!newTitle.trim()) return;
+        run(() => tasksAPI.addChecklistItem(task.id, { title: newTitle }), 'Failed to add checklist item');
+        setNewTitle('');
+    };
+
+    const handleUpdate = (item, changes) =>
+        run(() => tasksAPI.updateChecklistItem(task.id, item.id, changes), 'Failed to update checklist item');
+
+    const handleDelete = (item) =>
+        run(() => tasksAPI.deleteChecklistItem(task.id, item.id), 'Failed to delete checklist item');
+
+    const handleMove = (item, offset) => {
+        const ids = items.map(i => i.id);
+        const from = ids.indexOf(item.id);
+        ids.splice(from, 1);
+        ids.splice(from + offset, 0, item.id);
+        run(() => tasksAPI.reorderChecklist(task.id, ids), 'Failed to reorder checklist');
+    };
+
+    return (
+        <div className="task-checklist">
+            <button type="button" className="checklist-toggle" onClick={toggle}>
+                {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                Checklist {progress.total > 0 && `${progress.done}/${progress.total}`}
+                <span className="progress-bar">
+                    <span className="progress-fill" style={{ width: `${progress.percent}%` }} />
+                </span>
+                <span className="progress-text">{progress.percent}%</span>
+            </button>
+
+            {expanded && items !== null && (
+                <>
+                    <ul className="checklist-items">
+                        {items.map((item, index) => (
+                            <ChecklistItem
+                                key={item.id}
+                                item={item}
+                                users={users}
+                                isFirst={index === 0}
+                                isLast={index === items.length - 1}
+                                onUpdate={handleUpdate}
+                                onDelete={handleDelete}
+                                onMove={handleMove}
+                            />
+                        ))}
+                    </ul>
+                    <form className="checklist-add" onSubmit={handleAdd}>
+                        <input
+                            type="text"
+                            value={newTitle}
+                            onChange={(e) => setNewTitle(e.target.value)}
+                            placeholder="Add an item..."
+                            maxLength={300}
+                        />
+                        <button type="submit" className="btn btn-secondary btn-sm" disabled={!newTitle.trim()}>
+                            <Plus size={16} /> Add
+                        </button>
+                    </form>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default TaskChecklist;
@@ -1,19 +1,52 @@
 import React, { useState, useEffect } from 'react';
-import { tasksAPI, plansAPI, timeLogsAPI } from '../../services/api';
-import { Plus, Edit2, Trash2, CheckSquare, Clock, Link as LinkIcon } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { tasksAPI, plansAPI, timeLogsAPI, usersAPI, teamsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import usePagedList from '../../hooks/usePagedList';
+import ListFooter from './ListFooter';
+import ConflictDialog, { deleteIfUnchanged } from './ConflictDialog';
+import TaskChecklist from './TaskChecklist';
+import { Plus, Edit2, Trash2, CheckSquare, Clock, Link as LinkIcon, User, Repeat } from 'lucide-react';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 
 function TaskManager({ onUpdate }) {
-    const [tasks, setTasks] = useState([]);
+    const { user, can } = useAuth();
     const [plans, setPlans] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [ledTeams, setLedTeams] = useState([]);
     const [showForm, setShowForm] = useState(false);
     const [showTimeLog, setShowTimeLog] = useState(false);
     const [editingTask, setEditingTask] = useState(null);
     const [selectedTask, setSelectedTask] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [formError, setFormError] = useState('');
-    const [filterStatus, setFilterStatus] = useState('');
+    // Set when saving hit 412: { mine, current }
+    const [conflict, setConflict] = useState(null);
+    // Edits to a recurring task: 'this' occurrence only, or 'future' ones too
+    const [editScope, setEditScope] = useState('this');
+    // '' (my tasks), 'me' (assigned to me) or 'team:<id>' (a team I lead)
+    const [filterView, setFilterView] = useState('');
+    const [filters, setFilters] = useState({
+        sort: 'due_date',
+        status: '',
+        priority: '',
+        is_urgent: '',
+        due_after: '',
+        due_before: ''
+    });
+    const {
+        items: tasks,
+        total,
+        hasMore,
+        loading,
+        loadMore,
+        reload: fetchTasks
+    } = usePagedList(tasksAPI.getAll, {
+        ...filters,
+        assignee: filterView === 'me' ? 'me' : undefined,
+        team_id: filterView.startsWith('team:') ? filterView.slice(5) : undefined
+    });
     const [formData, setFormData] = useState({
         title: '',
         description: '',
@@ -25,7 +58,8 @@ function TaskManager({ onUpdate }) {
         estimated_hours: 0,
         due_date: '',
         is_urgent: false,
-        depends_on: ''
+        depends_on: [],
+        assigned_to: user?.id || ''
     });
     const [timeLogData, setTimeLogData] = useState({
         hours: 0,
@@ -34,26 +68,36 @@ function TaskManager({ onUpdate }) {
     });
 
     useEffect(() => {
-        fetchTasks();
         fetchPlans();
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [filterStatus]);
+        fetchUsers();
+        fetchLedTeams();
+    }, []);
 
-    const fetchTasks = async () => {
+    const fetchPlans = async () => {
         try {
-            const response = await tasksAPI.getAll(null, filterStatus);
-            setTasks(response.data);
+            // Plan picker: the largest page is plenty for one user's plans
+            const response = await plansAPI.getAll({ limit: 200 });
+            setPlans(response.data.data);
         } catch (error) {
-            console.error('Error fetching tasks:', error);
+            console.error('Error fetching plans:', error);
         }
     };
 
-    const fetchPlans = async () => {
+    const fetchUsers = async () => {
         try {
-            const response = await plansAPI.getAll();
-            setPlans(response.data);
+            const response = await usersAPI.getAll();
+            setUsers(response.data);
         } catch (error) {
-            console.error('Error fetching plans:', error);
+            console.error('Error fetching users:', error);
+        }
+    };
+
+    const fetchLedTeams = async () => {
+        try {
+            const response = await teamsAPI.getAll();
+            setLedTeams(response.data.filter(team => team.my_role === 'lead'));
+        } catch (error) {
+            console.error('Error fetching teams:', error);
         }
     };
 
@@ -62,23 +106,24 @@ function TaskManager({ onUpdate }) {
         setFormError('');
         setIsSubmitting(true);
 
-        try {
-            const dataToSend = {
-                title: formData.title,
-                description: formData.description || '',
-                week_number: formData.week_number,
-                year: formData.year,
-                monthly_plan_id: formData.monthly_plan_id ? Number(formData.monthly_plan_id) : null,
-                priority: formData.priority,
-                status: formData.status,
-                estimated_hours: formData.estimated_hours,
-                due_date: formData.due_date || null,
-                is_urgent: formData.is_urgent ? true : false,
-                depends_on: formData.depends_on ? Number(formData.depends_on) : null
-            };
+        const dataToSend = {
+            title: formData.title,
+            description: formData.description || '',
+            week_number: formData.week_number,
+            year: formData.year,
+            monthly_plan_id: formData.monthly_plan_id ? Number(formData.monthly_plan_id) : null,
+            priority: formData.priority,
+            status: formData.status,
+            estimated_hours: formData.estimated_hours,
+            due_date: formData.due_date || null,
+            is_urgent: formData.is_urgent ? true : false,
+            depends_on: formData.depends_on.map(Number),
+            assigned_to: formData.assigned_to ? Number(formData.assigned_to) : null
+        };
 
+        try {
             if (editingTask) {
-                await tasksAPI.update(editingTask.id, dataToSend);
+                await tasksAPI.update(editingTask.id, dataToSend, editingTask.version, editScope);
             } else {
                 await tasksAPI.create(dataToSend);
             }
@@ -88,10 +133,17 @@ function TaskManager({ onUpdate }) {
             resetForm();
             toast.success(editingTask ? 'Task updated successfully!' : 'Task created successfully!');
         } catch (error) {
+            if (error.response?.status === 412) {
+                handleConflict(dataToSend, error.response.data.current);
+                return;
+            }
             console.error('Error saving task:', error);
-            const message = error.response?.data?.details
-                ? error.response.data.details.join(', ')
-                : error.response?.data?.error || 'Failed to save task. Please try again.';
+            const { details, blockers } = error.response?.data || {};
+            const message = details
+                ? details.join(', ')
+                : blockers
+                    ? `${error.response.data.error}: ${blockers.map(blocker => blocker.title).join(', ')}`
+                    : error.response?.data?.error || 'Failed to save task. Please try again.';
             setFormError(message);
             toast.error(message);
         } finally {
@@ -99,6 +151,40 @@ function TaskManager({ onUpdate }) {
         }
     };
 
+    // Saving hit 412: someone else changed the task since it was loaded
+    const handleConflict = (mine, current) => {
+        if (!current) {
+            toast.error('This task was deleted by someone else');
+            resetForm();
+            fetchTasks();
+            return;
+        }
+        setConflict({ mine, current });
+    };
+
+    const closeConflict = (reload) => {
+        setConflict(null);
+        resetForm();
+        fetchTasks();
+        if (reload) onUpdate?.();
+    };
+
+    // Fields the task form edits, with how to show them in the conflict dialog
+    const conflictFields = [
+        { key: 'title', label: 'Title' },
+        { key: 'description', label: 'Description' },
+        { key: 'week_number', label: 'Week' },
+        { key: 'year', label: 'Year' },
+        { key: 'monthly_plan_id', label: 'Plan', format: (id) => plans.find(p => p.id === Number(id))?.title || `#${id}` },
+        { key: 'priority', label: 'Priority' },
+        { key: 'status', label: 'Status' },
+        { key: 'estimated_hours', label: 'Estimated hours' },
+        { key: 'due_date', label: 'Due date' },
+        { key: 'is_urgent', label: 'Urgent' },
+        { key: 'depends_on', label: 'Depends on', format: (ids) => ids.map(id => getTaskTitle(Number(id))).join(', ') },
+        { key: 'assigned_to', label: 'Assignee', format: (id) => users.find(u => u.id === Number(id))?.name || `#${id}` }
+    ];
+
     const handleTimeLogSubmit = async (e) => {
         e.preventDefault();
 
@@ -124,14 +210,19 @@ function TaskManager({ onUpdate }) {
         }
     };
 
-    const handleDelete = async (id) => {
-        if (!window.confirm('Are you sure you want to delete this task?')) return;
+    const handleDelete = async (task) => {
+        if (!window.confirm('Move this task to the trash?')) return;
+        const scope = task.recurrence_id &&
+            window.confirm('This task repeats. Also stop it repeating and move its later occurrences to the trash?')
+            ? 'future'
+            : 'this';
 
         try {
-            await tasksAPI.delete(id);
+            const remove = (id, version) => tasksAPI.delete(id, version, scope);
+            if (!(await deleteIfUnchanged(remove, task, 'task'))) return;
             fetchTasks();
             onUpdate?.();
-            toast.success('Task deleted successfully!');
+            toast.success(scope === 'future' ? 'Task and its later occurrences moved to trash' : 'Task moved to trash');
         } catch (error) {
             console.error('Error deleting task:', error);
             toast.error('Failed to delete task');
@@ -140,6 +231,7 @@ function TaskManager({ onUpdate }) {
 
     const handleEdit = (task) => {
         setEditingTask(task);
+        setEditScope('this');
         setFormData({
             title: task.title,
             description: task.description || '',
@@ -149,9 +241,10 @@ function TaskManager({ onUpdate }) {
             priority: task.priority,
             status: task.status,
             estimated_hours: task.estimated_hours,
-            due_date: task.due_date || '',
-            is_urgent: task.is_urgent === 1,
-            depends_on: task.depends_on || ''
+            due_date: task.due_date ? task.due_date.slice(0, 10) : '',
+            is_urgent: !!task.is_urgent,
+            depends_on: (task.depends_on || []).map(String),
+            assigned_to: task.assigned_to || ''
         });
         setShowForm(true);
     };
@@ -176,7 +269,8 @@ function TaskManager({ onUpdate }) {
             estimated_hours: 0,
             due_date: '',
             is_urgent: false,
-            depends_on: ''
+            depends_on: [],
+            assigned_to: user?.id || ''
         });
     };
 
@@ -219,8 +313,21 @@ function TaskManager({ onUpdate }) {
                 <h2><CheckSquare size={24} /> Weekly Tasks</h2>
                 <div className="header-actions">
                     <select
-                        value={filterStatus}
-                        onChange={(e) => setFilterStatus(e.target.value)}
+                        value={filterView}
+                        onChange={(e) => setFilterView(e.target.value)}
+                        className="filter-select"
+                    >
+                        <option value="">All My Tasks</option>
+                        <option value="me">Assigned to Me</option>
+                        {ledTeams.map((team) => (
+                            <option key={team.id} value={`team:${team.id}`}>
+                                Team: {team.name}
+                            </option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.status}
+                        onChange={(e) => setFilters({ ...filters, status: e.target.value })}
                         className="filter-select"
                     >
                         <option value="">All Tasks</option>
@@ -235,8 +342,72 @@ function TaskManager({ onUpdate }) {
                 </div>
             </div>
 
+            <div className="filter-bar">
+                <select
+                    value={filters.priority}
+                    onChange={(e) => setFilters({ ...filters, priority: e.target.value })}
+                    className="filter-select"
+                >
+                    <option value="">Any Priority</option>
+                    <option value="high">High</option>
+                    <option value="medium">Medium</option>
+                    <option value="low">Low</option>
+                </select>
+                <select
+                    value={filters.is_urgent}
+                    onChange={(e) => setFilters({ ...filters, is_urgent: e.target.value })}
+                    className="filter-select"
+                >
+                    <option value="">Urgent or Not</option>
+                    <option value="true">Urgent Only</option>
+                    <option value="false">Not Urgent</option>
+                </select>
+                <label>
+                    Due from
+                    <input
+                        type="date"
+                        value={filters.due_after}
+                        onChange={(e) => setFilters({ ...filters, due_after: e.target.value })}
+                        className="filter-select"
+                    />
+                </label>
+                <label>
+                    to
+                    <input
+                        type="date"
+                        value={filters.due_before}
+                        onChange={(e) => setFilters({ ...filters, due_before: e.target.value })}
+                        className="filter-select"
+                    />
+                </label>
+                <select
+                    value={filters.sort}
+                    onChange={(e) => setFilters({ ...filters, sort: e.target.value })}
+                    className="filter-select"
+                >
+                    <option value="due_date">Due Date</option>
+                    <option value="-priority">Highest Priority</option>
+                    <option value="-week">Newest Week</option>
+                    <option value="week">Oldest Week</option>
+                    <option value="-created_at">Recently Created</option>
+                    <option value="title">Title</option>
+                </select>
+            </div>
+
             {/* Task Form Modal */}
-            {showForm && (
+            {conflict && (
+                <ConflictDialog
+                    fields={conflictFields}
+                    original={editingTask}
+                    mine={conflict.mine}
+                    current={conflict.current}
+                    onSave={(patch, version) => tasksAPI.update(editingTask.id, patch, version, editScope)}
+                    onDone={() => closeConflict(true)}
+                    onReload={() => closeConflict(false)}
+                />
+            )}
+
+            {showForm && !conflict && (
                 <div className="modal-overlay" onClick={resetForm}>
                     <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
                         <h3>{editingTask ? 'Edit Task' : 'Create New Task'}</h3>
@@ -275,6 +446,24 @@ function TaskManager({ onUpdate }) {
                                 </select>
                             </div>
 
+                            <div className="form-group">
+                                <label>Assign To</label>
+                                <select
+                                    value={formData.assigned_to}
+                                    onChange={(e) => setFormData({ ...formData, assigned_to: e.target.value })}
+                                    disabled={editingTask
+                                        ? !can(editingTask.user_id === user?.id ? 'task:assign' : 'task:assign:any')
+                                        : !can('task:assign')}
+                                >
+                                    <option value="">-- Unassigned --</option>
+                                    {users.map((member) => (
+                                        <option key={member.id} value={member.id}>
+                                            {member.name}{member.id === user?.id ? ' (me)' : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+
                             <div className="form-row">
                                 <div className="form-group">
                                     <label>Week Number *</label>
@@ -348,12 +537,15 @@ function TaskManager({ onUpdate }) {
 
                             <div className="form-row">
                                 <div className="form-group">
-                                    <label>Depends On (Task)</label>
+                                    <label>Depends On (Tasks)</label>
                                     <select
+                                        multiple
                                         value={formData.depends_on}
-                                        onChange={(e) => setFormData({ ...formData, depends_on: e.target.value })}
+                                        onChange={(e) => setFormData({
+                                            ...formData,
+                                            depends_on: [...e.target.selectedOptions].map(option => option.value)
+                                        })}
                                     >
-                                        <option value="">-- No dependency --</option>
                                         {tasks.filter(t => !editingTask || t.id !== editingTask.id).map((task) => (
                                             <option key={task.id} value={task.id}>
                                                 {task.title}
@@ -374,6 +566,16 @@ function TaskManager({ onUpdate }) {
                                 </div>
                             </div>
 
+                            {editingTask?.recurrence_id && (
+                                <div className="form-group">
+                                    <label>Apply Changes To</label>
+                                    <select value={editScope} onChange={(e) => setEditScope(e.target.value)}>
+                                        <option value="this">This occurrence only</option>
+                                        <option value="future">This and all future occurrences</option>
+                                    </select>
+                                </div>
+                            )}
+
                             {formError && (
                                 <div className="form-error" style={{
                                     background: '#fef2f2',
@@ -471,7 +673,8 @@ function TaskManager({ onUpdate }) {
                         >
                             <div className="task-header">
                                 <div className="task-title-section">
-                                    <h3>{task.title}</h3>
+                                    <h3><Link to={`/tasks/${task.id}`}>{task.title}</Link></h3>
+                                    {task.recurrence_id && <span className="recurring-icon" title="Repeats"><Repeat size={14} /></span>}
                                     {task.is_urgent && <span className="urgent-badge">⚡ URGENT</span>}
                                     {isOverdue(task.due_date, task.status) && <span className="overdue-badge">⚠️ OVERDUE</span>}
                                 </div>
@@ -482,7 +685,7 @@ function TaskManager({ onUpdate }) {
                                     <button onClick={() => handleEdit(task)} className="icon-btn">
                                         <Edit2 size={16} />
                                     </button>
-                                    <button onClick={() => handleDelete(task.id)} className="icon-btn delete">
+                                    <button onClick={() => handleDelete(task)} className="icon-btn delete">
                                         <Trash2 size={16} />
                                     </button>
                                 </div>
@@ -496,9 +699,15 @@ function TaskManager({ onUpdate }) {
                                 </p>
                             )}
 
-                            {task.depends_on && (
+                            {task.assigned_to && task.assigned_to !== user?.id && (
+                                <p className="linked-item">
+                                    <User size={14} /> Assigned to: {task.assignee_name}
+                                </p>
+                            )}
+
+                            {task.depends_on?.length > 0 && (
                                 <p className="linked-item dependency">
-                                    <LinkIcon size={14} /> Depends on: {getTaskTitle(task.depends_on)}
+                                    <LinkIcon size={14} /> Depends on: {task.depends_on.map(getTaskTitle).join(', ')}
                                 </p>
                             )}
 
@@ -523,6 +732,8 @@ function TaskManager({ onUpdate }) {
                                 )}
                             </div>
 
+                            <TaskChecklist task={task} users={users} />
+
                             <div className="task-time">
                                 <div className="time-info">
                                     <Clock size={14} />
@@ -539,6 +750,14 @@ function TaskManager({ onUpdate }) {
                     ))
                 )}
             </div>
+
+            <ListFooter
+                shown={tasks.length}
+                total={total}
+                hasMore={hasMore}
+                loading={loading}
+                onLoadMore={loadMore}
+            />
         </div>
     );
 }
@@ -0,0 +1,409 @@
+import React, { useState, useEffect } from 'react';
+import { teamsAPI, usersAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { Plus, Edit2, Trash2, Users, UserMinus } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function TeamManager({ onUpdate }) {
+    const { user, can } = useAuth();
+    const [teams, setTeams] = useState([]);
+    const [invitations, setInvitations] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [showForm, setShowForm] = useState(false);
+    const [editingTeam, setEditingTeam] = useState(null);
+    const [selectedTeam, setSelectedTeam] = useState(null);
+    const [formData, setFormData] = useState({ name: '', description: '' });
+    const [memberData, setMemberData] = useState({ user_id: '', role: 'member' });
+
+    useEffect(() => {
+        fetchTeams();
+        fetchUsers();
+        fetchInvitations();
+    }, []);
+
+    const fetchTeams = async () => {
+        try {
+            const response = await teamsAPI.getAll();
+            setTeams(response.data);
+        } catch (error) {
+            console.error('Error fetching teams:', error);
+        }
+    };
+
+    const fetchInvitations = async () => {
+        try {
+            const response = await teamsAPI.getInvitations();
+            setInvitations(response.data);
+        } catch (error) {
+            console.error('Error fetching invitations:', error);
+        }
+    };
+
+    const fetchUsers = async () => {
+        try {
+            const response = await usersAPI.getAll();
+            setUsers(response.data);
+        } catch (error) {
+            console.error('Error fetching users:', error);
+        }
+    };
+
+    const fetchTeamDetails = async (id) => {
+        try {
+            const response = await teamsAPI.getById(id);
+            setSelectedTeam(response.data);
+        } catch (error) {
+            console.error('Error fetching team:', error);
+            toast.error(error.response?.data?.error || 'Failed to load team');
+        }
+    };
+
+    const canManage = (team) => can('team:manage:any') || team?.my_role === 'lead';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        try {
+            if (editingTeam) {
+                await teamsAPI.update(editingTeam.id, formData);
+            } else {
+                await teamsAPI.create(formData);
+            }
+
+            fetchTeams();
+            onUpdate?.();
+            resetForm();
+            toast.success(editingTeam ? 'Team updated successfully!' : 'Team created successfully!');
+        } catch (error) {
+            console.error('Error saving team:', error);
+            toast.error(error.response?.data?.error || 'Failed to save team');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm('Are you sure you want to delete this team?')) return;
+
+        try {
+            await teamsAPI.delete(id);
+            fetchTeams();
+            onUpdate?.();
+            toast.success('Team deleted successfully!');
+        } catch (error) {
+            console.error('Error deleting team:', error);
+            toast.error(error.response?.data?.error || 'Failed to delete team');
+        }
+    };
+
+    const handleAddMember = async (e) => {
+        e.preventDefault();
+
+        try {
+            const response = await teamsAPI.addMember(selectedTeam.id, {
+                user_id: Number(memberData.user_id),
+                role: memberData.role
+            });
+            setMemberData({ user_id: '', role: 'member' });
+            fetchTeamDetails(selectedTeam.id);
+            fetchTeams();
+            // Leads invite; the user joins once they accept
+            toast.success(response.data.invited ? 'Invitation sent!' : 'Member added successfully!');
+        } catch (error) {
+            console.error('Error adding member:', error);
+            toast.error(error.response?.data?.error || 'Failed to add member');
+        }
+    };
+
+    const handleCancelInvitation = async (userId) => {
+        try {
+            await teamsAPI.cancelInvitation(selectedTeam.id, userId);
+            fetchTeamDetails(selectedTeam.id);
+            toast.success('Invitation withdrawn');
+        } catch (error) {
+            console.error('Error withdrawing invitation:', error);
+            toast.error(error.response?.data?.error || 'Failed to withdraw invitation');
+        }
+    };
+
+    const handleInvitation = async (invitation, accept) => {
+        try {
+            if (accept) {
+                await teamsAPI.acceptInvitation(invitation.team_id);
+            } else {
+                await teamsAPI.declineInvitation(invitation.team_id);
+            }
+            fetchInvitations();
+            fetchTeams();
+            if (accept) onUpdate?.();
+            toast.success(accept ? `You joined ${invitation.team_name}` : 'Invitation declined');
+        } catch (error) {
+            console.error('Error answering invitation:', error);
+            toast.error(error.response?.data?.error || 'Failed to answer invitation');
+        }
+    };
+
+    const handleRoleChange = async (memberId, role) => {
+        try {
+            await teamsAPI.updateMember(selectedTeam.id, memberId, { role });
+            fetchTeamDetails(selectedTeam.id);
+            toast.success('Member role updated!');
+        } catch (error) {
+            console.error('Error updating member:', error);
+            toast.error(error.response?.data?.error || 'Failed to update member');
+        }
+    };
+
+    const handleRemoveMember = async (memberId) => {
+        const leaving = memberId === user?.id;
+        if (!window.confirm(leaving ? 'Leave this team?' : 'Remove this member from the team?')) return;
+
+        try {
+            await teamsAPI.removeMember(selectedTeam.id, memberId);
+            fetchTeams();
+            if (leaving) {
+                setSelectedTeam(null);
+            } else {
+                fetchTeamDetails(selectedTeam.id);
+            }
+            toast.success(leaving ? 'You left the team' : 'Member removed!');
+        } catch (error) {
+            console.error('Error removing member:', error);
+            toast.error(error.response?.data?.error || 'Failed to remove member');
+        }
+    };
+
+    const handleEdit = (team) => {
+        setEditingTeam(team);
+        setFormData({ name: team.name, description: team.description || '' });
+        setShowForm(true);
+    };
+
+    const resetForm = () => {
+        setShowForm(false);
+        setEditingTeam(null);
+        setFormData({ name: '', description: '' });
+    };
+
+    const pendingInvitations = selectedTeam?.invitations || [];
+    const availableUsers = selectedTeam
+        ? users.filter(u => ![...selectedTeam.members, ...pendingInvitations].some(m => m.id === u.id))
+        : [];
+
+    return (
+        <div className="manager-container">
+            <div className="manager-header">
+                <h2><Users size={24} /> Teams</h2>
+                {can('team:create') && (
+                    <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+                        <Plus size={18} /> New Team
+                    </button>
+                )}
+            </div>
+
+            {showForm && (
+                <div className="modal-overlay" onClick={resetForm}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <h3>{editingTeam ? 'Edit Team' : 'Create New Team'}</h3>
+                        <form onSubmit={handleSubmit}>
+                            <div className="form-group">
+                                <label>Name *</label>
+                                <input
+                                    type="text"
+                                    value={formData.name}
+                                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                    required
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label>Description</label>
+                                <textarea
+                                    value={formData.description}
+                                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                                    rows="3"
+                                />
+                            </div>
+
+                            <div className="form-actions">
+                                <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-primary">
+                                    {editingTeam ? 'Update' : 'Create'} Team
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {/* Members Modal */}
+            {selectedTeam && (
+                <div className="modal-overlay" onClick={() => setSelectedTeam(null)}>
+                    <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+                        <h3>{selectedTeam.name} — Members</h3>
+
+                        <div className="member-list">
+                            {selectedTeam.members.map((member) => (
+                                <div key={member.id} className="member-row">
+                                    <div className="member-avatar">
+                                        {member.name.charAt(0).toUpperCase()}
+                                    </div>
+                                    <div className="member-info">
+                                        <h3>{member.name}</h3>
+                                        <p>{member.email}</p>
+                                    </div>
+                                    {canManage(selectedTeam) ? (
+                                        <select
+                                            value={member.role}
+                                            onChange={(e) => handleRoleChange(member.id, e.target.value)}
+                                            className="filter-select"
+                                        >
+                                            <option value="lead">Lead</option>
+                                            <option value="member">Member</option>
+                                        </select>
+                                    ) : (
+                                        <span className="badge">{member.role}</span>
+                                    )}
+                                    {(canManage(selectedTeam) || member.id === user?.id) && (
+                                        <button
+                                            onClick={() => handleRemoveMember(member.id)}
+                                            className="icon-btn delete"
+                                            title={member.id === user?.id ? 'Leave team' : 'Remove member'}
+                                        >
+                                            <UserMinus size={16} />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                            {pendingInvitations.map((invitee) => (
+                                <div key={invitee.id} className="member-row">
+                                    <div className="member-avatar">
+                                        {invitee.name.charAt(0).toUpperCase()}
+                                    </div>
+                                    <div className="member-info">
+                                        <h3>{invitee.name}</h3>
+                                        <p>{invitee.email}</p>
+                                    </div>
+                                    <span className="badge">Invited as {invitee.role}</span>
+                                    <button
+                                        onClick={() => handleCancelInvitation(invitee.id)}
+                                        className="icon-btn delete"
+                                        title="Withdraw invitation"
+                                    >
+                                        <UserMinus size={16} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+
+                        {canManage(selectedTeam) && availableUsers.length > 0 && (
+                            <form onSubmit={handleAddMember}>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label>{can('team:manage:any') ? 'Add Member' : 'Invite Member'}</label>
+                                        <select
+                                            value={memberData.user_id}
+                                            onChange={(e) => setMemberData({ ...memberData, user_id: e.target.value })}
+                                            required
+                                        >
+                                            <option value="">-- Select user --</option>
+                                            {availableUsers.map((u) => (
+                                                <option key={u.id} value={u.id}>
+                                                    {u.name} ({u.email})
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    <div className="form-group">
+                                        <label>Role</label>
+                                        <select
+                                            value={memberData.role}
+                                            onChange={(e) => setMemberData({ ...memberData, role: e.target.value })}
+                                        >
+                                            <option value="member">Member</option>
+                                            <option value="lead">Lead</option>
+                                        </select>
+                                    </div>
+                                </div>
+
+                                <div className="form-actions">
+                                    <button type="button" className="btn btn-secondary" onClick={() => setSelectedTeam(null)}>
+                                        Close
+                                    </button>
+                                    <button type="submit" className="btn btn-primary">
+                                        {can('team:manage:any') ? 'Add Member' : 'Send Invitation'}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {invitations.length > 0 && (
+                <div className="member-list">
+                    {invitations.map((invitation) => (
+                        <div key={invitation.team_id} className="member-row">
+                            <div className="member-info">
+                                <h3>{invitation.team_name}</h3>
+                                <p>
+                                    {invitation.invited_by_name || 'A team lead'} invited you as {invitation.role}.
+                                    Its leads will see your goals, plans and tasks.
+                                </p>
+                            </div>
+                            <button className="btn btn-primary btn-sm" onClick={() => handleInvitation(invitation, true)}>
+                                Accept
+                            </button>
+                            <button className="btn btn-secondary btn-sm" onClick={() => handleInvitation(invitation, false)}>
+                                Decline
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="items-grid">
+                {teams.length === 0 ? (
+                    <div className="empty-state">
+                        <Users size={48} />
+                        <h3>No teams yet</h3>
+                        <p>Create a team to share work with your colleagues</p>
+                    </div>
+                ) : (
+                    teams.map((team) => (
+                        <div key={team.id} className="item-card">
+                            <div className="item-header">
+                                <h3>{team.name}</h3>
+                                <div className="item-actions">
+                                    <button onClick={() => fetchTeamDetails(team.id)} className="icon-btn" title="Members">
+                                        <Users size={16} />
+                                    </button>
+                                    {canManage(team) && (
+                                        <>
+                                            <button onClick={() => handleEdit(team)} className="icon-btn">
+                                                <Edit2 size={16} />
+                                            </button>
+                                            <button onClick={() => handleDelete(team.id)} className="icon-btn delete">
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+
+                            {team.description && <p className="item-description">{team.description}</p>}
+
+                            <div className="item-meta">
+                                <span className="badge">{team.member_count} member{team.member_count === 1 ? '' : 's'}</span>
+                                {team.my_role && <span className="badge">{team.my_role}</span>}
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TeamManager;
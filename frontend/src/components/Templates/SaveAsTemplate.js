@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { templatesAPI } from '../../services/api';
+import TeamSelect from './TeamSelect';
+import { Copy } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+/**
+ * Button on a goal, plan or task page that saves the item, with everything under
+ * it, as a template
+ */
+function SaveAsTemplate({ path, id, title }) {
+    const [form, setForm] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await templatesAPI.createFrom(path, id, form);
+            toast.success(`Template "${form.name}" saved`);
+            setForm(null);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            const { details, error: message } = error.response?.data || {};
+            toast.error(details ? details.join(', ') : message || 'Failed to save template');
+        }
+    };
+
+    return (
+        <>
+            <button className="btn btn-secondary btn-sm" onClick={() => setForm({ name: title, description: '', team_id: null })}>
+                <Copy size={16} /> Save as Template
+            </button>
+
+            {form && (
+                <div className="modal-overlay" onClick={() => setForm(null)}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <h3>Save as Template</h3>
+                        <form onSubmit={handleSubmit}>
+                            <div className="form-group">
+                                <label>Name *</label>
+                                <input
+                                    type="text"
+                                    value={form.name}
+                                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                    required
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label>Description</label>
+                                <textarea
+                                    value={form.description}
+                                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                                    rows="2"
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label>Share With</label>
+                                <TeamSelect value={form.team_id} onChange={(teamId) => setForm({ ...form, team_id: teamId })} />
+                            </div>
+
+                            <p className="permission-description">
+                                Plans and tasks are saved with their place relative to this item, so they land in the
+                                same months, weeks and weekdays wherever the template is used.
+                            </p>
+
+                            <div className="form-actions">
+                                <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-primary">Save Template</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
+
+export default SaveAsTemplate;
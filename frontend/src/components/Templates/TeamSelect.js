@@ -0,0 +1,33 @@
+import React, { useState, useEffect } from 'react';
+import { teamsAPI } from '../../services/api';
+
+/**
+ * Picker for the team a template is shared with: none, or one the user belongs to
+ */
+function TeamSelect({ value, onChange }) {
+    const [teams, setTeams] = useState([]);
+
+    useEffect(() => {
+        const fetchTeams = async () => {
+            try {
+                const response = await teamsAPI.getAll();
+                setTeams(response.data.filter(team => team.my_role));
+            } catch (error) {
+                console.error('Error fetching teams:', error);
+            }
+        };
+
+        fetchTeams();
+    }, []);
+
+    return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value ? Number(e.target.value) : null)}>
+            <option value="">Only me</option>
+            {teams.map((team) => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+        </select>
+    );
+}
+
+export default TeamSelect;
@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { templatesAPI } from '../../services/api';
+import TeamSelect from './TeamSelect';
+import { Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const emptyTask = () => ({ title: '', priority: 'medium', estimated_hours: 0, week_offset: 0, due_offset_days: null });
+const emptyPlan = (monthOffset) => ({ title: '', month_offset: monthOffset, tasks: [] });
+
+const EMPTY_CONTENT = {
+    goal: () => ({ title: '', description: '', progress_mode: 'manual', plans: [emptyPlan(0)] }),
+    plan: () => ({ title: '', description: '', tasks: [] }),
+    task: () => ({ ...emptyTask(), description: '' })
+};
+
+// A task's offsets and fields; the title is left out for a task template, whose
+// title is the template's own
+function TaskFields({ task, onChange, onRemove, showTitle = true }) {
+    const set = (field, value) => onChange({ ...task, [field]: value });
+
+    return (
+        <div className="form-row template-task">
+            {showTitle && (
+                <div className="form-group">
+                    <label>Task *</label>
+                    <input type="text" value={task.title} onChange={(e) => set('title', e.target.value)} required />
+                </div>
+            )}
+            <div className="form-group">
+                <label title="Weeks after the week the plan's month starts in">Week +</label>
+                <input
+                    type="number"
+                    min="0"
+                    max="52"
+                    value={task.week_offset || 0}
+                    onChange={(e) => set('week_offset', parseInt(e.target.value) || 0)}
+                />
+            </div>
+            <div className="form-group">
+                <label title="Days after that week's Monday; empty for no due date">Due day +</label>
+                <input
+                    type="number"
+                    min="0"
+                    max="365"
+                    value={task.due_offset_days ?? ''}
+                    onChange={(e) => set('due_offset_days', e.target.value === '' ? null : parseInt(e.target.value))}
+                />
+            </div>
+            <div className="form-group">
+                <label>Priority</label>
+                <select value={task.priority || 'medium'} onChange={(e) => set('priority', e.target.value)}>
+                    <option value="low">Low</option>
+                    <option value="medium">Medium</option>
+                    <option value="high">High</option>
+                </select>
+            </div>
+            <div className="form-group">
+                <label>Hours</label>
+                <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={task.estimated_hours || 0}
+                    onChange={(e) => set('estimated_hours', parseFloat(e.target.value) || 0)}
+                />
+            </div>
+            {onRemove && (
+                <button type="button" onClick={onRemove} className="icon-btn delete" title="Remove task">
+                    <Trash2 size={16} />
+                </button>
+            )}
+        </div>
+    );
+}
+
+// A plan's tasks, with controls to add and remove them
+function TaskList({ tasks, onChange }) {
+    return (
+        <>
+            {tasks.map((task, index) => (
+                <TaskFields
+                    key={index}
+                    task={task}
+                    onChange={(changed) => onChange(tasks.map((t, i) => (i === index ? changed : t)))}
+                    onRemove={() => onChange(tasks.filter((_, i) => i !== index))}
+                />
+            ))}
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => onChange([...tasks, emptyTask()])}>
+                <Plus size={14} /> Add Task
+            </button>
+        </>
+    );
+}
+
+/**
+ * Create a template or edit one: its name, who it is shared with and the goal,
+ * plan or task tree it creates, with each item's place relative to its parent
+ */
+function TemplateEditor({ template, onClose }) {
+    const [form, setForm] = useState({
+        name: template?.name || '',
+        description: template?.description || '',
+        team_id: template?.team_id || null,
+        kind: template?.kind || 'goal'
+    });
+    const [content, setContent] = useState(template?.content || EMPTY_CONTENT.goal());
+
+    const changeKind = (kind) => {
+        setForm({ ...form, kind });
+        setContent(EMPTY_CONTENT[kind]());
+    };
+
+    const setPlan = (index, plan) => setContent({
+        ...content,
+        plans: content.plans.map((p, i) => (i === index ? plan : p))
+    });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            if (template) {
+                const { name, description, team_id } = form;
+                await templatesAPI.update(template.id, { name, description, team_id, content });
+            } else {
+                await templatesAPI.create({ ...form, content });
+            }
+            toast.success(template ? 'Template updated' : 'Template created');
+            onClose(true);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            const { details, error: message } = error.response?.data || {};
+            toast.error(details ? details.join(', ') : message || 'Failed to save template');
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={() => onClose(false)}>
+            <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+                <h3>{template ? 'Edit Template' : 'Create New Template'}</h3>
+                <form onSubmit={handleSubmit}>
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label>Name *</label>
+                            <input
+                                type="text"
+                                value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label>Creates a</label>
+                            <select value={form.kind} onChange={(e) => changeKind(e.target.value)} disabled={!!template}>
+                                <option value="goal">Goal</option>
+                                <option value="plan">Plan</option>
+                                <option value="task">Task</option>
+                            </select>
+                        </div>
+
+                        <div className="form-group">
+                            <label>Share With</label>
+                            <TeamSelect value={form.team_id} onChange={(teamId) => setForm({ ...form, team_id: teamId })} />
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label>Description</label>
+                        <textarea
+                            value={form.description}
+                            onChange={(e) => setForm({ ...form, description: e.target.value })}
+                            rows="2"
+                        />
+                    </div>
+
+                    <h4>{form.kind === 'goal' ? 'Goal' : form.kind === 'plan' ? 'Plan' : 'Task'}</h4>
+                    <div className="form-group">
+                        <label>Title *</label>
+                        <input
+                            type="text"
+                            value={content.title}
+                            onChange={(e) => setContent({ ...content, title: e.target.value })}
+                            required
+                        />
+                    </div>
+
+                    {form.kind === 'goal' && (
+                        <div className="form-group">
+                            <label>Progress</label>
+                            <select
+                                value={content.progress_mode || 'manual'}
+                                onChange={(e) => setContent({ ...content, progress_mode: e.target.value })}
+                            >
+                                <option value="manual">Set by hand</option>
+                                <option value="auto">Calculated from tasks</option>
+                            </select>
+                        </div>
+                    )}
+
+                    {form.kind === 'task' && (
+                        <TaskFields task={content} onChange={setContent} showTitle={false} />
+                    )}
+
+                    {form.kind === 'plan' && (
+                        <TaskList tasks={content.tasks || []} onChange={(tasks) => setContent({ ...content, tasks })} />
+                    )}
+
+                    {form.kind === 'goal' && (
+                        <>
+                            {(content.plans || []).map((plan, index) => (
+                                <div key={index} className="template-plan">
+                                    <div className="form-row">
+                                        <div className="form-group">
+                                            <label>Plan *</label>
+                                            <input
+                                                type="text"
+                                                value={plan.title}
+                                                onChange={(e) => setPlan(index, { ...plan, title: e.target.value })}
+                                                required
+                                            />
+                                        </div>
+                                        <div className="form-group">
+                                            <label title="Months after the first month of the goal's quarter">Month +</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="11"
+                                                value={plan.month_offset || 0}
+                                                onChange={(e) => setPlan(index, { ...plan, month_offset: parseInt(e.target.value) || 0 })}
+                                            />
+                                        </div>
+                                        <button
+                                            type="button"
+                                            onClick={() => setContent({ ...content, plans: content.plans.filter((_, i) => i !== index) })}
+                                            className="icon-btn delete"
+                                            title="Remove plan"
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                    <TaskList tasks={plan.tasks || []} onChange={(tasks) => setPlan(index, { ...plan, tasks })} />
+                                </div>
+                            ))}
+                            <button
+                                type="button"
+                                className="btn btn-secondary btn-sm"
+                                onClick={() => setContent({
+                                    ...content,
+                                    plans: [...(content.plans || []), emptyPlan(Math.min(11, (content.plans || []).length))]
+                                })}
+                            >
+                                <Plus size={14} /> Add Plan
+                            </button>
+                        </>
+                    )}
+
+                    <div className="form-actions">
+                        <button type="button" className="btn btn-secondary" onClick={() => onClose(false)}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary">
+                            {template ? 'Update' : 'Create'} Template
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default TemplateEditor;
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { templatesAPI, goalsAPI, plansAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import usePagedList from '../../hooks/usePagedList';
+import ListFooter from '../Tasks/ListFooter';
+import TemplateEditor from './TemplateEditor';
+import { Plus, Edit2, Trash2, Copy, Play } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const currentYear = new Date().getFullYear();
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Where each kind of template is used: the period it is placed in, and its optional parent
+const TARGETS = {
+    goal: { path: 'goals', field: 'quarter', options: [1, 2, 3, 4], label: (q) => `Q${q}` },
+    plan: {
+        path: 'plans', field: 'month', options: MONTHS.map((_, i) => i + 1), label: (m) => MONTHS[m - 1],
+        parent: { column: 'quarterly_goal_id', label: 'Quarterly Goal', fetch: goalsAPI.getAll }
+    },
+    task: {
+        path: 'tasks', field: 'week_number', options: Array.from({ length: 53 }, (_, i) => i + 1), label: (w) => `Week ${w}`,
+        parent: { column: 'monthly_plan_id', label: 'Monthly Plan', fetch: plansAPI.getAll }
+    }
+};
+
+/**
+ * The templates a user can use: their own and those shared with their teams. A
+ * template creates its goal, plan or task tree in a chosen quarter, month or week.
+ */
+function TemplateManager() {
+    const { user, can } = useAuth();
+    const navigate = useNavigate();
+    const [filters, setFilters] = useState({ sort: 'name', kind: '' });
+    const { items: templates, total, hasMore, loading, loadMore, reload } = usePagedList(templatesAPI.getAll, filters);
+    // null when closed; {} for a new template, or the template being edited
+    const [editing, setEditing] = useState(null);
+    // Set while choosing where to use a template: { template, form, parents }
+    const [using, setUsing] = useState(null);
+
+    const canChange = (template) => template.user_id === user.id || can('template:manage:any');
+
+    const handleEdit = async (template) => {
+        try {
+            const response = await templatesAPI.getById(template.id);
+            setEditing(response.data);
+        } catch (error) {
+            console.error('Error fetching template:', error);
+            toast.error('Failed to load template');
+        }
+    };
+
+    const closeEditor = (saved) => {
+        setEditing(null);
+        if (saved) reload();
+    };
+
+    const handleDelete = async (template) => {
+        if (!window.confirm(`Delete the template "${template.name}"? Items created from it are kept.`)) return;
+
+        try {
+            await templatesAPI.delete(template.id);
+            reload();
+            toast.success('Template deleted');
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            toast.error('Failed to delete template');
+        }
+    };
+
+    const handleUse = async (template) => {
+        const { field, parent } = TARGETS[template.kind];
+        const form = { year: currentYear, [field]: 1, ...(parent && { [parent.column]: '' }) };
+        setUsing({ template, form, parents: [] });
+        if (!parent) return;
+
+        try {
+            // Parent picker: the largest page is plenty for one user's goals or plans
+            const response = await parent.fetch({ limit: 200 });
+            setUsing(current => current && { ...current, parents: response.data.data });
+        } catch (error) {
+            console.error('Error fetching parents:', error);
+        }
+    };
+
+    const handleInstantiate = async (e) => {
+        e.preventDefault();
+        const { template, form } = using;
+        const { path, parent } = TARGETS[template.kind];
+        const data = parent ? { ...form, [parent.column]: Number(form[parent.column]) || null } : form;
+
+        try {
+            const response = await templatesAPI.instantiate(template.id, data);
+            toast.success(response.data.message);
+            setUsing(null);
+            navigate(`/${path}/${response.data.id}`);
+        } catch (error) {
+            console.error('Error using template:', error);
+            const { details, error: message } = error.response?.data || {};
+            toast.error(details ? details.join(', ') : message || 'Failed to use template');
+        }
+    };
+
+    const target = using && TARGETS[using.template.kind];
+    const setUsingForm = (field, value) => setUsing({ ...using, form: { ...using.form, [field]: value } });
+
+    return (
+        <div className="manager-container">
+            <div className="manager-header">
+                <h2><Copy size={24} /> Templates</h2>
+                <div className="header-actions">
+                    <select
+                        value={filters.kind}
+                        onChange={(e) => setFilters({ ...filters, kind: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="">All Kinds</option>
+                        <option value="goal">Goals</option>
+                        <option value="plan">Plans</option>
+                        <option value="task">Tasks</option>
+                    </select>
+                    <select
+                        value={filters.sort}
+                        onChange={(e) => setFilters({ ...filters, sort: e.target.value })}
+                        className="filter-select"
+                    >
+                        <option value="name">Name</option>
+                        <option value="-updated_at">Recently Updated</option>
+                    </select>
+                    {can('template:create') && (
+                        <button className="btn btn-primary" onClick={() => setEditing({})}>
+                            <Plus size={18} /> New Template
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {editing && <TemplateEditor template={editing.id ? editing : null} onClose={closeEditor} />}
+
+            {using && (
+                <div className="modal-overlay" onClick={() => setUsing(null)}>
+                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                        <h3>Use "{using.template.name}"</h3>
+                        <form onSubmit={handleInstantiate}>
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>{target.field === 'week_number' ? 'Week' : target.field === 'month' ? 'Month' : 'Quarter'} *</label>
+                                    <select
+                                        value={using.form[target.field]}
+                                        onChange={(e) => setUsingForm(target.field, parseInt(e.target.value))}
+                                    >
+                                        {target.options.map((option) => (
+                                            <option key={option} value={option}>{target.label(option)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label>Year *</label>
+                                    <input
+                                        type="number"
+                                        value={using.form.year}
+                                        onChange={(e) => setUsingForm('year', parseInt(e.target.value))}
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            {target.parent && (
+                                <div className="form-group">
+                                    <label>Link to {target.parent.label} (Optional)</label>
+                                    <select
+                                        value={using.form[target.parent.column]}
+                                        onChange={(e) => setUsingForm(target.parent.column, e.target.value)}
+                                    >
+                                        <option value="">-- None --</option>
+                                        {using.parents.map((parent) => (
+                                            <option key={parent.id} value={parent.id}>{parent.title}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            <p className="permission-description">
+                                {using.template.kind === 'task'
+                                    ? 'The task is assigned to you.'
+                                    : `Creates ${using.template.plan_count} plans and ${using.template.task_count} tasks, assigned to you.`}
+                            </p>
+
+                            <div className="form-actions">
+                                <button type="button" className="btn btn-secondary" onClick={() => setUsing(null)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-primary">Create</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            <div className="items-grid">
+                {!loading && templates.length === 0 ? (
+                    <div className="empty-state">
+                        <Copy size={48} />
+                        <h3>No templates yet</h3>
+                        <p>Save a goal, plan or task as a template from its page, or create one here</p>
+                    </div>
+                ) : (
+                    templates.map((template) => (
+                        <div key={template.id} className="item-card">
+                            <div className="item-header">
+                                <h3>{template.name}</h3>
+                                <div className="item-actions">
+                                    {can(`${template.kind}:create`) && (
+                                        <button onClick={() => handleUse(template)} className="icon-btn" title="Use template">
+                                            <Play size={16} />
+                                        </button>
+                                    )}
+                                    {canChange(template) && (
+                                        <>
+                                            <button onClick={() => handleEdit(template)} className="icon-btn" title="Edit">
+                                                <Edit2 size={16} />
+                                            </button>
+                                            <button onClick={() => handleDelete(template)} className="icon-btn delete" title="Delete">
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+
+                            {template.description && <p className="item-description">{template.description}</p>}
+
+                            <div className="item-meta">
+                                <span className="badge">{template.kind}</span>
+                                {template.plan_count > 0 && <span className="badge">{template.plan_count} plans</span>}
+                                {template.kind !== 'task' && <span className="badge">{template.task_count} tasks</span>}
+                                <span className="badge">{template.team_name ? `Shared with ${template.team_name}` : 'Only me'}</span>
+                            </div>
+                            {template.user_id !== user.id && (
+                                <p className="permission-description">By {template.owner_name || 'a deleted user'}</p>
+                            )}
+                        </div>
+                    ))
+                )}
+            </div>
+
+            <ListFooter shown={templates.length} total={total} hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+        </div>
+    );
+}
+
+export default TemplateManager;
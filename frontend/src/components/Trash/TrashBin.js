@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { trashAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import usePagedList from '../../hooks/usePagedList';
+import ListFooter from '../Tasks/ListFooter';
+import { format } from 'date-fns';
+import { RotateCcw, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const TYPES = [
+    { type: 'goal', label: 'Goals' },
+    { type: 'plan', label: 'Plans' },
+    { type: 'task', label: 'Tasks' }
+];
+
+/**
+ * Deleted goals, plans and tasks, each with the plans and tasks deleted along with it.
+ * Entries can be restored until they are purged, or deleted permanently right away.
+ */
+function TrashBin() {
+    const { can } = useAuth();
+    const types = TYPES.filter(({ type }) => can(`${type}:delete`));
+    const [filters, setFilters] = useState({ type: types[0]?.type || 'goal' });
+    const { items: entries, total, hasMore, loading, loadMore, reload } = usePagedList(trashAPI.getAll, filters);
+
+    const handleRestore = async (entry) => {
+        try {
+            await trashAPI.restore(entry.type, entry.id);
+            toast.success(`"${entry.title}" restored`);
+            reload();
+        } catch (error) {
+            console.error('Error restoring item:', error);
+            toast.error(error.response?.data?.error || 'Failed to restore item');
+        }
+    };
+
+    const handlePurge = async (entry) => {
+        const children = entry.plans.length + entry.tasks.length;
+        const message = children > 0
+            ? `Permanently delete "${entry.title}" and the ${children} items deleted with it? This cannot be undone.`
+            : `Permanently delete "${entry.title}"? This cannot be undone.`;
+        if (!window.confirm(message)) return;
+
+        try {
+            await trashAPI.purge(entry.type, entry.id);
+            toast.success(`"${entry.title}" deleted permanently`);
+            reload();
+        } catch (error) {
+            console.error('Error purging item:', error);
+            toast.error(error.response?.data?.error || 'Failed to delete item permanently');
+        }
+    };
+
+    return (
+        <div className="manager-container">
+            <div className="manager-header">
+                <h2><Trash2 size={24} /> Trash</h2>
+                <div className="header-actions">
+                    <select
+                        value={filters.type}
+                        onChange={(e) => setFilters({ type: e.target.value })}
+                        className="filter-select"
+                    >
+                        {types.map(({ type, label }) => (
+                            <option key={type} value={type}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {!loading && entries.length === 0 && (
+                <div className="empty-state">
+                    <p>Nothing in the trash.</p>
+                </div>
+            )}
+            <ul className="trash-list">
+                {entries.map((entry) => (
+                    <li key={entry.id} className="trash-entry">
+                        <div className="trash-header">
+                            <strong>{entry.title}</strong>
+                            <span className="permission-description">
+                                Deleted by {entry.deleted_by_name || 'a deleted user'} on{' '}
+                                {format(new Date(entry.deleted_at), 'MMM dd, yyyy HH:mm')} · purged on{' '}
+                                {format(new Date(entry.purge_at), 'MMM dd, yyyy')}
+                            </span>
+                            <div className="header-actions">
+                                <button className="btn btn-secondary btn-sm" onClick={() => handleRestore(entry)}>
+                                    <RotateCcw size={14} /> Restore
+                                </button>
+                                <button className="btn btn-secondary btn-sm" onClick={() => handlePurge(entry)}>
+                                    <Trash2 size={14} /> Delete permanently
+                                </button>
+                            </div>
+                        </div>
+                        {(entry.plans.length > 0 || entry.tasks.length > 0) && (
+                            <ul className="trash-children">
+                                {entry.plans.map((plan) => (
+                                    <li key={`plan-${plan.id}`}>Plan: {plan.title}</li>
+                                ))}
+                                {entry.tasks.map((task) => (
+                                    <li key={`task-${task.id}`}>Task: {task.title}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <ListFooter shown={entries.length} total={total} hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+        </div>
+    );
+}
+
+export default TrashBin;
@@ -18,15 +18,28 @@ export const AuthProvider = ({ children }) => {
         setLoading(false);
     }, []);
 
+    // Store the session returned by any completed sign-in step
+    const completeLogin = ({ token, refreshToken, user }) => {
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+        localStorage.setItem('user', JSON.stringify(user));
+        setUser(user);
+    };
+
     const login = async (email, password) => {
         try {
             const response = await authAPI.login({ email, password });
-            const { token, user } = response.data;
 
-            localStorage.setItem('token', token);
-            localStorage.setItem('user', JSON.stringify(user));
-            setUser(user);
+            // Password accepted, but a second step is needed before a session exists
+            if (response.data.two_factor_required || response.data.two_factor_setup_required) {
+                return {
+                    success: false,
+                    twoFactor: response.data.two_factor_required ? 'required' : 'setup',
+                    challengeToken: response.data.challenge_token
+                };
+            }
 
+            completeLogin(response.data);
             return { success: true };
         } catch (error) {
             return {
@@ -36,6 +49,23 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    const loginTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+        try {
+            const response = await authAPI.loginTwoFactor({
+                challenge_token: challengeToken,
+                code,
+                recovery_code: recoveryCode
+            });
+            completeLogin(response.data);
+            return { success: true };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.error || 'Verification failed'
+            };
+        }
+    };
+
     const register = async (name, email, password) => {
         try {
             await authAPI.register({ name, email, password });
@@ -49,14 +79,35 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
-    const logout = () => {
+    const logout = async () => {
+        try {
+            // Revoke the session server-side; sign out locally even if this fails
+            await authAPI.logout(localStorage.getItem('refreshToken'));
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
         setUser(null);
     };
 
+    // Merge changes (e.g. email_verified) into the signed-in user
+    const updateUser = (changes) => {
+        setUser((current) => {
+            if (!current) return current;
+            const next = { ...current, ...changes };
+            localStorage.setItem('user', JSON.stringify(next));
+            return next;
+        });
+    };
+
+    // Permission check against the grants returned at login
+    const can = (permission) => !!user?.permissions?.includes(permission);
+
     return (
-        <AuthContext.Provider value={{ user, login, register, logout, loading }}>
+        <AuthContext.Provider value={{ user, login, loginTwoFactor, completeLogin, register, logout, loading, can, updateUser }}>
             {children}
         </AuthContext.Provider>
     );
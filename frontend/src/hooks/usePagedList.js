@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Load a cursor-paginated list endpoint page by page.
+ * Changing params (sort, filters) starts again from the first page.
+ *
+ * const { items, total, hasMore, loadMore, reload } = usePagedList(tasksAPI.getAll, { sort, status });
+ */
+function usePagedList(fetchPage, params) {
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(false);
+    // Only the latest request may update state (filters can change mid-request)
+    const latestRequest = useRef(0);
+    const paramsKey = JSON.stringify(params);
+
+    const load = useCallback(async (cursor) => {
+        const requestId = ++latestRequest.current;
+        setLoading(true);
+
+        try {
+            const response = await fetchPage({ ...params, cursor: cursor || undefined });
+            if (requestId !== latestRequest.current) return;
+
+            const { data, pagination } = response.data;
+            setItems((current) => (cursor ? [...current, ...data] : data));
+            setTotal(pagination.total);
+            setNextCursor(pagination.next_cursor);
+        } catch (error) {
+            console.error('Error fetching list:', error);
+        } finally {
+            if (requestId === latestRequest.current) setLoading(false);
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [fetchPage, paramsKey]);
+
+    useEffect(() => {
+        load(null);
+    }, [load]);
+
+    return {
+        items,
+        total,
+        loading,
+        hasMore: !!nextCursor,
+        loadMore: () => load(nextCursor),
+        reload: () => load(null)
+    };
+}
+
+export default usePagedList;
@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Load a single resource by id for a detail page.
+ *
+ * const { data: task, error, reload } = useResource(tasksAPI.getById, id);
+ */
+function useResource(fetchById, id) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    // Only the first load shows as loading; reloads keep the current data on screen
+    const load = useCallback(async () => {
+        try {
+            const response = await fetchById(id);
+            setData(response.data);
+            setError(null);
+        } catch (err) {
+            console.error('Error fetching resource:', err);
+            setData(null);
+            setError(err.response?.data?.error || 'Failed to load');
+        } finally {
+            setLoading(false);
+        }
+    }, [fetchById, id]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    return { data, error, loading, reload: load };
+}
+
+export default useResource;
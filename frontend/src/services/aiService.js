@@ -1,4 +1,5 @@
 // AI service for frontend API calls
+import { refreshAccessToken } from './api';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -15,15 +16,29 @@ class AIService {
         };
     }
 
+    // fetch with the current access token, refreshing it once on 401
+    async fetchWithAuth(url, options = {}) {
+        const response = await fetch(url, { ...options, headers: this.getAuthHeader() });
+        if (response.status !== 401 || !localStorage.getItem('refreshToken')) {
+            return response;
+        }
+
+        try {
+            await refreshAccessToken();
+        } catch (error) {
+            return response;
+        }
+        return fetch(url, { ...options, headers: this.getAuthHeader() });
+    }
+
     async query(text) {
         if (!this.isEnabled) {
             return { error: 'AI features are not enabled' };
         }
 
         try {
-            const response = await fetch(`${API_URL}/ai/query`, {
+            const response = await this.fetchWithAuth(`${API_URL}/ai/query`, {
                 method: 'POST',
-                headers: this.getAuthHeader(),
                 body: JSON.stringify({ query: text })
             });
 
@@ -42,9 +57,7 @@ class AIService {
     async getSuggestions(context, params = {}) {
         try {
             const queryParams = new URLSearchParams({ context, ...params });
-            const response = await fetch(`${API_URL}/ai/suggestions?${queryParams}`, {
-                headers: this.getAuthHeader()
-            });
+            const response = await this.fetchWithAuth(`${API_URL}/ai/suggestions?${queryParams}`);
 
             if (!response.ok) {
                 throw new Error('Failed to get suggestions');
@@ -59,9 +72,8 @@ class AIService {
 
     async generateTasks(notes, goalId = null) {
         try {
-            const response = await fetch(`${API_URL}/ai/generate-tasks`, {
+            const response = await this.fetchWithAuth(`${API_URL}/ai/generate-tasks`, {
                 method: 'POST',
-                headers: this.getAuthHeader(),
                 body: JSON.stringify({ notes, goal_id: goalId })
             });
 
@@ -78,9 +90,7 @@ class AIService {
 
     async getInsights(period = 'week') {
         try {
-            const response = await fetch(`${API_URL}/ai/insights?period=${period}`, {
-                headers: this.getAuthHeader()
-            });
+            const response = await this.fetchWithAuth(`${API_URL}/ai/insights?period=${period}`);
 
             if (!response.ok) {
                 throw new Error('Failed to get insights');
@@ -95,9 +105,7 @@ class AIService {
 
     async getRisks() {
         try {
-            const response = await fetch(`${API_URL}/ai/risks`, {
-                headers: this.getAuthHeader()
-            });
+            const response = await this.fetchWithAuth(`${API_URL}/ai/risks`);
 
             if (!response.ok) {
                 throw new Error('Failed to get risks');
@@ -112,9 +120,7 @@ class AIService {
 
     async getPrediction(type, id) {
         try {
-            const response = await fetch(`${API_URL}/ai/predictions/${type}/${id}`, {
-                headers: this.getAuthHeader()
-            });
+            const response = await this.fetchWithAuth(`${API_URL}/ai/predictions/${type}/${id}`);
 
             if (!response.ok) {
                 throw new Error('Failed to get prediction');
@@ -19,15 +19,60 @@ api.interceptors.request.use((config) => {
     return config;
 });
 
-// Handle 401 errors (unauthorized)
+const clearSessionAndRedirect = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    window.location.href = '/login';
+};
+
+// Calls whose 401 means bad credentials, not an expired access token
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// One refresh at a time; concurrent 401s wait for the same new token
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = axios
+            .post(`${API_URL}/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+            .then((response) => {
+                localStorage.setItem('token', response.data.token);
+                localStorage.setItem('refreshToken', response.data.refreshToken);
+                return response.data.token;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+// Handle 401 errors (unauthorized): refresh the access token once and retry,
+// falling back to the login page when the session is gone
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            window.location.href = '/login';
+    async (error) => {
+        const original = error.config;
+        const isAuthCall = AUTH_ENDPOINTS.includes(original?.url);
+
+        if (error.response?.status === 401 && !isAuthCall && !original._retried) {
+            if (!localStorage.getItem('refreshToken')) {
+                clearSessionAndRedirect();
+                return Promise.reject(error);
+            }
+
+            try {
+                const token = await refreshAccessToken();
+                original._retried = true;
+                original.headers.Authorization = `Bearer ${token}`;
+                return api(original);
+            } catch (refreshError) {
+                clearSessionAndRedirect();
+                return Promise.reject(error);
+            }
         }
+
         return Promise.reject(error);
     }
 );
@@ -36,41 +81,177 @@ api.interceptors.response.use(
 export const authAPI = {
     register: (data) => api.post('/auth/register', data),
     login: (data) => api.post('/auth/login', data),
+    loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
+    logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+    forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+    resetPassword: (data) => api.post('/auth/reset-password', data),
+    verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+    resendVerification: () => api.post('/auth/resend-verification'),
+    getSessions: () => api.get('/auth/sessions'),
+    revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+};
+
+// Personal access tokens for scripts and CI
+export const accessTokensAPI = {
+    getAll: () => api.get('/auth/tokens'),
+    create: (data) => api.post('/auth/tokens', data),
+    revoke: (id) => api.delete(`/auth/tokens/${id}`),
+};
+
+// Two-factor authentication (challengeToken is used when enrolling mid-login)
+export const twoFactorAPI = {
+    getStatus: () => api.get('/auth/2fa'),
+    setup: (challengeToken) => api.post('/auth/2fa/setup', { challenge_token: challengeToken }),
+    enable: (code, challengeToken) => api.post('/auth/2fa/enable', { code, challenge_token: challengeToken }),
+    disable: (password, code) => api.post('/auth/2fa/disable', { password, code }),
+    regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+};
+
+// Users
+export const usersAPI = {
+    getAll: () => api.get('/users'),
+};
+
+// Teams
+export const teamsAPI = {
+    getAll: () => api.get('/teams'),
+    getById: (id) => api.get(`/teams/${id}`),
+    create: (data) => api.post('/teams', data),
+    update: (id, data) => api.put(`/teams/${id}`, data),
+    delete: (id) => api.delete(`/teams/${id}`),
+    addMember: (id, data) => api.post(`/teams/${id}/members`, data),
+    updateMember: (id, userId, data) => api.put(`/teams/${id}/members/${userId}`, data),
+    removeMember: (id, userId) => api.delete(`/teams/${id}/members/${userId}`),
+    cancelInvitation: (id, userId) => api.delete(`/teams/${id}/invitations/${userId}`),
+    getInvitations: () => api.get('/teams/invitations'),
+    acceptInvitation: (teamId) => api.post(`/teams/invitations/${teamId}/accept`),
+    declineInvitation: (teamId) => api.delete(`/teams/invitations/${teamId}`),
 };
 
+// Admin
+export const adminAPI = {
+    getRoles: () => api.get('/admin/roles'),
+    updateRole: (role, permissions) => api.put(`/admin/roles/${role}`, { permissions }),
+    updateUserRole: (userId, role) => api.put(`/admin/users/${userId}/role`, { role }),
+    getSecurityPolicy: () => api.get('/admin/security-policy'),
+    updateSecurityPolicy: (data) => api.put('/admin/security-policy', data),
+    getWorkflowPolicy: () => api.get('/admin/workflow-policy'),
+    updateWorkflowPolicy: (data) => api.put('/admin/workflow-policy', data),
+    exportAudit: (params) => api.get('/admin/audit-export', { params, responseType: 'blob' }),
+};
+
+// List endpoints are cursor-paginated: params take { cursor, limit, sort, ...filters }
+// and responses are { data, pagination: { total, limit, sort, next_cursor } }
+
+// Optimistic concurrency: updates and deletes send the version they were based on;
+// the server answers 412 with the current row if someone else changed it since
+const ifMatch = (version) => (version ? { headers: { 'If-Match': `"${version}"` } } : undefined);
+
 // Quarterly Goals
 export const goalsAPI = {
-    getAll: () => api.get('/quarterly-goals'),
+    getAll: (params) => api.get('/quarterly-goals', { params }),
+    getById: (id) => api.get(`/quarterly-goals/${id}`),
     create: (data) => api.post('/quarterly-goals', data),
-    update: (id, data) => api.put(`/quarterly-goals/${id}`, data),
-    delete: (id) => api.delete(`/quarterly-goals/${id}`),
+    update: (id, data, version) => api.patch(`/quarterly-goals/${id}`, data, ifMatch(version)),
+    delete: (id, version) => api.delete(`/quarterly-goals/${id}`, ifMatch(version)),
+    getProgress: (id) => api.get(`/quarterly-goals/${id}/progress`),
+    getTree: (id) => api.get(`/quarterly-goals/${id}/tree`),
+    getQuarterTree: (params) => api.get('/quarterly-goals/tree', { params }),
 };
 
 // Monthly Plans
 export const plansAPI = {
-    getAll: (quarterlyGoalId) => api.get('/monthly-plans', { params: { quarterly_goal_id: quarterlyGoalId } }),
+    getAll: (params) => api.get('/monthly-plans', { params }),
+    getById: (id) => api.get(`/monthly-plans/${id}`),
     create: (data) => api.post('/monthly-plans', data),
-    update: (id, data) => api.put(`/monthly-plans/${id}`, data),
-    delete: (id) => api.delete(`/monthly-plans/${id}`),
+    update: (id, data, version) => api.patch(`/monthly-plans/${id}`, data, ifMatch(version)),
+    delete: (id, version) => api.delete(`/monthly-plans/${id}`, ifMatch(version)),
 };
 
 // Weekly Tasks
 export const tasksAPI = {
-    getAll: (monthlyPlanId, status) => api.get('/weekly-tasks', { params: { monthly_plan_id: monthlyPlanId, status } }),
+    getAll: (params) => api.get('/weekly-tasks', { params }),
+    getById: (id) => api.get(`/weekly-tasks/${id}`),
     create: (data) => api.post('/weekly-tasks', data),
-    update: (id, data) => api.put(`/weekly-tasks/${id}`, data),
-    delete: (id) => api.delete(`/weekly-tasks/${id}`),
+    // scope 'future' also applies the change to a recurring task's later occurrences
+    update: (id, data, version, scope) => api.patch(`/weekly-tasks/${id}`, data, { ...ifMatch(version), params: { scope } }),
+    delete: (id, version, scope) => api.delete(`/weekly-tasks/${id}`, { ...ifMatch(version), params: { scope } }),
+    getDependencies: (id) => api.get(`/weekly-tasks/${id}/dependencies`),
+    addDependency: (id, data) => api.post(`/weekly-tasks/${id}/dependencies`, data),
+    removeDependency: (id, dependsOnId) => api.delete(`/weekly-tasks/${id}/dependencies/${dependsOnId}`),
+    getDependencyGraph: (id) => api.get(`/weekly-tasks/${id}/dependency-graph`),
+    getChecklist: (id) => api.get(`/weekly-tasks/${id}/checklist`),
+    addChecklistItem: (id, data) => api.post(`/weekly-tasks/${id}/checklist`, data),
+    updateChecklistItem: (id, itemId, data) => api.patch(`/weekly-tasks/${id}/checklist/${itemId}`, data),
+    deleteChecklistItem: (id, itemId) => api.delete(`/weekly-tasks/${id}/checklist/${itemId}`),
+    reorderChecklist: (id, itemIds) => api.put(`/weekly-tasks/${id}/checklist/order`, { item_ids: itemIds }),
+    getRecurrence: (id) => api.get(`/weekly-tasks/${id}/recurrence`),
+    setRecurrence: (id, rrule) => api.put(`/weekly-tasks/${id}/recurrence`, { rrule }),
+    stopRecurrence: (id) => api.delete(`/weekly-tasks/${id}/recurrence`),
+    skipOccurrence: (id, date) => api.post(`/weekly-tasks/${id}/recurrence/exceptions`, { date }),
+    unskipOccurrence: (id, date) => api.delete(`/weekly-tasks/${id}/recurrence/exceptions/${date}`),
+};
+
+// Comments; path is quarterly-goals, monthly-plans or weekly-tasks
+export const commentsAPI = {
+    getThread: (path, id) => api.get(`/${path}/${id}/comments`),
+    create: (path, id, data) => api.post(`/${path}/${id}/comments`, data),
+    update: (id, data) => api.patch(`/comments/${id}`, data),
+    delete: (id) => api.delete(`/comments/${id}`),
+    getHistory: (id) => api.get(`/comments/${id}/history`),
+};
+
+// Activity log: own changes (everyone's with activity:read:any), or the history of one item
+export const activityAPI = {
+    getAll: (params) => api.get('/activity', { params }),
+    getForItem: (path, id, params) => api.get(`/${path}/${id}/activity`, { params }),
+};
+
+// Deleted goals, plans and tasks (type is goal, plan or task)
+export const trashAPI = {
+    getAll: (params) => api.get('/trash', { params }),
+    restore: (type, id) => api.post(`/trash/${type}/${id}/restore`),
+    purge: (type, id) => api.delete(`/trash/${type}/${id}`),
+};
+
+// Goal, plan and task templates; path is quarterly-goals, monthly-plans or weekly-tasks
+export const templatesAPI = {
+    getAll: (params) => api.get('/templates', { params }),
+    getById: (id) => api.get(`/templates/${id}`),
+    create: (data) => api.post('/templates', data),
+    createFrom: (path, id, data) => api.post(`/${path}/${id}/template`, data),
+    update: (id, data) => api.patch(`/templates/${id}`, data),
+    delete: (id) => api.delete(`/templates/${id}`),
+    instantiate: (id, data) => api.post(`/templates/${id}/instantiate`, data),
+};
+
+// Quarter rollover: preview a quarter's open items, then carry or close them
+export const rolloversAPI = {
+    preview: (params) => api.get('/rollovers/preview', { params }),
+    run: (data) => api.post('/rollovers', data),
+};
+
+// File attachments on goals, plans and tasks (path is the item's collection)
+export const attachmentsAPI = {
+    getAll: (path, id) => api.get(`/${path}/${id}/attachments`),
+    upload: (path, id, file) => {
+        const data = new FormData();
+        data.append('file', file);
+        return api.post(`/${path}/${id}/attachments`, data, { headers: { 'Content-Type': 'multipart/form-data' } });
+    },
+    download: (id) => api.get(`/attachments/${id}/download`, { responseType: 'blob' }),
+    delete: (id) => api.delete(`/attachments/${id}`),
 };
 
 // Time Logs
 export const timeLogsAPI = {
-    getAll: (taskId) => api.get('/time-logs', { params: { task_id: taskId } }),
+    getAll: (params) => api.get('/time-logs', { params }),
     create: (data) => api.post('/time-logs', data),
 };
 
 // Notifications
 export const notificationsAPI = {
-    getAll: () => api.get('/notifications'),
+    getAll: (params) => api.get('/notifications', { params }),
     markAsRead: (id) => api.put(`/notifications/${id}/read`),
     markAllAsRead: () => api.put('/notifications/read-all'),
 };
@@ -78,7 +259,7 @@ export const notificationsAPI = {
 // Dashboard
 export const dashboardAPI = {
     getStats: () => api.get('/dashboard/stats'),
-    getTeamPerformance: () => api.get('/dashboard/team-performance'),
+    getTeamPerformance: (teamId) => api.get('/dashboard/team-performance', { params: { team_id: teamId } }),
 };
 
 export default api;